@@ -0,0 +1,118 @@
+// ClipboardHelper.js - Copying to and pasting from other apps through the system clipboard
+//
+// A copy puts two flavours on the clipboard, as Excel and Google Sheets do: tab-separated
+// text and an HTML table. A paste reads the HTML table when there is one, since it keeps
+// cells with tabs and line breaks intact, and otherwise the text as TSV, CSV or plain lines.
+
+import { parseDelimited, serializeDelimited } from './CsvHelper';
+
+// Attribute on the copied table that tells the grid's own copies apart
+export const CLIPBOARD_MARKER = 'data-grid-clipboard';
+
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Inline CSS for the style properties other apps read from a pasted table
+const styleToCss = (style) => {
+  if (!style) return '';
+  const css = [];
+  if (style.bold) css.push('font-weight:bold');
+  if (style.italic) css.push('font-style:italic');
+  if (style.underline) css.push('text-decoration:underline');
+  if (style.fontSize) css.push(`font-size:${style.fontSize}px`);
+  if (style.color) css.push(`color:${style.color}`);
+  if (style.fill) css.push(`background-color:${style.fill}`);
+  if (style.hAlign) css.push(`text-align:${style.hAlign}`);
+  if (style.vAlign) css.push(`vertical-align:${style.vAlign}`);
+  if (style.wrap) css.push('white-space:normal');
+  return css.join(';');
+};
+
+/**
+ * Builds what a copy puts on the system clipboard
+ * @param {Array<Array<string>>} rows - Displayed text of the copied cells
+ * @param {Array<Array<Object>>} [styles] - Cell styles in the same shape
+ * @param {string} [id] - Marks the table as the grid's own copy (see getClipboardId)
+ * @returns {Object} { text, html } - Tab-separated text and an HTML table
+ */
+export const toClipboardPayload = (rows, styles, id) => {
+  const text = serializeDelimited(rows, { delimiter: '\t', lineEnding: '\r\n' });
+  const body = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const css = styleToCss(styles && styles[r] && styles[r][c]);
+      return `<td${css ? ` style="${css}"` : ''}>${escapeHtml(value).replace(/\r?\n/g, '<br>')}</td>`;
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  });
+  const html = `<table${id ? ` ${CLIPBOARD_MARKER}="${escapeHtml(id)}"` : ''}>${body.join('')}</table>`;
+  return { text, html };
+};
+
+/**
+ * Reads the marker of a table the grid copied
+ * @param {string} html - HTML from the clipboard
+ * @returns {string|null} The id given to toClipboardPayload, or null for HTML from elsewhere
+ */
+export const getClipboardId = (html) => {
+  const match = new RegExp(`${CLIPBOARD_MARKER}="([^"]*)"`).exec(html || '');
+  return match ? match[1] : null;
+};
+
+// Stands in for <br> while the rest of the cell's whitespace collapses
+const LINE_BREAK = '\u2028';
+
+// Text of a table cell: source line breaks and runs of spaces collapse as a browser shows
+// them, while <br> stays a line break inside the cell
+const getCellText = (cell) => {
+  const copy = cell.cloneNode(true);
+  copy.querySelectorAll('br').forEach((br) => br.replaceWith(LINE_BREAK));
+  return copy.textContent
+    .replace(/[ \t\r\n\f\u00a0]+/g, ' ')
+    .split(LINE_BREAK)
+    .map((line) => line.trim())
+    .join('\n')
+    .trim();
+};
+
+/**
+ * Reads the first table of some clipboard HTML. Merged cells keep their text in the top
+ * left cell and leave the rest of the area blank.
+ * @param {string} html - HTML from the clipboard
+ * @returns {Array<Array<string>>|null} Rows of cell text, or null when there is no table
+ */
+export const parseClipboardHtml = (html) => {
+  if (!html || !/<table/i.test(html)) return null;
+  const table = new DOMParser().parseFromString(html, 'text/html').querySelector('table');
+  if (!table) return null;
+
+  const rows = Array.from(table.rows, () => []);
+  Array.from(table.rows).forEach((tr, r) => {
+    let c = 0;
+    Array.from(tr.cells).forEach((cell) => {
+      // Skip columns a cell above already spans into
+      while (rows[r][c] !== undefined) c++;
+      const colSpan = Math.max(1, cell.colSpan || 1);
+      const rowSpan = Math.min(Math.max(1, cell.rowSpan || 1), rows.length - r);
+      const text = getCellText(cell);
+      for (let dr = 0; dr < rowSpan; dr++) {
+        for (let dc = 0; dc < colSpan; dc++) rows[r + dr][c + dc] = dr === 0 && dc === 0 ? text : '';
+      }
+      c += colSpan;
+    });
+  });
+  return rows.map((row) => Array.from(row, (text) => text ?? ''));
+};
+
+/**
+ * Reads clipboard text into rows of cells: tab-separated when it has tabs, CSV when every
+ * line splits into the same number of comma-separated fields, and otherwise one cell per line
+ * @param {string} text - Plain text from the clipboard
+ * @returns {Array<Array<string>>} Rows of cell text
+ */
+export const parseClipboardText = (text) => {
+  if (!text) return [];
+  if (text.includes('\t')) return parseDelimited(text, '\t');
+  const csv = parseDelimited(text, ',');
+  if (csv.length > 1 && csv[0].length > 1 && csv.every((row) => row.length === csv[0].length)) return csv;
+  return text.replace(/\r?\n$/, '').split(/\r\n|\r|\n/).map((line) => [line]);
+};
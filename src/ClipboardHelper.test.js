@@ -0,0 +1,28 @@
+import { toClipboardPayload, getClipboardId, parseClipboardHtml, parseClipboardText } from './ClipboardHelper';
+
+test('toClipboardPayload writes TSV and a styled, marked HTML table', () => {
+  const { text, html } = toClipboardPayload([['a', 'b\tc'], ['<x>', 'two\nlines']], [[{ bold: true }, null], [null, null]], '42');
+  expect(text).toBe('a\t"b\tc"\r\n<x>\t"two\nlines"\r\n');
+  expect(html).toContain('<td style="font-weight:bold">a</td>');
+  expect(html).toContain('<td>&lt;x&gt;</td><td>two<br>lines</td>');
+  expect(getClipboardId(html)).toBe('42');
+  expect(getClipboardId('<table><tr><td>1</td></tr></table>')).toBeNull();
+});
+
+test('parseClipboardHtml reads the first table, line breaks and merged cells', () => {
+  const html = `<html><body><table>
+    <tr><td colspan="2">Title</td><td rowspan="2">side</td></tr>
+    <tr><td>two<br>lines</td><td>
+      spaced   out
+    </td></tr>
+  </table></body></html>`;
+  expect(parseClipboardHtml(html)).toEqual([['Title', '', 'side'], ['two\nlines', 'spaced out', '']]);
+  expect(parseClipboardHtml('<p>no table</p>')).toBeNull();
+});
+
+test('parseClipboardText reads TSV, consistent CSV and plain lines', () => {
+  expect(parseClipboardText('1\t2\r\n3\t4\r\n')).toEqual([['1', '2'], ['3', '4']]);
+  expect(parseClipboardText('a,b\n"c,d",e')).toEqual([['a', 'b'], ['c,d', 'e']]);
+  expect(parseClipboardText('Smith, John\nDoe')).toEqual([['Smith, John'], ['Doe']]);
+  expect(parseClipboardText('hello')).toEqual([['hello']]);
+});
@@ -0,0 +1,194 @@
+// CsvHelper.js - RFC 4180 CSV / TSV parsing and serialisation
+
+export const CSV_DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|',
+};
+
+export const LINE_ENDINGS = {
+  crlf: '\r\n',
+  lf: '\n',
+};
+
+const BOM = '\uFEFF';
+
+/**
+ * Guesses the delimiter of a delimited text file. Each candidate is counted per line
+ * (outside quotes) over the first lines; the one that appears most consistently wins.
+ * @param {string} text - File contents
+ * @returns {string} Detected delimiter, ',' if nothing stands out
+ */
+export const detectDelimiter = (text) => {
+  const sample = text.slice(0, 64 * 1024);
+  const candidates = Object.values(CSV_DELIMITERS);
+  const counts = candidates.map(() => []);
+
+  let lineCounts = candidates.map(() => 0);
+  let inQuotes = false;
+  let lines = 0;
+
+  for (let i = 0; i < sample.length && lines < 20; i++) {
+    const ch = sample[i];
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+      if (ch === '\r' && sample[i + 1] === '\n') i++;
+      lineCounts.forEach((count, j) => counts[j].push(count));
+      lineCounts = candidates.map(() => 0);
+      lines++;
+    } else if (!inQuotes) {
+      const j = candidates.indexOf(ch);
+      if (j >= 0) lineCounts[j]++;
+    }
+  }
+  if (lineCounts.some((count) => count > 0)) {
+    lineCounts.forEach((count, j) => counts[j].push(count));
+  }
+
+  let best = ',';
+  let bestScore = 0;
+  candidates.forEach((delimiter, j) => {
+    const perLine = counts[j];
+    if (perLine.length === 0 || perLine[0] === 0) return;
+    // Lines that agree with the first line's count, weighted by how many fields it yields
+    const consistent = perLine.filter((count) => count === perLine[0]).length;
+    const score = consistent * perLine[0];
+    if (score > bestScore) {
+      bestScore = score;
+      best = delimiter;
+    }
+  });
+  return best;
+};
+
+/**
+ * Parses delimited text following RFC 4180: quoted fields, "" escapes inside quotes,
+ * delimiters and line breaks inside quoted fields, and CRLF, LF or CR line endings.
+ * @param {string} text - File contents (a leading BOM is ignored)
+ * @param {string} [delimiter] - Field delimiter; detected when omitted
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export const parseDelimited = (text, delimiter) => {
+  const source = text.startsWith(BOM) ? text.slice(1) : text;
+  const sep = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  // Last record without a trailing line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Quotes a field when it contains the delimiter, a quote or a line break
+ */
+const quoteField = (value, delimiter) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Serialises rows of fields to delimited text
+ * @param {Array<Array<string>>} rows - Rows of fields
+ * @param {Object} [options] - { delimiter = ',', lineEnding = '\r\n', bom = false }
+ * @returns {string} Delimited text
+ */
+export const serializeDelimited = (rows, { delimiter = ',', lineEnding = '\r\n', bom = false } = {}) => {
+  const body = rows.map((row) => row.map((value) => quoteField(value, delimiter)).join(delimiter)).join(lineEnding);
+  return (bom ? BOM : '') + body + (rows.length ? lineEnding : '');
+};
+
+/**
+ * Converts parsed rows into cellData, starting at A1 and clamped to the grid size
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {number} totalRows - Rows in the grid
+ * @param {number} totalCols - Columns in the grid
+ * @returns {Object} { cellData, truncated } - truncated is true if rows or columns did not fit
+ */
+export const rowsToCellData = (rows, totalRows, totalCols) => {
+  const cellData = {};
+  let truncated = rows.length > totalRows;
+
+  rows.slice(0, totalRows).forEach((row, r) => {
+    if (row.length > totalCols) truncated = true;
+    row.slice(0, totalCols).forEach((value, c) => {
+      if (value !== '') cellData[`${r},${c}`] = value;
+    });
+  });
+
+  return { cellData, truncated };
+};
+
+/**
+ * Reads a range of the sheet into rows of display text, trimming trailing empty rows and columns
+ * @param {Object} range - { startRow, endRow, startCol, endCol }
+ * @param {Function} getText - (key) => text to export for the cell "row,col"
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export const rangeToRows = (range, getText) => {
+  const rows = [];
+  let lastRow = -1;
+  let lastCol = -1;
+
+  for (let r = range.startRow; r <= range.endRow; r++) {
+    const row = [];
+    for (let c = range.startCol; c <= range.endCol; c++) {
+      const text = getText(`${r},${c}`);
+      row.push(text);
+      if (text !== '') {
+        lastRow = r - range.startRow;
+        lastCol = Math.max(lastCol, c - range.startCol);
+      }
+    }
+    rows.push(row);
+  }
+
+  return rows.slice(0, lastRow + 1).map((row) => row.slice(0, lastCol + 1));
+};
@@ -0,0 +1,29 @@
+import { detectDelimiter, parseDelimited, serializeDelimited, rangeToRows } from './CsvHelper';
+
+test('parses quoted fields with delimiters, escaped quotes and line breaks', () => {
+  const text = '\uFEFFname,note\r\n"Smith, J","said ""hi""\nthen left"\r\nlast,';
+  expect(parseDelimited(text)).toEqual([
+    ['name', 'note'],
+    ['Smith, J', 'said "hi"\nthen left'],
+    ['last', ''],
+  ]);
+});
+
+test('detects the delimiter outside quoted fields', () => {
+  expect(detectDelimiter('a;b;c\n1;"2,5";3\n')).toBe(';');
+  expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+  expect(detectDelimiter('a,b\n1,2')).toBe(',');
+});
+
+test('round-trips rows through serialisation', () => {
+  const rows = [['a', 'b;c'], ['line\nbreak', '"q"']];
+  const text = serializeDelimited(rows, { delimiter: ';', lineEnding: '\n', bom: true });
+  expect(text.startsWith('\uFEFF')).toBe(true);
+  expect(parseDelimited(text, ';')).toEqual(rows);
+});
+
+test('trims trailing empty rows and columns when exporting a range', () => {
+  const data = { '0,0': 'x', '1,1': 'y' };
+  const rows = rangeToRows({ startRow: 0, endRow: 5, startCol: 0, endCol: 5 }, (key) => data[key] || '');
+  expect(rows).toEqual([['x', ''], ['', 'y']]);
+});
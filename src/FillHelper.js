@@ -0,0 +1,197 @@
+// FillHelper.js - Fill handle: extending the selection's contents into neighbouring cells
+//
+// A fill copies the source range along one direction, one line at a time (a column when
+// filling up or down, a row when filling left or right). Each line is read as a series when
+// its cells share a pattern, and repeated as a block otherwise:
+//   numbers        - two or more continue their trend; a single one is copied
+//   growth         - three or more numbers with a constant ratio (2, 4, 8) keep multiplying
+//   dates          - as numbers, except that a single date counts on by one day
+//   "Item 7"       - text ending in a number counts on, keeping any leading zeros
+//   Mon / March    - weekday and month names, full or short, continue round the week or year
+// Formulas repeat with their relative references shifted; styles repeat with their cells.
+
+import { isFormula, offsetFormula, toCellValue } from './FormulaHelper';
+import { isDateFormat } from './NumberFormatHelper';
+import { getCellStyle } from './StyleHelper';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const NAME_LISTS = [DAYS, MONTHS];
+
+const mod = (n, m) => ((n % m) + m) % m;
+const toRaw = (number) => String(parseFloat(number.toPrecision(15)));
+
+/**
+ * Works out which way a fill handle drag goes and the range it covers. The drag follows
+ * whichever direction the pointer has moved furthest outside the source.
+ * @param {Object} source - { startRow, startCol, endRow, endCol } being filled from
+ * @param {Object} cell - { r, c } under the pointer
+ * @returns {Object|null} { range, direction } with direction 'down', 'up', 'right' or 'left';
+ *   null while the pointer is inside the source
+ */
+export const getFillTarget = (source, cell) => {
+  const down = cell.r - source.endRow;
+  const up = source.startRow - cell.r;
+  const right = cell.c - source.endCol;
+  const left = source.startCol - cell.c;
+  const vertical = Math.max(down, up);
+  const horizontal = Math.max(right, left);
+  if (vertical <= 0 && horizontal <= 0) return null;
+
+  const range = { startRow: source.startRow, startCol: source.startCol, endRow: source.endRow, endCol: source.endCol };
+  if (vertical >= horizontal) {
+    return down > 0 ? { range: { ...range, endRow: cell.r }, direction: 'down' } : { range: { ...range, startRow: cell.r }, direction: 'up' };
+  }
+  return right > 0 ? { range: { ...range, endCol: cell.c }, direction: 'right' } : { range: { ...range, startCol: cell.c }, direction: 'left' };
+};
+
+// Least-squares line through (i, values[i]), as Excel's linear trend
+const fitLine = (values) => {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((v, i) => {
+    num += (i - meanX) * (v - meanY);
+    den += (i - meanX) * (i - meanX);
+  });
+  const slope = num / den;
+  return { intercept: meanY - slope * meanX, slope };
+};
+
+const isConstantStep = (values, step) => values.every((v, i) => i === 0 || Math.abs(v - values[i - 1] - step) < 1e-9 * Math.max(1, Math.abs(step)));
+
+// A ratio series needs three numbers that grow by a constant factor but not by a constant step
+const getGrowthRatio = (values) => {
+  if (values.length < 3 || values.some((v) => v === 0)) return null;
+  const ratio = values[1] / values[0];
+  const constant = values.every((v, i) => i === 0 || Math.abs(v / values[i - 1] - ratio) < 1e-9 * Math.abs(ratio));
+  if (!constant || isConstantStep(values, values[1] - values[0])) return null;
+  return ratio;
+};
+
+const getNumberSeries = (numbers, isDate) => {
+  if (numbers.length === 1) return isDate ? (p) => toRaw(numbers[0] + p) : null;
+  const ratio = getGrowthRatio(numbers);
+  if (ratio !== null) return (p) => toRaw(numbers[0] * ratio ** p);
+  const { intercept, slope } = fitLine(numbers);
+  return (p) => toRaw(intercept + slope * p);
+};
+
+// "Item 7", "Q3 total", "A007": the last number in the text counts on
+const TEXT_NUMBER = /^(.*?)(\d+)(\D*)$/;
+
+const getTextNumberSeries = (texts) => {
+  const parts = texts.map((text) => TEXT_NUMBER.exec(text));
+  if (parts.some((m) => !m || m[1] !== parts[0][1] || m[3] !== parts[0][3])) return null;
+  const [, prefix, digits, suffix] = parts[0];
+  const numbers = parts.map((m) => Number(m[2]));
+  const step = numbers.length === 1 ? 1 : numbers[1] - numbers[0];
+  if (!isConstantStep(numbers, step)) return null;
+  return (p) => `${prefix}${String(Math.abs(numbers[0] + step * p)).padStart(digits.length, '0')}${suffix}`;
+};
+
+// Keeps the capitalisation a name was typed with
+const matchCase = (name, sample) => {
+  if (sample === sample.toUpperCase()) return name.toUpperCase();
+  if (sample === sample.toLowerCase()) return name.toLowerCase();
+  return name;
+};
+
+const getNameSeries = (texts) => {
+  for (const list of NAME_LISTS) {
+    const short = texts[0].length === 3;
+    const indexes = texts.map((text) => list.findIndex((name) => (short ? name.slice(0, 3) : name).toLowerCase() === text.toLowerCase()));
+    if (indexes.some((i) => i === -1) || texts.some((text) => (text.length === 3) !== short)) continue;
+    const step = indexes.length === 1 ? 1 : mod(indexes[1] - indexes[0], list.length);
+    if (indexes.some((index, i) => i > 0 && mod(index - indexes[i - 1], list.length) !== step)) continue;
+    return (p) => {
+      const name = list[mod(indexes[0] + step * p, list.length)];
+      return matchCase(short ? name.slice(0, 3) : name, texts[0]);
+    };
+  }
+  return null;
+};
+
+/**
+ * Reads a line of source cells as a series
+ * @param {Array} raws - Raw cell contents along the fill direction (undefined for empty cells)
+ * @param {boolean} isDate - Whether the first cell shows a date
+ * @returns {Function|null} (p) => raw content at position p (0 being the first source cell,
+ *   negative before it), or null when the line is simply repeated
+ */
+export const getSeries = (raws, isDate = false) => {
+  if (raws.some((raw) => raw === undefined || raw === '' || isFormula(raw))) return null;
+  const values = raws.map(toCellValue);
+  if (values.every((v) => typeof v === 'number')) return getNumberSeries(values, isDate);
+  if (values.some((v) => typeof v !== 'string')) return null;
+  return getTextNumberSeries(values) || getNameSeries(values);
+};
+
+/**
+ * Fills a range from the source range at one of its ends
+ * @param {Object} doc - { cellData, cellStyles }
+ * @param {Object} source - { startRow, startCol, endRow, endCol } holding the pattern
+ * @param {Object} range - The whole filled range, source included (from getFillTarget)
+ * @param {string} direction - 'down', 'up', 'right' or 'left'
+ * @returns {Object} { cellData, cellStyles, dataKeys, styleKeys } with the keys that were written
+ */
+export const fillRange = ({ cellData, cellStyles }, source, range, direction) => {
+  const vertical = direction === 'down' || direction === 'up';
+  const nextData = { ...cellData };
+  const nextStyles = { ...cellStyles };
+  const dataKeys = [];
+  const styleKeys = [];
+
+  // Lines run across the fill: one per column when filling vertically, one per row otherwise
+  const [lineStart, lineEnd] = vertical ? [source.startCol, source.endCol] : [source.startRow, source.endRow];
+  const [sourceStart, sourceEnd] = vertical ? [source.startRow, source.endRow] : [source.startCol, source.endCol];
+  const [fillStart, fillEnd] = vertical ? [range.startRow, range.endRow] : [range.startCol, range.endCol];
+  const length = sourceEnd - sourceStart + 1;
+  const keyOf = (line, pos) => (vertical ? `${pos},${line}` : `${line},${pos}`);
+
+  for (let line = lineStart; line <= lineEnd; line++) {
+    const raws = [];
+    for (let pos = sourceStart; pos <= sourceEnd; pos++) raws.push(cellData[keyOf(line, pos)]);
+    const series = getSeries(raws, isDateFormat(getCellStyle(cellStyles, keyOf(line, sourceStart)).numFmt));
+
+    for (let pos = fillStart; pos <= fillEnd; pos++) {
+      if (pos >= sourceStart && pos <= sourceEnd) continue;
+      const key = keyOf(line, pos);
+      const from = sourceStart + mod(pos - sourceStart, length);
+      const fromKey = keyOf(line, from);
+      let raw = series ? series(pos - sourceStart) : cellData[fromKey];
+      if (!series && isFormula(raw)) raw = vertical ? offsetFormula(raw, pos - from, 0) : offsetFormula(raw, 0, pos - from);
+
+      if (raw === undefined || raw === '') delete nextData[key];
+      else nextData[key] = raw;
+      dataKeys.push(key);
+
+      if (cellStyles[fromKey]) nextStyles[key] = cellStyles[fromKey];
+      else delete nextStyles[key];
+      styleKeys.push(key);
+    }
+  }
+
+  return { cellData: nextData, cellStyles: nextStyles, dataKeys, styleKeys };
+};
+
+/**
+ * Finds how far a double-click on the fill handle fills down: to the end of the block of data
+ * in the column beside the source (the left one, or else the right one)
+ * @param {Object} cellData - Raw cell contents
+ * @param {Object} source - { startRow, startCol, endRow, endCol }
+ * @param {number} totalRows - Rows in the grid
+ * @returns {number|null} Last row to fill, or null when there is nothing beside the source to follow
+ */
+export const getAutoFillEnd = (cellData, source, totalRows) => {
+  const filled = (r, c) => cellData[`${r},${c}`] !== undefined && cellData[`${r},${c}`] !== '';
+  for (const col of [source.startCol - 1, source.endCol + 1]) {
+    if (col < 0) continue;
+    let end = source.startRow - 1;
+    while (end + 1 < totalRows && filled(end + 1, col)) end++;
+    if (end > source.endRow) return end;
+  }
+  return null;
+};
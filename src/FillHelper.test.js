@@ -0,0 +1,48 @@
+import { getFillTarget, getSeries, fillRange, getAutoFillEnd } from './FillHelper';
+
+const source = { startRow: 0, startCol: 0, endRow: 1, endCol: 0 };
+
+test('getFillTarget follows the direction the pointer moved furthest', () => {
+  expect(getFillTarget(source, { r: 5, c: 1 })).toEqual({ range: { ...source, endRow: 5 }, direction: 'down' });
+  expect(getFillTarget(source, { r: 2, c: 4 })).toEqual({ range: { ...source, endCol: 4 }, direction: 'right' });
+  expect(getFillTarget({ ...source, startRow: 3, endRow: 3 }, { r: 1, c: 0 }).direction).toBe('up');
+  expect(getFillTarget(source, { r: 1, c: 0 })).toBeNull();
+});
+
+test('getSeries recognises numbers, dates, numbered text and names', () => {
+  expect(getSeries(['1', '3'])(4)).toBe('9');
+  expect(getSeries(['1', '2', '4.5'])(3)).toBe('6'); // neither step nor ratio constant: least-squares trend
+  expect(getSeries(['2', '4', '8'])(3)).toBe('16');
+  expect(getSeries(['2', '4', '8'])(-1)).toBe('1');
+  expect(getSeries(['7'])).toBeNull();
+  expect(getSeries(['45000'], true)(2)).toBe('45002');
+  expect(getSeries(['Item 9'])(1)).toBe('Item 10');
+  expect(getSeries(['A007', 'A009'])(2)).toBe('A011');
+  expect(getSeries(['Sat'])(2)).toBe('Mon');
+  expect(getSeries(['JANUARY', 'MARCH'])(-1)).toBe('NOVEMBER');
+  expect(getSeries(['apple', 'pear'])).toBeNull();
+  expect(getSeries(['=A1'])).toBeNull();
+});
+
+test('fillRange repeats blocks, shifts formulas and copies styles', () => {
+  const doc = {
+    cellData: { '0,0': 'a', '1,0': '=A1*2', '0,1': '1', '1,1': '2', '5,0': 'old' },
+    cellStyles: { '0,0': { bold: true } }
+  };
+  const from = { startRow: 0, startCol: 0, endRow: 1, endCol: 1 };
+  const result = fillRange(doc, from, { ...from, endRow: 5 }, 'down');
+  expect(result.cellData['2,0']).toBe('a');
+  expect(result.cellData['3,0']).toBe('=A3*2');
+  expect(result.cellData['5,1']).toBe('6');
+  expect(result.cellData['5,0']).toBe('=A5*2');
+  expect(result.cellStyles['4,0']).toEqual({ bold: true });
+  expect(result.cellStyles['3,0']).toBeUndefined();
+  expect(result.dataKeys).toHaveLength(8);
+  expect(doc.cellData['2,0']).toBeUndefined();
+});
+
+test('getAutoFillEnd follows the block of data in the neighbouring column', () => {
+  const cellData = { '0,0': 'x', '1,0': 'x', '2,0': 'x', '3,0': 'x', '0,1': '1' };
+  expect(getAutoFillEnd(cellData, { startRow: 0, startCol: 1, endRow: 0, endCol: 1 }, 100)).toBe(3);
+  expect(getAutoFillEnd(cellData, { startRow: 0, startCol: 0, endRow: 0, endCol: 0 }, 100)).toBeNull();
+});
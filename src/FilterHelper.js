@@ -0,0 +1,232 @@
+// FilterHelper.js - AutoFilter: a header row whose dropdowns hide the data rows below it
+//
+// A sheet's filter is { row, startCol, endCol, criteria }. `row` is the header row; the data
+// under it runs down to the last row with anything in the filter's columns, so rows typed in
+// later are filtered too. criteria maps a column to { values, condition }:
+//   values    - display texts to keep ('' stands for blank cells), or absent to keep every value
+//   condition - { op, value, value2 } from FILTER_CONDITIONS, or absent
+// A row is shown only when it passes the criteria of every column.
+
+import { getCellValue } from './FormulaHelper';
+import { getFormattedCell } from './NumberFormatHelper';
+
+// Conditions by the kind of value they test. top / bottom keep the N largest / smallest numbers.
+export const FILTER_CONDITIONS = {
+  text: ['contains', 'notContains', 'equals', 'notEquals', 'beginsWith', 'endsWith'],
+  number: ['gt', 'gte', 'lt', 'lte', 'between', 'top', 'bottom'],
+};
+
+/**
+ * Finds the rows and columns a filter covers
+ * @param {Object} cellData - Raw cell contents keyed by "row,col"
+ * @param {Object} autoFilter - { row, startCol, endCol }
+ * @returns {Object} { startRow, endRow, startCol, endCol }; startRow is the header row
+ */
+export const getFilterRange = (cellData, autoFilter) => {
+  const { row, startCol, endCol } = autoFilter;
+  let endRow = row;
+  for (const key in cellData) {
+    if (cellData[key] === '' || cellData[key] === undefined) continue;
+    const [r, c] = key.split(',').map(Number);
+    if (r > endRow && c >= startCol && c <= endCol) endRow = r;
+  }
+  return { startRow: row, endRow, startCol, endCol };
+};
+
+const toNumber = (value) => (typeof value === 'number' ? value : null);
+
+/**
+ * Works out the cut-off for a top / bottom condition: the Nth largest or smallest number
+ * @param {Array<number>} numbers - Every number in the column
+ * @param {Object} condition - { op: 'top' | 'bottom', value: N }
+ * @returns {number|null} Cut-off value, or null when the column has no numbers
+ */
+const getRankCutoff = (numbers, condition) => {
+  if (numbers.length === 0) return null;
+  const sorted = [...numbers].sort((a, b) => (condition.op === 'top' ? b - a : a - b));
+  const n = Math.max(1, Math.floor(Number(condition.value) || 0));
+  return sorted[Math.min(n, sorted.length) - 1];
+};
+
+/**
+ * Tests one cell against a condition
+ * @param {*} value - Typed cell value
+ * @param {string} text - Displayed text of the cell
+ * @param {Object} condition - { op, value, value2 }
+ * @param {number|null} cutoff - For top / bottom, the value from getRankCutoff
+ * @returns {boolean} True if the cell passes
+ */
+export const matchesCondition = (value, text, condition, cutoff = null) => {
+  const { op } = condition;
+  const haystack = text.toLowerCase();
+  const needle = String(condition.value ?? '').toLowerCase();
+  const number = toNumber(value);
+  const target = parseFloat(condition.value);
+  const target2 = parseFloat(condition.value2);
+
+  switch (op) {
+    case 'contains': return haystack.includes(needle);
+    case 'notContains': return !haystack.includes(needle);
+    case 'beginsWith': return haystack.startsWith(needle);
+    case 'endsWith': return haystack.endsWith(needle);
+    case 'equals':
+    case 'notEquals': {
+      // Numbers compare by value, so "5" matches 5.00
+      const equal = number !== null && needle.trim() !== '' && !Number.isNaN(Number(needle))
+        ? number === Number(needle)
+        : haystack === needle;
+      return op === 'equals' ? equal : !equal;
+    }
+    case 'gt': return number !== null && number > target;
+    case 'gte': return number !== null && number >= target;
+    case 'lt': return number !== null && number < target;
+    case 'lte': return number !== null && number <= target;
+    case 'between': {
+      const low = Math.min(target, target2);
+      const high = Math.max(target, target2);
+      return number !== null && number >= low && number <= high;
+    }
+    case 'top': return number !== null && cutoff !== null && number >= cutoff;
+    case 'bottom': return number !== null && cutoff !== null && number <= cutoff;
+    default: return true;
+  }
+};
+
+/**
+ * Builds a test for each column with criteria, skipping `exceptCol`
+ * @returns {Array<Function>} (row) => boolean
+ */
+const getColumnTests = (cellData, computedData, cellStyles, autoFilter, range, exceptCol) => {
+  const tests = [];
+  Object.keys(autoFilter.criteria || {}).forEach((colKey) => {
+    const col = Number(colKey);
+    const { values, condition } = autoFilter.criteria[colKey];
+    if (col === exceptCol || col < range.startCol || col > range.endCol) return;
+
+    const allowed = values ? new Set(values) : null;
+    let cutoff = null;
+    if (condition && (condition.op === 'top' || condition.op === 'bottom')) {
+      const numbers = [];
+      for (let r = range.startRow + 1; r <= range.endRow; r++) {
+        const value = getCellValue(cellData, computedData, `${r},${col}`);
+        if (typeof value === 'number') numbers.push(value);
+      }
+      cutoff = getRankCutoff(numbers, condition);
+    }
+
+    tests.push((r) => {
+      const key = `${r},${col}`;
+      const { text } = getFormattedCell(cellData, computedData, cellStyles, key);
+      if (allowed && !allowed.has(text)) return false;
+      return !condition || matchesCondition(getCellValue(cellData, computedData, key), text, condition, cutoff);
+    });
+  });
+  return tests;
+};
+
+/**
+ * Lists the data rows a filter hides
+ * @param {Object} cellData - Raw cell contents
+ * @param {Object} computedData - Computed formula values
+ * @param {Object} cellStyles - Style store, for the displayed text of formatted numbers
+ * @param {Object|null} autoFilter - The sheet's filter
+ * @returns {Set<number>} Hidden row indexes (empty without a filter)
+ */
+export const getFilteredRows = (cellData, computedData, cellStyles, autoFilter) => {
+  const hidden = new Set();
+  if (!autoFilter) return hidden;
+  const range = getFilterRange(cellData, autoFilter);
+  const tests = getColumnTests(cellData, computedData, cellStyles, autoFilter, range);
+  if (tests.length === 0) return hidden;
+
+  for (let r = range.startRow + 1; r <= range.endRow; r++) {
+    if (!tests.every((test) => test(r))) hidden.add(r);
+  }
+  return hidden;
+};
+
+/**
+ * Lists the distinct values of a filter column for its checklist. As in Excel, only rows the
+ * other columns' criteria let through are counted.
+ * @param {Object} cellData - Raw cell contents
+ * @param {Object} computedData - Computed formula values
+ * @param {Object} cellStyles - Style store
+ * @param {Object} autoFilter - The sheet's filter
+ * @param {number} col - Column to list
+ * @returns {Array<Object>} { text, count } in sort order: numbers, then text, then blanks ('')
+ */
+export const getFilterValues = (cellData, computedData, cellStyles, autoFilter, col) => {
+  const range = getFilterRange(cellData, autoFilter);
+  const tests = getColumnTests(cellData, computedData, cellStyles, autoFilter, range, col);
+  const entries = new Map(); // text -> { text, count, number }
+
+  for (let r = range.startRow + 1; r <= range.endRow; r++) {
+    if (!tests.every((test) => test(r))) continue;
+    const key = `${r},${col}`;
+    const { text } = getFormattedCell(cellData, computedData, cellStyles, key);
+    if (!entries.has(text)) entries.set(text, { text, count: 0, number: toNumber(getCellValue(cellData, computedData, key)) });
+    entries.get(text).count++;
+  }
+
+  const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+  return [...entries.values()]
+    .sort((a, b) => {
+      if ((a.text === '') !== (b.text === '')) return a.text === '' ? 1 : -1;
+      if ((a.number === null) !== (b.number === null)) return a.number === null ? 1 : -1;
+      if (a.number !== null) return a.number - b.number;
+      return collator.compare(a.text, b.text);
+    })
+    .map(({ text, count }) => ({ text, count }));
+};
+
+/**
+ * Sets or clears the criteria of one column
+ * @param {Object} autoFilter - The sheet's filter
+ * @param {number} col - Column
+ * @param {Object|null} criterion - { values?, condition? }, or null to show every value again
+ * @returns {Object} New filter
+ */
+export const setFilterCriterion = (autoFilter, col, criterion) => {
+  const criteria = { ...autoFilter.criteria };
+  if (criterion && (criterion.values || criterion.condition)) criteria[col] = criterion;
+  else delete criteria[col];
+  return { ...autoFilter, criteria };
+};
+
+/**
+ * Moves a filter for rows or columns inserted or deleted before or inside it. Deleting the
+ * header row removes the filter; deleted columns lose their criteria.
+ * @param {Object|null} autoFilter - The sheet's filter
+ * @param {string} axis - 'row' or 'col'
+ * @param {number} index - First inserted or deleted track
+ * @param {number} delta - Positive count for an insert, negative count for a delete
+ * @returns {Object|null} Moved filter
+ */
+export const shiftAutoFilter = (autoFilter, axis, index, delta) => {
+  if (!autoFilter) return autoFilter;
+  const deleteEnd = index - delta; // first track kept after a delete
+  const move = (pos) => {
+    if (pos < index) return pos;
+    if (delta < 0 && pos < deleteEnd) return null;
+    return pos + delta;
+  };
+
+  if (axis === 'row') {
+    const row = move(autoFilter.row);
+    if (row === null) return null;
+    return row === autoFilter.row ? autoFilter : { ...autoFilter, row };
+  }
+
+  const criteria = {};
+  Object.keys(autoFilter.criteria || {}).forEach((col) => {
+    const moved = move(Number(col));
+    if (moved !== null) criteria[moved] = autoFilter.criteria[col];
+  });
+  // A deleted edge column pulls the edge in; a filter whose every column went is removed
+  let startCol = move(autoFilter.startCol);
+  let endCol = move(autoFilter.endCol);
+  if (startCol === null) startCol = index;
+  if (endCol === null) endCol = index - 1;
+  if (endCol < startCol) return null;
+  return { ...autoFilter, startCol, endCol, criteria };
+};
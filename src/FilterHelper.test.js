@@ -0,0 +1,43 @@
+import { getFilteredRows, getFilterValues, setFilterCriterion, shiftAutoFilter } from './FilterHelper';
+
+const cellData = {
+  '0,0': 'Region', '0,1': 'Sales',
+  '1,0': 'North', '1,1': '120',
+  '2,0': 'South', '2,1': '80',
+  '3,0': 'north east', '3,1': '=B2*2',
+  '4,0': 'West',
+  '5,0': 'South', '5,1': '95',
+};
+const computedData = { '3,1': 240 };
+const filter = { row: 0, startCol: 0, endCol: 1, criteria: {} };
+const hidden = (autoFilter) => [...getFilteredRows(cellData, computedData, {}, autoFilter)].sort();
+
+test('hides rows by value list and by condition across columns', () => {
+  expect(hidden(null)).toEqual([]);
+  expect(hidden(setFilterCriterion(filter, 0, { values: ['South', 'West'] }))).toEqual([1, 3]);
+  expect(hidden(setFilterCriterion(filter, 0, { condition: { op: 'contains', value: 'NORTH' } }))).toEqual([2, 4, 5]);
+  expect(hidden(setFilterCriterion(filter, 1, { condition: { op: 'between', value: '100', value2: '90' } }))).toEqual([1, 2, 3, 4]);
+  expect(hidden(setFilterCriterion(filter, 1, { condition: { op: 'top', value: '2' } }))).toEqual([2, 4, 5]);
+
+  const both = setFilterCriterion(setFilterCriterion(filter, 0, { values: ['South'] }), 1, { condition: { op: 'gt', value: '90' } });
+  expect(hidden(both)).toEqual([1, 2, 3, 4]);
+  expect(setFilterCriterion(both, 1, null).criteria).toEqual({ 0: { values: ['South'] } });
+});
+
+test('lists the values the other columns let through, blanks last', () => {
+  expect(getFilterValues(cellData, computedData, {}, filter, 1)).toEqual([
+    { text: '80', count: 1 }, { text: '95', count: 1 }, { text: '120', count: 1 }, { text: '240', count: 1 }, { text: '', count: 1 },
+  ]);
+  const south = setFilterCriterion(filter, 0, { values: ['South'] });
+  expect(getFilterValues(cellData, computedData, {}, south, 1)).toEqual([{ text: '80', count: 1 }, { text: '95', count: 1 }]);
+  expect(getFilterValues(cellData, computedData, {}, south, 0)).toContainEqual({ text: 'South', count: 2 });
+});
+
+test('moves with inserted and deleted rows and columns', () => {
+  const sales = setFilterCriterion({ row: 2, startCol: 1, endCol: 3, criteria: {} }, 3, { values: ['1'] });
+  expect(shiftAutoFilter(sales, 'row', 0, 2)).toMatchObject({ row: 4 });
+  expect(shiftAutoFilter(sales, 'row', 2, -1)).toBeNull();
+  expect(shiftAutoFilter(sales, 'col', 0, 1)).toEqual({ row: 2, startCol: 2, endCol: 4, criteria: { 4: { values: ['1'] } } });
+  expect(shiftAutoFilter(sales, 'col', 3, -1)).toEqual({ row: 2, startCol: 1, endCol: 2, criteria: {} });
+  expect(shiftAutoFilter(sales, 'col', 0, -4)).toBeNull();
+});
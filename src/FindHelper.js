@@ -0,0 +1,99 @@
+// FindHelper.js - Find and replace over the contents of a sheet
+//
+// A search looks either at what cells show ('values': the formatted result) or at what was
+// typed into them ('formulas': the raw text, formulas included). Replacing always rewrites
+// the raw text, as in Excel, so it only ever searches formulas.
+
+import { getFormattedCell } from './NumberFormatHelper';
+
+export const FIND_SCOPES = ['selection', 'sheet', 'workbook'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the pattern for a search
+ * @param {string} query - Text to find, or a regular expression when options.regex is set
+ * @param {Object} [options] - { matchCase, wholeCell, regex }
+ * @returns {RegExp} Global pattern; throws SyntaxError for an invalid regular expression
+ */
+export const createSearchPattern = (query, { matchCase = false, wholeCell = false, regex = false } = {}) => {
+  const source = regex ? query : escapeRegExp(query);
+  return new RegExp(wholeCell ? `^(?:${source})$` : source, matchCase ? 'g' : 'gi');
+};
+
+/**
+ * Text of a cell as a search sees it
+ * @param {Object} cellData - Raw cell contents keyed by "row,col"
+ * @param {Object} computedData - Computed formula values
+ * @param {Object} cellStyles - Style store, for the displayed text of formatted numbers
+ * @param {string} key - Cell key
+ * @param {string} lookIn - 'values' or 'formulas'
+ * @returns {string} Searched text
+ */
+export const getSearchText = (cellData, computedData, cellStyles, key, lookIn) => {
+  if (lookIn === 'formulas') return String(cellData[key] ?? '');
+  return getFormattedCell(cellData, computedData, cellStyles, key).text;
+};
+
+/**
+ * Finds the cells whose text matches a pattern, in reading order (along each row, then down)
+ * @param {Object} cellData - Raw cell contents
+ * @param {Object} computedData - Computed formula values
+ * @param {Object} cellStyles - Style store
+ * @param {RegExp} pattern - From createSearchPattern
+ * @param {Object} options - { lookIn, range }; range { startRow, endRow, startCol, endCol } limits the search
+ * @returns {Array<Object>} { key, r, c, text } for each matching cell
+ */
+export const findInCells = (cellData, computedData, cellStyles, pattern, { lookIn = 'values', range = null } = {}) => {
+  const matches = [];
+  for (const key in cellData) {
+    if (cellData[key] === '' || cellData[key] === undefined) continue;
+    const [r, c] = key.split(',').map(Number);
+    if (range && (r < range.startRow || r > range.endRow || c < range.startCol || c > range.endCol)) continue;
+    const text = getSearchText(cellData, computedData, cellStyles, key, lookIn);
+    if (text.search(pattern) !== -1) matches.push({ key, r, c, text });
+  }
+  return matches.sort((a, b) => a.r - b.r || a.c - b.c);
+};
+
+/**
+ * Picks the match a search should start on: the first one after the active cell, wrapping
+ * round to the first match
+ * @param {Array<Object>} matches - { r, c } in reading order, optionally with sheetId
+ * @param {Object} active - { r, c } of the active cell
+ * @param {*} [sheetId] - Active sheet, for workbook searches; matches on other sheets come after it
+ * @returns {number} Index into matches, or -1 when there are none
+ */
+export const getFirstMatchIndex = (matches, active, sheetId) => {
+  if (matches.length === 0) return -1;
+  const index = matches.findIndex((match) =>
+    (sheetId === undefined || match.sheetId === sheetId) &&
+    (match.r > active.r || (match.r === active.r && match.c > active.c)));
+  if (index !== -1) return index;
+  // Nothing after the active cell on its own sheet: carry on with the next sheet that has a match
+  const lastOnSheet = sheetId === undefined ? -1 : matches.map((m) => m.sheetId).lastIndexOf(sheetId);
+  return lastOnSheet !== -1 && lastOnSheet + 1 < matches.length ? lastOnSheet + 1 : 0;
+};
+
+/**
+ * Replaces the matching text in some cells
+ * @param {Object} cellData - Raw cell contents
+ * @param {Array<string>} keys - Cells to rewrite
+ * @param {RegExp} pattern - From createSearchPattern
+ * @param {string} replacement - New text; with a regular expression, $1 and $& refer to the match
+ * @param {boolean} regex - Whether the pattern came from a regular expression
+ * @returns {Object} { cellData, changedKeys }; cells that end up empty are removed
+ */
+export const replaceInCells = (cellData, keys, pattern, replacement, regex) => {
+  const next = { ...cellData };
+  const changedKeys = [];
+  keys.forEach((key) => {
+    const before = String(cellData[key] ?? '');
+    const after = before.replace(pattern, regex ? replacement : () => replacement);
+    if (after === before) return;
+    if (after === '') delete next[key];
+    else next[key] = after;
+    changedKeys.push(key);
+  });
+  return { cellData: changedKeys.length ? next : cellData, changedKeys };
+};
@@ -0,0 +1,41 @@
+import { createSearchPattern, findInCells, getFirstMatchIndex, replaceInCells } from './FindHelper';
+
+test('search patterns follow the case, whole-cell and regex options', () => {
+  expect('Total cost'.search(createSearchPattern('total'))).toBe(0);
+  expect('Total cost'.search(createSearchPattern('total', { matchCase: true }))).toBe(-1);
+  expect('Total cost'.search(createSearchPattern('cost', { wholeCell: true }))).toBe(-1);
+  expect('a.b'.search(createSearchPattern('.'))).toBe(1);
+  expect('ab12'.search(createSearchPattern('\\d+', { regex: true }))).toBe(2);
+  expect(() => createSearchPattern('(', { regex: true })).toThrow(SyntaxError);
+});
+
+test('findInCells looks in values or formulas, in reading order within a range', () => {
+  const cellData = { '1,0': 'apple', '0,1': '=A2', '0,0': 'pineapple', '5,5': 'apple' };
+  const computedData = { '0,1': 'apple' };
+  const pattern = createSearchPattern('apple');
+
+  const range = { startRow: 0, endRow: 2, startCol: 0, endCol: 2 };
+  expect(findInCells(cellData, computedData, {}, pattern, { range }).map((m) => m.key)).toEqual(['0,0', '0,1', '1,0']);
+  expect(findInCells(cellData, computedData, {}, pattern, { lookIn: 'formulas', range }).map((m) => m.key)).toEqual(['0,0', '1,0']);
+  expect(findInCells(cellData, computedData, {}, createSearchPattern('a2'), { lookIn: 'formulas' })[0].key).toBe('0,1');
+
+  const matches = [{ r: 0, c: 0, sheetId: 1 }, { r: 3, c: 1, sheetId: 1 }, { r: 0, c: 0, sheetId: 2 }];
+  expect(getFirstMatchIndex(matches, { r: 1, c: 0 }, 1)).toBe(1);
+  expect(getFirstMatchIndex(matches, { r: 5, c: 0 }, 1)).toBe(2);
+  expect(getFirstMatchIndex(matches, { r: 5, c: 0 }, 2)).toBe(0);
+  expect(getFirstMatchIndex([], { r: 0, c: 0 })).toBe(-1);
+});
+
+test('replaceInCells keeps $ literal unless searching by regex and removes emptied cells', () => {
+  const cellData = { '0,0': 'cost: 5', '0,1': 'cost', '0,2': 'other' };
+  const literal = replaceInCells(cellData, ['0,0', '0,2'], createSearchPattern('cost'), '$&$', false);
+  expect(literal.cellData['0,0']).toBe('$&$: 5');
+  expect(literal.changedKeys).toEqual(['0,0']);
+
+  const grouped = replaceInCells(cellData, ['0,0'], createSearchPattern('(\\w+): (\\d)', { regex: true }), '$2 $1', true);
+  expect(grouped.cellData['0,0']).toBe('5 cost');
+
+  const emptied = replaceInCells(cellData, ['0,1'], createSearchPattern('cost', { wholeCell: true }), '', false);
+  expect('0,1' in emptied.cellData).toBe(false);
+  expect(cellData['0,1']).toBe('cost');
+});
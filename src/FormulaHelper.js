@@ -0,0 +1,1069 @@
+// FormulaHelper.js - Parsing, evaluation and dependency tracking for "=" formulas
+
+import { getColLetter, getColIndex } from './Utils';
+
+export const FORMULA_ERRORS = {
+  DIV0: '#DIV/0!',
+  VALUE: '#VALUE!',
+  REF: '#REF!',
+  NAME: '#NAME?',
+  NUM: '#NUM!',
+  CIRC: '#CIRC!',
+  SYNTAX: '#ERROR!',
+};
+
+const ERROR_VALUES = new Set(Object.values(FORMULA_ERRORS));
+
+// Thrown while evaluating so an error anywhere in an expression aborts the whole formula
+class FormulaError extends Error {
+  constructor(code) {
+    super(code);
+    this.code = code;
+  }
+}
+
+/**
+ * Checks whether a raw cell value is a formula (starts with "=" and has something after it)
+ * @param {*} raw - Raw cell content as typed by the user
+ * @returns {boolean} True if the value should be parsed as a formula
+ */
+export const isFormula = (raw) => typeof raw === 'string' && raw.length > 1 && raw[0] === '=';
+
+/**
+ * Checks whether a computed value is one of the formula error codes (#DIV/0!, #REF!, ...)
+ * @param {*} value - Computed cell value
+ * @returns {boolean} True if the value is an error code
+ */
+export const isFormulaError = (value) => typeof value === 'string' && ERROR_VALUES.has(value);
+
+/**
+ * Parses an A1-style cell reference such as "C42" or "$B$2"
+ * @param {string} text - Reference text
+ * @returns {Object|null} {r, c, rowAbs, colAbs} with zero-based indices, or null if invalid
+ */
+export const parseCellReference = (text) => {
+  const match = /^(\$?)([A-Za-z]{1,3})(\$?)(\d+)$/.exec(String(text).trim());
+  if (!match) return null;
+  const c = getColIndex(match[2]);
+  const r = parseInt(match[4], 10) - 1;
+  if (c < 0 || r < 0) return null;
+  return { r, c, colAbs: match[1] === '$', rowAbs: match[3] === '$' };
+};
+
+/**
+ * Parses an A1-style range such as "A1:D20" (a single reference is treated as a 1x1 range)
+ * @param {string} text - Range text
+ * @returns {Object|null} Normalised {startRow, startCol, endRow, endCol}, or null if invalid
+ */
+export const parseRangeReference = (text) => {
+  const parts = String(text).trim().split(':');
+  if (parts.length > 2) return null;
+  const start = parseCellReference(parts[0]);
+  const end = parts.length === 2 ? parseCellReference(parts[1]) : start;
+  if (!start || !end) return null;
+  return {
+    startRow: Math.min(start.r, end.r),
+    startCol: Math.min(start.c, end.c),
+    endRow: Math.max(start.r, end.r),
+    endCol: Math.max(start.c, end.c),
+  };
+};
+
+/**
+ * Formats a zero-based reference back into A1 notation, keeping any "$" anchors
+ * @param {Object} ref - {r, c, rowAbs, colAbs}
+ * @returns {string} Reference text such as "B2" or "$B$2"
+ */
+export const formatCellReference = (ref) =>
+  `${ref.colAbs ? '$' : ''}${getColLetter(ref.c)}${ref.rowAbs ? '$' : ''}${ref.r + 1}`;
+
+/**
+ * Compares sheet names the way references resolve them (case-insensitively)
+ * @param {string} [a] - Sheet name, or undefined for "the formula's own sheet"
+ * @param {string} [b] - Sheet name
+ * @returns {boolean} True if both name the same sheet
+ */
+export const isSameSheetName = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+/**
+ * Formats the "Sheet2!" prefix of a cross-sheet reference, quoting names that need it
+ * @param {string} name - Sheet name
+ * @returns {string} Prefix such as "Sheet2!" or "'Q1 Sales'!"
+ */
+export const formatSheetPrefix = (name) => {
+  const plain = /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) && !parseCellReference(name) && !/^(TRUE|FALSE)$/i.test(name);
+  return plain ? `${name}!` : `'${name.replace(/'/g, "''")}'!`;
+};
+
+// === Tokenizer ===
+
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+const isLetter = (ch) => /[A-Za-z_]/.test(ch);
+
+// Reads the cell part of a sheet-qualified reference ("Sheet2!" has already been consumed)
+const readQualifiedRef = (text, i, sheet, start, tokens) => {
+  const match = /^\$?[A-Za-z]{1,3}\$?\d+/.exec(text.slice(i));
+  const ref = match && parseCellReference(match[0]);
+  if (!ref) throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+  const end = i + match[0].length;
+  tokens.push({ type: 'ref', value: match[0], ref, sheet, start, refStart: i, end });
+  return end;
+};
+
+/**
+ * Splits a formula body (without the leading "=") into tokens. Each token keeps its
+ * start/end offsets so references can later be rewritten in place. Sheet-qualified
+ * references (Sheet2!A1, 'My Sheet'!A1) carry the sheet name, and refStart marks where
+ * the cell part begins after the prefix.
+ * @param {string} text - Formula text without the leading "="
+ * @returns {Array<Object>} Tokens with type, value, start and end
+ */
+export const tokenizeFormula = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === ' ' || ch === '\t' || ch === '\n') {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    // Numbers: 12, 3.5, .5, 1e3
+    if (isDigit(ch) || (ch === '.' && isDigit(text[i + 1] || ''))) {
+      const match = /^\d*\.?\d+(?:[eE][+-]?\d+)?/.exec(text.slice(i));
+      i += match[0].length;
+      tokens.push({ type: 'number', value: parseFloat(match[0]), start, end: i });
+      continue;
+    }
+
+    // Strings use double quotes, "" escapes a quote
+    if (ch === '"') {
+      let value = '';
+      i++;
+      while (i < text.length) {
+        if (text[i] === '"') {
+          if (text[i + 1] === '"') {
+            value += '"';
+            i += 2;
+            continue;
+          }
+          break;
+        }
+        value += text[i++];
+      }
+      if (text[i] !== '"') throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    // Quoted sheet prefix: 'Q1 Sales'!A1, with '' escaping a quote
+    if (ch === "'") {
+      let sheet = '';
+      i++;
+      while (i < text.length) {
+        if (text[i] === "'") {
+          if (text[i + 1] === "'") {
+            sheet += "'";
+            i += 2;
+            continue;
+          }
+          break;
+        }
+        sheet += text[i++];
+      }
+      if (text[i] !== "'" || text[i + 1] !== '!' || sheet === '') throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+      i = readQualifiedRef(text, i + 2, sheet, start, tokens);
+      continue;
+    }
+
+    // References ($A$1), function names and booleans
+    if (isLetter(ch) || ch === '$') {
+      const match = /^\$?[A-Za-z_][A-Za-z0-9_.]*(?:\$\d+)?/.exec(text.slice(i));
+      if (!match) throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+      const word = match[0];
+      i += word.length;
+
+      // Unquoted sheet prefix: Sheet2!A1
+      if (text[i] === '!' && !word.startsWith('$')) {
+        i = readQualifiedRef(text, i + 1, word, start, tokens);
+        continue;
+      }
+
+      const ref = parseCellReference(word);
+      if (ref) {
+        tokens.push({ type: 'ref', value: word, ref, start, refStart: start, end: i });
+      } else if (/^(TRUE|FALSE)$/i.test(word)) {
+        tokens.push({ type: 'bool', value: word.toUpperCase() === 'TRUE', start, end: i });
+      } else {
+        tokens.push({ type: 'name', value: word.toUpperCase(), start, end: i });
+      }
+      continue;
+    }
+
+    const two = text.slice(i, i + 2);
+    if (two === '<=' || two === '>=' || two === '<>') {
+      i += 2;
+      tokens.push({ type: 'op', value: two, start, end: i });
+      continue;
+    }
+
+    if ('+-*/^&=<>%'.includes(ch)) {
+      i++;
+      tokens.push({ type: 'op', value: ch, start, end: i });
+      continue;
+    }
+
+    // Error literals such as #REF! left behind by deleted rows or columns
+    if (ch === '#') {
+      const rest = text.slice(i);
+      const code = [...ERROR_VALUES].find((value) => rest.startsWith(value));
+      if (!code) throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+      i += code.length;
+      tokens.push({ type: 'error', value: code, start, end: i });
+      continue;
+    }
+
+    if (ch === '(' || ch === ')' || ch === ',' || ch === ':') {
+      i++;
+      tokens.push({ type: ch, value: ch, start, end: i });
+      continue;
+    }
+
+    throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+  }
+
+  return tokens;
+};
+
+// === Parser ===
+
+const COMPARISON_OPS = new Set(['=', '<>', '<', '>', '<=', '>=']);
+
+/**
+ * Parses a formula into an expression tree. Invalid formulas produce an error node
+ * instead of throwing, so one bad cell never breaks the rest of the sheet.
+ * @param {string} formula - Raw cell text including the leading "="
+ * @returns {Object} AST root node
+ */
+export const parseFormula = (formula) => {
+  let tokens;
+  try {
+    tokens = tokenizeFormula(formula.slice(1));
+  } catch (e) {
+    return { type: 'error', value: FORMULA_ERRORS.SYNTAX };
+  }
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (token, ops) => token && token.type === 'op' && ops.includes(token.value);
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+    return token;
+  };
+
+  const parseComparison = () => {
+    let left = parseConcat();
+    while (peek() && peek().type === 'op' && COMPARISON_OPS.has(peek().value)) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: parseConcat() };
+    }
+    return left;
+  };
+
+  const parseConcat = () => {
+    let left = parseAdditive();
+    while (isOp(peek(), ['&'])) {
+      next();
+      left = { type: 'binary', op: '&', left, right: parseAdditive() };
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let left = parseTerm();
+    while (isOp(peek(), ['+', '-'])) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: parseTerm() };
+    }
+    return left;
+  };
+
+  const parseTerm = () => {
+    let left = parsePower();
+    while (isOp(peek(), ['*', '/'])) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: parsePower() };
+    }
+    return left;
+  };
+
+  const parsePower = () => {
+    let left = parseUnary();
+    while (isOp(peek(), ['^'])) {
+      next();
+      left = { type: 'binary', op: '^', left, right: parseUnary() };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOp(peek(), ['+', '-'])) {
+      const op = next().value;
+      return { type: 'unary', op, operand: parseUnary() };
+    }
+    let node = parsePrimary();
+    while (isOp(peek(), ['%'])) {
+      next();
+      node = { type: 'percent', operand: node };
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: token.value };
+      case 'string':
+        return { type: 'string', value: token.value };
+      case 'bool':
+        return { type: 'bool', value: token.value };
+      case 'error':
+        return { type: 'error', value: token.value };
+      case 'ref': {
+        if (peek() && peek().type === ':') {
+          next();
+          const endToken = expect('ref');
+          // Sheet2!A1:B5 - the end may repeat the sheet but cannot name a different one
+          if (endToken.sheet && !isSameSheetName(endToken.sheet, token.sheet)) throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+          return { type: 'range', start: token.ref, end: endToken.ref, sheet: token.sheet };
+        }
+        return { type: 'ref', ref: token.ref, sheet: token.sheet };
+      }
+      case 'name': {
+        expect('(');
+        const args = [];
+        if (peek() && peek().type !== ')') {
+          args.push(parseComparison());
+          while (peek() && peek().type === ',') {
+            next();
+            args.push(parseComparison());
+          }
+        }
+        expect(')');
+        return { type: 'func', name: token.value, args };
+      }
+      case '(': {
+        const inner = parseComparison();
+        expect(')');
+        return inner;
+      }
+      default:
+        throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+    }
+  };
+
+  try {
+    const ast = parseComparison();
+    if (pos < tokens.length) throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+    return ast;
+  } catch (e) {
+    return { type: 'error', value: FORMULA_ERRORS.SYNTAX };
+  }
+};
+
+// === Reference rewriting ===
+
+/**
+ * Rewrites every cell reference and range in a formula. Text between references
+ * (function names, strings, spacing, sheet prefixes) is kept exactly as typed.
+ * @param {string} formula - Raw formula including the leading "="
+ * @param {Function} transformRef - (ref) => new ref, or null to turn it into #REF!; ref.sheet
+ *   holds the sheet prefix (undefined for references to the formula's own sheet), and a ref
+ *   returned with another sheet gets that sheet's prefix (a range takes its start's)
+ * @param {Function} [transformRange] - (startRef, endRef) => [start, end] or null; defaults to transforming each end
+ * @returns {string} Rewritten formula (unchanged if it cannot be tokenized)
+ */
+export const transformFormulaReferences = (formula, transformRef, transformRange) => {
+  if (!isFormula(formula)) return formula;
+
+  const body = formula.slice(1);
+  let tokens;
+  try {
+    tokens = tokenizeFormula(body);
+  } catch (e) {
+    return formula;
+  }
+
+  let result = '';
+  let last = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'ref') continue;
+
+    const isRange = tokens[i + 1] && tokens[i + 1].type === ':' && tokens[i + 2] && tokens[i + 2].type === 'ref';
+    let replacement;
+    let sheet;
+    let end = token.end;
+
+    if (isRange) {
+      const endToken = tokens[i + 2];
+      const startRef = { ...token.ref, sheet: token.sheet };
+      const endRef = { ...endToken.ref, sheet: token.sheet };
+      const range = transformRange
+        ? transformRange(startRef, endRef)
+        : [transformRef(startRef), transformRef(endRef)];
+      replacement = range && range[0] && range[1]
+        ? `${formatCellReference(range[0])}:${formatCellReference(range[1])}`
+        : FORMULA_ERRORS.REF;
+      sheet = range && range[0] ? range[0].sheet : token.sheet;
+      end = endToken.end;
+      i += 2;
+    } else {
+      const ref = transformRef({ ...token.ref, sheet: token.sheet });
+      replacement = ref ? formatCellReference(ref) : FORMULA_ERRORS.REF;
+      sheet = ref ? ref.sheet : token.sheet;
+    }
+
+    // A reference that survives keeps its sheet prefix unless it moved to another sheet;
+    // #REF! replaces the prefix too
+    let replaceFrom = token.refStart;
+    if (replacement === FORMULA_ERRORS.REF) {
+      replaceFrom = token.start;
+    } else if (sheet !== token.sheet) {
+      replaceFrom = token.start;
+      if (sheet) replacement = formatSheetPrefix(sheet) + replacement;
+    }
+    result += body.slice(last, replaceFrom) + replacement;
+    last = end;
+  }
+
+  return `=${result}${body.slice(last)}`;
+};
+
+/**
+ * Adjusts the references in a formula after rows or columns were inserted or deleted.
+ * References past the change move with their cells; references into deleted tracks become
+ * #REF!, and ranges that lose only part of their tracks shrink instead.
+ * @param {string} formula - Raw formula including the leading "="
+ * @param {string} axis - 'row' or 'col'
+ * @param {number} index - First inserted or deleted track
+ * @param {number} delta - Positive count for an insert, negative count for a delete
+ * @param {Object} [sheets] - { ownSheet, changedSheet }: only references into changedSheet move.
+ *   By default the change is on the formula's own sheet and only unqualified references move.
+ * @returns {string} Adjusted formula
+ */
+export const adjustFormulaForStructureChange = (formula, axis, index, delta, { ownSheet, changedSheet } = {}) => {
+  const field = axis === 'row' ? 'r' : 'c';
+  const deleteEnd = index - delta - 1; // last deleted track when delta < 0
+  const isAffected = (ref) => isSameSheetName(ref.sheet || ownSheet, changedSheet);
+
+  const moveRef = (ref) => {
+    if (!isAffected(ref)) return ref;
+    const pos = ref[field];
+    if (delta > 0) {
+      return pos >= index ? { ...ref, [field]: pos + delta } : ref;
+    }
+    if (pos < index) return ref;
+    if (pos > deleteEnd) return { ...ref, [field]: pos + delta };
+    return null;
+  };
+
+  const moveRange = (start, end) => {
+    if (!isAffected(start)) return [start, end];
+    if (delta > 0) return [moveRef(start), moveRef(end)];
+
+    const lowRef = start[field] <= end[field] ? start : end;
+    const highRef = lowRef === start ? end : start;
+    const low = lowRef[field];
+    const high = highRef[field];
+    if (low >= index && high <= deleteEnd) return null; // the whole range was deleted
+
+    const newLow = low < index ? low : low > deleteEnd ? low + delta : index;
+    const newHigh = high < index ? high : high > deleteEnd ? high + delta : index - 1;
+    const moved = [{ ...lowRef, [field]: newLow }, { ...highRef, [field]: newHigh }];
+    return lowRef === start ? moved : moved.reverse();
+  };
+
+  return transformFormulaReferences(formula, moveRef, moveRange);
+};
+
+/**
+ * Shifts the relative references in a formula as if it were copied by the given offset.
+ * Anchored ($) parts stay put; references pushed off the top or left edge become #REF!.
+ * @param {string} formula - Raw formula including the leading "="
+ * @param {number} rowDelta - Rows to move by
+ * @param {number} colDelta - Columns to move by
+ * @returns {string} Shifted formula
+ */
+export const offsetFormula = (formula, rowDelta, colDelta) =>
+  transformFormulaReferences(formula, (ref) => {
+    const r = ref.rowAbs ? ref.r : ref.r + rowDelta;
+    const c = ref.colAbs ? ref.c : ref.c + colDelta;
+    return r < 0 || c < 0 ? null : { ...ref, r, c };
+  });
+
+/**
+ * Follows cells that were moved (cut and pasted): references to a cell inside the moved
+ * range, and ranges lying wholly inside it, move by the same offset, anchored or not.
+ * Cells moved to another sheet take the references with them to that sheet, and a formula
+ * that itself moved to another sheet keeps reading the sheet it came from.
+ * @param {string} formula - Raw formula including the leading "="
+ * @param {Object} range - { startRow, startCol, endRow, endCol } that was moved
+ * @param {number} rowDelta - Rows the range moved by
+ * @param {number} colDelta - Columns the range moved by
+ * @param {Object} [sheets] - { ownSheet, movedSheet, toSheet, hostSheet }: ownSheet and
+ *   movedSheet as for adjustFormulaForStructureChange; toSheet is where the moved cells went
+ *   (movedSheet by default) and hostSheet where the formula is now (ownSheet by default)
+ * @returns {string} Rewritten formula
+ */
+export const moveFormulaReferences = (formula, range, rowDelta, colDelta, { ownSheet, movedSheet, toSheet = movedSheet, hostSheet = ownSheet } = {}) => {
+  const isInside = (ref) =>
+    isSameSheetName(ref.sheet || ownSheet, movedSheet) &&
+    ref.r >= range.startRow && ref.r <= range.endRow && ref.c >= range.startCol && ref.c <= range.endCol;
+  const place = (ref, inside) => {
+    const moved = inside ? { ...ref, r: ref.r + rowDelta, c: ref.c + colDelta } : ref;
+    const from = ref.sheet || ownSheet;
+    const sheet = inside ? toSheet : from;
+    if (isSameSheetName(sheet, from) && isSameSheetName(hostSheet, ownSheet)) return moved;
+    return { ...moved, sheet: isSameSheetName(sheet, hostSheet) ? undefined : sheet };
+  };
+  const moveRef = (ref) => place(ref, isInside(ref));
+  const moveRange = (start, end) => {
+    const inside = isInside(start) && isInside(end);
+    return [place(start, inside), place(end, inside)];
+  };
+  return transformFormulaReferences(formula, moveRef, moveRange);
+};
+
+/**
+ * Points references to a renamed sheet at its new name
+ * @param {string} formula - Raw formula including the leading "="
+ * @param {string} oldName - Previous sheet name
+ * @param {string} newName - New sheet name
+ * @returns {string} Rewritten formula (unchanged if it has no such references)
+ */
+export const renameSheetInFormula = (formula, oldName, newName) => {
+  if (!isFormula(formula)) return formula;
+  const body = formula.slice(1);
+  let tokens;
+  try {
+    tokens = tokenizeFormula(body);
+  } catch (e) {
+    return formula;
+  }
+
+  let result = '';
+  let last = 0;
+  tokens.forEach((token) => {
+    if (token.type !== 'ref' || !token.sheet || !isSameSheetName(token.sheet, oldName)) return;
+    result += body.slice(last, token.start) + formatSheetPrefix(newName);
+    last = token.refStart;
+  });
+  return last === 0 ? formula : `=${result}${body.slice(last)}`;
+};
+
+/**
+ * Turns references to a deleted sheet into #REF!
+ * @param {string} formula - Raw formula including the leading "="
+ * @param {string} name - Name of the deleted sheet
+ * @returns {string} Rewritten formula
+ */
+export const removeSheetFromFormula = (formula, name) =>
+  transformFormulaReferences(formula, (ref) => (ref.sheet && isSameSheetName(ref.sheet, name) ? null : ref));
+
+// === Evaluation ===
+
+/**
+ * Converts a literal (non-formula) cell string into a typed value
+ * @param {*} raw - Raw cell content
+ * @returns {number|string|null} Number for numeric text, the string otherwise, null when empty
+ */
+export const toCellValue = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'string') return raw;
+  const trimmed = raw.trim();
+  if (trimmed !== '' && /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed)) {
+    return parseFloat(trimmed);
+  }
+  return raw;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const parsed = toCellValue(value);
+  if (typeof parsed === 'number') return parsed;
+  throw new FormulaError(FORMULA_ERRORS.VALUE);
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+};
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    if (/^true$/i.test(value)) return true;
+    if (/^false$/i.test(value)) return false;
+  }
+  return toNumber(value) !== 0;
+};
+
+const checkNumber = (n) => {
+  if (!Number.isFinite(n)) throw new FormulaError(FORMULA_ERRORS.NUM);
+  return n;
+};
+
+const compareValues = (a, b) => {
+  const left = a === null ? (typeof b === 'string' ? '' : 0) : a;
+  const right = b === null ? (typeof a === 'string' ? '' : 0) : b;
+  if (typeof left === 'string' && typeof right === 'string') {
+    const l = left.toLowerCase();
+    const r = right.toLowerCase();
+    return l < r ? -1 : l > r ? 1 : 0;
+  }
+  // Numbers sort before text, text before booleans (as in Excel)
+  const rank = (v) => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+  if (rank(left) !== rank(right)) return rank(left) - rank(right);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// Flattens function arguments: ranges contribute only their numbers, direct arguments are coerced
+const collectNumbers = (args) => {
+  const numbers = [];
+  args.forEach((arg) => {
+    if (Array.isArray(arg)) {
+      arg.forEach((v) => {
+        if (typeof v === 'number') numbers.push(v);
+      });
+    } else {
+      numbers.push(toNumber(arg));
+    }
+  });
+  return numbers;
+};
+
+const FUNCTIONS = {
+  SUM: (args) => collectNumbers(args).reduce((a, b) => a + b, 0),
+  AVERAGE: (args) => {
+    const numbers = collectNumbers(args);
+    if (numbers.length === 0) throw new FormulaError(FORMULA_ERRORS.DIV0);
+    return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+  },
+  MIN: (args) => {
+    const numbers = collectNumbers(args);
+    return numbers.length ? Math.min(...numbers) : 0;
+  },
+  MAX: (args) => {
+    const numbers = collectNumbers(args);
+    return numbers.length ? Math.max(...numbers) : 0;
+  },
+  COUNT: (args) => {
+    let count = 0;
+    args.forEach((arg) => {
+      if (Array.isArray(arg)) {
+        count += arg.filter((v) => typeof v === 'number').length;
+      } else if (typeof toCellValue(arg) === 'number') {
+        count++;
+      }
+    });
+    return count;
+  },
+};
+
+/**
+ * Lists the functions a formula calls that the engine does not implement
+ * @param {string} formula - Raw cell text including the leading "="
+ * @returns {Array<string>} Upper-case function names, empty if all are supported
+ */
+export const getUnsupportedFunctions = (formula) => {
+  let tokens;
+  try {
+    tokens = tokenizeFormula(formula.slice(1));
+  } catch (e) {
+    return [];
+  }
+  const names = new Set();
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    if (token.type === 'name' && next && next.type === '(' && token.value !== 'IF' && !FUNCTIONS[token.value]) {
+      names.add(token.value);
+    }
+  });
+  return [...names];
+};
+
+/**
+ * Evaluates an expression tree
+ * @param {Object} node - AST node from parseFormula
+ * @param {Function} getCell - (r, c, sheet) => typed value of a referenced cell (sheet is undefined for the
+ *   formula's own sheet); throws FormulaError for error cells
+ * @returns {*} Scalar value, or an array of values for a bare range
+ */
+const evaluateNode = (node, getCell) => {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+    case 'bool':
+      return node.value;
+    case 'error':
+      throw new FormulaError(node.value);
+    case 'ref':
+      return getCell(node.ref.r, node.ref.c, node.sheet);
+    case 'range': {
+      const values = [];
+      const minRow = Math.min(node.start.r, node.end.r);
+      const maxRow = Math.max(node.start.r, node.end.r);
+      const minCol = Math.min(node.start.c, node.end.c);
+      const maxCol = Math.max(node.start.c, node.end.c);
+      for (let r = minRow; r <= maxRow; r++) {
+        for (let c = minCol; c <= maxCol; c++) {
+          values.push(getCell(r, c, node.sheet));
+        }
+      }
+      return values;
+    }
+    case 'unary': {
+      const value = toNumber(evaluateScalar(node.operand, getCell));
+      return node.op === '-' ? -value : value;
+    }
+    case 'percent':
+      return toNumber(evaluateScalar(node.operand, getCell)) / 100;
+    case 'binary': {
+      const left = evaluateScalar(node.left, getCell);
+      const right = evaluateScalar(node.right, getCell);
+      switch (node.op) {
+        case '+': return checkNumber(toNumber(left) + toNumber(right));
+        case '-': return checkNumber(toNumber(left) - toNumber(right));
+        case '*': return checkNumber(toNumber(left) * toNumber(right));
+        case '/': {
+          const divisor = toNumber(right);
+          if (divisor === 0) throw new FormulaError(FORMULA_ERRORS.DIV0);
+          return checkNumber(toNumber(left) / divisor);
+        }
+        case '^': return checkNumber(Math.pow(toNumber(left), toNumber(right)));
+        case '&': return toText(left) + toText(right);
+        case '=': return compareValues(left, right) === 0;
+        case '<>': return compareValues(left, right) !== 0;
+        case '<': return compareValues(left, right) < 0;
+        case '>': return compareValues(left, right) > 0;
+        case '<=': return compareValues(left, right) <= 0;
+        case '>=': return compareValues(left, right) >= 0;
+        default: throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+      }
+    }
+    case 'func': {
+      if (node.name === 'IF') {
+        if (node.args.length < 2 || node.args.length > 3) throw new FormulaError(FORMULA_ERRORS.VALUE);
+        const condition = toBoolean(evaluateScalar(node.args[0], getCell));
+        if (condition) return evaluateScalar(node.args[1], getCell);
+        return node.args.length === 3 ? evaluateScalar(node.args[2], getCell) : false;
+      }
+      const fn = FUNCTIONS[node.name];
+      if (!fn) throw new FormulaError(FORMULA_ERRORS.NAME);
+      return fn(node.args.map((arg) => evaluateNode(arg, getCell)));
+    }
+    default:
+      throw new FormulaError(FORMULA_ERRORS.SYNTAX);
+  }
+};
+
+// A bare range used where a single value is expected is a #VALUE! error
+const evaluateScalar = (node, getCell) => {
+  const value = evaluateNode(node, getCell);
+  if (Array.isArray(value)) throw new FormulaError(FORMULA_ERRORS.VALUE);
+  return value;
+};
+
+// === Dependency graph ===
+
+/**
+ * Creates an empty dependency graph for one sheet. Single-cell references are indexed by the
+ * referenced cell; ranges are kept per formula and matched by containment so large ranges are
+ * never expanded. Formulas that read other sheets are only listed, and re-evaluated on every change.
+ * @param {string} [sheetName] - Name of the sheet, so references qualified with it count as local
+ * @returns {Object} Graph with formulas, precedents, dependents, rangeDependents and externalFormulas
+ */
+export const createFormulaGraph = (sheetName) => ({
+  sheetName,
+  formulas: new Map(), // formula cell key -> AST
+  precedents: new Map(), // formula cell key -> array of referenced cell keys
+  dependents: new Map(), // referenced cell key -> Set of formula cell keys
+  rangeDependents: new Map(), // formula cell key -> array of referenced ranges
+  externalFormulas: new Set(), // formula cell keys that reference other sheets
+});
+
+// Collects local references into cells / ranges; returns true if the node reads another sheet
+const collectReferences = (node, cells, ranges, sheetName) => {
+  if (!node) return false;
+  if ((node.type === 'ref' || node.type === 'range') && node.sheet && !isSameSheetName(node.sheet, sheetName)) {
+    return true;
+  }
+  switch (node.type) {
+    case 'ref':
+      cells.push(`${node.ref.r},${node.ref.c}`);
+      return false;
+    case 'range':
+      ranges.push({
+        startRow: Math.min(node.start.r, node.end.r),
+        endRow: Math.max(node.start.r, node.end.r),
+        startCol: Math.min(node.start.c, node.end.c),
+        endCol: Math.max(node.start.c, node.end.c),
+      });
+      return false;
+    case 'unary':
+    case 'percent':
+      return collectReferences(node.operand, cells, ranges, sheetName);
+    case 'binary': {
+      const left = collectReferences(node.left, cells, ranges, sheetName);
+      return collectReferences(node.right, cells, ranges, sheetName) || left;
+    }
+    case 'func':
+      return node.args.reduce((external, arg) => collectReferences(arg, cells, ranges, sheetName) || external, false);
+    default:
+      return false;
+  }
+};
+
+const removeFromGraph = (graph, key) => {
+  const cells = graph.precedents.get(key) || [];
+  cells.forEach((cellKey) => {
+    const set = graph.dependents.get(cellKey);
+    if (set) {
+      set.delete(key);
+      if (set.size === 0) graph.dependents.delete(cellKey);
+    }
+  });
+  graph.precedents.delete(key);
+  graph.rangeDependents.delete(key);
+  graph.externalFormulas.delete(key);
+  graph.formulas.delete(key);
+};
+
+/**
+ * Re-indexes the given cells in the dependency graph after their raw content changed
+ * @param {Object} graph - Graph from createFormulaGraph (mutated)
+ * @param {Object} cellData - Raw cell contents keyed by "row,col"
+ * @param {Array<string>} keys - Cell keys whose raw content changed
+ */
+export const updateFormulaGraph = (graph, cellData, keys) => {
+  keys.forEach((key) => {
+    removeFromGraph(graph, key);
+    const raw = cellData[key];
+    if (!isFormula(raw)) return;
+
+    const ast = parseFormula(raw);
+    const cells = [];
+    const ranges = [];
+    const external = collectReferences(ast, cells, ranges, graph.sheetName);
+
+    graph.formulas.set(key, ast);
+    if (external) graph.externalFormulas.add(key);
+    graph.precedents.set(key, cells);
+    cells.forEach((cellKey) => {
+      if (!graph.dependents.has(cellKey)) graph.dependents.set(cellKey, new Set());
+      graph.dependents.get(cellKey).add(key);
+    });
+    if (ranges.length) graph.rangeDependents.set(key, ranges);
+  });
+};
+
+/**
+ * Finds every cell whose value may change when the given cells change (the cells themselves included)
+ * @param {Object} graph - Dependency graph
+ * @param {Array<string>} changedKeys - Cell keys that changed
+ * @returns {Set<string>} Affected cell keys
+ */
+export const getAffectedCells = (graph, changedKeys) => {
+  const affected = new Set();
+  const queue = [...changedKeys];
+
+  while (queue.length) {
+    const key = queue.pop();
+    if (affected.has(key)) continue;
+    affected.add(key);
+
+    const direct = graph.dependents.get(key);
+    if (direct) direct.forEach((dep) => queue.push(dep));
+
+    const [r, c] = key.split(',').map(Number);
+    graph.rangeDependents.forEach((ranges, formulaKey) => {
+      if (affected.has(formulaKey)) return;
+      if (ranges.some((rg) => r >= rg.startRow && r <= rg.endRow && c >= rg.startCol && c <= rg.endCol)) {
+        queue.push(formulaKey);
+      }
+    });
+  }
+
+  return affected;
+};
+
+/**
+ * Lists the keys whose raw value differs between two cellData objects
+ * @param {Object} prevData - Previous cell data
+ * @param {Object} nextData - New cell data
+ * @returns {Array<string>} Changed keys (added, removed or modified)
+ */
+export const diffCellKeys = (prevData, nextData) => {
+  const changed = [];
+  for (const key in nextData) {
+    if (prevData[key] !== nextData[key]) changed.push(key);
+  }
+  for (const key in prevData) {
+    if (!(key in nextData)) changed.push(key);
+  }
+  return changed;
+};
+
+/**
+ * Recalculates the formulas affected by a change. Only formula cells downstream of the
+ * changed keys (and formulas reading other sheets) are evaluated; everything else keeps its
+ * previous computed value.
+ * @param {Object} graph - Dependency graph (re-indexed here for the changed keys)
+ * @param {Object} cellData - Raw cell contents keyed by "row,col"
+ * @param {Object} computedData - Previous computed values keyed by "row,col" (formula cells only)
+ * @param {Array<string>} changedKeys - Cell keys whose raw content changed
+ * @param {Function} [resolveSheet] - (name) => getCell(r, c) for another sheet, or null if it does not exist
+ * @returns {Object} New computedData object
+ */
+export const recalculate = (graph, cellData, computedData, changedKeys, resolveSheet) => {
+  updateFormulaGraph(graph, cellData, changedKeys);
+
+  const affected = getAffectedCells(graph, [...changedKeys, ...graph.externalFormulas]);
+  const next = { ...computedData };
+  const pending = new Set();
+  affected.forEach((key) => {
+    if (graph.formulas.has(key)) {
+      pending.add(key);
+    } else {
+      delete next[key];
+    }
+  });
+
+  const visiting = new Set();
+
+  const evaluateKey = (key) => {
+    if (!pending.has(key)) return next[key];
+    if (visiting.has(key)) throw new FormulaError(FORMULA_ERRORS.CIRC);
+
+    visiting.add(key);
+    let value;
+    try {
+      value = evaluateScalar(graph.formulas.get(key), getCell);
+      if (value === null) value = 0;
+    } catch (e) {
+      if (!(e instanceof FormulaError)) throw e;
+      value = e.code;
+    }
+    visiting.delete(key);
+    pending.delete(key);
+    next[key] = value;
+    return value;
+  };
+
+  const getCell = (r, c, sheet) => {
+    if (sheet && !isSameSheetName(sheet, graph.sheetName)) {
+      const getExternalCell = resolveSheet && resolveSheet(sheet);
+      if (!getExternalCell) throw new FormulaError(FORMULA_ERRORS.REF);
+      return getExternalCell(r, c);
+    }
+
+    const key = `${r},${c}`;
+    if (graph.formulas.has(key)) {
+      const value = evaluateKey(key);
+      if (isFormulaError(value)) throw new FormulaError(value);
+      return value;
+    }
+    return toCellValue(cellData[key]);
+  };
+
+  pending.forEach((key) => evaluateKey(key));
+  return next;
+};
+
+/**
+ * Creates the resolveSheet callback for recalculate. Formula cells on other sheets are
+ * evaluated on demand, so chains of references across several sheets are always current;
+ * a loop between sheets evaluates to #CIRC!.
+ * @param {Function} getSheetCells - (name) => raw cellData of that sheet, or null if there is none
+ * @returns {Function} (name) => getCell(r, c), or null for an unknown sheet
+ */
+export const createSheetResolver = (getSheetCells) => {
+  const evaluating = new Set(); // "sheet!row,col" keys on the current evaluation path
+  const asts = new Map(); // formula text -> AST, shared by every sheet
+
+  const resolveSheet = (name) => {
+    const cells = getSheetCells(name);
+    if (!cells) return null;
+
+    const getCell = (r, c, sheet) => {
+      if (sheet && !isSameSheetName(sheet, name)) {
+        const getExternalCell = resolveSheet(sheet);
+        if (!getExternalCell) throw new FormulaError(FORMULA_ERRORS.REF);
+        return getExternalCell(r, c);
+      }
+
+      const key = `${r},${c}`;
+      const raw = cells[key];
+      if (!isFormula(raw)) return toCellValue(raw);
+
+      const id = `${name.toLowerCase()}!${key}`;
+      if (evaluating.has(id)) throw new FormulaError(FORMULA_ERRORS.CIRC);
+      if (!asts.has(raw)) asts.set(raw, parseFormula(raw));
+      evaluating.add(id);
+      try {
+        const value = evaluateScalar(asts.get(raw), getCell);
+        return value === null ? 0 : value;
+      } finally {
+        evaluating.delete(id);
+      }
+    };
+    return getCell;
+  };
+
+  return resolveSheet;
+};
+
+/**
+ * Returns the typed value of a cell: the computed result for formulas, the literal otherwise
+ * @param {Object} cellData - Raw cell contents
+ * @param {Object} computedData - Computed formula values
+ * @param {string} key - Cell key "row,col"
+ * @returns {*} Typed cell value, or null if empty
+ */
+export const getCellValue = (cellData, computedData, key) => {
+  const raw = cellData[key];
+  if (isFormula(raw)) return computedData[key] ?? null;
+  return toCellValue(raw);
+};
+
+/**
+ * Returns the text to paint for a cell: the computed result for formulas, the raw text otherwise
+ * @param {Object} cellData - Raw cell contents
+ * @param {Object} computedData - Computed formula values
+ * @param {string} key - Cell key "row,col"
+ * @returns {string} Display text ('' for empty cells)
+ */
+export const getCellDisplayValue = (cellData, computedData, key) => {
+  const raw = cellData[key];
+  if (!isFormula(raw)) return raw === undefined || raw === null ? '' : String(raw);
+
+  const value = computedData[key];
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(parseFloat(value.toPrecision(15)));
+  return toText(value);
+};
@@ -0,0 +1,90 @@
+import {
+  createFormulaGraph,
+  recalculate,
+  getCellDisplayValue,
+  parseRangeReference,
+  adjustFormulaForStructureChange,
+  createSheetResolver,
+  renameSheetInFormula,
+  removeSheetFromFormula,
+} from './FormulaHelper';
+
+const evaluateSheet = (cellData) => {
+  const graph = createFormulaGraph();
+  const computed = recalculate(graph, cellData, {}, Object.keys(cellData));
+  return { graph, computed };
+};
+
+test('evaluates references, ranges and core functions', () => {
+  const cellData = {
+    '0,0': '10',
+    '1,0': '20',
+    '2,0': '=SUM(A1:A2)',
+    '3,0': '=AVERAGE(A1:A3)*2',
+    '4,0': '=IF(A3>25,"big","small")',
+    '5,0': '=COUNT(A1:A5)',
+    '6,0': '=MAX(A1:A2)-MIN(A1,A2)',
+  };
+  const { computed } = evaluateSheet(cellData);
+
+  expect(computed['2,0']).toBe(30);
+  expect(computed['3,0']).toBe(40);
+  expect(computed['4,0']).toBe('big');
+  expect(computed['5,0']).toBe(4);
+  expect(computed['6,0']).toBe(10);
+});
+
+test('recalculates only the cells downstream of a change', () => {
+  const cellData = { '0,0': '1', '0,1': '=A1+1', '0,2': '=B1*2', '5,5': '=7' };
+  const { graph, computed } = evaluateSheet(cellData);
+
+  const next = { ...cellData, '0,0': '5' };
+  const stale = { ...computed, '5,5': 'untouched' };
+  const result = recalculate(graph, next, stale, ['0,0']);
+
+  expect(result['0,1']).toBe(6);
+  expect(result['0,2']).toBe(12);
+  expect(result['5,5']).toBe('untouched');
+});
+
+test('reports errors for cycles, bad syntax and division by zero', () => {
+  const cellData = { '0,0': '=B1', '0,1': '=A1', '1,0': '=1/0', '2,0': '=SUM(', '3,0': '=FOO(1)' };
+  const { computed } = evaluateSheet(cellData);
+
+  expect(computed['0,0']).toBe('#CIRC!');
+  expect(computed['0,1']).toBe('#CIRC!');
+  expect(computed['1,0']).toBe('#DIV/0!');
+  expect(computed['2,0']).toBe('#ERROR!');
+  expect(getCellDisplayValue(cellData, computed, '3,0')).toBe('#NAME?');
+});
+
+test('parses A1 ranges in either direction', () => {
+  expect(parseRangeReference('D20:A1')).toEqual({ startRow: 0, startCol: 0, endRow: 19, endCol: 3 });
+  expect(parseRangeReference('nope')).toBeNull();
+});
+
+test('shifts references when rows or columns are inserted or deleted', () => {
+  expect(adjustFormulaForStructureChange('=A5+$B$2', 'row', 2, 3)).toBe('=A8+$B$2');
+  expect(adjustFormulaForStructureChange('=SUM(A2:A10)', 'row', 3, -2)).toBe('=SUM(A2:A8)');
+  expect(adjustFormulaForStructureChange('=C1*2', 'col', 2, -1)).toBe('=#REF!*2');
+  expect(adjustFormulaForStructureChange('=SUM(B1:C1)', 'col', 1, -2)).toBe('=SUM(#REF!)');
+});
+
+test('reads cells on other sheets and follows sheet renames and deletes', () => {
+  const sheets = {
+    sheet1: { '0,0': '=Sheet2!A1*2', '1,0': "=SUM('Q1 Sales'!A1:A2)", '2,0': '=Missing!A1' },
+    sheet2: { '0,0': "='Q1 Sales'!A2+1" },
+    'q1 sales': { '0,0': '5', '1,0': '7' },
+  };
+  const resolveSheet = createSheetResolver((name) => sheets[name.toLowerCase()] || null);
+  const cellData = sheets.sheet1;
+  const computed = recalculate(createFormulaGraph('Sheet1'), cellData, {}, Object.keys(cellData), resolveSheet);
+  expect(computed['0,0']).toBe(16);
+  expect(computed['1,0']).toBe(12);
+  expect(computed['2,0']).toBe('#REF!');
+
+  expect(renameSheetInFormula("=SUM('Q1 Sales'!A1:A2)+A1", 'q1 sales', 'Totals')).toBe('=SUM(Totals!A1:A2)+A1');
+  expect(removeSheetFromFormula('=Sheet2!A1+A1', 'Sheet2')).toBe('=#REF!+A1');
+  expect(adjustFormulaForStructureChange('=Sheet2!A5+A5', 'row', 0, 1, { ownSheet: 'Sheet1', changedSheet: 'Sheet2' }))
+    .toBe('=Sheet2!A6+A5');
+});
@@ -0,0 +1,86 @@
+// FreezeHelper.js - Freeze panes: leading rows and columns that stay put while the rest scrolls
+//
+// A sheet's frozen setting is { rows, cols }, the number of pinned rows at the top and columns
+// on the left. Pinned tracks are drawn and hit-tested as if the grid were not scrolled; the other
+// tracks use the real scroll offset and are clipped so they never show under the pinned area.
+
+export const NO_FREEZE = Object.freeze({ rows: 0, cols: 0 });
+
+/**
+ * Total size of the first `count` tracks
+ * @param {Map<number, number>} sizes - Custom sizes by index
+ * @param {number} count - Number of tracks
+ * @param {number} defaultSize - Size of tracks without a custom size
+ * @returns {number} Pixels
+ */
+export const getFrozenExtent = (sizes, count, defaultSize) => {
+  let extent = 0;
+  for (let i = 0; i < count; i++) extent += sizes.get(i) ?? defaultSize;
+  return extent;
+};
+
+/**
+ * Scroll offset in effect at a canvas coordinate: none over the frozen area
+ * @param {number} position - x or y on the canvas
+ * @param {number} start - Where the cells begin (the row header width or column header height)
+ * @param {number} frozenExtent - Size of the frozen area
+ * @param {number} scroll - Current scroll offset
+ * @returns {number} Scroll offset to use for that coordinate
+ */
+export const getPaneScroll = (position, start, frozenExtent, scroll) => (position < start + frozenExtent ? 0 : scroll);
+
+/**
+ * Scroll offset in effect for a row or column
+ * @param {number} index - Row or column index
+ * @param {number} frozenCount - Number of frozen tracks on that axis
+ * @param {number} scroll - Current scroll offset
+ * @returns {number} Scroll offset to use for that track
+ */
+export const getTrackScroll = (index, frozenCount, scroll) => (index < frozenCount ? 0 : scroll);
+
+/**
+ * Splits the cell area into up to four panes. Each pane covers a rectangle of the canvas and a
+ * range of rows and columns, and says whether the column / row headers above / beside it are
+ * its job to draw.
+ * @param {Object} frozen - { rows, cols }
+ * @param {number} frozenWidth - Width of the frozen columns
+ * @param {number} frozenHeight - Height of the frozen rows
+ * @param {number} scrollLeft - Horizontal scroll offset
+ * @param {number} scrollTop - Vertical scroll offset
+ * @param {Object} area - { x, y, width, height } of the cell area
+ * @param {number} totalRows - Rows in the grid
+ * @param {number} totalCols - Columns in the grid
+ * @returns {Array<Object>} { x, y, width, height, scrollLeft, scrollTop, rows: [start, end), cols: [start, end), colHeaders, rowHeaders }
+ */
+export const getPanes = (frozen, frozenWidth, frozenHeight, scrollLeft, scrollTop, area, totalRows, totalCols) => {
+  const rowBands = [
+    { y: area.y, height: Math.min(frozenHeight, area.height), scrollTop: 0, rows: [0, frozen.rows] },
+    { y: area.y + frozenHeight, height: area.height - frozenHeight, scrollTop, rows: [frozen.rows, totalRows] },
+  ].filter((band) => band.height > 0 && band.rows[0] < band.rows[1]);
+  const colBands = [
+    { x: area.x, width: Math.min(frozenWidth, area.width), scrollLeft: 0, cols: [0, frozen.cols] },
+    { x: area.x + frozenWidth, width: area.width - frozenWidth, scrollLeft, cols: [frozen.cols, totalCols] },
+  ].filter((band) => band.width > 0 && band.cols[0] < band.cols[1]);
+
+  return rowBands.flatMap((rowBand, i) =>
+    colBands.map((colBand, j) => ({ ...rowBand, ...colBand, colHeaders: i === 0, rowHeaders: j === 0 })));
+};
+
+/**
+ * Scroll offset that brings a track into view, or null if it is in view already. Frozen tracks
+ * are always in view; the others have to clear the frozen area.
+ * @param {number} index - Row or column index
+ * @param {number} frozenCount - Number of frozen tracks on that axis
+ * @param {number} position - Offset of the track from the first one
+ * @param {number} size - Size of the track
+ * @param {number} scroll - Current scroll offset
+ * @param {number} viewport - Visible size of the cell area
+ * @param {number} frozenExtent - Size of the frozen area
+ * @returns {number|null} New scroll offset
+ */
+export const getRevealScroll = (index, frozenCount, position, size, scroll, viewport, frozenExtent) => {
+  if (index < frozenCount) return null;
+  if (position < scroll + frozenExtent) return Math.max(0, position - frozenExtent);
+  if (position + size > scroll + viewport) return position + size - viewport;
+  return null;
+};
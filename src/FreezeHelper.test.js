@@ -0,0 +1,22 @@
+import { getPanes, getRevealScroll } from './FreezeHelper';
+
+test('splits the cell area into panes around the frozen rows and columns', () => {
+  const area = { x: 60, y: 24, width: 400, height: 300 };
+  expect(getPanes({ rows: 0, cols: 0 }, 0, 0, 30, 50, area, 100, 10)).toEqual([
+    { x: 60, y: 24, width: 400, height: 300, scrollLeft: 30, scrollTop: 50, rows: [0, 100], cols: [0, 10], colHeaders: true, rowHeaders: true },
+  ]);
+
+  const panes = getPanes({ rows: 2, cols: 1 }, 80, 48, 30, 50, area, 100, 10);
+  expect(panes).toHaveLength(4);
+  expect(panes[0]).toMatchObject({ x: 60, y: 24, width: 80, height: 48, scrollLeft: 0, scrollTop: 0, rows: [0, 2], cols: [0, 1] });
+  expect(panes[3]).toMatchObject({ x: 140, y: 72, width: 320, height: 252, scrollLeft: 30, scrollTop: 50, rows: [2, 100], cols: [1, 10] });
+  expect(panes.map((pane) => [pane.colHeaders, pane.rowHeaders])).toEqual([[true, true], [true, false], [false, true], [false, false]]);
+});
+
+test('scrolls cells into view clear of the frozen area', () => {
+  // Rows are 20px, two are frozen (40px) and the viewport is 200px tall
+  expect(getRevealScroll(1, 2, 20, 20, 500, 200, 40)).toBeNull();
+  expect(getRevealScroll(10, 2, 200, 20, 180, 200, 40)).toBe(160);
+  expect(getRevealScroll(10, 2, 200, 20, 100, 200, 40)).toBeNull();
+  expect(getRevealScroll(10, 2, 200, 20, 0, 200, 40)).toBe(20);
+});
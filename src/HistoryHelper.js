@@ -0,0 +1,425 @@
+// HistoryHelper.js - Command-based undo/redo history
+//
+// Every undoable change is recorded as a small command describing what changed
+// (a diff), never as a copy of the whole sheet:
+//   edit / paste / delete / load / sort / replace / fill -> { type, changes: [{ key, before, after }] } on cellData
+//   format                                               -> { type, changes: [{ key, before, after }] } on cellStyles
+//   resize                                               -> { type, axis: 'col' | 'row', changes: [{ index, before, after }] }
+//   hide                                                 -> { type, axis, changes: [{ index, before, after }] } with true for hidden
+//   insert                                               -> { type, axis: 'col' | 'row', index, count }
+//   remove                                               -> { type, axis, index, count, removed, removedSizes, removedHidden, rewritten }
+//   transaction                                          -> { type, label, commands: [...] } undone as one step
+//   sheets                                               -> { type, commands: [{ sheetId, command }] } run on other sheets' stores
+
+import { insertTracks, deleteTracks, restoreDeletedTracks } from './StructureHelper';
+
+export const MAX_HISTORY_BYTES = 16 * 1024 * 1024; // Rough memory budget for the undo stack
+export const MAX_HISTORY_ENTRIES = 500;
+
+// Which document store each cell-diff command writes to
+const CELL_COMMAND_STORES = {
+  edit: 'cellData',
+  paste: 'cellData',
+  delete: 'cellData',
+  load: 'cellData',
+  sort: 'cellData',
+  replace: 'cellData',
+  fill: 'cellData',
+  format: 'cellStyles',
+};
+
+const SIZE_STORES = {
+  col: 'colWidths',
+  row: 'rowHeights',
+};
+
+const HIDDEN_STORES = {
+  col: 'hiddenCols',
+  row: 'hiddenRows',
+};
+
+/**
+ * Creates an empty history
+ * @param {number} [maxBytes] - Memory budget; the oldest steps are dropped once it is exceeded
+ * @returns {Object} History with undoStack, redoStack and the estimated byte size of undoStack
+ */
+export const createHistory = (maxBytes = MAX_HISTORY_BYTES) => ({
+  undoStack: [],
+  redoStack: [],
+  bytes: 0,
+  maxBytes,
+});
+
+/**
+ * Builds a cell-diff command from the keys that differ between two cell stores
+ * @param {string} type - Command type (edit, paste, delete, load or format)
+ * @param {Object} before - Store contents before the change
+ * @param {Object} after - Store contents after the change
+ * @param {Iterable<string>} [keys] - Keys to compare; defaults to every key in either store
+ * @returns {Object|null} Command, or null if nothing changed
+ */
+export const createCellCommand = (type, before, after, keys) => {
+  const candidates = keys ? new Set(keys) : new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  candidates.forEach((key) => {
+    if (before[key] !== after[key]) {
+      changes.push({ key, before: before[key], after: after[key] });
+    }
+  });
+  return changes.length ? { type, changes } : null;
+};
+
+/**
+ * Builds a resize command for one column or row
+ * @param {string} axis - 'col' or 'row'
+ * @param {number} index - Column or row index
+ * @param {number|undefined} before - Size before the resize (undefined for the default size)
+ * @param {number|undefined} after - Size after the resize
+ * @returns {Object|null} Command, or null if the size did not change
+ */
+export const createResizeCommand = (axis, index, before, after) => {
+  if (before === after) return null;
+  return { type: 'resize', axis, changes: [{ index, before, after }] };
+};
+
+/**
+ * Builds a resize command that turns one size map into another, e.g. when a file is loaded
+ * @param {string} axis - 'col' or 'row'
+ * @param {Map<number, number>} before - Sizes before the change
+ * @param {Map<number, number>} after - Sizes after the change
+ * @returns {Object|null} Command, or null if no size changed
+ */
+export const createSizesCommand = (axis, before, after) => {
+  const indexes = new Set([...before.keys(), ...after.keys()]);
+  const changes = [];
+  indexes.forEach((index) => {
+    if (before.get(index) !== after.get(index)) {
+      changes.push({ index, before: before.get(index), after: after.get(index) });
+    }
+  });
+  return changes.length ? { type: 'resize', axis, changes } : null;
+};
+
+/**
+ * Builds a hide command that turns one set of hidden tracks into another
+ * @param {string} axis - 'col' or 'row'
+ * @param {Set<number>} before - Hidden tracks before the change
+ * @param {Set<number>} after - Hidden tracks after the change
+ * @returns {Object|null} Command, or null if no track was hidden or shown
+ */
+export const createHiddenCommand = (axis, before, after) => {
+  const changes = [];
+  new Set([...before, ...after]).forEach((index) => {
+    if (before.has(index) !== after.has(index)) {
+      changes.push({ index, before: before.has(index), after: after.has(index) });
+    }
+  });
+  return changes.length ? { type: 'hide', axis, changes } : null;
+};
+
+/**
+ * Groups several commands so they are undone and redone as a single step
+ * @param {string} label - Description of the whole operation
+ * @param {Array<Object|null>} commands - Commands in the order they were applied (nulls are skipped)
+ * @returns {Object|null} Transaction command, the only command if there is one, or null if empty
+ */
+export const createTransaction = (label, commands) => {
+  const steps = commands.filter(Boolean);
+  if (steps.length === 0) return null;
+  if (steps.length === 1) return steps[0];
+  return { type: 'transaction', label, commands: steps };
+};
+
+/**
+ * Records changes made to other sheets in the history of the active one, so a workbook-wide
+ * operation is undone in a single step wherever it started
+ * @param {Array<Object>} commands - { sheetId, command } for each sheet changed (null commands are skipped)
+ * @returns {Object|null} Command, or null if no sheet changed
+ */
+export const createSheetsCommand = (commands) => {
+  const steps = commands.filter(({ command }) => command);
+  return steps.length ? { type: 'sheets', commands: steps } : null;
+};
+
+const estimateValueSize = (value) => {
+  if (value === undefined || value === null) return 8;
+  if (typeof value === 'string') return 2 * value.length + 16;
+  if (typeof value === 'object') return 2 * JSON.stringify(value).length + 16;
+  return 16;
+};
+
+/**
+ * Estimates how much memory a command holds on to
+ * @param {Object} command - History command
+ * @returns {number} Approximate size in bytes
+ */
+export const estimateCommandSize = (command) => {
+  if (command.type === 'transaction') {
+    return command.commands.reduce((sum, step) => sum + estimateCommandSize(step), 32);
+  }
+  if (command.type === 'sheets') {
+    return command.commands.reduce((sum, step) => sum + estimateCommandSize(step.command), 32);
+  }
+  let size = 64;
+  (command.changes || []).forEach((change) => {
+    size += 32 + estimateValueSize(change.key) + estimateValueSize(change.before) + estimateValueSize(change.after);
+  });
+  if (command.type === 'remove') {
+    size += estimateValueSize(command.removed) + estimateValueSize(command.rewritten) + 32 * command.removedSizes.length;
+    size += 16 * (command.removedHidden || []).length;
+  }
+  return size;
+};
+
+/**
+ * Records a new command. Clears the redo stack and drops the oldest entries when the
+ * memory budget or entry limit is exceeded.
+ * @param {Object} history - Current history
+ * @param {Object|null} command - Command to record (null is ignored)
+ * @returns {Object} New history
+ */
+export const pushCommand = (history, command) => {
+  if (!command) return history;
+
+  const size = estimateCommandSize(command);
+  const undoStack = [...history.undoStack, { command, size }];
+  let bytes = history.bytes + size;
+
+  // Always keep the newest step, even if it alone exceeds the budget
+  while (undoStack.length > 1 && (bytes > history.maxBytes || undoStack.length > MAX_HISTORY_ENTRIES)) {
+    bytes -= undoStack.shift().size;
+  }
+
+  return { ...history, undoStack, redoStack: [], bytes };
+};
+
+/**
+ * Takes the most recent command off the undo stack
+ * @param {Object} history - Current history
+ * @returns {Object|null} { history, command } to apply in the 'undo' direction, or null if nothing to undo
+ */
+export const undoHistory = (history) => {
+  if (history.undoStack.length === 0) return null;
+  const entry = history.undoStack[history.undoStack.length - 1];
+  return {
+    command: entry.command,
+    history: {
+      ...history,
+      undoStack: history.undoStack.slice(0, -1),
+      redoStack: [...history.redoStack, entry],
+      bytes: history.bytes - entry.size,
+    },
+  };
+};
+
+/**
+ * Takes the most recently undone command off the redo stack
+ * @param {Object} history - Current history
+ * @returns {Object|null} { history, command } to apply in the 'redo' direction, or null if nothing to redo
+ */
+export const redoHistory = (history) => {
+  if (history.redoStack.length === 0) return null;
+  const entry = history.redoStack[history.redoStack.length - 1];
+  return {
+    command: entry.command,
+    history: {
+      ...history,
+      undoStack: [...history.undoStack, entry],
+      redoStack: history.redoStack.slice(0, -1),
+      bytes: history.bytes + entry.size,
+    },
+  };
+};
+
+const rewriteValue = (value, rewrite) => (typeof value === 'string' ? rewrite(value) : value);
+
+const rewriteValues = (store, rewrite) => {
+  let result = store;
+  for (const key in store) {
+    const next = rewriteValue(store[key], rewrite);
+    if (next !== store[key]) {
+      if (result === store) result = { ...store };
+      result[key] = next;
+    }
+  }
+  return result;
+};
+
+const rewriteCommandText = (command, rewrite) => {
+  if (CELL_COMMAND_STORES[command.type] === 'cellData') {
+    let changed = false;
+    const changes = command.changes.map((change) => {
+      const before = rewriteValue(change.before, rewrite);
+      const after = rewriteValue(change.after, rewrite);
+      if (before === change.before && after === change.after) return change;
+      changed = true;
+      return { ...change, before, after };
+    });
+    return changed ? { ...command, changes } : command;
+  }
+
+  switch (command.type) {
+    case 'remove': {
+      const cellData = command.removed.cellData && rewriteValues(command.removed.cellData, rewrite);
+      const rewritten = rewriteValues(command.rewritten, rewrite);
+      if (cellData === command.removed.cellData && rewritten === command.rewritten) return command;
+      return { ...command, removed: { ...command.removed, cellData }, rewritten };
+    }
+    case 'transaction': {
+      const commands = command.commands.map((step) => rewriteCommandText(step, rewrite));
+      return commands.some((step, i) => step !== command.commands[i]) ? { ...command, commands } : command;
+    }
+    case 'sheets': {
+      const commands = command.commands.map((step) => {
+        const next = rewriteCommandText(step.command, rewrite);
+        return next === step.command ? step : { ...step, command: next };
+      });
+      return commands.some((step, i) => step !== command.commands[i]) ? { ...command, commands } : command;
+    }
+    default:
+      return command;
+  }
+};
+
+/**
+ * Rewrites the cell text held by every step of a history, so undo and redo put back text that
+ * still fits a change made outside it (a renamed sheet, for example)
+ * @param {Object} history - Current history
+ * @param {Function} rewrite - (raw) => rewritten raw cell value
+ * @returns {Object} New history, or the same one if no step held text that changed
+ */
+export const rewriteHistoryText = (history, rewrite) => {
+  let bytes = history.bytes;
+  const rewriteEntries = (entries, counted) => {
+    const next = entries.map((entry) => {
+      const command = rewriteCommandText(entry.command, rewrite);
+      if (command === entry.command) return entry;
+      const size = estimateCommandSize(command);
+      if (counted) bytes += size - entry.size;
+      return { command, size };
+    });
+    return next.some((entry, i) => entry !== entries[i]) ? next : entries;
+  };
+
+  const undoStack = rewriteEntries(history.undoStack, true);
+  const redoStack = rewriteEntries(history.redoStack, false);
+  if (undoStack === history.undoStack && redoStack === history.redoStack) return history;
+  return { ...history, undoStack, redoStack, bytes };
+};
+
+const applyStep = (doc, command, direction) => {
+  const forward = direction === 'redo';
+
+  if (CELL_COMMAND_STORES[command.type]) {
+    const store = CELL_COMMAND_STORES[command.type];
+    const next = { ...(doc[store] || {}) };
+    command.changes.forEach(({ key, before, after }) => {
+      const value = forward ? after : before;
+      if (value === undefined) {
+        delete next[key];
+      } else {
+        next[key] = value;
+      }
+    });
+    return { ...doc, [store]: next };
+  }
+
+  switch (command.type) {
+    case 'resize': {
+      const store = SIZE_STORES[command.axis];
+      const next = new Map(doc[store]);
+      command.changes.forEach(({ index, before, after }) => {
+        const value = forward ? after : before;
+        if (value === undefined) {
+          next.delete(index);
+        } else {
+          next.set(index, value);
+        }
+      });
+      return { ...doc, [store]: next };
+    }
+    case 'hide': {
+      const store = HIDDEN_STORES[command.axis];
+      const next = new Set(doc[store]);
+      command.changes.forEach(({ index, before, after }) => {
+        if (forward ? after : before) {
+          next.add(index);
+        } else {
+          next.delete(index);
+        }
+      });
+      return { ...doc, [store]: next };
+    }
+    case 'insert':
+      return forward
+        ? insertTracks(doc, command.axis, command.index, command.count)
+        : deleteTracks(doc, command.axis, command.index, command.count).doc;
+    case 'remove':
+      return forward
+        ? deleteTracks(doc, command.axis, command.index, command.count).doc
+        : restoreDeletedTracks(doc, command);
+    case 'transaction': {
+      const steps = forward ? command.commands : [...command.commands].reverse();
+      return steps.reduce((acc, step) => applyStep(acc, step, direction), doc);
+    }
+    // Other sheets' stores are not part of the document; see getSheetCommands
+    case 'sheets':
+    default:
+      return doc;
+  }
+};
+
+/**
+ * Lists the row/column shifts a command causes when applied in a direction, so references
+ * held elsewhere (other sheets) can follow. Undoing a delete shifts tracks back like an insert;
+ * references that became #REF! stay broken there.
+ * @param {Object} command - History command
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Array<Object>} { axis, index, delta } in the order they are applied
+ */
+export const getStructureSteps = (command, direction) => {
+  const forward = direction === 'redo';
+  switch (command.type) {
+    case 'insert':
+    case 'remove': {
+      const sign = (command.type === 'insert') === forward ? 1 : -1;
+      return [{ axis: command.axis, index: command.index, delta: sign * command.count }];
+    }
+    case 'transaction': {
+      const steps = forward ? command.commands : [...command.commands].reverse();
+      return steps.flatMap((step) => getStructureSteps(step, direction));
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Lists the commands a command runs on other sheets (see createSheetsCommand), in the order
+ * they are applied in a direction
+ * @param {Object} command - History command
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Array<Object>} { sheetId, command }, each to apply to that sheet in the same direction
+ */
+export const getSheetCommands = (command, direction) => {
+  const forward = direction === 'redo';
+  switch (command.type) {
+    case 'sheets':
+      return command.commands;
+    case 'transaction': {
+      const steps = forward ? command.commands : [...command.commands].reverse();
+      return steps.flatMap((step) => getSheetCommands(step, direction));
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Applies a command to the document in either direction
+ * @param {Object} doc - Document stores: { cellData, cellStyles, colWidths, rowHeights }
+ * @param {Object} command - History command
+ * @param {string} direction - 'undo' to revert the command, 'redo' to re-apply it
+ * @returns {Object} New document; stores the command does not touch keep their identity
+ */
+export const applyCommand = (doc, command, direction) => applyStep(doc, command, direction);
@@ -0,0 +1,119 @@
+import {
+  createHistory,
+  pushCommand,
+  undoHistory,
+  redoHistory,
+  applyCommand,
+  createCellCommand,
+  createResizeCommand,
+  createHiddenCommand,
+  createTransaction,
+  createSheetsCommand,
+  getSheetCommands,
+  rewriteHistoryText,
+} from './HistoryHelper';
+import { deleteTracks, createRemoveCommand } from './StructureHelper';
+
+test('undoes and redoes cell edits as diffs', () => {
+  const before = { '0,0': 'a', '1,1': 'b' };
+  const after = { '0,0': 'changed', '1,1': 'b', '2,2': 'new' };
+  const command = createCellCommand('paste', before, after);
+
+  expect(command.changes).toHaveLength(2);
+
+  let history = pushCommand(createHistory(), command);
+  const undo = undoHistory(history);
+  const undone = applyCommand({ cellData: after }, undo.command, 'undo');
+  expect(undone.cellData).toEqual(before);
+
+  history = undo.history;
+  const redo = redoHistory(history);
+  expect(applyCommand(undone, redo.command, 'redo').cellData).toEqual(after);
+});
+
+test('undoes resize and insert steps in one transaction', () => {
+  const colWidths = new Map([[2, 120]]);
+  const doc = { cellData: { '3,0': 'x' }, colWidths, rowHeights: new Map() };
+  const transaction = createTransaction('Insert and resize', [
+    { type: 'insert', axis: 'row', index: 1, count: 2 },
+    createResizeCommand('col', 2, 120, 200),
+  ]);
+
+  const redone = applyCommand(doc, transaction, 'redo');
+  expect(redone.cellData).toEqual({ '5,0': 'x' });
+  expect(redone.colWidths.get(2)).toBe(200);
+
+  const undone = applyCommand(redone, transaction, 'undo');
+  expect(undone.cellData).toEqual({ '3,0': 'x' });
+  expect(undone.colWidths.get(2)).toBe(120);
+  expect(undone.rowHeights).toEqual(doc.rowHeights);
+});
+
+test('keeps changes to other sheets in the same undo step', () => {
+  const other = createCellCommand('replace', { '0,0': 'cat' }, { '0,0': 'dog' });
+  const transaction = createTransaction('Replace', [
+    createCellCommand('replace', { '1,1': 'cat' }, { '1,1': 'dog' }),
+    createSheetsCommand([{ sheetId: 2, command: other }, { sheetId: 3, command: null }]),
+  ]);
+
+  const undone = applyCommand({ cellData: { '1,1': 'dog' } }, transaction, 'undo');
+  expect(undone.cellData).toEqual({ '1,1': 'cat' });
+  expect(getSheetCommands(transaction, 'undo')).toEqual([{ sheetId: 2, command: other }]);
+  expect(createSheetsCommand([{ sheetId: 2, command: null }])).toBeNull();
+});
+
+test('rewrites the text held by undo and redo steps', () => {
+  const rename = (raw) => raw.replace('Sheet2!', 'Data!');
+  const edit = createCellCommand('edit', {}, { '0,0': '=Sheet2!A1' });
+  const other = createCellCommand('paste', { '1,0': 5 }, { '1,0': '=Sheet2!B2' });
+  let history = pushCommand(createHistory(), edit);
+  history = pushCommand(history, createSheetsCommand([{ sheetId: 2, command: other }]));
+  history = undoHistory(history).history;
+
+  const rewritten = rewriteHistoryText(history, rename);
+  expect(applyCommand({ cellData: {} }, rewritten.undoStack[0].command, 'redo').cellData).toEqual({ '0,0': '=Data!A1' });
+  const [step] = getSheetCommands(rewritten.redoStack[0].command, 'redo');
+  expect(step.command.changes).toEqual([{ key: '1,0', before: 5, after: '=Data!B2' }]);
+  expect(rewriteHistoryText(rewritten, rename)).toBe(rewritten);
+});
+
+test('drops the oldest steps once the memory budget is exceeded', () => {
+  let history = createHistory(2000);
+  for (let i = 0; i < 50; i++) {
+    history = pushCommand(history, createCellCommand('edit', {}, { [`${i},0`]: 'value' }));
+  }
+
+  expect(history.bytes).toBeLessThanOrEqual(2000);
+  expect(history.undoStack.length).toBeLessThan(50);
+  expect(history.undoStack[history.undoStack.length - 1].command.changes[0].key).toBe('49,0');
+});
+
+test('restores deleted rows, their sizes and broken references on undo', () => {
+  const doc = {
+    cellData: { '0,0': '=A3', '2,0': 'gone', '4,0': '=A5*2' },
+    colWidths: new Map(),
+    rowHeights: new Map([[2, 40], [4, 30]]),
+  };
+  const result = deleteTracks(doc, 'row', 2, 1);
+  expect(result.doc.cellData).toEqual({ '0,0': '=#REF!', '3,0': '=A4*2' });
+  expect(result.doc.rowHeights.get(3)).toBe(30);
+
+  const command = createRemoveCommand('row', 2, 1, result);
+  const undone = applyCommand(result.doc, command, 'undo');
+  expect(undone.cellData).toEqual(doc.cellData);
+  expect([...undone.rowHeights]).toEqual(expect.arrayContaining([[2, 40], [4, 30]]));
+});
+
+test('hides and shows tracks, and carries hidden tracks through a delete and its undo', () => {
+  const doc = { cellData: {}, colWidths: new Map(), rowHeights: new Map(), hiddenCols: new Set([1]) };
+  const hide = createHiddenCommand('col', doc.hiddenCols, new Set([1, 3, 4]));
+  expect(hide.changes).toHaveLength(2);
+  const hidden = applyCommand(doc, hide, 'redo');
+  expect([...hidden.hiddenCols].sort()).toEqual([1, 3, 4]);
+  expect(applyCommand(hidden, hide, 'undo').hiddenCols).toEqual(new Set([1]));
+
+  const result = deleteTracks(hidden, 'col', 2, 2);
+  expect(result.doc.hiddenCols).toEqual(new Set([1, 2]));
+  const undone = applyCommand(result.doc, createRemoveCommand('col', 2, 2, result), 'undo');
+  expect(undone.hiddenCols).toEqual(new Set([1, 3, 4]));
+});
@@ -0,0 +1,211 @@
+// NavigationHelper.js - Keyboard movement over the grid: data edges, pages, ranges and Go To
+//
+// Cells are { r, c }. Tracks hidden by hand or filtered out are passed as Sets and skipped,
+// the way the arrow keys skip them.
+
+import { parseCellReference, parseRangeReference } from './FormulaHelper';
+import { stepVisibleTrack } from './ResizeHelper';
+
+const isFilled = (cellData, r, c) => cellData[`${r},${c}`] !== undefined && cellData[`${r},${c}`] !== '';
+
+/**
+ * Finds where Ctrl+Arrow lands: the far end of the block of data the cell is in, or else the
+ * next cell with data, or else the edge of the sheet
+ * @param {Object} cellData - Raw cell contents keyed by "row,col"
+ * @param {Object} cell - { r, c } to start from
+ * @param {string} axis - 'row' to move up or down a column, 'col' to move along a row
+ * @param {number} step - 1 or -1
+ * @param {Set<number>} hidden - Hidden tracks on that axis
+ * @param {number} total - Number of tracks on that axis
+ * @returns {number} Index of the row or column to land on
+ */
+export const getDataEdge = (cellData, cell, axis, step, hidden, total) => {
+  const filled = (i) => (axis === 'row' ? isFilled(cellData, i, cell.c) : isFilled(cellData, cell.r, i));
+  let current = axis === 'row' ? cell.r : cell.c;
+  let next = stepVisibleTrack(current, step, hidden, total);
+
+  if (filled(current) && filled(next)) {
+    while (next !== current && filled(next)) {
+      current = next;
+      next = stepVisibleTrack(current, step, hidden, total);
+    }
+    return current;
+  }
+
+  while (next !== current) {
+    current = next;
+    if (filled(current)) return current;
+    next = stepVisibleTrack(current, step, hidden, total);
+  }
+  return current;
+};
+
+/**
+ * Finds the last column with data in a row, for End
+ * @param {Object} cellData - Raw cell contents
+ * @param {number} row - Row index
+ * @returns {number} Column index, or -1 when the row is empty
+ */
+export const getRowEnd = (cellData, row) => {
+  let end = -1;
+  for (const key in cellData) {
+    if (cellData[key] === '' || cellData[key] === undefined) continue;
+    const [r, c] = key.split(',').map(Number);
+    if (r === row && c > end) end = c;
+  }
+  return end;
+};
+
+/**
+ * Finds where PageUp / PageDown lands: as many tracks away as fill the viewport
+ * @param {number} index - Track to start from
+ * @param {number} step - 1 or -1
+ * @param {Map<number, number>} layout - Track sizes, zero for hidden tracks
+ * @param {Set<number>} hidden - Hidden tracks
+ * @param {number} total - Number of tracks
+ * @param {number} viewport - Pixels to travel at most
+ * @param {number} defaultSize - Size of tracks missing from the layout
+ * @returns {number} Index of a visible track
+ */
+export const getPageTarget = (index, step, layout, hidden, total, viewport, defaultSize) => {
+  let travelled = 0;
+  let i = index;
+  while (i + step >= 0 && i + step < total) {
+    const size = layout.get(i) ?? defaultSize;
+    if (travelled + size > viewport) break;
+    travelled += size;
+    i += step;
+  }
+  if (!hidden.has(i)) return i;
+  const next = stepVisibleTrack(i, step, hidden, total);
+  return next !== i ? next : stepVisibleTrack(i, -step, hidden, total);
+};
+
+/**
+ * Finds the corner of a selection that Shift+movement drags: the one opposite the active cell
+ * @param {Object} selection - { startRow, startCol, endRow, endCol }
+ * @param {Object} active - { r, c } of the active cell, which stays put
+ * @returns {Object} { r, c } of the moving corner
+ */
+export const getMovingCorner = (selection, active) => ({
+  r: active.r === selection.startRow ? selection.endRow : selection.startRow,
+  c: active.c === selection.startCol ? selection.endCol : selection.startCol,
+});
+
+/**
+ * Builds the selection spanned by the active cell and a corner
+ * @param {Object} active - { r, c }
+ * @param {Object} corner - { r, c }
+ * @returns {Object} { startRow, startCol, endRow, endCol, isRange }
+ */
+export const spanSelection = (active, corner) => ({
+  startRow: Math.min(active.r, corner.r),
+  startCol: Math.min(active.c, corner.c),
+  endRow: Math.max(active.r, corner.r),
+  endCol: Math.max(active.c, corner.c),
+  isRange: active.r !== corner.r || active.c !== corner.c,
+});
+
+/**
+ * Moves the active cell inside a selected range, as Tab and Enter do: along the row (or down
+ * the column), on to the next one at the end, and back to the first cell after the last
+ * @param {Object} selection - { startRow, startCol, endRow, endCol }
+ * @param {Object} active - { r, c }
+ * @param {string} axis - 'col' for Tab, 'row' for Enter
+ * @param {number} step - 1 or -1 (with Shift)
+ * @returns {Object} { r, c } of the new active cell
+ */
+export const moveWithinSelection = (selection, active, axis, step) => {
+  const { startRow, startCol, endRow, endCol } = selection;
+  let { r, c } = active;
+  if (axis === 'col') {
+    c += step;
+    if (c > endCol) {
+      c = startCol;
+      r = r >= endRow ? startRow : r + 1;
+    } else if (c < startCol) {
+      c = endCol;
+      r = r <= startRow ? endRow : r - 1;
+    }
+  } else {
+    r += step;
+    if (r > endRow) {
+      r = startRow;
+      c = c >= endCol ? startCol : c + 1;
+    } else if (r < startRow) {
+      r = endRow;
+      c = c <= startCol ? endCol : c - 1;
+    }
+  }
+  return { r, c };
+};
+
+// Where Enter, Shift+Enter, Tab and Shift+Tab move the active cell: [axis, step]
+const ENTRY_MOVES = { down: ['row', 1], up: ['row', -1], right: ['col', 1], left: ['col', -1] };
+
+/**
+ * Finds the cell Enter or Tab moves to: the next visible one, or inside a selected range the
+ * next cell of the range
+ * @param {Object} selection - { startRow, startCol, endRow, endCol, isRange }
+ * @param {Object} active - { r, c }
+ * @param {string} direction - 'down', 'up', 'right' or 'left'
+ * @param {Set<number>} hiddenRows - Hidden rows
+ * @param {Set<number>} hiddenCols - Hidden columns
+ * @param {number} totalRows - Rows in the grid
+ * @param {number} totalCols - Columns in the grid
+ * @returns {Object} { r, c } of the new active cell
+ */
+export const getEntryTarget = (selection, active, direction, hiddenRows, hiddenCols, totalRows, totalCols) => {
+  const [axis, step] = ENTRY_MOVES[direction];
+  if (selection.isRange) return moveWithinSelection(selection, active, axis, step);
+  return axis === 'row'
+    ? { ...active, r: stepVisibleTrack(active.r, step, hiddenRows, totalRows) }
+    : { ...active, c: stepVisibleTrack(active.c, step, hiddenCols, totalCols) };
+};
+
+// "C:E" or "3:7": whole columns or rows
+const parseTrackRange = (text, totalRows, totalCols) => {
+  const cols = /^([A-Za-z]{1,3}):([A-Za-z]{1,3})$/.exec(text);
+  if (cols) {
+    const [a, b] = [cols[1], cols[2]].map((letters) => parseCellReference(`${letters}1`).c);
+    return { startRow: 0, endRow: totalRows - 1, startCol: Math.min(a, b), endCol: Math.max(a, b) };
+  }
+  const rows = /^(\d+):(\d+)$/.exec(text);
+  if (rows) {
+    const [a, b] = [rows[1], rows[2]].map((digits) => Number(digits) - 1);
+    if (a < 0 || b < 0) return null;
+    return { startRow: Math.min(a, b), endRow: Math.max(a, b), startCol: 0, endCol: totalCols - 1 };
+  }
+  return null;
+};
+
+/**
+ * Parses a Go To / name box reference: "C42", "A1:D20", "C:E", "3:7", each optionally on
+ * another sheet ("Sheet2!B5", "'Q1 Sales'!A1:C3")
+ * @param {string} text - Reference text
+ * @param {number} totalRows - Rows in a sheet, for whole columns
+ * @param {number} totalCols - Columns in a sheet, for whole rows
+ * @returns {Object|null} { sheetName, range } with sheetName null for the active sheet, or null if invalid
+ */
+export const parseGoToReference = (text, totalRows, totalCols) => {
+  const trimmed = String(text).trim();
+  const bang = trimmed.lastIndexOf('!');
+  let sheetName = null;
+  if (bang !== -1) {
+    sheetName = trimmed.slice(0, bang);
+    if (/^'.+'$/.test(sheetName)) sheetName = sheetName.slice(1, -1).replace(/''/g, "'");
+    if (sheetName === '') return null;
+  }
+  const ref = trimmed.slice(bang + 1).replace(/\$/g, '');
+  const range = parseTrackRange(ref, totalRows, totalCols) || parseRangeReference(ref);
+  if (!range) return null;
+  return {
+    sheetName,
+    range: {
+      startRow: Math.min(range.startRow, totalRows - 1),
+      startCol: Math.min(range.startCol, totalCols - 1),
+      endRow: Math.min(range.endRow, totalRows - 1),
+      endCol: Math.min(range.endCol, totalCols - 1),
+    },
+  };
+};
@@ -0,0 +1,53 @@
+import {
+  getDataEdge,
+  getPageTarget,
+  getMovingCorner,
+  spanSelection,
+  moveWithinSelection,
+  parseGoToReference
+} from './NavigationHelper';
+
+test('getDataEdge stops at the ends of blocks of data and at the sheet edge', () => {
+  // Column A: rows 1-3 filled, a gap, row 7 filled
+  const cellData = { '0,0': 'a', '1,0': 'b', '2,0': 'c', '6,0': 'd' };
+  const none = new Set();
+  expect(getDataEdge(cellData, { r: 0, c: 0 }, 'row', 1, none, 100)).toBe(2);
+  expect(getDataEdge(cellData, { r: 2, c: 0 }, 'row', 1, none, 100)).toBe(6);
+  expect(getDataEdge(cellData, { r: 6, c: 0 }, 'row', 1, none, 100)).toBe(99);
+  expect(getDataEdge(cellData, { r: 6, c: 0 }, 'row', -1, none, 100)).toBe(2);
+  expect(getDataEdge(cellData, { r: 0, c: 0 }, 'col', 1, none, 10)).toBe(9);
+  // A hidden row inside the block is passed over
+  expect(getDataEdge(cellData, { r: 0, c: 0 }, 'row', 1, new Set([1]), 100)).toBe(2);
+});
+
+test('getPageTarget moves a viewport of tracks and lands on a visible one', () => {
+  const layout = new Map([[3, 0]]);
+  expect(getPageTarget(0, 1, new Map(), new Set(), 100, 240, 24)).toBe(10);
+  expect(getPageTarget(5, -1, new Map(), new Set(), 100, 240, 24)).toBe(0);
+  expect(getPageTarget(0, 1, layout, new Set([3]), 100, 72, 24)).toBe(4);
+});
+
+test('Shift movement drags the corner opposite the active cell', () => {
+  const selection = { startRow: 2, startCol: 1, endRow: 5, endCol: 4, isRange: true };
+  expect(getMovingCorner(selection, { r: 5, c: 1 })).toEqual({ r: 2, c: 4 });
+  expect(spanSelection({ r: 5, c: 1 }, { r: 1, c: 4 })).toEqual({ startRow: 1, startCol: 1, endRow: 5, endCol: 4, isRange: true });
+  expect(spanSelection({ r: 5, c: 1 }, { r: 5, c: 1 }).isRange).toBe(false);
+});
+
+test('Tab and Enter cycle through a selected range', () => {
+  const selection = { startRow: 0, startCol: 0, endRow: 1, endCol: 1 };
+  expect(moveWithinSelection(selection, { r: 0, c: 1 }, 'col', 1)).toEqual({ r: 1, c: 0 });
+  expect(moveWithinSelection(selection, { r: 1, c: 1 }, 'col', 1)).toEqual({ r: 0, c: 0 });
+  expect(moveWithinSelection(selection, { r: 0, c: 0 }, 'col', -1)).toEqual({ r: 1, c: 1 });
+  expect(moveWithinSelection(selection, { r: 1, c: 0 }, 'row', 1)).toEqual({ r: 0, c: 1 });
+});
+
+test('parseGoToReference reads cells, ranges, whole tracks and sheet names', () => {
+  expect(parseGoToReference('c42', 100, 10)).toEqual({ sheetName: null, range: { startRow: 41, startCol: 2, endRow: 41, endCol: 2 } });
+  expect(parseGoToReference('C:B', 100, 10).range).toEqual({ startRow: 0, startCol: 1, endRow: 99, endCol: 2 });
+  expect(parseGoToReference('3:5', 100, 10).range).toEqual({ startRow: 2, startCol: 0, endRow: 4, endCol: 9 });
+  expect(parseGoToReference("'Q1 ''Sales'''!$A$1:B2", 100, 10).sheetName).toBe("Q1 'Sales'");
+  expect(parseGoToReference('Sheet2!A1', 100, 10).sheetName).toBe('Sheet2');
+  expect(parseGoToReference('!A1', 100, 10)).toBeNull();
+  expect(parseGoToReference('nonsense', 100, 10)).toBeNull();
+});
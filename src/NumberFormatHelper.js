@@ -0,0 +1,560 @@
+// NumberFormatHelper.js - Excel-style number formats: display formatting and typed input parsing
+//
+// A cell's number format is the numFmt property of its style (see StyleHelper). The raw value
+// stays a plain number ("0.12", "46314") and the format only decides how it is shown.
+// Dates and times are Excel serial numbers: whole days since 1899-12-30 plus the time as a fraction.
+//
+// Supported format codes: up to four sections (positive;negative;zero;text), 0 # ? placeholders,
+// thousands separators and scaling commas, %, E+00, quoted and escaped literals, _x spacing,
+// [Red]-style colours, [$€-407] currency symbols, @ for text and the date/time codes
+// y m d h s AM/PM plus [h] [m] [s] for elapsed time.
+
+import { isFormula, getCellValue, getCellDisplayValue } from './FormulaHelper';
+
+export const GENERAL_FORMAT = 'General';
+
+// Presets offered by the toolbar; anything else can be typed as a custom format
+export const NUMBER_FORMATS = [
+  { format: GENERAL_FORMAT, label: 'General' },
+  { format: '#,##0.00', label: 'Number (1,234.57)' },
+  { format: '$#,##0.00', label: 'Currency ($1,234.57)' },
+  { format: '#,##0.00;[Red](#,##0.00)', label: 'Accounting (negatives in red)' },
+  { format: '0.00%', label: 'Percent (12.35%)' },
+  { format: '0.00E+00', label: 'Scientific (1.23E+03)' },
+  { format: 'yyyy-mm-dd', label: 'Date (2026-10-19)' },
+  { format: 'd mmm yyyy', label: 'Date (19 Oct 2026)' },
+  { format: 'h:mm AM/PM', label: 'Time (3:45 PM)' },
+  { format: 'yyyy-mm-dd h:mm', label: 'Date and time' },
+  { format: '@', label: 'Text' },
+];
+
+const COLORS = {
+  black: '#000000',
+  blue: '#0000ff',
+  cyan: '#00ffff',
+  green: '#008000',
+  magenta: '#ff00ff',
+  red: '#ff0000',
+  white: '#ffffff',
+  yellow: '#ffff00',
+};
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MS_PER_DAY = 86400000;
+const EPOCH_OFFSET = 25569; // serial number of 1970-01-01
+const OVERFLOW = '#######'; // what Excel shows for values a date format cannot represent
+
+// === Dates ===
+
+/**
+ * Converts a date to an Excel serial number
+ * @param {number} year - Full year
+ * @param {number} month - 1-12
+ * @param {number} day - 1-31
+ * @param {number} [seconds] - Seconds since midnight
+ * @returns {number|null} Serial number, or null for an invalid date
+ */
+export const dateToSerial = (year, month, day, seconds = 0) => {
+  const ms = Date.UTC(year, month - 1, day);
+  const date = new Date(ms);
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return ms / MS_PER_DAY + EPOCH_OFFSET + seconds / 86400;
+};
+
+const serialToParts = (serial) => {
+  const totalSeconds = Math.round(serial * 86400);
+  const date = new Date((Math.floor(totalSeconds / 86400) - EPOCH_OFFSET) * MS_PER_DAY);
+  const seconds = totalSeconds - Math.floor(totalSeconds / 86400) * 86400;
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    hours: Math.floor(seconds / 3600),
+    minutes: Math.floor(seconds / 60) % 60,
+    seconds: seconds % 60,
+    totalSeconds,
+  };
+};
+
+// === Parsing format codes ===
+
+const DATE_CODE = /^(y+|m+|d+|h+|s+|am\/pm|a\/p)/i;
+const compiled = new Map(); // format string -> sections
+
+// Splits a format into tokens: { type: 'literal' | 'digit' | 'point' | 'comma' | 'percent' |
+// 'exp' | 'text' | 'date' | 'elapsed', value }
+const tokenizeSection = (section) => {
+  const tokens = [];
+  let color = null;
+  let i = 0;
+  const literal = (value) => tokens.push({ type: 'literal', value });
+
+  while (i < section.length) {
+    const ch = section[i];
+    const rest = section.slice(i);
+
+    if (ch === '"') {
+      const end = section.indexOf('"', i + 1);
+      literal(section.slice(i + 1, end < 0 ? section.length : end));
+      i = end < 0 ? section.length : end + 1;
+    } else if (ch === '\\') {
+      literal(section[i + 1] || '');
+      i += 2;
+    } else if (ch === '_') {
+      literal(' ');
+      i += 2;
+    } else if (ch === '*') {
+      i += 2; // fill characters need the column width; they are left out
+    } else if (ch === '[') {
+      const end = section.indexOf(']', i);
+      const content = section.slice(i + 1, end < 0 ? section.length : end);
+      i = end < 0 ? section.length : end + 1;
+      if (COLORS[content.toLowerCase()]) {
+        color = COLORS[content.toLowerCase()];
+      } else if (/^(h+|m+|s+)$/i.test(content)) {
+        tokens.push({ type: 'elapsed', value: content.toLowerCase() });
+      } else if (content.startsWith('$')) {
+        literal(content.slice(1).split('-')[0]);
+      }
+      // Conditions and locale codes are ignored
+    } else if ('0#?'.includes(ch)) {
+      tokens.push({ type: 'digit', value: ch });
+      i++;
+    } else if (ch === '.') {
+      tokens.push({ type: 'point' });
+      i++;
+    } else if (ch === ',') {
+      tokens.push({ type: 'comma' });
+      i++;
+    } else if (ch === '%') {
+      tokens.push({ type: 'percent' });
+      i++;
+    } else if (/^e[+-]/i.test(rest)) {
+      tokens.push({ type: 'exp', value: rest[1] });
+      i += 2;
+    } else if (ch === '@') {
+      tokens.push({ type: 'text' });
+      i++;
+    } else if (DATE_CODE.test(rest)) {
+      const code = DATE_CODE.exec(rest)[0];
+      tokens.push({ type: 'date', value: code.toLowerCase() });
+      i += code.length;
+    } else {
+      literal(ch);
+      i++;
+    }
+  }
+
+  // "m" means minutes right after an hour or right before a second, months otherwise
+  const dateTokens = tokens.filter((token) => token.type === 'date' || token.type === 'elapsed');
+  dateTokens.forEach((token, j) => {
+    if (token.type !== 'date' || token.value[0] !== 'm' || token.value.length > 2) return;
+    const prev = dateTokens[j - 1];
+    const next = dateTokens[j + 1];
+    if ((prev && prev.value[0] === 'h') || (next && next.value[0] === 's')) token.minutes = true;
+  });
+
+  return { tokens, color };
+};
+
+const compileSection = (text) => {
+  const { tokens, color } = tokenizeSection(text);
+  const kind = tokens.some((t) => t.type === 'date' || t.type === 'elapsed')
+    ? 'date'
+    : tokens.some((t) => t.type === 'digit')
+      ? 'number'
+      : tokens.some((t) => t.type === 'text')
+        ? 'text'
+        : 'literal';
+  return { tokens, color, kind, twelveHour: tokens.some((t) => t.type === 'date' && t.value.includes('/')) };
+};
+
+const splitSections = (format) => {
+  const sections = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < format.length; i++) {
+    const ch = format[i];
+    if (ch === '"') quoted = !quoted;
+    if (ch === '\\' && !quoted) {
+      current += ch + (format[i + 1] || '');
+      i++;
+    } else if (ch === ';' && !quoted) {
+      sections.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  sections.push(current);
+  return sections;
+};
+
+const compileFormat = (format) => {
+  if (!compiled.has(format)) compiled.set(format, splitSections(format).map(compileSection));
+  return compiled.get(format);
+};
+
+// === Formatting ===
+
+const addGrouping = (digits) => digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+// Formats a non-negative number with a number section's placeholders
+const formatNumberSection = (section, value) => {
+  const { tokens } = section;
+  const pointIndex = tokens.findIndex((t) => t.type === 'point');
+  const expIndex = tokens.findIndex((t) => t.type === 'exp');
+  const mantissaEnd = expIndex < 0 ? tokens.length : expIndex;
+  const intEnd = pointIndex < 0 || pointIndex > mantissaEnd ? mantissaEnd : pointIndex;
+
+  const digitIndexes = tokens.map((t, i) => (t.type === 'digit' ? i : -1)).filter((i) => i >= 0);
+  const intPlaceholders = digitIndexes.filter((i) => i < intEnd);
+  const fracPlaceholders = digitIndexes.filter((i) => i > intEnd && i < mantissaEnd);
+  const expPlaceholders = digitIndexes.filter((i) => i > mantissaEnd);
+  const lastIntDigit = intPlaceholders[intPlaceholders.length - 1] ?? -1;
+
+  // A comma between integer placeholders groups thousands; commas right after them divide by 1000
+  let grouping = false;
+  let scale = 1;
+  tokens.forEach((t, i) => {
+    if (t.type !== 'comma' || i >= intEnd) return;
+    if (i > (intPlaceholders[0] ?? Infinity) && i < lastIntDigit) grouping = true;
+    else if (i > lastIntDigit && lastIntDigit >= 0) scale *= 1000;
+  });
+
+  let number = value / scale;
+  tokens.forEach((t) => {
+    if (t.type === 'percent') number *= 100;
+  });
+
+  let exponent = 0;
+  if (expIndex >= 0 && number !== 0) {
+    const intDigits = Math.max(1, intPlaceholders.length);
+    exponent = Math.floor(Math.log10(number)) - (intDigits - 1);
+    number /= 10 ** exponent;
+    // Rounding can carry into another digit (9.99 -> 10.0)
+    if (Number(number.toFixed(fracPlaceholders.length)) >= 10 ** intDigits) {
+      exponent += 1;
+      number /= 10;
+    }
+  }
+
+  const [intText, fracText = ''] = number.toFixed(fracPlaceholders.length).split('.');
+  const intDigits = intText === '0' ? '' : intText;
+
+  // Integer digits fill the placeholders from the right; the leftmost takes any extra digits
+  const output = tokens.map(() => '');
+  let remaining = intDigits;
+  for (let j = intPlaceholders.length - 1; j >= 0; j--) {
+    const index = intPlaceholders[j];
+    const placeholder = tokens[index].value;
+    if (j === 0) {
+      output[index] = remaining || (placeholder === '0' ? '0' : placeholder === '?' ? ' ' : '');
+    } else {
+      output[index] = remaining ? remaining.slice(-1) : placeholder === '0' ? '0' : placeholder === '?' ? ' ' : '';
+      remaining = remaining.slice(0, -1);
+    }
+  }
+  if (grouping && intPlaceholders.length) {
+    // Regroup the whole integer part, which then sits at the first placeholder
+    const whole = intPlaceholders.map((index) => output[index]).join('');
+    const grouped = addGrouping(whole.trim());
+    intPlaceholders.forEach((index, j) => {
+      output[index] = j === 0 ? grouped : '';
+    });
+  }
+
+  const lastSignificant = fracText.replace(/0+$/, '').length;
+  fracPlaceholders.forEach((index, j) => {
+    const placeholder = tokens[index].value;
+    output[index] = j < lastSignificant || placeholder === '0' ? fracText[j] : placeholder === '?' ? ' ' : '';
+  });
+
+  if (expIndex >= 0) {
+    const sign = exponent < 0 ? '-' : tokens[expIndex].value === '+' ? '+' : '';
+    output[expIndex] = `E${sign}`;
+    const expDigits = String(Math.abs(exponent)).padStart(expPlaceholders.length, '0');
+    expPlaceholders.forEach((index, j) => {
+      output[index] = j === 0 ? expDigits.slice(0, expDigits.length - expPlaceholders.length + 1) : expDigits[expDigits.length - expPlaceholders.length + j];
+    });
+  }
+
+  return tokens
+    .map((t, i) => {
+      switch (t.type) {
+        case 'digit':
+        case 'exp':
+          return output[i];
+        case 'point':
+          return i === intEnd ? '.' : '';
+        case 'percent':
+          return '%';
+        case 'comma':
+          return '';
+        case 'literal':
+          return t.value;
+        default:
+          return '';
+      }
+    })
+    .join('');
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const formatDateSection = (section, serial) => {
+  if (serial < 0 || serial >= 2958466) return OVERFLOW; // before 1900 or after 9999
+  const parts = serialToParts(serial);
+  const hours12 = parts.hours % 12 === 0 ? 12 : parts.hours % 12;
+
+  return section.tokens
+    .map((t) => {
+      if (t.type === 'literal') return t.value;
+      if (t.type === 'point' || t.type === 'comma' || t.type === 'percent') return { point: '.', comma: ',', percent: '%' }[t.type];
+      if (t.type === 'digit') return t.value === '0' ? '0' : '';
+      if (t.type === 'elapsed') {
+        if (t.value[0] === 'h') return String(Math.floor(parts.totalSeconds / 3600)).padStart(t.value.length, '0');
+        if (t.value[0] === 'm') return String(Math.floor(parts.totalSeconds / 60)).padStart(t.value.length, '0');
+        return String(parts.totalSeconds).padStart(t.value.length, '0');
+      }
+      if (t.type !== 'date') return '';
+
+      const code = t.value;
+      if (code === 'am/pm') return parts.hours < 12 ? 'AM' : 'PM';
+      if (code === 'a/p') return parts.hours < 12 ? 'A' : 'P';
+      switch (code[0]) {
+        case 'y':
+          return code.length <= 2 ? pad2(parts.year % 100) : String(parts.year);
+        case 'm':
+          if (t.minutes) return code.length === 1 ? String(parts.minutes) : pad2(parts.minutes);
+          if (code.length === 1) return String(parts.month + 1);
+          if (code.length === 2) return pad2(parts.month + 1);
+          if (code.length === 3) return MONTHS[parts.month].slice(0, 3);
+          if (code.length === 5) return MONTHS[parts.month][0];
+          return MONTHS[parts.month];
+        case 'd':
+          if (code.length === 1) return String(parts.day);
+          if (code.length === 2) return pad2(parts.day);
+          if (code.length === 3) return DAYS[parts.weekday].slice(0, 3);
+          return DAYS[parts.weekday];
+        case 'h': {
+          const hours = section.twelveHour ? hours12 : parts.hours;
+          return code.length === 1 ? String(hours) : pad2(hours);
+        }
+        case 's':
+          return code.length === 1 ? String(parts.seconds) : pad2(parts.seconds);
+        default:
+          return '';
+      }
+    })
+    .join('');
+};
+
+const formatTextSection = (section, text) =>
+  section.tokens.map((t) => (t.type === 'text' ? text : t.type === 'literal' ? t.value : '')).join('');
+
+/**
+ * Formats a typed value with a number format
+ * @param {*} value - Number, string, boolean or null
+ * @param {string} format - Excel-style format code
+ * @returns {Object} { text, color } - color is null unless the format picks one
+ */
+export const formatValue = (value, format) => {
+  if (value === null || value === undefined) return { text: '', color: null };
+  if (!format || format === GENERAL_FORMAT || typeof value === 'boolean') {
+    return { text: typeof value === 'boolean' ? (value ? 'TRUE' : 'FALSE') : String(value), color: null };
+  }
+
+  const sections = compileFormat(format);
+
+  if (typeof value !== 'number') {
+    // Text uses the fourth section, or a lone section containing @
+    const textSection = sections[3] || (sections.length === 1 && sections[0].kind === 'text' ? sections[0] : null);
+    return textSection ? { text: formatTextSection(textSection, value), color: textSection.color } : { text: String(value), color: null };
+  }
+
+  let section = sections[0];
+  let number = value;
+  let sign = '';
+  if (value < 0 && sections.length > 1 && sections[1].tokens.length > 0) {
+    section = sections[1];
+    number = -value;
+  } else if (value === 0 && sections.length > 2) {
+    section = sections[2];
+  } else if (value < 0) {
+    sign = '-';
+    number = -value;
+  }
+
+  let text;
+  if (section.kind === 'date') {
+    if (sign) return { text: OVERFLOW, color: section.color };
+    text = formatDateSection(section, number);
+  } else if (section.kind === 'number') {
+    text = formatNumberSection(section, number);
+    // No minus sign for values that round to zero
+    if (sign && /[1-9]/.test(text)) text = sign + text;
+  } else if (section.kind === 'text') {
+    text = formatTextSection(section, String(value));
+  } else {
+    text = section.tokens.map((t) => (t.type === 'literal' ? t.value : '')).join('');
+  }
+  return { text, color: section.color };
+};
+
+/**
+ * True for formats that show dates or times
+ * @param {string} format - Format code
+ * @returns {boolean}
+ */
+export const isDateFormat = (format) => Boolean(format) && format !== GENERAL_FORMAT && compileFormat(format)[0].kind === 'date';
+
+const hasTextSection = (format) => {
+  if (!format || format === GENERAL_FORMAT) return false;
+  const sections = compileFormat(format);
+  return Boolean(sections[3]) || (sections.length === 1 && sections[0].kind === 'text');
+};
+
+const isPercentFormat = (format) =>
+  Boolean(format) && compileFormat(format)[0].kind === 'number' && compileFormat(format)[0].tokens.some((t) => t.type === 'percent');
+
+/**
+ * Returns what to paint for a cell: formatted text for numbers with a number format, the
+ * display value otherwise
+ * @param {Object} cellData - Raw cell contents
+ * @param {Object} computedData - Computed formula values
+ * @param {Object} cellStyles - Style store
+ * @param {string} key - "row,col"
+ * @returns {Object} { text, color, isNumber }
+ */
+export const getFormattedCell = (cellData, computedData, cellStyles, key) => {
+  const numFmt = cellStyles && cellStyles[key] ? cellStyles[key].numFmt : undefined;
+  const value = getCellValue(cellData, computedData, key);
+  const isNumber = typeof value === 'number';
+  // Errors, booleans and text without a text section keep their usual display
+  if (isNumber || (typeof value === 'string' && hasTextSection(numFmt))) {
+    return { ...formatValue(value, numFmt), isNumber };
+  }
+  return { text: getCellDisplayValue(cellData, computedData, key), color: null, isNumber };
+};
+
+// Hides quoted text, escapes and [...] blocks so their characters are not read as placeholders
+const maskLiterals = (section) =>
+  section.replace(/"[^"]*"?|\\.|_.|\*.|\[[^\]]*\]?/g, (literal) => '\u0001'.repeat(literal.length));
+
+/**
+ * Adds or removes one decimal place in every number section of a format, as the toolbar's
+ * increase / decrease decimal buttons do
+ * @param {string} format - Current format (General when unset)
+ * @param {number} delta - +1 or -1
+ * @returns {string} New format
+ */
+export const changeDecimals = (format, delta) => {
+  if (!format || format === GENERAL_FORMAT) return delta > 0 ? '0.0' : '0';
+  return splitSections(format)
+    .map((section) => {
+      if (compileSection(section).kind !== 'number') return section;
+      const match = /[0#?,]*[0#?](\.[0#?]*)?/.exec(maskLiterals(section));
+      if (!match) return section;
+      const end = match.index + match[0].length;
+      const decimals = match[1] ? match[1].length - 1 : 0;
+      let digits = section.slice(match.index, end);
+      if (delta > 0) {
+        digits = match[1] ? `${digits}0` : `${digits}.0`;
+      } else if (decimals > 1) {
+        digits = digits.slice(0, -1);
+      } else if (match[1]) {
+        digits = digits.slice(0, -match[1].length);
+      }
+      return section.slice(0, match.index) + digits + section.slice(end);
+    })
+    .join(';');
+};
+
+// === Typed input ===
+
+const NUMBER = '(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d*)?|\\.\\d+';
+const PERCENT_INPUT = new RegExp(`^([+-]?)(${NUMBER})\\s*%$`);
+const CURRENCY_INPUT = new RegExp(`^([+-]?)([$€£])\\s*(${NUMBER})$`);
+const GROUPED_INPUT = /^([+-]?)(\d{1,3}(?:,\d{3})+(?:\.\d*)?)$/;
+const ISO_DATE_INPUT = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const US_DATE_INPUT = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const TIME_INPUT = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i;
+
+const decimalsOf = (text) => (text.includes('.') ? text.split('.')[1].length : 0);
+const withDecimals = (base, decimals) => (decimals > 0 ? `${base}.${'0'.repeat(decimals)}` : base);
+const toRaw = (number) => String(parseFloat(number.toPrecision(15)));
+const toNumber = (text) => parseFloat(text.replace(/,/g, ''));
+
+/**
+ * Recognises input such as "12%", "$1,200.50", "1,234", "2026-10-19", "10/19/2026" or "9:30 PM"
+ * and turns it into a plain number plus the format that shows it the way it was typed
+ * @param {string} text - Typed text
+ * @returns {Object|null} { raw, numFmt }, or null if the text is stored as typed
+ */
+export const parseTypedInput = (text) => {
+  const input = text.trim();
+  let match;
+
+  if ((match = PERCENT_INPUT.exec(input))) {
+    const number = toNumber(match[2]) / 100;
+    return { raw: toRaw(match[1] === '-' ? -number : number), numFmt: withDecimals('0', decimalsOf(match[2])) + '%' };
+  }
+  if ((match = CURRENCY_INPUT.exec(input))) {
+    const number = toNumber(match[3]);
+    return { raw: toRaw(match[1] === '-' ? -number : number), numFmt: withDecimals(`${match[2]}#,##0`, decimalsOf(match[3])) };
+  }
+  if ((match = GROUPED_INPUT.exec(input))) {
+    const number = toNumber(match[2]);
+    return { raw: toRaw(match[1] === '-' ? -number : number), numFmt: withDecimals('#,##0', decimalsOf(match[2])) };
+  }
+  if ((match = ISO_DATE_INPUT.exec(input))) {
+    const [, year, month, day, hours, minutes, seconds] = match;
+    const time = hours === undefined ? 0 : Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds || 0);
+    if (hours !== undefined && (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds || 0) > 59)) return null;
+    const serial = dateToSerial(Number(year), Number(month), Number(day), time);
+    if (serial === null) return null;
+    const numFmt = hours === undefined ? 'yyyy-mm-dd' : seconds === undefined ? 'yyyy-mm-dd h:mm' : 'yyyy-mm-dd h:mm:ss';
+    return { raw: toRaw(serial), numFmt };
+  }
+  if ((match = US_DATE_INPUT.exec(input))) {
+    const serial = dateToSerial(Number(match[3]), Number(match[1]), Number(match[2]));
+    return serial === null ? null : { raw: toRaw(serial), numFmt: 'm/d/yyyy' };
+  }
+  if ((match = TIME_INPUT.exec(input))) {
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const seconds = Number(match[3] || 0);
+    const meridiem = match[4] && match[4].toLowerCase();
+    if (meridiem && (hours < 1 || hours > 12)) return null;
+    if (meridiem) hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    const numFmt = `h:mm${match[3] !== undefined ? ':ss' : ''}${meridiem ? ' AM/PM' : ''}`;
+    return { raw: toRaw((hours * 3600 + minutes * 60 + seconds) / 86400), numFmt };
+  }
+  return null;
+};
+
+/**
+ * Text to put in the editor for a cell, so dates and percentages are edited the way they
+ * are shown rather than as serial numbers and fractions
+ * @param {*} raw - Raw cell content
+ * @param {string} [numFmt] - The cell's number format
+ * @returns {string} Editor text
+ */
+export const getEditText = (raw, numFmt) => {
+  if (raw === undefined || raw === null) return '';
+  const text = String(raw);
+  if (!numFmt || isFormula(text) || !/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(text.trim())) return text;
+
+  const number = parseFloat(text);
+  if (isDateFormat(numFmt)) {
+    const hasDate = number >= 1;
+    const hasTime = Math.round((number % 1) * 86400) !== 0;
+    const editFormat = [hasDate || !hasTime ? 'yyyy-mm-dd' : '', hasTime ? 'h:mm:ss' : ''].filter(Boolean).join(' ');
+    return formatValue(number, editFormat).text;
+  }
+  if (isPercentFormat(numFmt)) return `${toRaw(number * 100)}%`;
+  return text;
+};
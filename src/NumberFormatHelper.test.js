@@ -0,0 +1,62 @@
+import { formatValue, parseTypedInput, getEditText, changeDecimals, dateToSerial } from './NumberFormatHelper';
+
+const text = (value, format) => formatValue(value, format).text;
+
+test('formats numbers with decimals, grouping, currency, percent and scientific notation', () => {
+  expect(text(1234.567, '#,##0.00')).toBe('1,234.57');
+  expect(text(30001, '$#,##0')).toBe('$30,001');
+  expect(text(0.1234, '0.0%')).toBe('12.3%');
+  expect(text(12345, '0.00E+00')).toBe('1.23E+04');
+  expect(text(0.5, '#.##')).toBe('.5');
+  expect(text(1234567, '#,##0,"K"')).toBe('1,235K');
+  expect(text(-0.001, '0.00')).toBe('0.00');
+  expect(text(7, '000')).toBe('007');
+  expect(text(1234.5, '[$€-407] #,##0.00')).toBe('€ 1,234.50');
+  expect(text('abc', '#,##0')).toBe('abc');
+});
+
+test('picks the section for negative, zero and text values, with its colour', () => {
+  const accounting = '#,##0.00;[Red](#,##0.00);"-";"Note: "@';
+  expect(formatValue(-1234.5, accounting)).toEqual({ text: '(1,234.50)', color: '#ff0000' });
+  expect(formatValue(1234.5, accounting)).toEqual({ text: '1,234.50', color: null });
+  expect(text(0, accounting)).toBe('-');
+  expect(text('late', accounting)).toBe('Note: late');
+  expect(text(-5, '0.0')).toBe('-5.0');
+});
+
+test('formats serial numbers as dates and times', () => {
+  const serial = dateToSerial(2026, 10, 19, 15 * 3600 + 4 * 60 + 5);
+  expect(text(serial, 'yyyy-mm-dd')).toBe('2026-10-19');
+  expect(text(serial, 'd mmm yyyy')).toBe('19 Oct 2026');
+  expect(text(serial, 'dddd, mmmm d')).toBe('Monday, October 19');
+  expect(text(serial, 'h:mm AM/PM')).toBe('3:04 PM');
+  expect(text(serial, 'hh:mm:ss')).toBe('15:04:05');
+  expect(text(1.5, '[h]:mm')).toBe('36:00');
+  expect(text(-1, 'yyyy-mm-dd')).toBe('#######');
+});
+
+test('parses typed input into numbers and the format that shows them', () => {
+  expect(parseTypedInput('12%')).toEqual({ raw: '0.12', numFmt: '0%' });
+  expect(parseTypedInput('-2.5%')).toEqual({ raw: '-0.025', numFmt: '0.0%' });
+  expect(parseTypedInput('$1,200.50')).toEqual({ raw: '1200.5', numFmt: '$#,##0.00' });
+  expect(parseTypedInput('1,234')).toEqual({ raw: '1234', numFmt: '#,##0' });
+  expect(parseTypedInput('2026-10-19')).toEqual({ raw: String(dateToSerial(2026, 10, 19)), numFmt: 'yyyy-mm-dd' });
+  expect(parseTypedInput('10/19/2026')).toEqual({ raw: String(dateToSerial(2026, 10, 19)), numFmt: 'm/d/yyyy' });
+  expect(parseTypedInput('6:00 pm')).toEqual({ raw: '0.75', numFmt: 'h:mm AM/PM' });
+  expect(parseTypedInput('2026-02-30')).toBeNull();
+  expect(parseTypedInput('12 apples')).toBeNull();
+  expect(parseTypedInput('42')).toBeNull();
+});
+
+test('edits dates and percentages the way they are shown, and steps decimals', () => {
+  expect(getEditText(String(dateToSerial(2026, 10, 19)), 'd mmm yyyy')).toBe('2026-10-19');
+  expect(getEditText('0.12', '0.00%')).toBe('12%');
+  expect(getEditText('=A1', '0.00%')).toBe('=A1');
+  expect(getEditText('1500', '#,##0')).toBe('1500');
+
+  expect(changeDecimals(undefined, 1)).toBe('0.0');
+  expect(changeDecimals('#,##0.00;[Red](#,##0.00)', 1)).toBe('#,##0.000;[Red](#,##0.000)');
+  expect(changeDecimals('0.0%', -1)).toBe('0%');
+  expect(changeDecimals('[$€-407] #,##0', 1)).toBe('[$€-407] #,##0.0');
+  expect(changeDecimals('yyyy-mm-dd', 1)).toBe('yyyy-mm-dd');
+});
@@ -0,0 +1,263 @@
+// PasteHelper.js - Pasting the grid's own copies: Paste Special and moving cut cells
+//
+// The internal clipboard keeps what a copy read from the sheet:
+//   { data, values, styles, sourceRows, sourceCols, ranges, sheetId, cut }
+// data holds the raw contents, values the computed values (formulas resolved) and styles the
+// cell styles, all as rows of the copied block. sourceRows and sourceCols give the sheet row
+// and column each row and column of the block came from, and ranges the copied ranges (more
+// than one for a multiple selection). Pasting copied cells shifts their formulas like a fill
+// does; pasting cut cells moves them, and references to them follow, onto another sheet too.
+
+import { FORMULA_ERRORS, isFormula, offsetFormula, moveFormulaReferences, toCellValue } from './FormulaHelper';
+
+export const PASTE_TYPES = ['all', 'values', 'formulas', 'formats'];
+export const PASTE_OPERATIONS = ['none', 'add', 'subtract', 'multiply', 'divide'];
+
+export const DEFAULT_PASTE_OPTIONS = { paste: 'all', operation: 'none', skipBlanks: false, transpose: false };
+
+const OPERATORS = { add: '+', subtract: '-', multiply: '*', divide: '/' };
+
+const toRaw = (number) => String(parseFloat(number.toPrecision(15)));
+
+// Raw content that shows a computed value
+const valueToRaw = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return toRaw(value);
+  return String(value);
+};
+
+/**
+ * Combines a pasted value with what a cell already holds, as Paste Special's operations do.
+ * Empty cells count as 0; text on either side is left alone, except that pasted text replaces
+ * the cell; a formula gets the operation appended.
+ * @param {string} [existing] - Raw content of the target cell
+ * @param {*} pasted - Computed value being pasted
+ * @param {string} operation - 'add', 'subtract', 'multiply' or 'divide'
+ * @returns {string|undefined} New raw content (undefined for an empty cell)
+ */
+export const combineValues = (existing, pasted, operation) => {
+  if (pasted === null || pasted === undefined || pasted === '') return existing;
+  if (typeof pasted !== 'number') return valueToRaw(pasted);
+  if (isFormula(existing)) return `=(${existing.slice(1)})${OPERATORS[operation]}${toRaw(pasted)}`;
+
+  const current = existing === undefined || existing === '' ? 0 : toCellValue(existing);
+  if (typeof current !== 'number') return existing;
+  switch (operation) {
+    case 'add': return toRaw(current + pasted);
+    case 'subtract': return toRaw(current - pasted);
+    case 'multiply': return toRaw(current * pasted);
+    case 'divide': return pasted === 0 ? FORMULA_ERRORS.DIV0 : toRaw(current / pasted);
+    default: return existing;
+  }
+};
+
+/**
+ * Pastes copied cells with the active cell as the top left corner
+ * @param {Object} doc - { cellData, cellStyles } of the sheet pasted into
+ * @param {Object} clip - Internal clipboard (see the top of this file)
+ * @param {Object} target - { r, c } of the top left cell
+ * @param {Object} options - { paste, operation, skipBlanks, transpose }: paste is one of
+ *   PASTE_TYPES, operation one of PASTE_OPERATIONS
+ * @param {number} totalRows - Rows in the grid
+ * @param {number} totalCols - Columns in the grid
+ * @returns {Object} { cellData, cellStyles, dataKeys, styleKeys, range, truncated }; range is
+ *   the pasted area and truncated is true when part of it fell off the sheet
+ */
+export const pasteClip = ({ cellData, cellStyles }, clip, target, options, totalRows, totalCols) => {
+  const { paste, operation, skipBlanks, transpose } = { ...DEFAULT_PASTE_OPTIONS, ...options };
+  const nextData = { ...cellData };
+  const nextStyles = { ...cellStyles };
+  const dataKeys = [];
+  const styleKeys = [];
+  const height = transpose ? clip.data[0].length : clip.data.length;
+  const width = transpose ? clip.data.length : clip.data[0].length;
+  const endRow = Math.min(target.r + height, totalRows) - 1;
+  const endCol = Math.min(target.c + width, totalCols) - 1;
+  const pastesContents = paste !== 'formats';
+  const pastesFormats = paste === 'all' || paste === 'formats';
+
+  for (let r = target.r; r <= endRow; r++) {
+    for (let c = target.c; c <= endCol; c++) {
+      const [i, j] = transpose ? [c - target.c, r - target.r] : [r - target.r, c - target.c];
+      const raw = clip.data[i][j];
+      if (skipBlanks && raw === '') continue;
+      const key = `${r},${c}`;
+
+      if (pastesContents) {
+        let content = raw;
+        if (paste === 'values' && isFormula(raw)) {
+          content = valueToRaw(clip.values[i][j]);
+        } else if (isFormula(raw) && clip.sourceRows) {
+          content = offsetFormula(raw, r - clip.sourceRows[i], c - clip.sourceCols[j]);
+        }
+        if (operation !== 'none') content = combineValues(cellData[key], clip.values[i][j], operation);
+
+        if (content === undefined || content === '') delete nextData[key];
+        else nextData[key] = content;
+        dataKeys.push(key);
+      }
+
+      if (pastesFormats) {
+        const style = clip.styles[i][j];
+        if (style) nextStyles[key] = style;
+        else delete nextStyles[key];
+        styleKeys.push(key);
+      }
+    }
+  }
+
+  return {
+    cellData: nextData,
+    cellStyles: nextStyles,
+    dataKeys,
+    styleKeys,
+    range: { startRow: target.r, startCol: target.c, endRow, endCol },
+    truncated: target.r + height > totalRows || target.c + width > totalCols,
+  };
+};
+
+/**
+ * Moves cut cells, contents and styles, so that the range's top left lands on the target.
+ * What was in the source and is not covered by the moved cells is cleared, and formulas on
+ * the sheet that referred to the moved cells follow them.
+ * @param {Object} doc - { cellData, cellStyles, sheetName }
+ * @param {Object} range - { startRow, startCol, endRow, endCol } being moved
+ * @param {Object} target - { r, c } of the new top left cell
+ * @returns {Object} { cellData, cellStyles, dataKeys, styleKeys, range } with range the new position
+ */
+export const moveCells = ({ cellData, cellStyles, sheetName }, range, target) => {
+  const rowDelta = target.r - range.startRow;
+  const colDelta = target.c - range.startCol;
+  const nextData = { ...cellData };
+  const nextStyles = { ...cellStyles };
+  const keys = new Set();
+
+  for (let r = range.startRow; r <= range.endRow; r++) {
+    for (let c = range.startCol; c <= range.endCol; c++) {
+      delete nextData[`${r},${c}`];
+      delete nextStyles[`${r},${c}`];
+      keys.add(`${r},${c}`);
+    }
+  }
+  for (let r = range.startRow; r <= range.endRow; r++) {
+    for (let c = range.startCol; c <= range.endCol; c++) {
+      const from = `${r},${c}`;
+      const to = `${r + rowDelta},${c + colDelta}`;
+      if (cellData[from] !== undefined && cellData[from] !== '') nextData[to] = cellData[from];
+      else delete nextData[to];
+      if (cellStyles[from]) nextStyles[to] = cellStyles[from];
+      else delete nextStyles[to];
+      keys.add(to);
+    }
+  }
+
+  const dataKeys = [...keys];
+  for (const key in nextData) {
+    if (!isFormula(nextData[key])) continue;
+    const moved = moveFormulaReferences(nextData[key], range, rowDelta, colDelta, { ownSheet: sheetName, movedSheet: sheetName });
+    if (moved === nextData[key]) continue;
+    nextData[key] = moved;
+    if (!keys.has(key)) dataKeys.push(key);
+  }
+
+  return {
+    cellData: nextData,
+    cellStyles: nextStyles,
+    dataKeys,
+    styleKeys: [...keys],
+    range: { startRow: target.r, startCol: target.c, endRow: range.endRow + rowDelta, endCol: range.endCol + colDelta },
+  };
+};
+
+/**
+ * Moves cut cells, contents and styles, from one sheet to another so that the range's top
+ * left lands on the target. Moved formulas keep reading the cells they read before, and
+ * formulas on both sheets that referred to the moved cells follow them.
+ * @param {Object} from - { cellData, cellStyles, sheetName } of the sheet the cells were cut on
+ * @param {Object} to - The same for the sheet they are pasted on
+ * @param {Object} range - { startRow, startCol, endRow, endCol } being moved
+ * @param {Object} target - { r, c } of the new top left cell
+ * @returns {Object} { from, to }: { cellData, cellStyles, dataKeys, styleKeys } for each sheet,
+ *   and range, the new position, for `to`
+ */
+export const moveCellsToSheet = (from, to, range, target) => {
+  const rowDelta = target.r - range.startRow;
+  const colDelta = target.c - range.startCol;
+  const sheets = { movedSheet: from.sheetName, toSheet: to.sheetName };
+  const fromData = { ...from.cellData };
+  const fromStyles = { ...from.cellStyles };
+  const toData = { ...to.cellData };
+  const toStyles = { ...to.cellStyles };
+  const cutKeys = [];
+  const pastedKeys = new Set();
+
+  for (let r = range.startRow; r <= range.endRow; r++) {
+    for (let c = range.startCol; c <= range.endCol; c++) {
+      const key = `${r},${c}`;
+      const pasted = `${r + rowDelta},${c + colDelta}`;
+      const raw = from.cellData[key];
+      if (raw === undefined || raw === '') delete toData[pasted];
+      else toData[pasted] = isFormula(raw)
+        ? moveFormulaReferences(raw, range, rowDelta, colDelta, { ...sheets, ownSheet: from.sheetName, hostSheet: to.sheetName })
+        : raw;
+      if (from.cellStyles[key]) toStyles[pasted] = from.cellStyles[key];
+      else delete toStyles[pasted];
+      delete fromData[key];
+      delete fromStyles[key];
+      cutKeys.push(key);
+      pastedKeys.add(pasted);
+    }
+  }
+
+  const fromKeys = [...cutKeys];
+  for (const key in fromData) {
+    if (!isFormula(fromData[key])) continue;
+    const moved = moveFormulaReferences(fromData[key], range, rowDelta, colDelta, { ...sheets, ownSheet: from.sheetName });
+    if (moved === fromData[key]) continue;
+    fromData[key] = moved;
+    fromKeys.push(key);
+  }
+
+  const toKeys = [...pastedKeys];
+  for (const key in toData) {
+    if (pastedKeys.has(key) || !isFormula(toData[key])) continue;
+    const moved = moveFormulaReferences(toData[key], range, rowDelta, colDelta, { ...sheets, ownSheet: to.sheetName });
+    if (moved === toData[key]) continue;
+    toData[key] = moved;
+    toKeys.push(key);
+  }
+
+  return {
+    from: { cellData: fromData, cellStyles: fromStyles, dataKeys: fromKeys, styleKeys: cutKeys },
+    to: {
+      cellData: toData,
+      cellStyles: toStyles,
+      dataKeys: toKeys,
+      styleKeys: [...pastedKeys],
+      range: { startRow: target.r, startCol: target.c, endRow: range.endRow + rowDelta, endCol: range.endCol + colDelta },
+    },
+  };
+};
+
+/**
+ * Points another sheet's references to moved cells at their new position
+ * @param {Object} cellData - Cell data of the sheet holding the formulas
+ * @param {string} sheetName - Name of that sheet
+ * @param {string} movedSheet - Name of the sheet the cells moved on
+ * @param {Object} range - The range before the move
+ * @param {Object} target - { r, c } it moved to
+ * @param {string} [toSheet] - Name of the sheet the cells moved to, when not movedSheet
+ * @returns {Object} cellData with adjusted formulas (the same object if nothing changed)
+ */
+export const moveSheetReferences = (cellData, sheetName, movedSheet, range, target, toSheet = movedSheet) => {
+  let result = cellData;
+  for (const key in cellData) {
+    if (!isFormula(cellData[key])) continue;
+    const moved = moveFormulaReferences(cellData[key], range, target.r - range.startRow, target.c - range.startCol, { ownSheet: sheetName, movedSheet, toSheet });
+    if (moved === cellData[key]) continue;
+    if (result === cellData) result = { ...cellData };
+    result[key] = moved;
+  }
+  return result;
+};
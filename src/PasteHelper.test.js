@@ -0,0 +1,88 @@
+import { combineValues, pasteClip, moveCells, moveCellsToSheet, moveSheetReferences } from './PasteHelper';
+
+// B1:C2 holding 1, =B1*2 / '', 'x' with B1 bold
+const clip = {
+  data: [['1', '=B1*2'], ['', 'x']],
+  values: [[1, 2], [null, 'x']],
+  styles: [[{ bold: true }, undefined], [undefined, undefined]],
+  sourceRows: [0, 1],
+  sourceCols: [1, 2],
+};
+const doc = { cellData: { '5,0': '10', '6,0': 'keep', '5,1': '=A1' }, cellStyles: { '6,0': { italic: true } } };
+
+test('pasteClip pastes all, values, formulas or formats, shifting formulas', () => {
+  const all = pasteClip(doc, clip, { r: 5, c: 0 }, {}, 100, 100);
+  expect(all.cellData).toMatchObject({ '5,0': '1', '5,1': '=A6*2', '6,1': 'x' });
+  expect(all.cellData['6,0']).toBeUndefined();
+  expect(all.cellStyles).toEqual({ '5,0': { bold: true } });
+  expect(all.range).toEqual({ startRow: 5, startCol: 0, endRow: 6, endCol: 1 });
+
+  expect(pasteClip(doc, clip, { r: 5, c: 0 }, { paste: 'values' }, 100, 100).cellData['5,1']).toBe('2');
+  const formulas = pasteClip(doc, clip, { r: 5, c: 0 }, { paste: 'formulas' }, 100, 100);
+  expect(formulas.cellData['5,1']).toBe('=A6*2');
+  expect(formulas.cellStyles).toEqual(doc.cellStyles);
+  const formats = pasteClip(doc, clip, { r: 5, c: 0 }, { paste: 'formats' }, 100, 100);
+  expect(formats.cellData).toEqual(doc.cellData);
+  expect(formats.cellStyles).toEqual({ '5,0': { bold: true } });
+});
+
+test('pasteClip skips blanks, transposes, combines values and reports truncation', () => {
+  const skipped = pasteClip(doc, clip, { r: 5, c: 0 }, { skipBlanks: true }, 100, 100);
+  expect(skipped.cellData['6,0']).toBe('keep');
+  expect(skipped.cellStyles['6,0']).toEqual({ italic: true });
+
+  const transposed = pasteClip({ cellData: {}, cellStyles: {} }, clip, { r: 0, c: 0 }, { paste: 'values', transpose: true }, 100, 100);
+  expect(transposed.cellData).toEqual({ '0,0': '1', '1,0': '2', '1,1': 'x' });
+
+  const added = pasteClip(doc, clip, { r: 5, c: 0 }, { paste: 'values', operation: 'add' }, 100, 100);
+  expect(added.cellData).toMatchObject({ '5,0': '11', '5,1': '=(A1)+2', '6,0': 'keep', '6,1': 'x' });
+
+  const cut = pasteClip(doc, clip, { r: 99, c: 99 }, {}, 100, 100);
+  expect(cut.truncated).toBe(true);
+  expect(cut.range).toEqual({ startRow: 99, startCol: 99, endRow: 99, endCol: 99 });
+});
+
+test('combineValues works through empty cells, text and division by zero', () => {
+  expect(combineValues(undefined, 4, 'subtract')).toBe('-4');
+  expect(combineValues('0.1', 0.2, 'add')).toBe('0.3');
+  expect(combineValues('text', 3, 'multiply')).toBe('text');
+  expect(combineValues('5', 'new', 'add')).toBe('new');
+  expect(combineValues('5', null, 'add')).toBe('5');
+  expect(combineValues('5', 0, 'divide')).toBe('#DIV/0!');
+});
+
+test('moveCells moves contents and styles, and references follow', () => {
+  const sheet = {
+    cellData: { '0,0': '1', '1,0': '=A1+B1', '0,3': '=SUM(A1:A2)', '0,4': '=A1:B2', '0,1': 'b' },
+    cellStyles: { '0,0': { bold: true } },
+    sheetName: 'Sheet1',
+  };
+  const moved = moveCells(sheet, { startRow: 0, startCol: 0, endRow: 1, endCol: 0 }, { r: 4, c: 2 });
+  expect(moved.cellData).toEqual({ '4,2': '1', '5,2': '=C5+B1', '0,3': '=SUM(C5:C6)', '0,4': '=A1:B2', '0,1': 'b' });
+  expect(moved.cellStyles).toEqual({ '4,2': { bold: true } });
+  expect(moved.range).toEqual({ startRow: 4, startCol: 2, endRow: 5, endCol: 2 });
+
+  const other = { '0,0': '=Sheet1!A1*2', '0,1': '=A1' };
+  expect(moveSheetReferences(other, 'Sheet2', 'Sheet1', { startRow: 0, startCol: 0, endRow: 1, endCol: 0 }, { r: 4, c: 2 }))
+    .toEqual({ '0,0': '=Sheet1!C5*2', '0,1': '=A1' });
+});
+
+test('moveCellsToSheet takes formulas and the references to them to the other sheet', () => {
+  const range = { startRow: 0, startCol: 0, endRow: 1, endCol: 0 };
+  const from = {
+    cellData: { '0,0': '5', '1,0': '=A1+B1', '0,2': '=SUM(A1:A2)', '0,1': '=Data!A1' },
+    cellStyles: { '0,0': { bold: true } },
+    sheetName: 'Sheet2',
+  };
+  const to = { cellData: { '2,2': 'old', '9,9': '=Sheet2!A1' }, cellStyles: {}, sheetName: 'Data' };
+  const moved = moveCellsToSheet(from, to, range, { r: 2, c: 2 });
+
+  expect(moved.from.cellData).toEqual({ '0,2': '=SUM(Data!C3:C4)', '0,1': '=Data!A1' });
+  expect(moved.from.cellStyles).toEqual({});
+  expect(moved.to.cellData).toEqual({ '2,2': '5', '3,2': '=C3+Sheet2!B1', '9,9': '=C3' });
+  expect(moved.to.cellStyles).toEqual({ '2,2': { bold: true } });
+  expect(moved.to.range).toEqual({ startRow: 2, startCol: 2, endRow: 3, endCol: 2 });
+
+  expect(moveSheetReferences({ '0,0': '=Sheet2!A2*2' }, 'Other', 'Sheet2', range, { r: 2, c: 2 }, 'Data'))
+    .toEqual({ '0,0': '=Data!C4*2' });
+});
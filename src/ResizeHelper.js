@@ -1,8 +1,14 @@
 // ResizeHelper.js - Helper functions for row and column resizing
 
+import { createResizeCommand } from './HistoryHelper';
+import { DEFAULT_FONT_SIZE } from './StyleHelper';
+import { measureWrappedHeight } from './TextLayoutHelper';
+import { getPaneScroll } from './FreezeHelper';
+
 export const RESIZE_HANDLE_WIDTH = 4; // Width of the resize handle area
 export const MIN_COL_WIDTH = 20;
 export const MIN_ROW_HEIGHT = 16;
+export const HIDDEN_MARKER_HIT = 4; // Distance from a hidden-track marker that still counts as clicking it
 
 /**
  * Check if pointer is over a column resize handle
@@ -17,7 +23,7 @@ export const getColumnResizeHandle = (x, y, scrollLeft, colHeaderHeight, rowHead
   // Find which column based on scroll position
   let scrollOffset = 0;
   for (let c = 0; c < totalCols && scrollOffset < scrollLeft; c++) {
-    const colWidth = colWidths.get(c) || 80; // Default width
+    const colWidth = colWidths.get(c) ?? 80; // Default width
     if (scrollOffset + colWidth > scrollLeft) {
       visibleCol = c;
       currentX = rowHeaderWidth - (scrollLeft - scrollOffset);
@@ -28,7 +34,7 @@ export const getColumnResizeHandle = (x, y, scrollLeft, colHeaderHeight, rowHead
 
   // Check each visible column's right edge
   for (let c = visibleCol; c < totalCols; c++) {
-    const colWidth = colWidths.get(c) || 80;
+    const colWidth = colWidths.get(c) ?? 80;
     currentX += colWidth;
     
     if (currentX > x + 1000) break; // Stop checking if we're way past the visible area
@@ -55,7 +61,7 @@ export const getRowResizeHandle = (x, y, scrollTop, colHeaderHeight, rowHeaderWi
   // Find which row based on scroll position
   let scrollOffset = 0;
   for (let r = 0; r < totalRows && scrollOffset < scrollTop; r++) {
-    const rowHeight = rowHeights.get(r) || 24; // Default height
+    const rowHeight = rowHeights.get(r) ?? 24; // Default height
     if (scrollOffset + rowHeight > scrollTop) {
       visibleRow = r;
       currentY = colHeaderHeight - (scrollTop - scrollOffset);
@@ -66,7 +72,7 @@ export const getRowResizeHandle = (x, y, scrollTop, colHeaderHeight, rowHeaderWi
 
   // Check each visible row's bottom edge
   for (let r = visibleRow; r < totalRows; r++) {
-    const rowHeight = rowHeights.get(r) || 24;
+    const rowHeight = rowHeights.get(r) ?? 24;
     currentY += rowHeight;
     
     if (currentY > y + 1000) break; // Stop checking if we're way past the visible area
@@ -80,13 +86,68 @@ export const getRowResizeHandle = (x, y, scrollTop, colHeaderHeight, rowHeaderWi
   return null;
 };
 
+/**
+ * Sizes as laid out on screen: hidden tracks (hidden by hand or filtered out) take no space
+ * @param {Map<number, number>} sizes - Custom sizes by index
+ * @param {Set<number>} hidden - Indexes of hidden tracks
+ * @returns {Map<number, number>} The same map when nothing is hidden, otherwise a copy with hidden tracks at 0
+ */
+export const hideTracks = (sizes, hidden) => {
+  if (hidden.size === 0) return sizes;
+  const layout = new Map(sizes);
+  hidden.forEach((index) => layout.set(index, 0));
+  return layout;
+};
+
+/**
+ * Finds the hidden tracks whose header marker is at a position. The marker sits on the edge
+ * where a run of hidden tracks collapsed, and clicking it shows them again.
+ * @param {number} pos - Position along the axis in grid coordinates (headers excluded, scroll added)
+ * @param {Map<number, number>} layout - Sizes from hideTracks
+ * @param {Set<number>} hidden - Indexes of hidden tracks
+ * @param {number} defaultSize - Size of tracks without a custom size
+ * @returns {Object|null} { start, end } of the hidden run, or null if no marker is there
+ */
+export const getHiddenRunAt = (pos, layout, hidden, defaultSize) => {
+  const indexes = [...hidden].sort((a, b) => a - b);
+  let edge = 0;
+  let track = 0;
+  for (let i = 0; i < indexes.length; i++) {
+    const start = indexes[i];
+    if (i > 0 && indexes[i - 1] === start - 1) continue;
+    for (; track < start; track++) edge += layout.get(track) ?? defaultSize;
+    if (edge > pos + HIDDEN_MARKER_HIT) break;
+    if (Math.abs(pos - edge) <= HIDDEN_MARKER_HIT) {
+      let end = start;
+      while (hidden.has(end + 1)) end++;
+      return { start, end };
+    }
+  }
+  return null;
+};
+
+/**
+ * Steps from one track to the next one that is not hidden, for keyboard movement
+ * @param {number} index - Current row or column
+ * @param {number} step - +1 or -1
+ * @param {Set<number>} hidden - Indexes of hidden tracks
+ * @param {number} total - Number of tracks
+ * @returns {number} The next visible track, or `index` when there is none that way
+ */
+export const stepVisibleTrack = (index, step, hidden, total) => {
+  for (let i = index + step; i >= 0 && i < total; i += step) {
+    if (!hidden.has(i)) return i;
+  }
+  return index;
+};
+
 /**
  * Calculate total width up to a specific column
  */
 export const getTotalWidthToColumn = (colIndex, colWidths) => {
   let totalWidth = 0;
   for (let c = 0; c < colIndex; c++) {
-    totalWidth += colWidths.get(c) || 80;
+    totalWidth += colWidths.get(c) ?? 80;
   }
   return totalWidth;
 };
@@ -97,7 +158,7 @@ export const getTotalWidthToColumn = (colIndex, colWidths) => {
 export const getTotalHeightToRow = (rowIndex, rowHeights) => {
   let totalHeight = 0;
   for (let r = 0; r < rowIndex; r++) {
-    totalHeight += rowHeights.get(r) || 24;
+    totalHeight += rowHeights.get(r) ?? 24;
   }
   return totalHeight;
 };
@@ -112,7 +173,7 @@ export const getVisibleColRangeWithWidths = (scrollLeft, canvasWidth, rowHeaderW
   
   // Find start column
   for (let c = 0; c < totalCols; c++) {
-    const colWidth = colWidths.get(c) || 80;
+    const colWidth = colWidths.get(c) ?? 80;
     if (currentX + colWidth > scrollLeft) {
       startCol = c;
       break;
@@ -125,7 +186,7 @@ export const getVisibleColRangeWithWidths = (scrollLeft, canvasWidth, rowHeaderW
   currentX = getTotalWidthToColumn(startCol, colWidths) - scrollLeft;
   
   for (let c = startCol; c < totalCols; c++) {
-    const colWidth = colWidths.get(c) || 80;
+    const colWidth = colWidths.get(c) ?? 80;
     if (currentX > visibleWidth) {
       endCol = c;
       break;
@@ -147,7 +208,7 @@ export const getVisibleRowRangeWithHeights = (scrollTop, canvasHeight, colHeader
   
   // Find start row
   for (let r = 0; r < totalRows; r++) {
-    const rowHeight = rowHeights.get(r) || 24;
+    const rowHeight = rowHeights.get(r) ?? 24;
     if (currentY + rowHeight > scrollTop) {
       startRow = r;
       break;
@@ -160,7 +221,7 @@ export const getVisibleRowRangeWithHeights = (scrollTop, canvasHeight, colHeader
   currentY = getTotalHeightToRow(startRow, rowHeights) - scrollTop;
   
   for (let r = startRow; r < totalRows; r++) {
-    const rowHeight = rowHeights.get(r) || 24;
+    const rowHeight = rowHeights.get(r) ?? 24;
     if (currentY > visibleHeight) {
       endRow = r;
       break;
@@ -173,23 +234,27 @@ export const getVisibleRowRangeWithHeights = (scrollTop, canvasHeight, colHeader
 };
 
 /**
- * Get cell coordinates from pointer with custom widths/heights
+ * Get cell coordinates from pointer with custom widths/heights. Points over frozen rows or
+ * columns (frozenHeight / frozenWidth pixels after the headers) are read without the scroll offset.
  */
-export const getCellFromPointerWithSizes = (x, y, scrollLeft, scrollTop, colHeaderHeight, rowHeaderWidth, colWidths, rowHeights, totalCols, totalRows) => {
+export const getCellFromPointerWithSizes = (x, y, scrollLeft, scrollTop, colHeaderHeight, rowHeaderWidth, colWidths, rowHeights, totalCols, totalRows, frozenWidth = 0, frozenHeight = 0) => {
   if (x < rowHeaderWidth || y < colHeaderHeight) return null;
 
-  const { startCol } = getVisibleColRangeWithWidths(scrollLeft, x + 1000, rowHeaderWidth, colWidths, totalCols);
-  const { startRow } = getVisibleRowRangeWithHeights(scrollTop, y + 1000, colHeaderHeight, rowHeights, totalRows);
+  const paneScrollLeft = getPaneScroll(x, rowHeaderWidth, frozenWidth, scrollLeft);
+  const paneScrollTop = getPaneScroll(y, colHeaderHeight, frozenHeight, scrollTop);
+
+  const { startCol } = getVisibleColRangeWithWidths(paneScrollLeft, x + 1000, rowHeaderWidth, colWidths, totalCols);
+  const { startRow } = getVisibleRowRangeWithHeights(paneScrollTop, y + 1000, colHeaderHeight, rowHeights, totalRows);
 
   // Find exact column
   let currentX = rowHeaderWidth;
   let targetCol = startCol;
   
-  const scrollOffsetX = getTotalWidthToColumn(startCol, colWidths) - scrollLeft;
+  const scrollOffsetX = getTotalWidthToColumn(startCol, colWidths) - paneScrollLeft;
   currentX += scrollOffsetX;
   
   for (let c = startCol; c < totalCols; c++) {
-    const colWidth = colWidths.get(c) || 80;
+    const colWidth = colWidths.get(c) ?? 80;
     if (x >= currentX && x < currentX + colWidth) {
       targetCol = c;
       break;
@@ -201,11 +266,11 @@ export const getCellFromPointerWithSizes = (x, y, scrollLeft, scrollTop, colHead
   let currentY = colHeaderHeight;
   let targetRow = startRow;
   
-  const scrollOffsetY = getTotalHeightToRow(startRow, rowHeights) - scrollTop;
+  const scrollOffsetY = getTotalHeightToRow(startRow, rowHeights) - paneScrollTop;
   currentY += scrollOffsetY;
   
   for (let r = startRow; r < totalRows; r++) {
-    const rowHeight = rowHeights.get(r) || 24;
+    const rowHeight = rowHeights.get(r) ?? 24;
     if (y >= currentY && y < currentY + rowHeight) {
       targetRow = r;
       break;
@@ -225,7 +290,7 @@ export const getCellFromPointerWithSizes = (x, y, scrollLeft, scrollTop, colHead
 export const getTotalScrollWidth = (colWidths, totalCols) => {
   let totalWidth = 0;
   for (let c = 0; c < totalCols; c++) {
-    totalWidth += colWidths.get(c) || 80;
+    totalWidth += colWidths.get(c) ?? 80;
   }
   return totalWidth;
 };
@@ -236,7 +301,7 @@ export const getTotalScrollWidth = (colWidths, totalCols) => {
 export const getTotalScrollHeight = (rowHeights, totalRows) => {
   let totalHeight = 0;
   for (let r = 0; r < totalRows; r++) {
-    totalHeight += rowHeights.get(r) || 24;
+    totalHeight += rowHeights.get(r) ?? 24;
   }
   return totalHeight;
 };
@@ -252,7 +317,7 @@ export const handleColumnResize = (colIndex, newWidth, colWidths, setColWidths,
   
   // Add to history for undo/redo
   if (addToHistory) {
-    addToHistory({ type: 'resize', colWidths: newColWidths });
+    addToHistory(createResizeCommand('col', colIndex, colWidths.get(colIndex), clampedWidth));
   }
 };
 
@@ -267,6 +332,52 @@ export const handleRowResize = (rowIndex, newHeight, rowHeights, setRowHeights,
   
   // Add to history for undo/redo
   if (addToHistory) {
-    addToHistory({ type: 'resize', rowHeights: newRowHeights });
+    addToHistory(createResizeCommand('row', rowIndex, rowHeights.get(rowIndex), clampedHeight));
+  }
+};
+export const AUTOFIT_PADDING = 12; // Horizontal breathing room added to the widest value
+
+/**
+ * Measure the width a column needs to show its widest value
+ * @param {CanvasRenderingContext2D} ctx - Context with the grid font already set
+ * @param {Object} cellData - Cell data keyed by "row,col"
+ * @param {number} colIndex - Column to measure
+ * @param {Function} getDisplayText - (key) => text painted for that cell
+ * @param {Function} [getFont] - (key) => canvas font of that cell, for cells with their own font
+ * @returns {number|null} Width in pixels, or null if the column is empty (use the default width)
+ */
+export const measureColumnFit = (ctx, cellData, colIndex, getDisplayText, getFont) => {
+  let maxWidth = 0;
+  for (const key in cellData) {
+    const c = Number(key.slice(key.indexOf(',') + 1));
+    if (c !== colIndex) continue;
+    const text = getDisplayText(key);
+    if (!text) continue;
+    if (getFont) ctx.font = getFont(key);
+    maxWidth = Math.max(maxWidth, ctx.measureText(text).width);
   }
-};
\ No newline at end of file
+  if (maxWidth === 0) return null;
+  return Math.max(MIN_COL_WIDTH, Math.ceil(maxWidth + AUTOFIT_PADDING));
+};
+
+/**
+ * Measure the height a row needs for single-line text in the given font size
+ * @param {number} fontSize - Font size in pixels
+ * @returns {number} Row height in pixels
+ */
+export const measureRowFit = (fontSize) => Math.max(MIN_ROW_HEIGHT, Math.ceil(fontSize + 10));
+
+/**
+ * Measure the height a row needs for its tallest cell: one line in the cell's font size,
+ * or every line of wrapped text
+ * @param {CanvasRenderingContext2D} ctx - Any 2D context; its font is changed
+ * @param {Array<Object>} cells - { text, style, width, wrap } for each non-empty cell in the row
+ * @param {string} fontFamily - Sheet-wide font family
+ * @returns {number|null} Height in pixels, or null if the row is empty (use the default height)
+ */
+export const measureRowContentFit = (ctx, cells, fontFamily) => {
+  if (cells.length === 0) return null;
+  return Math.max(...cells.map(({ text, style, width, wrap }) => (wrap
+    ? Math.max(MIN_ROW_HEIGHT, measureWrappedHeight(ctx, text, style, fontFamily, width))
+    : measureRowFit(style.fontSize || DEFAULT_FONT_SIZE))));
+};
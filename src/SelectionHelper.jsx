@@ -5,6 +5,7 @@
  * @param {Function} setSelection - Function to update the selection state
  * @param {Function} setSelected - Function to update the selected cell state
  * @param {number} totalRows - Total number of rows in the grid
+ * @returns {Object} The new selected cell
  */
 export const handleColumnSelection = (colIndex, currentSelection, setSelection, setSelected, totalRows) => {
   // Select entire column from row 0 to totalRows-1
@@ -17,7 +18,9 @@ export const handleColumnSelection = (colIndex, currentSelection, setSelection,
   });
   
   // Set the selected cell to the top of the column
-  setSelected({ r: 0, c: colIndex });
+  const cell = { r: 0, c: colIndex };
+  setSelected(cell);
+  return cell;
 };
 
 /**
@@ -27,6 +30,7 @@ export const handleColumnSelection = (colIndex, currentSelection, setSelection,
  * @param {Function} setSelection - Function to update the selection state
  * @param {Function} setSelected - Function to update the selected cell state
  * @param {number} totalCols - Total number of columns in the grid
+ * @returns {Object} The new selected cell
  */
 export const handleRowSelection = (rowIndex, currentSelection, setSelection, setSelected, totalCols) => {
   // Select entire row from column 0 to totalCols-1
@@ -39,9 +43,14 @@ export const handleRowSelection = (rowIndex, currentSelection, setSelection, set
   });
   
   // Set the selected cell to the left of the row
-  setSelected({ r: rowIndex, c: 0 });
+  const cell = { r: rowIndex, c: 0 };
+  setSelected(cell);
+  return cell;
 };
 
+// Callers pass the laid-out sizes (see hideTracks), so hidden rows and columns add nothing to these sums.
+// The caches are keyed on Map identity, and a new layout is only built when sizes or hidden tracks change.
+
 // Cache for column widths cumulative sum - improves performance for repeated calculations
 let columnWidthsCache = new Map();
 let lastColWidthsMap = null;
@@ -63,7 +72,7 @@ const getCumulativeColumnWidths = (colWidths, totalCols) => {
     let cumulative = 0;
     for (let i = 0; i < totalCols; i++) {
       columnWidthsCache.set(i, cumulative);
-      cumulative += colWidths.get(i) || 80; // Default width of 80px
+      cumulative += colWidths.get(i) ?? 80; // Default width of 80px
     }
     columnWidthsCache.set(totalCols, cumulative); // Total width
     lastColWidthsMap = colWidths;
@@ -84,7 +93,7 @@ const getCumulativeRowHeights = (rowHeights, totalRows) => {
     let cumulative = 0;
     for (let i = 0; i < totalRows; i++) {
       rowHeightsCache.set(i, cumulative);
-      cumulative += rowHeights.get(i) || 24; // Default height of 24px
+      cumulative += rowHeights.get(i) ?? 24; // Default height of 24px
     }
     rowHeightsCache.set(totalRows, cumulative); // Total height
     lastRowHeightsMap = rowHeights;
@@ -107,7 +116,7 @@ const findColumnAtPosition = (targetX, colWidths, totalCols, cumulativeWidths) =
   while (left <= right) {
     const mid = Math.floor((left + right) / 2);
     const startX = cumulativeWidths.get(mid);
-    const endX = startX + (colWidths.get(mid) || 80);
+    const endX = startX + (colWidths.get(mid) ?? 80);
     
     if (targetX >= startX && targetX < endX) {
       return mid;
@@ -135,7 +144,7 @@ const findRowAtPosition = (targetY, rowHeights, totalRows, cumulativeHeights) =>
   while (left <= right) {
     const mid = Math.floor((left + right) / 2);
     const startY = cumulativeHeights.get(mid);
-    const endY = startY + (rowHeights.get(mid) || 24);
+    const endY = startY + (rowHeights.get(mid) ?? 24);
     
     if (targetY >= startY && targetY < endY) {
       return mid;
@@ -200,30 +209,68 @@ export const getRowFromHeaderClick = (x, y, rowHeaderWidth, colHeaderHeight, scr
   return findRowAtPosition(relativeY, rowHeights, totalRows, cumulativeHeights);
 };
 
-// Pre-computed selection bounds for faster checking - cached for performance
-let selectionBounds = null;
-let lastSelection = null;
+// Pre-computed selection bounds for faster checking - cached per selection object, since a
+// multiple selection checks several ranges on every header
+const selectionBounds = new WeakMap();
 
 /**
- * Calculates and caches the bounding box of the current selection for efficient range checking
- * @param {Object} selection - Current selection object with startRow, startCol, endRow, endCol, isRange
+ * Calculates and caches the bounding box of a selection range for efficient range checking
+ * @param {Object} selection - Selection object with startRow, startCol, endRow, endCol, isRange
  * @returns {Object|null} Bounding box with minRow, maxRow, minCol, maxCol, or null if no range selection
  */
 const getSelectionBounds = (selection) => {
-  if (lastSelection !== selection) {
-    if (selection.isRange) {
-      selectionBounds = {
-        minRow: Math.min(selection.startRow, selection.endRow),
-        maxRow: Math.max(selection.startRow, selection.endRow),
-        minCol: Math.min(selection.startCol, selection.endCol),
-        maxCol: Math.max(selection.startCol, selection.endCol)
-      };
-    } else {
-      selectionBounds = null;
-    }
-    lastSelection = selection;
+  if (!selection.isRange) return null;
+  if (!selectionBounds.has(selection)) {
+    selectionBounds.set(selection, {
+      minRow: Math.min(selection.startRow, selection.endRow),
+      maxRow: Math.max(selection.startRow, selection.endRow),
+      minCol: Math.min(selection.startCol, selection.endCol),
+      maxCol: Math.max(selection.startCol, selection.endCol)
+    });
   }
-  return selectionBounds;
+  return selectionBounds.get(selection);
+};
+
+// Whether any of the other ranges of a multiple selection passes a test on its bounds
+const someRange = (ranges, test) => ranges.some((range) => {
+  const bounds = getSelectionBounds(range);
+  return bounds && test(bounds);
+});
+
+/**
+ * Puts a selection's corners in order, as one range of a multiple selection
+ * @param {Object} selection - Selection object, possibly dragged up or left
+ * @returns {Object} { startRow, startCol, endRow, endCol, isRange: true }
+ */
+export const normalizeSelection = (selection) => ({
+  startRow: Math.min(selection.startRow, selection.endRow),
+  startCol: Math.min(selection.startCol, selection.endCol),
+  endRow: Math.max(selection.startRow, selection.endRow),
+  endCol: Math.max(selection.startCol, selection.endCol),
+  isRange: true
+});
+
+/**
+ * Lays out the cells of several ranges as one block for copying. As in Excel this only works
+ * when the ranges share their columns (their rows are stacked) or their rows (their columns
+ * are put side by side).
+ * @param {Array<Object>} ranges - Normalised ranges
+ * @returns {Object|null} { rows, cols } - Source row and column indexes of the block, in order;
+ *   null when the ranges do not line up
+ */
+export const getRangesBlock = (ranges) => {
+  const tracks = (start, end) => {
+    const indexes = new Set();
+    ranges.forEach((range) => {
+      for (let i = range[start]; i <= range[end]; i++) indexes.add(i);
+    });
+    return [...indexes].sort((a, b) => a - b);
+  };
+  const [first] = ranges;
+  const sameCols = ranges.every((range) => range.startCol === first.startCol && range.endCol === first.endCol);
+  const sameRows = ranges.every((range) => range.startRow === first.startRow && range.endRow === first.endRow);
+  if (!sameCols && !sameRows) return null;
+  return { rows: tracks('startRow', 'endRow'), cols: tracks('startCol', 'endCol') };
 };
 
 /**
@@ -233,9 +280,11 @@ const getSelectionBounds = (selection) => {
  * @param {Object} selection - Current selection object
  * @param {number} totalRows - Total number of rows in the grid (unused but kept for API consistency)
  * @param {number} totalCols - Total number of columns in the grid (unused but kept for API consistency)
+ * @param {Array<Object>} [otherRanges] - Earlier ranges of a multiple selection
  * @returns {boolean} True if the column is within the selection
  */
-export const isColumnInSelection = (col, selected, selection, totalRows, totalCols) => {
+export const isColumnInSelection = (col, selected, selection, totalRows, totalCols, otherRanges = []) => {
+  if (someRange(otherRanges, (bounds) => col >= bounds.minCol && col <= bounds.maxCol)) return true;
   if (!selection.isRange) {
     return col === selected.c;
   }
@@ -251,9 +300,11 @@ export const isColumnInSelection = (col, selected, selection, totalRows, totalCo
  * @param {Object} selection - Current selection object
  * @param {number} totalRows - Total number of rows in the grid (unused but kept for API consistency)
  * @param {number} totalCols - Total number of columns in the grid (unused but kept for API consistency)
+ * @param {Array<Object>} [otherRanges] - Earlier ranges of a multiple selection
  * @returns {boolean} True if the row is within the selection
  */
-export const isRowInSelection = (row, selected, selection, totalRows, totalCols) => {
+export const isRowInSelection = (row, selected, selection, totalRows, totalCols, otherRanges = []) => {
+  if (someRange(otherRanges, (bounds) => row >= bounds.minRow && row <= bounds.maxRow)) return true;
   if (!selection.isRange) {
     return row === selected.r;
   }
@@ -269,9 +320,12 @@ export const isRowInSelection = (row, selected, selection, totalRows, totalCols)
  * @param {Object} selection - Current selection object
  * @param {number} totalRows - Total number of rows in the grid
  * @param {number} totalCols - Total number of columns in the grid (unused but kept for API consistency)
+ * @param {Array<Object>} [otherRanges] - Earlier ranges of a multiple selection
  * @returns {boolean} True if the entire column is selected
  */
-export const isEntireColumnSelected = (col, selected, selection, totalRows, totalCols) => {
+export const isEntireColumnSelected = (col, selected, selection, totalRows, totalCols, otherRanges = []) => {
+  const spansColumn = (bounds) => col >= bounds.minCol && col <= bounds.maxCol && bounds.minRow === 0 && bounds.maxRow === totalRows - 1;
+  if (someRange(otherRanges, spansColumn)) return true;
   if (!selection.isRange) return false;
   
   const bounds = getSelectionBounds(selection);
@@ -289,9 +343,12 @@ export const isEntireColumnSelected = (col, selected, selection, totalRows, tota
  * @param {Object} selection - Current selection object
  * @param {number} totalRows - Total number of rows in the grid (unused but kept for API consistency)
  * @param {number} totalCols - Total number of columns in the grid
+ * @param {Array<Object>} [otherRanges] - Earlier ranges of a multiple selection
  * @returns {boolean} True if the entire row is selected
  */
-export const isEntireRowSelected = (row, selected, selection, totalRows, totalCols) => {
+export const isEntireRowSelected = (row, selected, selection, totalRows, totalCols, otherRanges = []) => {
+  const spansRow = (bounds) => row >= bounds.minRow && row <= bounds.maxRow && bounds.minCol === 0 && bounds.maxCol === totalCols - 1;
+  if (someRange(otherRanges, spansRow)) return true;
   if (!selection.isRange) return false;
   
   const bounds = getSelectionBounds(selection);
@@ -339,7 +396,7 @@ export const getVisibleColRangeWithWidths = (scrollLeft, canvasWidth, rowHeaderW
   const maxWidth = scrollLeft + viewportWidth;
   
   while (endCol < totalCols && currentWidth < maxWidth) {
-    currentWidth += colWidths.get(endCol) || 80;
+    currentWidth += colWidths.get(endCol) ?? 80;
     endCol++;
   }
   
@@ -383,7 +440,7 @@ export const getVisibleRowRangeWithHeights = (scrollTop, canvasHeight, colHeader
   const maxHeight = scrollTop + viewportHeight;
   
   while (endRow < totalRows && currentHeight < maxHeight) {
-    currentHeight += rowHeights.get(endRow) || 24;
+    currentHeight += rowHeights.get(endRow) ?? 24;
     endRow++;
   }
   
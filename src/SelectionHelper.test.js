@@ -0,0 +1,26 @@
+import { normalizeSelection, getRangesBlock, isColumnInSelection, isEntireRowSelected } from './SelectionHelper';
+import { calculateStats } from './Utils';
+
+const range = (startRow, startCol, endRow, endCol) => ({ startRow, startCol, endRow, endCol, isRange: true });
+
+test('normalizeSelection orders a selection dragged up and left', () => {
+  expect(normalizeSelection({ startRow: 5, startCol: 3, endRow: 1, endCol: 0, isRange: true })).toEqual(range(1, 0, 5, 3));
+});
+
+test('getRangesBlock stacks ranges that share columns or rows, and refuses the rest', () => {
+  expect(getRangesBlock([range(4, 0, 5, 1), range(0, 0, 1, 1)])).toEqual({ rows: [0, 1, 4, 5], cols: [0, 1] });
+  expect(getRangesBlock([range(0, 0, 2, 0), range(0, 3, 2, 3)])).toEqual({ rows: [0, 1, 2], cols: [0, 3] });
+  expect(getRangesBlock([range(0, 0, 1, 1), range(3, 3, 4, 4)])).toBeNull();
+});
+
+test('header checks and statistics take in every range of a multiple selection', () => {
+  const active = { startRow: 0, startCol: 0, endRow: 0, endCol: 0, isRange: false };
+  const others = [range(2, 4, 3, 5), range(7, 0, 7, 9)];
+  expect(isColumnInSelection(5, { r: 0, c: 0 }, active, 10, 10, others)).toBe(true);
+  expect(isColumnInSelection(6, { r: 0, c: 0 }, active, 10, 10, [others[0]])).toBe(false);
+  expect(isEntireRowSelected(7, { r: 0, c: 0 }, active, 10, 10, others)).toBe(true);
+
+  const cellData = { '0,0': '1', '2,4': '2', '3,5': '3', '7,1': '4' };
+  const stats = calculateStats(cellData, [...others, range(0, 0, 0, 0), range(2, 4, 2, 4)]);
+  expect(stats).toMatchObject({ count: 4, sum: 10, min: 1, max: 4 });
+});
@@ -0,0 +1,160 @@
+// SortHelper.js - Sorting the rows of a range by one or more columns
+//
+// Like StructureHelper, sorting works on a "doc": { cellData, computedData, cellStyles, rowHeights }.
+// Every cell of a sorted row moves together with its format and its row height; cells outside
+// the range stay put.
+
+import { getCellValue, isFormula, offsetFormula } from './FormulaHelper';
+import { parseTypedInput, isDateFormat } from './NumberFormatHelper';
+
+// How a key column's values are compared:
+//   auto   - numbers before text before TRUE / FALSE, as the cells hold them
+//   number - numeric text such as "$1,200" or "12%" counts as a number too
+//   date   - date text such as "2026-10-19" or "10/19/2026" counts as its date
+//   text   - everything compares as text, so 10 sorts before 9
+export const SORT_TYPES = ['auto', 'number', 'text', 'date'];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const asText = (value) => (typeof value === 'boolean' ? (value ? 'TRUE' : 'FALSE') : String(value));
+
+/**
+ * Turns a cell value into [rank, value] for one sort type. Lower ranks sort first;
+ * values of the same rank compare with each other.
+ */
+const toSortValue = (value, type) => {
+  if (type === 'text') return [1, asText(value)];
+  if (typeof value === 'number') return [0, value];
+  if (typeof value === 'boolean') return type === 'auto' ? [2, value ? 1 : 0] : [1, asText(value)];
+
+  if (type === 'number' || type === 'date') {
+    const parsed = parseTypedInput(value.trim());
+    if (parsed && isDateFormat(parsed.numFmt) === (type === 'date')) return [0, Number(parsed.raw)];
+  }
+  return [1, value];
+};
+
+const compareSortValues = ([rankA, a], [rankB, b], collator) => {
+  if (rankA !== rankB) return rankA - rankB;
+  if (typeof a === 'string') return collator.compare(a, b);
+  return a - b;
+};
+
+/**
+ * Works out the new order of a range's rows
+ * @param {Object} cellData - Raw cell contents keyed by "row,col"
+ * @param {Object} computedData - Computed formula values, so formulas sort by their result
+ * @param {Object} range - { startRow, endRow, startCol, endCol } to sort
+ * @param {Array<Object>} keys - Sort keys in priority order: { col, ascending, type }
+ * @param {Object} [options] - { hasHeader, locale, caseSensitive }; hasHeader keeps the first row in place
+ * @returns {Array<number>} For each sorted row from the top, the row it comes from
+ * @throws {RangeError} If the locale is not a valid language tag
+ */
+export const getSortOrder = (cellData, computedData, range, keys, options = {}) => {
+  const { hasHeader = false, locale, caseSensitive = false } = options;
+  const collator = new Intl.Collator(locale || undefined, { sensitivity: caseSensitive ? 'case' : 'base', numeric: false });
+  const rows = [];
+
+  for (let r = range.startRow + (hasHeader ? 1 : 0); r <= range.endRow; r++) {
+    const sortValues = keys.map(({ col, type = 'auto' }) => {
+      const value = getCellValue(cellData, computedData, `${r},${col}`);
+      return isBlank(value) ? null : toSortValue(value, type);
+    });
+    rows.push({ sortValues, index: r });
+  }
+
+  rows.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const va = a.sortValues[i];
+      const vb = b.sortValues[i];
+      if (va === null || vb === null) {
+        if (va !== vb) return va === null ? 1 : -1; // blanks always last
+        continue;
+      }
+      const result = compareSortValues(va, vb, collator);
+      if (result !== 0) return keys[i].ascending ? result : -result;
+    }
+    return a.index - b.index; // keep the original order for ties
+  });
+
+  return rows.map((row) => row.index);
+};
+
+/**
+ * Puts the rows of a cell store into a new order within the range's columns
+ * @param {Object} store - Cell store keyed by "row,col"
+ * @param {Object} range - { startCol, endCol } of the sorted range
+ * @param {number} firstRow - Row the order starts at
+ * @param {Array<number>} order - Source row for each row from firstRow down
+ * @param {Function} [moveValue] - (value, fromRow, toRow) => value as it reads in its new row
+ * @returns {Object} { store, changedKeys }
+ */
+const reorderCellStore = (store, range, firstRow, order, moveValue = (value) => value) => {
+  const next = { ...store };
+  const changedKeys = [];
+  order.forEach((from, i) => {
+    const to = firstRow + i;
+    for (let c = range.startCol; c <= range.endCol; c++) {
+      const key = `${to},${c}`;
+      const source = store[`${from},${c}`];
+      const value = source === undefined ? undefined : moveValue(source, from, to);
+      if (store[key] === value) continue;
+      if (value === undefined) delete next[key];
+      else next[key] = value;
+      changedKeys.push(key);
+    }
+  });
+  return { store: next, changedKeys };
+};
+
+/**
+ * Sorts the rows of a range. Formulas in moved rows read as if copied to their new row,
+ * so a row's formulas keep pointing at that row's cells.
+ * @param {Object} doc - { cellData, computedData, cellStyles, rowHeights }
+ * @param {Object} range - { startRow, endRow, startCol, endCol } to sort
+ * @param {Array<Object>} keys - Sort keys in priority order: { col, ascending, type }
+ * @param {Object} [options] - { hasHeader, locale, caseSensitive }
+ * @returns {Object} { cellData, dataKeys, cellStyles, styleKeys, rowHeights } - new stores and the keys that changed
+ */
+export const sortRangeRows = (doc, range, keys, options = {}) => {
+  const { cellData, computedData, cellStyles = {}, rowHeights = new Map() } = doc;
+  const order = getSortOrder(cellData, computedData, range, keys, options);
+  const firstRow = range.startRow + (options.hasHeader ? 1 : 0);
+
+  const data = reorderCellStore(cellData, range, firstRow, order, (raw, from, to) =>
+    (isFormula(raw) ? offsetFormula(raw, to - from, 0) : raw));
+  const styles = reorderCellStore(cellStyles, range, firstRow, order);
+
+  const newHeights = new Map(rowHeights);
+  order.forEach((from, i) => {
+    if (rowHeights.has(from)) newHeights.set(firstRow + i, rowHeights.get(from));
+    else newHeights.delete(firstRow + i);
+  });
+
+  return {
+    cellData: data.store,
+    dataKeys: data.changedKeys,
+    cellStyles: styles.store,
+    styleKeys: styles.changedKeys,
+    rowHeights: newHeights,
+  };
+};
+
+/**
+ * Guesses whether the first row of a range holds column titles: it does when every one of its
+ * cells is non-numeric text and the row below has a number in it
+ * @param {Object} cellData - Raw cell contents
+ * @param {Object} computedData - Computed formula values
+ * @param {Object} range - { startRow, endRow, startCol, endCol }
+ * @returns {boolean} True if the first row looks like a header
+ */
+export const guessHasHeader = (cellData, computedData, range) => {
+  if (range.endRow <= range.startRow) return false;
+  let belowHasNumber = false;
+  for (let c = range.startCol; c <= range.endCol; c++) {
+    const title = getCellValue(cellData, computedData, `${range.startRow},${c}`);
+    if (typeof title !== 'string' || title.trim() === '') return false;
+    if (typeof getCellValue(cellData, computedData, `${range.startRow + 1},${c}`) === 'number') belowHasNumber = true;
+  }
+  return belowHasNumber;
+};
@@ -0,0 +1,50 @@
+import { sortRangeRows, getSortOrder, guessHasHeader } from './SortHelper';
+
+const range = { startRow: 0, endRow: 4, startCol: 0, endCol: 2 };
+const cellData = {
+  '0,0': 'Name', '0,1': 'Salary', '0,2': 'Bonus',
+  '1,0': 'émile', '1,1': '$52,000', '1,2': '=B2*0.1',
+  '2,0': 'Zoe', '2,1': '48000',
+  '3,0': 'adam', '3,1': '52000',
+  '4,0': 'Bob',
+};
+const computedData = { '1,2': 5200 };
+
+test('sorts by several keys, keeping the header row and leaving blanks last', () => {
+  const keys = [{ col: 1, ascending: false, type: 'number' }, { col: 0, ascending: true, type: 'text' }];
+  const order = getSortOrder(cellData, computedData, range, keys, { hasHeader: true });
+  expect(order).toEqual([3, 1, 2, 4]);
+  expect(guessHasHeader(cellData, computedData, range)).toBe(true);
+});
+
+test('compares text with the collation of the chosen language', () => {
+  const keys = [{ col: 0, ascending: true, type: 'text' }];
+  expect(getSortOrder(cellData, computedData, range, keys, { hasHeader: true })).toEqual([3, 4, 1, 2]);
+  const data = { '0,0': 'b', '1,0': 'B', '2,0': 'a' };
+  const column = { startRow: 0, endRow: 2, startCol: 0, endCol: 0 };
+  expect(getSortOrder(data, {}, column, keys, { caseSensitive: true })).toEqual([2, 0, 1]);
+  expect(getSortOrder({ '0,0': 'ö', '1,0': 'z' }, {}, { ...column, endRow: 1 }, keys, { locale: 'sv' })).toEqual([1, 0]);
+  expect(() => getSortOrder(data, {}, column, keys, { locale: 'not a locale!' })).toThrow(RangeError);
+});
+
+test('compares dates written as text by their date', () => {
+  const data = { '0,0': '2026-10-19', '1,0': '3/5/2025', '2,0': 'soon' };
+  const column = { startRow: 0, endRow: 2, startCol: 0, endCol: 0 };
+  expect(getSortOrder(data, {}, column, [{ col: 0, ascending: true, type: 'date' }])).toEqual([1, 0, 2]);
+});
+
+test('moves formats, row heights and formulas with their rows', () => {
+  const result = sortRangeRows(
+    { cellData, computedData, cellStyles: { '1,0': { bold: true } }, rowHeights: new Map([[1, 40]]) },
+    range,
+    [{ col: 0, ascending: false, type: 'text' }],
+    { hasHeader: true }
+  );
+  // émile moves from row 1 to row 2
+  expect(result.cellData['2,0']).toBe('émile');
+  expect(result.cellData['2,2']).toBe('=B3*0.1');
+  expect(result.cellData['1,2']).toBeUndefined();
+  expect(result.cellStyles).toEqual({ '2,0': { bold: true } });
+  expect([...result.rowHeights]).toEqual([[2, 40]]);
+  expect(result.cellData['0,0']).toBe('Name');
+});
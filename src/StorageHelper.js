@@ -0,0 +1,213 @@
+// StorageHelper.js - IndexedDB persistence: autosaved sessions and recently opened workbooks
+//
+// Every page load autosaves to a session of its own, so work done while the previous session
+// is still offered for recovery is saved too. A session is stored in parts, so an autosave only
+// writes the sheets that changed:
+//   sessions      -> { id, savedAt, text, sheetKeys } keyed by id; text is the workbook without
+//                    its sheets, sheetKeys the keys of its sheets in order
+//   sessionSheets -> serialised sheet keyed by [session id, sheet key]
+
+const DB_NAME = 'zeus-spreadsheet';
+const DB_VERSION = 2;
+const SESSION_STORE = 'sessions';
+const SESSION_SHEET_STORE = 'sessionSheets';
+const RECENT_STORE = 'recentFiles';
+const LEGACY_SESSION_STORE = 'session'; // version 1 kept a single session
+
+export const AUTOSAVE_DELAY = 2000; // ms; edits within this window are written together
+export const MAX_RECENT_FILES = 10;
+
+let dbPromise = null;
+
+// Wraps an IDBRequest in a promise
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Resolves once a readwrite transaction has been committed
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+/**
+ * Opens (and on first use creates) the app's database. The connection is shared.
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (db.objectStoreNames.contains(LEGACY_SESSION_STORE)) db.deleteObjectStore(LEGACY_SESSION_STORE);
+        if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(SESSION_SHEET_STORE)) db.createObjectStore(SESSION_SHEET_STORE);
+        if (!db.objectStoreNames.contains(RECENT_STORE)) {
+          db.createObjectStore(RECENT_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null; // allow a later retry
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Key range of every sheet stored for a session (arrays sort after numbers and strings)
+const sessionSheetRange = (id) => IDBKeyRange.bound([id], [id, []]);
+
+/**
+ * Autosaves a session. Sheets that are not given keep what an earlier save wrote for them;
+ * sheets no longer listed in sheetKeys are removed.
+ * @param {number} id - Session id (see createSessionId)
+ * @param {Object} session - { text, sheetKeys, sheets }: the workbook without its sheets, the
+ *   keys of its sheets in order, and a Map from key to serialised sheet for those to write
+ * @returns {Promise<void>}
+ */
+export const saveSession = async (id, { text, sheetKeys, sheets }) => {
+  const db = await openDatabase();
+  const tx = db.transaction([SESSION_STORE, SESSION_SHEET_STORE], 'readwrite');
+  const sheetStore = tx.objectStore(SESSION_SHEET_STORE);
+  const stored = await requestToPromise(sheetStore.getAllKeys(sessionSheetRange(id)));
+
+  const kept = new Set(sheetKeys);
+  stored.forEach((key) => {
+    if (!kept.has(key[1])) sheetStore.delete(key);
+  });
+  sheets.forEach((sheetText, key) => sheetStore.put(sheetText, [id, key]));
+  tx.objectStore(SESSION_STORE).put({ id, savedAt: Date.now(), text, sheetKeys });
+  return transactionDone(tx);
+};
+
+/**
+ * Reads the most recently saved session other than the given one, e.g. the one a crashed
+ * page left behind
+ * @param {number} [exceptId] - Session to leave out, usually this page's own
+ * @returns {Promise<Object|null>} { id, savedAt, text, sheets } with sheets the serialised
+ *   sheets in order, or null if there is none
+ */
+export const loadLatestSession = async (exceptId) => {
+  const db = await openDatabase();
+  const tx = db.transaction([SESSION_STORE, SESSION_SHEET_STORE]);
+  const sessions = await requestToPromise(tx.objectStore(SESSION_STORE).getAll());
+  const latest = sessions
+    .filter((session) => session.id !== exceptId)
+    .sort((a, b) => b.savedAt - a.savedAt)[0];
+  if (!latest) return null;
+
+  const sheetStore = tx.objectStore(SESSION_SHEET_STORE);
+  const sheets = await Promise.all(latest.sheetKeys.map((key) => requestToPromise(sheetStore.get([latest.id, key]))));
+  return { id: latest.id, savedAt: latest.savedAt, text: latest.text, sheets: sheets.filter((sheet) => sheet !== undefined) };
+};
+
+/**
+ * Forgets autosaved sessions
+ * @param {Function} shouldClear - (id) => true for each session to remove
+ * @returns {Promise<void>}
+ */
+export const clearSessions = async (shouldClear) => {
+  const db = await openDatabase();
+  const tx = db.transaction([SESSION_STORE, SESSION_SHEET_STORE], 'readwrite');
+  const ids = await requestToPromise(tx.objectStore(SESSION_STORE).getAllKeys());
+  ids.filter(shouldClear).forEach((id) => {
+    tx.objectStore(SESSION_STORE).delete(id);
+    tx.objectStore(SESSION_SHEET_STORE).delete(sessionSheetRange(id));
+  });
+  return transactionDone(tx);
+};
+
+/**
+ * Makes an id for a new session; later sessions get larger ids
+ * @returns {number} Session id
+ */
+export const createSessionId = () => Date.now();
+
+/**
+ * Lists recently opened workbooks, newest first, without their contents
+ * @returns {Promise<Array<Object>>} { id, name, openedAt } entries
+ */
+export const listRecentFiles = async () => {
+  const db = await openDatabase();
+  const files = await requestToPromise(db.transaction(RECENT_STORE).objectStore(RECENT_STORE).getAll());
+  return files
+    .sort((a, b) => b.openedAt - a.openedAt)
+    .map(({ id, name, openedAt }) => ({ id, name, openedAt }));
+};
+
+/**
+ * Remembers an opened workbook. Reopening a file with the same name replaces the older
+ * entry, and only the newest MAX_RECENT_FILES are kept.
+ * @param {string} name - File name shown in the list
+ * @param {string} text - Serialised workbook
+ * @returns {Promise<void>}
+ */
+export const addRecentFile = async (name, text) => {
+  const db = await openDatabase();
+  const tx = db.transaction(RECENT_STORE, 'readwrite');
+  const store = tx.objectStore(RECENT_STORE);
+  const files = await requestToPromise(store.getAll());
+
+  const older = files.filter((file) => file.name === name);
+  const others = files.filter((file) => file.name !== name).sort((a, b) => b.openedAt - a.openedAt);
+  [...older, ...others.slice(MAX_RECENT_FILES - 1)].forEach((file) => store.delete(file.id));
+  store.add({ name, text, openedAt: Date.now() });
+
+  return transactionDone(tx);
+};
+
+/**
+ * Reads the contents of a recently opened workbook
+ * @param {number} id - Entry id from listRecentFiles
+ * @returns {Promise<Object|null>} { id, name, text, openedAt } or null if it was removed
+ */
+export const getRecentFile = async (id) => {
+  const db = await openDatabase();
+  const file = await requestToPromise(db.transaction(RECENT_STORE).objectStore(RECENT_STORE).get(id));
+  return file || null;
+};
+
+/**
+ * Batches frequent change notifications into at most one save per delay. The snapshot is
+ * only taken when the save runs, so a burst of edits costs a single serialisation.
+ * @param {Function} save - (snapshot) => Promise; performs the write
+ * @param {number} [delay] - Minimum time between saves in ms
+ * @returns {Object} { schedule(getSnapshot), flush(), cancel() }
+ */
+export const createAutosaver = (save, delay = AUTOSAVE_DELAY) => {
+  let timer = null;
+  let pending = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return Promise.resolve();
+    const getSnapshot = pending;
+    pending = null;
+    return Promise.resolve(save(getSnapshot())).catch((error) => console.error('Autosave failed', error));
+  };
+
+  const schedule = (getSnapshot) => {
+    pending = getSnapshot;
+    if (!timer) timer = setTimeout(flush, delay);
+  };
+
+  const cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+    pending = null;
+  };
+
+  return { schedule, flush, cancel };
+};
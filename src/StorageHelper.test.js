@@ -0,0 +1,97 @@
+import 'fake-indexeddb/auto';
+import {
+  createAutosaver,
+  saveSession,
+  loadLatestSession,
+  clearSessions,
+  addRecentFile,
+  listRecentFiles,
+  getRecentFile,
+  MAX_RECENT_FILES,
+} from './StorageHelper';
+
+// Lets the clock move on, so entries saved one after the other get different timestamps
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('batches a burst of changes into one save of the latest snapshot', () => {
+  jest.useFakeTimers();
+  const save = jest.fn(() => Promise.resolve());
+  const autosaver = createAutosaver(save, 1000);
+
+  autosaver.schedule(() => 'first');
+  jest.advanceTimersByTime(500);
+  autosaver.schedule(() => 'second');
+  autosaver.schedule(() => 'third');
+  expect(save).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(500);
+  expect(save).toHaveBeenCalledTimes(1);
+  expect(save).toHaveBeenCalledWith('third');
+
+  autosaver.schedule(() => 'fourth');
+  jest.advanceTimersByTime(1000);
+  expect(save).toHaveBeenCalledTimes(2);
+  jest.useRealTimers();
+});
+
+test('flushes pending changes immediately and does nothing when idle', () => {
+  jest.useFakeTimers();
+  const save = jest.fn(() => Promise.resolve());
+  const autosaver = createAutosaver(save, 1000);
+
+  autosaver.flush();
+  expect(save).not.toHaveBeenCalled();
+
+  autosaver.schedule(() => 'pending');
+  autosaver.flush();
+  expect(save).toHaveBeenCalledWith('pending');
+
+  jest.advanceTimersByTime(1000);
+  expect(save).toHaveBeenCalledTimes(1);
+  jest.useRealTimers();
+});
+
+test('keeps sheets an autosave leaves out and drops removed ones', async () => {
+  await saveSession(1, { text: 'workbook', sheetKeys: [1, 2], sheets: new Map([[1, 'first'], [2, 'second']]) });
+  await saveSession(1, { text: 'renamed', sheetKeys: [2, 3], sheets: new Map([[3, 'third']]) });
+
+  const session = await loadLatestSession();
+  expect(session).toMatchObject({ id: 1, text: 'renamed', sheets: ['second', 'third'] });
+  expect(await loadLatestSession(1)).toBeNull();
+
+  await clearSessions((id) => id === 1);
+  expect(await loadLatestSession()).toBeNull();
+});
+
+test('offers the latest session other than the page\'s own', async () => {
+  await saveSession(10, { text: 'older', sheetKeys: [1], sheets: new Map([[1, 'a']]) });
+  await wait(5);
+  await saveSession(20, { text: 'newer', sheetKeys: [1], sheets: new Map([[1, 'b']]) });
+  await wait(5);
+  await saveSession(30, { text: 'own', sheetKeys: [1], sheets: new Map([[1, 'c']]) });
+
+  expect(await loadLatestSession(30)).toMatchObject({ id: 20, text: 'newer', sheets: ['b'] });
+
+  await clearSessions((id) => id !== 30);
+  expect(await loadLatestSession(30)).toBeNull();
+  expect(await loadLatestSession()).toMatchObject({ id: 30, sheets: ['c'] });
+  await clearSessions(() => true);
+});
+
+test('lists recent files newest first, one entry per name, up to the limit', async () => {
+  for (let i = 0; i < MAX_RECENT_FILES + 2; i++) {
+    await addRecentFile(`book${i}.json`, `text${i}`);
+    await wait(2);
+  }
+  await addRecentFile('book5.json', 'reopened');
+
+  const files = await listRecentFiles();
+  expect(files).toHaveLength(MAX_RECENT_FILES);
+  expect(files[0]).not.toHaveProperty('text');
+  expect(files.map((file) => file.name).slice(0, 2)).toEqual(['book5.json', `book${MAX_RECENT_FILES + 1}.json`]);
+  expect(files.filter((file) => file.name === 'book5.json')).toHaveLength(1);
+  expect(files.some((file) => file.name === 'book0.json')).toBe(false);
+
+  expect(await getRecentFile(files[0].id)).toMatchObject({ name: 'book5.json', text: 'reopened' });
+  expect(await getRecentFile(-1)).toBeNull();
+});
@@ -0,0 +1,239 @@
+// StructureHelper.js - Inserting and deleting whole rows and columns
+//
+// A "doc" here is the set of stores that move together when tracks shift:
+// { cellData, cellStyles?, colWidths, rowHeights, hiddenCols?, hiddenRows?, autoFilter? }. Cell stores
+// are keyed by "row,col", size stores are Maps keyed by track index and hidden stores are Sets of indexes.
+
+import { isFormula, adjustFormulaForStructureChange } from './FormulaHelper';
+import { shiftAutoFilter } from './FilterHelper';
+
+const CELL_STORES = ['cellData', 'cellStyles'];
+
+const getSizeStore = (axis) => (axis === 'row' ? 'rowHeights' : 'colWidths');
+const getHiddenStore = (axis) => (axis === 'row' ? 'hiddenRows' : 'hiddenCols');
+
+/**
+ * Moves every key at or past `from` by `delta` along one axis. Keys in deleted tracks are dropped.
+ * @param {Object} store - Cell store keyed by "row,col"
+ * @param {string} axis - 'row' or 'col'
+ * @param {number} from - First track that moves
+ * @param {number} delta - Number of tracks to move by (negative to move up / left)
+ * @param {Object} [removed] - Receives the entries of deleted tracks, keyed by their old key
+ * @returns {Object} New store
+ */
+const shiftCellStore = (store, axis, from, delta, removed) => {
+  const newStore = {};
+  const deleteEnd = from - delta; // first track kept after a delete
+
+  for (const key in store) {
+    const [r, c] = key.split(',').map(Number);
+    const pos = axis === 'row' ? r : c;
+
+    if (pos < from) {
+      newStore[key] = store[key];
+    } else if (delta < 0 && pos < deleteEnd) {
+      if (removed) removed[key] = store[key];
+    } else {
+      const newPos = pos + delta;
+      newStore[axis === 'row' ? `${newPos},${c}` : `${r},${newPos}`] = store[key];
+    }
+  }
+
+  return newStore;
+};
+
+/**
+ * Same as shiftCellStore for a Map of track sizes
+ */
+const shiftSizes = (sizes, from, delta, removed) => {
+  const newSizes = new Map();
+  const deleteEnd = from - delta;
+
+  sizes.forEach((size, index) => {
+    if (index < from) {
+      newSizes.set(index, size);
+    } else if (delta < 0 && index < deleteEnd) {
+      if (removed) removed.push([index, size]);
+    } else {
+      newSizes.set(index + delta, size);
+    }
+  });
+
+  return newSizes;
+};
+
+/**
+ * Same as shiftCellStore for a Set of hidden tracks
+ */
+const shiftHidden = (hidden, from, delta, removed) => {
+  const newHidden = new Set();
+  const deleteEnd = from - delta;
+
+  hidden.forEach((index) => {
+    if (index < from) {
+      newHidden.add(index);
+    } else if (delta < 0 && index < deleteEnd) {
+      if (removed) removed.push(index);
+    } else {
+      newHidden.add(index + delta);
+    }
+  });
+
+  return newHidden;
+};
+
+/**
+ * Rewrites the formulas of a cellData store for a structure change
+ * @param {Object} cellData - Cell data after the keys were shifted
+ * @param {string} axis - 'row' or 'col'
+ * @param {number} index - First inserted or deleted track
+ * @param {number} delta - Positive count for an insert, negative for a delete
+ * @param {Object} sheets - { ownSheet, changedSheet } passed to adjustFormulaForStructureChange
+ * @param {Object} [rewritten] - Receives the original text of every formula that changed
+ * @param {Object} [keyMap] - New key -> old key, used to report rewritten formulas by their old key
+ * @returns {Object} cellData with adjusted formulas
+ */
+const adjustFormulas = (cellData, axis, index, delta, sheets, rewritten, keyMap) => {
+  let result = cellData;
+  for (const key in cellData) {
+    const raw = cellData[key];
+    if (!isFormula(raw)) continue;
+    const adjusted = adjustFormulaForStructureChange(raw, axis, index, delta, sheets);
+    if (adjusted !== raw) {
+      if (result === cellData) result = { ...cellData };
+      result[key] = adjusted;
+      if (rewritten) rewritten[keyMap ? keyMap(key) : key] = raw;
+    }
+  }
+  return result;
+};
+
+// A doc's own formulas follow the change, including references qualified with its own sheet name
+const ownSheet = (doc) => ({ ownSheet: doc.sheetName, changedSheet: doc.sheetName });
+
+/**
+ * Inserts `count` empty rows or columns before `index`, shifting cells, sizes and formula references
+ * @param {Object} doc - { cellData, cellStyles?, colWidths, rowHeights, sheetName? }
+ * @param {string} axis - 'row' or 'col'
+ * @param {number} index - Track the new tracks are inserted before
+ * @param {number} count - Number of tracks to insert
+ * @returns {Object} New doc
+ */
+export const insertTracks = (doc, axis, index, count) => {
+  const next = { ...doc };
+  CELL_STORES.forEach((store) => {
+    if (doc[store]) next[store] = shiftCellStore(doc[store], axis, index, count);
+  });
+  next.cellData = adjustFormulas(next.cellData, axis, index, count, ownSheet(doc));
+
+  const sizeStore = getSizeStore(axis);
+  next[sizeStore] = shiftSizes(doc[sizeStore], index, count);
+  const hiddenStore = getHiddenStore(axis);
+  if (doc[hiddenStore]) next[hiddenStore] = shiftHidden(doc[hiddenStore], index, count);
+  if (doc.autoFilter) next.autoFilter = shiftAutoFilter(doc.autoFilter, axis, index, count);
+  return next;
+};
+
+/**
+ * Deletes `count` rows or columns starting at `index`, shifting the rest back and turning
+ * references to the deleted cells into #REF!
+ * @param {Object} doc - { cellData, cellStyles?, colWidths, rowHeights, sheetName? }
+ * @param {string} axis - 'row' or 'col'
+ * @param {number} index - First track to delete
+ * @param {number} count - Number of tracks to delete
+ * @returns {Object} { doc, removed, removedSizes, removedHidden, rewritten, removedFilter } - everything needed to undo the delete
+ */
+export const deleteTracks = (doc, axis, index, count) => {
+  const next = { ...doc };
+  const removed = {};
+  CELL_STORES.forEach((store) => {
+    if (!doc[store]) return;
+    removed[store] = {};
+    next[store] = shiftCellStore(doc[store], axis, index, -count, removed[store]);
+  });
+
+  // Report rewritten formulas by their key before the delete, which is where undo puts them back
+  const rewritten = {};
+  const toOldKey = (key) => {
+    const [r, c] = key.split(',').map(Number);
+    if (axis === 'row') return r >= index ? `${r + count},${c}` : key;
+    return c >= index ? `${r},${c + count}` : key;
+  };
+  next.cellData = adjustFormulas(next.cellData, axis, index, -count, ownSheet(doc), rewritten, toOldKey);
+
+  const sizeStore = getSizeStore(axis);
+  const removedSizes = [];
+  next[sizeStore] = shiftSizes(doc[sizeStore], index, -count, removedSizes);
+  const hiddenStore = getHiddenStore(axis);
+  const removedHidden = [];
+  if (doc[hiddenStore]) next[hiddenStore] = shiftHidden(doc[hiddenStore], index, -count, removedHidden);
+  if (doc.autoFilter) next.autoFilter = shiftAutoFilter(doc.autoFilter, axis, index, -count);
+
+  // Undo brings back a filter the delete removed, or took columns out of, as it was
+  const filter = doc.autoFilter;
+  const filterLost = filter && (!next.autoFilter || (axis === 'col' && index <= filter.endCol && index + count > filter.startCol));
+  return { doc: next, removed, removedSizes, removedHidden, rewritten, removedFilter: filterLost ? filter : undefined };
+};
+
+/**
+ * Reverses deleteTracks: re-inserts the tracks and restores the deleted cells, sizes and formulas
+ * @param {Object} doc - Doc after the delete
+ * @param {Object} command - { axis, index, count, removed, removedSizes, removedHidden, rewritten, removedFilter }
+ * @returns {Object} Doc as it was before the delete
+ */
+export const restoreDeletedTracks = (doc, command) => {
+  const { axis, index, count, removed, removedSizes, removedHidden = [], rewritten, removedFilter } = command;
+  const next = insertTracks(doc, axis, index, count);
+
+  CELL_STORES.forEach((store) => {
+    if (!removed[store] || !next[store]) return;
+    next[store] = { ...next[store], ...removed[store] };
+  });
+  next.cellData = { ...next.cellData, ...rewritten };
+
+  const sizeStore = getSizeStore(axis);
+  if (removedSizes.length) {
+    next[sizeStore] = new Map(next[sizeStore]);
+    removedSizes.forEach(([i, size]) => next[sizeStore].set(i, size));
+  }
+  const hiddenStore = getHiddenStore(axis);
+  if (removedHidden.length && next[hiddenStore]) {
+    next[hiddenStore] = new Set(next[hiddenStore]);
+    removedHidden.forEach((i) => next[hiddenStore].add(i));
+  }
+  if (removedFilter) next.autoFilter = removedFilter;
+  return next;
+};
+
+/**
+ * Moves the references another sheet's formulas make into a sheet whose rows or columns changed
+ * @param {Object} cellData - Cell data of the sheet holding the formulas
+ * @param {string} sheetName - Name of that sheet
+ * @param {string} changedSheet - Name of the sheet where tracks were inserted or deleted
+ * @param {string} axis - 'row' or 'col'
+ * @param {number} index - First inserted or deleted track
+ * @param {number} delta - Positive count for an insert, negative for a delete
+ * @returns {Object} cellData with adjusted formulas (the same object if nothing changed)
+ */
+export const adjustSheetReferences = (cellData, sheetName, changedSheet, axis, index, delta) =>
+  adjustFormulas(cellData, axis, index, delta, { ownSheet: sheetName, changedSheet });
+
+/**
+ * Builds the history command for a delete performed with deleteTracks
+ * @param {string} axis - 'row' or 'col'
+ * @param {number} index - First deleted track
+ * @param {number} count - Number of deleted tracks
+ * @param {Object} result - Return value of deleteTracks
+ * @returns {Object} 'remove' history command
+ */
+export const createRemoveCommand = (axis, index, count, result) => ({
+  type: 'remove',
+  axis,
+  index,
+  count,
+  removed: result.removed,
+  removedSizes: result.removedSizes,
+  removedHidden: result.removedHidden,
+  rewritten: result.rewritten,
+  removedFilter: result.removedFilter,
+});
@@ -0,0 +1,143 @@
+// StyleHelper.js - Per-cell formatting: the cellStyles store and the edits the toolbar makes
+//
+// cellStyles is keyed by "row,col" like cellData. A style only holds what differs from the default:
+//   { bold, italic, underline, fontSize, color, fill, hAlign, vAlign, wrap, borders: { top, right, bottom, left }, numFmt }
+// fontSize is in px, colours are '#rrggbb', hAlign is 'left' | 'center' | 'right',
+// vAlign is 'top' | 'middle' | 'bottom', wrap is true for text that wraps inside the cell,
+// a border side is true when it is drawn and numFmt is an Excel-style number format code
+// (see NumberFormatHelper).
+
+import { GENERAL_FORMAT } from './NumberFormatHelper';
+
+export const DEFAULT_FONT_SIZE = 14;
+export const FONT_SIZES = [10, 11, 12, 13, 14, 16, 18, 20, 24, 28, 32, 36];
+export const DEFAULT_TEXT_COLOR = '#000000';
+export const BORDER_COLOR = '#000000';
+export const BORDER_SIDES = ['top', 'right', 'bottom', 'left'];
+export const BORDER_PRESETS = [
+  { id: 'all', label: 'All borders' },
+  { id: 'outer', label: 'Outside borders' },
+  { id: 'top', label: 'Top border' },
+  { id: 'bottom', label: 'Bottom border' },
+  { id: 'left', label: 'Left border' },
+  { id: 'right', label: 'Right border' },
+  { id: 'none', label: 'No borders' },
+];
+
+const EMPTY_STYLE = Object.freeze({});
+
+/**
+ * Returns the style of a cell (an empty style for unformatted cells)
+ * @param {Object} cellStyles - Style store
+ * @param {string} key - "row,col"
+ * @returns {Object} Style
+ */
+export const getCellStyle = (cellStyles, key) => (cellStyles && cellStyles[key]) || EMPTY_STYLE;
+
+const isUnset = (value) => value === undefined || value === null || value === false || value === '';
+
+/**
+ * Drops properties that are at their default, so a cleared style disappears from the store
+ * @param {Object} style - Style, possibly with unset properties
+ * @returns {Object|undefined} Normalised style, or undefined if nothing is set
+ */
+export const normalizeStyle = (style) => {
+  const result = {};
+  Object.keys(style).forEach((prop) => {
+    const value = style[prop];
+    if (isUnset(value)) return;
+    if (prop === 'fontSize' && value === DEFAULT_FONT_SIZE) return;
+    if (prop === 'numFmt' && value === GENERAL_FORMAT) return;
+    if (prop === 'borders') {
+      const sides = BORDER_SIDES.filter((side) => value[side]);
+      if (sides.length) result.borders = Object.fromEntries(sides.map((side) => [side, true]));
+      return;
+    }
+    result[prop] = value;
+  });
+  return Object.keys(result).length ? result : undefined;
+};
+
+const isSameStyle = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => (key === 'borders' ? isSameStyle(a.borders, b.borders) : a[key] === b[key]));
+};
+
+/**
+ * Rewrites the style of every cell in a range
+ * @param {Object} cellStyles - Style store
+ * @param {Object} range - { startRow, startCol, endRow, endCol }
+ * @param {Function} update - (style, r, c) => new style
+ * @returns {Object} { newStyles, changedKeys }
+ */
+export const updateRangeStyles = (cellStyles, range, update) => {
+  const newStyles = { ...cellStyles };
+  const changedKeys = [];
+  for (let r = range.startRow; r <= range.endRow; r++) {
+    for (let c = range.startCol; c <= range.endCol; c++) {
+      const key = `${r},${c}`;
+      const before = cellStyles[key];
+      const after = normalizeStyle(update(before || EMPTY_STYLE, r, c));
+      if (isSameStyle(before, after)) continue;
+      if (after) {
+        newStyles[key] = after;
+      } else {
+        delete newStyles[key];
+      }
+      changedKeys.push(key);
+    }
+  }
+  return { newStyles, changedKeys };
+};
+
+/**
+ * Sets style properties on every cell in a range; false / undefined values clear them
+ * @param {Object} cellStyles - Style store
+ * @param {Object} range - { startRow, startCol, endRow, endCol }
+ * @param {Object} patch - Properties to set, e.g. { bold: true } or { fill: undefined }
+ * @returns {Object} { newStyles, changedKeys }
+ */
+export const applyStylePatch = (cellStyles, range, patch) =>
+  updateRangeStyles(cellStyles, range, (style) => ({ ...style, ...patch }));
+
+/**
+ * Applies a border preset to a range. 'outer' and the single sides only add lines along the
+ * range's edge; 'all' draws every side of every cell and 'none' clears them.
+ * @param {Object} cellStyles - Style store
+ * @param {Object} range - { startRow, startCol, endRow, endCol }
+ * @param {string} preset - Id from BORDER_PRESETS
+ * @returns {Object} { newStyles, changedKeys }
+ */
+export const applyBorderPreset = (cellStyles, range, preset) =>
+  updateRangeStyles(cellStyles, range, (style, r, c) => {
+    const edges = {
+      top: r === range.startRow,
+      bottom: r === range.endRow,
+      left: c === range.startCol,
+      right: c === range.endCol,
+    };
+    const current = style.borders || {};
+    let borders;
+    if (preset === 'none') {
+      borders = undefined;
+    } else if (preset === 'all') {
+      borders = { top: true, right: true, bottom: true, left: true };
+    } else if (preset === 'outer') {
+      borders = Object.fromEntries(BORDER_SIDES.map((side) => [side, current[side] || edges[side]]));
+    } else {
+      borders = edges[preset] ? { ...current, [preset]: true } : current;
+    }
+    return { ...style, borders };
+  });
+
+/**
+ * Builds the canvas font shorthand for a style
+ * @param {Object} style - Cell style
+ * @param {string} fontFamily - Sheet-wide font family
+ * @returns {string} e.g. "italic bold 16px Arial"
+ */
+export const getCanvasFont = (style, fontFamily) =>
+  `${style.italic ? 'italic ' : ''}${style.bold ? 'bold ' : ''}${style.fontSize || DEFAULT_FONT_SIZE}px ${fontFamily}`;
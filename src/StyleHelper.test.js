@@ -0,0 +1,29 @@
+import { applyStylePatch, applyBorderPreset, updateRangeStyles } from './StyleHelper';
+
+const range = { startRow: 0, startCol: 0, endRow: 1, endCol: 1 };
+
+test('applies and clears style properties, dropping styles that end up empty', () => {
+  const { newStyles, changedKeys } = applyStylePatch({ '0,0': { italic: true } }, range, { bold: true, fontSize: 14 });
+  expect(newStyles['0,0']).toEqual({ italic: true, bold: true });
+  expect(newStyles['1,1']).toEqual({ bold: true });
+  expect(changedKeys).toHaveLength(4);
+
+  const cleared = applyStylePatch(newStyles, range, { bold: false, italic: undefined });
+  expect(cleared.newStyles).toEqual({});
+
+  const unchanged = updateRangeStyles(newStyles, range, (style) => ({ ...style }));
+  expect(unchanged.changedKeys).toEqual([]);
+});
+
+test('border presets draw along the edge of the range or on every cell', () => {
+  const { newStyles: outer } = applyBorderPreset({}, range, 'outer');
+  expect(outer['0,0'].borders).toEqual({ top: true, left: true });
+  expect(outer['1,1'].borders).toEqual({ right: true, bottom: true });
+
+  const { newStyles: bottom } = applyBorderPreset({}, range, 'bottom');
+  expect(bottom['0,0']).toBeUndefined();
+  expect(bottom['1,0'].borders).toEqual({ bottom: true });
+
+  const { newStyles: none } = applyBorderPreset(applyBorderPreset({}, range, 'all').newStyles, range, 'none');
+  expect(none).toEqual({});
+});
@@ -0,0 +1,121 @@
+// TextLayoutHelper.js - Fitting cell text into column widths: overflow, ellipsis and wrapping
+//
+// Everything here measures with a canvas 2D context, so the caller sets ctx.font first
+// (measureWrappedHeight does it itself from the cell style).
+
+import { getCanvasFont, DEFAULT_FONT_SIZE } from './StyleHelper';
+
+export const CELL_PADDING = 4; // Horizontal space between the text and the cell edge
+export const CELL_PADDING_Y = 3; // Vertical space for top / bottom aligned and wrapped text
+const ELLIPSIS = '…';
+
+/**
+ * Height of one line of text
+ * @param {number} [fontSize] - Font size in pixels
+ * @returns {number} Line height in pixels
+ */
+export const getLineHeight = (fontSize = DEFAULT_FONT_SIZE) => Math.ceil(fontSize * 1.25);
+
+/**
+ * Shortens text to fit a width, ending it with an ellipsis when anything was cut
+ * @param {CanvasRenderingContext2D} ctx - Context with the cell font set
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} The text itself, or a prefix of it followed by "…" ('' if not even that fits)
+ */
+export const truncateText = (ctx, text, maxWidth) => {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  // Binary search for the longest prefix that fits with the ellipsis
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (ctx.measureText(text.slice(0, mid) + ELLIPSIS).width <= maxWidth) low = mid;
+    else high = mid - 1;
+  }
+  return low > 0 ? text.slice(0, low).trimEnd() + ELLIPSIS : '';
+};
+
+/**
+ * Breaks text into lines no wider than maxWidth: at line breaks, then between words, and inside
+ * words that are too long for a line on their own
+ * @param {CanvasRenderingContext2D} ctx - Context with the cell font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in pixels
+ * @returns {string[]} Lines
+ */
+export const wrapText = (ctx, text, maxWidth) => {
+  const fits = (line) => ctx.measureText(line).width <= maxWidth;
+  const lines = [];
+
+  String(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      // A word wider than the cell is split wherever it has to be
+      line = '';
+      for (const ch of word) {
+        if (line && !fits(line + ch)) {
+          lines.push(line);
+          line = '';
+        }
+        line += ch;
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+/**
+ * Works out how far unwrapped text spills into the neighbouring cells. Left-aligned text runs
+ * to the right, right-aligned text to the left and centred text both ways, across blank cells only.
+ * @param {number} textWidth - Measured width of the text
+ * @param {number} cellWidth - Width of the text's own cell
+ * @param {string} hAlign - 'left' | 'center' | 'right'
+ * @param {Function} getBlankWidth - (offset) => width of the cell `offset` columns away, or null if it is not blank
+ * @returns {Object} { left, right } - Extra pixels available on each side
+ */
+export const getOverflowSpan = (textWidth, cellWidth, hAlign, getBlankWidth) => {
+  const needed = textWidth + 2 * CELL_PADDING - cellWidth;
+  if (needed <= 0) return { left: 0, right: 0 };
+
+  const extend = (direction, target) => {
+    let extra = 0;
+    for (let step = 1; extra < target; step++) {
+      const width = getBlankWidth(direction * step);
+      if (width === null) break;
+      extra += width;
+    }
+    return extra;
+  };
+
+  if (hAlign === 'right') return { left: extend(-1, needed), right: 0 };
+  if (hAlign === 'center') {
+    // Centred text stays centred, so it only gets as much room as the tighter side allows
+    const side = Math.min(extend(-1, needed / 2), extend(1, needed / 2));
+    return { left: side, right: side };
+  }
+  return { left: 0, right: extend(1, needed) };
+};
+
+/**
+ * Row height needed to show wrapped text in full
+ * @param {CanvasRenderingContext2D} ctx - Any 2D context; its font is changed
+ * @param {string} text - Cell text
+ * @param {Object} style - Cell style
+ * @param {string} fontFamily - Sheet-wide font family
+ * @param {number} cellWidth - Column width in pixels
+ * @returns {number} Height in pixels
+ */
+export const measureWrappedHeight = (ctx, text, style, fontFamily, cellWidth) => {
+  ctx.font = getCanvasFont(style, fontFamily);
+  const lines = wrapText(ctx, text, cellWidth - 2 * CELL_PADDING);
+  return lines.length * getLineHeight(style.fontSize) + 2 * CELL_PADDING_Y;
+};
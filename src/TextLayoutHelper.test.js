@@ -0,0 +1,26 @@
+import { truncateText, wrapText, getOverflowSpan } from './TextLayoutHelper';
+
+// Every character is 10px wide
+const ctx = { measureText: (text) => ({ width: text.length * 10 }) };
+
+test('wraps at spaces and line breaks, splitting words wider than the cell', () => {
+  expect(wrapText(ctx, 'the quick brown fox', 100)).toEqual(['the quick', 'brown fox']);
+  expect(wrapText(ctx, 'one\ntwo', 100)).toEqual(['one', 'two']);
+  expect(wrapText(ctx, 'abcdefghijkl', 50)).toEqual(['abcde', 'fghij', 'kl']);
+});
+
+test('cuts text with an ellipsis only when it does not fit', () => {
+  expect(truncateText(ctx, 'short', 50)).toBe('short');
+  expect(truncateText(ctx, 'a long label', 60)).toBe('a lon…');
+  expect(truncateText(ctx, 'abc', 5)).toBe('');
+});
+
+test('overflows across blank neighbours in the direction of the alignment', () => {
+  // Columns are 80px; the neighbour two to the right has content
+  const blankWidth = (offset) => (offset === 2 ? null : 80);
+  expect(getOverflowSpan(50, 80, 'left', blankWidth)).toEqual({ left: 0, right: 0 });
+  expect(getOverflowSpan(120, 80, 'left', blankWidth)).toEqual({ left: 0, right: 80 });
+  expect(getOverflowSpan(300, 80, 'left', blankWidth)).toEqual({ left: 0, right: 80 });
+  expect(getOverflowSpan(300, 80, 'right', blankWidth)).toEqual({ left: 240, right: 0 });
+  expect(getOverflowSpan(200, 80, 'center', blankWidth)).toEqual({ left: 80, right: 80 });
+});
@@ -13,26 +13,57 @@ export function getColLetter(n) {
 }
 
 /**
- * Calculates statistics (count, sum, average, min, max) for numeric values in the selected cell range
+ * Converts Excel-style column letters back to a zero-based column index (A -> 0, Z -> 25, AA -> 26)
+ * @param {string} letters - Column letters, case-insensitive
+ * @returns {number} - Zero-based column index, or -1 if the letters are invalid
+ */
+export function getColIndex(letters) {
+  if (!letters || !/^[A-Za-z]+$/.test(letters)) return -1;
+  let n = 0;
+  for (const ch of letters.toUpperCase()) {
+    n = n * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return n - 1;
+}
+
+const NUMERIC_TEXT = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Calculates statistics (count, sum, average, min, max) for numeric values in the selected cell range.
+ * Only real numbers count: text such as "12 apples" is skipped rather than read as 12.
  * @param {Object} cellData - Object storing cell values, keys are "row,col"
- * @param {Object} selection - Current selection with startRow, endRow, startCol, endCol, isRange
+ * @param {Object|Array<Object>} selection - Current selection with startRow, endRow, startCol, endCol, isRange,
+ *   or every range of a multiple selection; a cell covered by two ranges counts once
+ * @param {Object} [computedData] - Computed formula results keyed by "row,col", used in place of the formula text
+ * @param {Set<number>} [hiddenRows] - Rows to leave out, e.g. those a filter hides, so only visible cells count
  * @returns {Object|null} - Statistics object or null if no numeric values or invalid selection
  */
-export function calculateStats(cellData, selection) {
-  if (!selection.isRange) return null;
+export function calculateStats(cellData, selection, computedData = {}, hiddenRows = null) {
+  const ranges = Array.isArray(selection) ? selection : [selection];
+  if (ranges.length === 1 && !ranges[0].isRange) return null;
 
-  const { startRow, endRow, startCol, endCol } = selection;
   const values = [];
-
-  for (let r = startRow; r <= endRow; r++) {
-    for (let c = startCol; c <= endCol; c++) {
-      const key = `${r},${c}`;
-      const val = cellData[key];
-      if (val && !isNaN(parseFloat(val))) {
-        values.push(parseFloat(val));
+  const counted = ranges.length > 1 ? new Set() : null;
+
+  ranges.forEach(({ startRow, endRow, startCol, endCol }) => {
+    for (let r = startRow; r <= endRow; r++) {
+      if (hiddenRows && hiddenRows.has(r)) continue;
+      for (let c = startCol; c <= endCol; c++) {
+        const key = `${r},${c}`;
+        const val = key in computedData ? computedData[key] : cellData[key];
+        if (val === undefined) continue;
+        if (counted) {
+          if (counted.has(key)) continue;
+          counted.add(key);
+        }
+        if (typeof val === 'number') {
+          values.push(val);
+        } else if (!(key in computedData) && typeof val === 'string' && NUMERIC_TEXT.test(val.trim())) {
+          values.push(parseFloat(val));
+        }
       }
     }
-  }
+  });
 
   if (values.length === 0) return null;
 
@@ -62,38 +93,6 @@ export function getVisibleRowRange(scrollTop, ROW_HEIGHT, CANVAS_HEIGHT, COL_HEA
   return { startRow, endRow };
 }
 
-/**
- * Handles undo operation by moving one step backward in history
- * @param {Array<Object>} history - Array of cellData snapshots representing history states
- * @param {number} historyIndex - Current index in the history
- * @returns {Object|null} - Object with updated historyIndex and cellData, or null if undo not possible
- */
-export const handleUndo = (history, historyIndex) => {
-  if (historyIndex > 0) {
-    return {
-      newHistoryIndex: historyIndex - 1,
-      newCellData: history[historyIndex - 1],
-    };
-  }
-  return null; // nothing to undo
-};
-
-/**
- * Handles redo operation by moving one step forward in history
- * @param {Array<Object>} history - Array of cellData snapshots representing history states
- * @param {number} historyIndex - Current index in the history
- * @returns {Object|null} - Object with updated historyIndex and cellData, or null if redo not possible
- */
-export const handleRedo = (history, historyIndex) => {
-  if (historyIndex < history.length - 1) {
-    return {
-      newHistoryIndex: historyIndex + 1,
-      newCellData: history[historyIndex + 1],
-    };
-  }
-  return null; // nothing to redo
-};
-
 /**
  * Copies cell values from the current selection into a 2D array format for clipboard
  * @param {Object} cellData - Object storing cell values keyed by "row,col"
@@ -198,16 +197,17 @@ export const handleSelectAll = (TOTAL_ROWS, TOTAL_COLS) => {
 };
 
 /**
- * Generates a downloadable URL containing the JSON stringified cellData for saving
- * @param {Object} cellData - Current cell data object
- * @returns {string} - Blob URL to be used for file download
+ * Triggers a browser download of a Blob through a temporary <a> element
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
  */
-export const handleSave = (cellData) => {
-  const dataBlob = new Blob([JSON.stringify(cellData, null, 2)], {
-    type: 'application/json',
-  });
-  const url = URL.createObjectURL(dataBlob);
-  return url; // Caller responsible for using <a> element to download
+export const downloadFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 };
 
 /**
@@ -270,46 +270,65 @@ export const getVisibleColRange = (scrollLeft, colWidth, canvasWidth, rowHeaderW
 };
 
 /**
- * Inserts a new row at the specified index by shifting all rows below it down by one.
+ * Finds the smallest range anchored at A1 that contains every non-empty cell
  *
  * @param {Object} cellData - The current cell data map (keys as "row,col").
- * @param {number} rowIndex - The index at which to insert the new row.
- * @returns {Object} - A new cell data map with the row inserted.
+ * @returns {Object|null} - { startRow: 0, startCol: 0, endRow, endCol }, or null when the sheet is empty.
  */
-export const insertRow = (cellData, rowIndex) => {
-  const newData = {};
+export const getUsedRange = (cellData) => {
+  let endRow = -1;
+  let endCol = -1;
 
   for (const key in cellData) {
+    if (cellData[key] === '' || cellData[key] === undefined) continue;
     const [r, c] = key.split(',').map(Number);
-    if (r >= rowIndex) {
-      newData[`${r + 1},${c}`] = cellData[key]; // Shift rows down
-    } else {
-      newData[key] = cellData[key];
-    }
+    if (r > endRow) endRow = r;
+    if (c > endCol) endCol = c;
   }
 
-  return newData;
+  if (endRow < 0) return null;
+  return { startRow: 0, startCol: 0, endRow, endCol };
 };
 
-
 /**
- * Inserts a new column at the specified index by shifting all columns to the right of it.
+ * Finds the block of data around a cell: the smallest range holding the cell that has only
+ * empty cells along its outside edges, diagonals included (what Excel calls the current region)
  *
  * @param {Object} cellData - The current cell data map (keys as "row,col").
- * @param {number} colIndex - The index at which to insert the new column.
- * @returns {Object} - A new cell data map with the column inserted.
+ * @param {number} row - Row of the cell
+ * @param {number} col - Column of the cell
+ * @param {number} TOTAL_ROWS - Rows in the grid
+ * @param {number} TOTAL_COLS - Columns in the grid
+ * @returns {Object} - { startRow, startCol, endRow, endCol }; just the cell itself when it is empty and has no filled neighbours
  */
-export const insertColumn = (cellData, colIndex) => {
-  const newData = {};
-
-  for (const key in cellData) {
-    const [r, c] = key.split(',').map(Number);
-    if (c >= colIndex) {
-      newData[`${r},${c + 1}`] = cellData[key]; // Shift columns right
-    } else {
-      newData[key] = cellData[key];
+export const getCurrentRegion = (cellData, row, col, TOTAL_ROWS, TOTAL_COLS) => {
+  const filled = (r, c) => cellData[`${r},${c}`] !== undefined && cellData[`${r},${c}`] !== '';
+  const region = { startRow: row, startCol: col, endRow: row, endCol: col };
+
+  // Whether a row (or column) just outside the region has data next to it
+  const rowHasData = (r) => {
+    if (r < 0 || r >= TOTAL_ROWS) return false;
+    for (let c = Math.max(0, region.startCol - 1); c <= Math.min(TOTAL_COLS - 1, region.endCol + 1); c++) {
+      if (filled(r, c)) return true;
     }
+    return false;
+  };
+  const colHasData = (c) => {
+    if (c < 0 || c >= TOTAL_COLS) return false;
+    for (let r = Math.max(0, region.startRow - 1); r <= Math.min(TOTAL_ROWS - 1, region.endRow + 1); r++) {
+      if (filled(r, c)) return true;
+    }
+    return false;
+  };
+
+  let grew = true;
+  while (grew) {
+    grew = false;
+    while (rowHasData(region.startRow - 1)) { region.startRow--; grew = true; }
+    while (rowHasData(region.endRow + 1)) { region.endRow++; grew = true; }
+    while (colHasData(region.startCol - 1)) { region.startCol--; grew = true; }
+    while (colHasData(region.endCol + 1)) { region.endCol++; grew = true; }
   }
 
-  return newData;
+  return region;
 };
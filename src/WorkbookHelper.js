@@ -0,0 +1,365 @@
+// WorkbookHelper.js - Native workbook file format: serialisation, migration and validation
+//
+// A saved workbook is JSON of the form
+//   {
+//     format: 'zeus-spreadsheet-workbook',
+//     version: 1,
+//     metadata: { title, createdAt, modifiedAt, application },
+//     activeSheet: 0,
+//     sheets: [{
+//       name: 'Sheet1',
+//       cells: { 'row,col': 'raw text or =formula' },
+//       styles: { 'row,col': { ...cell format } },
+//       colWidths: [[index, px], ...],
+//       rowHeights: [[index, px], ...],
+//       hiddenCols: [index, ...],
+//       hiddenRows: [index, ...],
+//       frozen: { rows, cols },
+//       autoFilter: null | { row, startCol, endCol, criteria: { col: { values?, condition? } } },
+//     }],
+//   }
+// Maps are stored as [index, size] pairs and Sets as lists because JSON.stringify turns both into {}.
+
+import { isFormula } from './FormulaHelper';
+
+export const WORKBOOK_FORMAT = 'zeus-spreadsheet-workbook';
+export const WORKBOOK_VERSION = 1;
+export const WORKBOOK_EXTENSION = '.json';
+
+const APPLICATION = 'Advanced Spreadsheet';
+const MAX_SHEET_NAME_LENGTH = 31; // Excel's limit, so workbooks export cleanly
+const INVALID_SHEET_NAME_CHARS = /[\\/?*[\]:]/;
+const CELL_KEY = /^(\d+),(\d+)$/;
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Creates the in-memory form of an empty sheet
+ * @param {string} name - Sheet name
+ * @returns {Object} { name, cellData, cellStyles, colWidths, rowHeights, hiddenCols, hiddenRows, frozen, autoFilter }
+ */
+export const createSheet = (name) => ({
+  name,
+  cellData: {},
+  cellStyles: {},
+  colWidths: new Map(),
+  rowHeights: new Map(),
+  hiddenCols: new Set(),
+  hiddenRows: new Set(),
+  frozen: { rows: 0, cols: 0 },
+  autoFilter: null,
+});
+
+// A sheet as the native file format stores it
+const toFileSheet = (sheet) => ({
+  name: sheet.name,
+  cells: sheet.cellData,
+  styles: sheet.cellStyles || {},
+  colWidths: [...(sheet.colWidths || new Map())],
+  rowHeights: [...(sheet.rowHeights || new Map())],
+  hiddenCols: [...(sheet.hiddenCols || [])].sort((a, b) => a - b),
+  hiddenRows: [...(sheet.hiddenRows || [])].sort((a, b) => a - b),
+  frozen: sheet.frozen || { rows: 0, cols: 0 },
+  autoFilter: sheet.autoFilter || null,
+});
+
+/**
+ * Serialises one sheet as it appears in the native file format's sheets list, so the
+ * autosave can store sheets apart (see joinWorkbookText)
+ * @param {Object} sheet - In-memory sheet
+ * @returns {string} JSON text
+ */
+export const serializeSheet = (sheet) => JSON.stringify(toFileSheet(sheet));
+
+/**
+ * Puts a workbook stored in parts back together
+ * @param {string} text - Workbook serialised without sheets
+ * @param {Array<string>} sheetTexts - Sheets from serializeSheet, in order
+ * @returns {Object} Parsed file, as loadWorkbook takes it
+ */
+export const joinWorkbookText = (text, sheetTexts) => ({
+  ...JSON.parse(text),
+  sheets: sheetTexts.map((sheetText) => JSON.parse(sheetText)),
+});
+
+/**
+ * Serialises a workbook to the native file format
+ * @param {Object} workbook - { sheets: [in-memory sheets], activeSheet, metadata }
+ * @returns {string} JSON text
+ */
+export const serializeWorkbook = ({ sheets, activeSheet = 0, metadata = {} }) => {
+  const now = new Date().toISOString();
+  const file = {
+    format: WORKBOOK_FORMAT,
+    version: WORKBOOK_VERSION,
+    metadata: {
+      ...metadata,
+      createdAt: metadata.createdAt || now,
+      modifiedAt: now,
+      application: APPLICATION,
+    },
+    activeSheet,
+    sheets: sheets.map(toFileSheet),
+  };
+  return JSON.stringify(file);
+};
+
+// === Sheets ===
+
+/**
+ * Checks a proposed sheet name
+ * @param {string} name - Proposed name
+ * @param {Array<Object>} sheets - Existing sheets ({ id, name })
+ * @param {number} [ignoreId] - Sheet being renamed, which may keep its own name
+ * @returns {string|null} Problem to show the user, or null if the name is fine
+ */
+export const getSheetNameError = (name, sheets, ignoreId) => {
+  const trimmed = name.trim();
+  if (trimmed === '') return 'A sheet name cannot be empty';
+  if (trimmed.length > MAX_SHEET_NAME_LENGTH) return `A sheet name can have at most ${MAX_SHEET_NAME_LENGTH} characters`;
+  if (INVALID_SHEET_NAME_CHARS.test(trimmed)) return 'A sheet name cannot contain \\ / ? * [ ] or :';
+  if (trimmed.startsWith("'") || trimmed.endsWith("'")) return 'A sheet name cannot start or end with an apostrophe';
+  const lower = trimmed.toLowerCase();
+  if (sheets.some((sheet) => sheet.id !== ignoreId && sheet.name.toLowerCase() === lower)) {
+    return `There is already a sheet named "${trimmed}"`;
+  }
+  return null;
+};
+
+/**
+ * Picks the next free "SheetN" name
+ * @param {Array<Object>} sheets - Existing sheets
+ * @returns {string} New sheet name
+ */
+export const getNextSheetName = (sheets) => {
+  const taken = new Set(sheets.map((sheet) => sheet.name.toLowerCase()));
+  let n = sheets.length + 1;
+  while (taken.has(`sheet${n}`)) n++;
+  return `Sheet${n}`;
+};
+
+/**
+ * Picks the name of a duplicated sheet: "Budget (2)", "Budget (3)", ...
+ * @param {string} name - Name of the sheet being copied
+ * @param {Array<Object>} sheets - Existing sheets
+ * @returns {string} New sheet name
+ */
+export const getCopySheetName = (name, sheets) => {
+  const taken = new Set(sheets.map((sheet) => sheet.name.toLowerCase()));
+  const base = name.replace(/ \(\d+\)$/, '');
+  let n = 2;
+  let candidate;
+  do {
+    const suffix = ` (${n++})`;
+    candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  } while (taken.has(candidate.toLowerCase()));
+  return candidate;
+};
+
+/**
+ * Applies a rewrite to every formula of a sheet
+ * @param {Object} cellData - Cell data of the sheet
+ * @param {Function} rewrite - (formula) => new formula
+ * @returns {Object} New cell data, or the same object if no formula changed
+ */
+export const rewriteSheetFormulas = (cellData, rewrite) => {
+  let result = cellData;
+  for (const key in cellData) {
+    const raw = cellData[key];
+    if (!isFormula(raw)) continue;
+    const next = rewrite(raw);
+    if (next !== raw) {
+      if (result === cellData) result = { ...cellData };
+      result[key] = next;
+    }
+  }
+  return result;
+};
+
+// === Migration ===
+
+// Version 0 is the bare cellData object the first Save button wrote
+const isLegacyCellData = (data) =>
+  data !== null &&
+  typeof data === 'object' &&
+  !Array.isArray(data) &&
+  data.format === undefined &&
+  Object.keys(data).every((key) => CELL_KEY.test(key));
+
+// MIGRATIONS[n] upgrades a version n file to version n + 1
+const MIGRATIONS = {
+  0: (cells) => ({
+    format: WORKBOOK_FORMAT,
+    version: 1,
+    metadata: {},
+    activeSheet: 0,
+    sheets: [{ name: 'Sheet1', cells, styles: {}, colWidths: [], rowHeights: [], frozen: { rows: 0, cols: 0 } }],
+  }),
+};
+
+const getVersion = (data) => (isLegacyCellData(data) ? 0 : data.version);
+
+/**
+ * Upgrades a parsed file of any earlier version to the current version
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} File data at WORKBOOK_VERSION (unchanged if already current or unrecognised)
+ */
+export const migrateWorkbook = (data) => {
+  let current = data;
+  let version = getVersion(current);
+  while (Number.isInteger(version) && version < WORKBOOK_VERSION && MIGRATIONS[version]) {
+    current = MIGRATIONS[version](current);
+    version = getVersion(current);
+  }
+  return current;
+};
+
+// === Validation ===
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isIndex = (value, limit) => Number.isInteger(value) && value >= 0 && value < limit;
+
+const validateSizes = (pairs, path, limit, errors) => {
+  if (!Array.isArray(pairs)) {
+    errors.push(`${path} must be a list of [index, size] pairs`);
+    return;
+  }
+  pairs.forEach((pair, i) => {
+    if (!Array.isArray(pair) || pair.length !== 2 || !isIndex(pair[0], limit) || !(typeof pair[1] === 'number' && pair[1] > 0)) {
+      errors.push(`${path}[${i}] must be [index, size] with an index below ${limit} and a positive size`);
+    }
+  });
+};
+
+const validateIndexes = (indexes, path, limit, errors) => {
+  if (!Array.isArray(indexes) || !indexes.every((index) => isIndex(index, limit))) {
+    errors.push(`${path} must be a list of whole numbers below ${limit}`);
+  }
+};
+
+const validateSheet = (sheet, path, totalRows, totalCols, errors) => {
+  if (!isPlainObject(sheet)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (typeof sheet.name !== 'string' || sheet.name.trim() === '') errors.push(`${path}.name must be a non-empty string`);
+
+  const checkKey = (key, store) => {
+    const match = CELL_KEY.exec(key);
+    if (!match) {
+      errors.push(`${path}.${store} has an invalid cell key "${key}" (expected "row,col")`);
+    } else if (Number(match[1]) >= totalRows || Number(match[2]) >= totalCols) {
+      errors.push(`${path}.${store} cell "${key}" is outside the ${totalRows} x ${totalCols} grid`);
+    }
+  };
+
+  if (!isPlainObject(sheet.cells)) {
+    errors.push(`${path}.cells must be an object`);
+  } else {
+    Object.entries(sheet.cells).forEach(([key, value]) => {
+      checkKey(key, 'cells');
+      if (typeof value !== 'string') errors.push(`${path}.cells["${key}"] must be a string`);
+    });
+  }
+
+  if (sheet.styles !== undefined) {
+    if (!isPlainObject(sheet.styles)) {
+      errors.push(`${path}.styles must be an object`);
+    } else {
+      Object.entries(sheet.styles).forEach(([key, value]) => {
+        checkKey(key, 'styles');
+        if (!isPlainObject(value)) errors.push(`${path}.styles["${key}"] must be an object`);
+      });
+    }
+  }
+
+  if (sheet.colWidths !== undefined) validateSizes(sheet.colWidths, `${path}.colWidths`, totalCols, errors);
+  if (sheet.rowHeights !== undefined) validateSizes(sheet.rowHeights, `${path}.rowHeights`, totalRows, errors);
+  if (sheet.hiddenCols !== undefined) validateIndexes(sheet.hiddenCols, `${path}.hiddenCols`, totalCols, errors);
+  if (sheet.hiddenRows !== undefined) validateIndexes(sheet.hiddenRows, `${path}.hiddenRows`, totalRows, errors);
+
+  if (sheet.frozen !== undefined) {
+    const { rows, cols } = isPlainObject(sheet.frozen) ? sheet.frozen : {};
+    if (!isIndex(rows, totalRows) || !isIndex(cols, totalCols)) {
+      errors.push(`${path}.frozen must be { rows, cols } with whole numbers inside the grid`);
+    }
+  }
+
+  if (sheet.autoFilter !== undefined && sheet.autoFilter !== null) {
+    const { row, startCol, endCol, criteria } = isPlainObject(sheet.autoFilter) ? sheet.autoFilter : {};
+    if (!isIndex(row, totalRows) || !isIndex(startCol, totalCols) || !isIndex(endCol, totalCols) || startCol > endCol) {
+      errors.push(`${path}.autoFilter must be { row, startCol, endCol } with whole numbers inside the grid`);
+    } else if (!isPlainObject(criteria) || !Object.values(criteria).every(isPlainObject)) {
+      errors.push(`${path}.autoFilter.criteria must map columns to { values, condition }`);
+    }
+  }
+};
+
+/**
+ * Checks a parsed file against the current schema
+ * @param {Object} data - File data at WORKBOOK_VERSION
+ * @param {number} totalRows - Rows in the grid
+ * @param {number} totalCols - Columns in the grid
+ * @returns {Array<string>} Human-readable problems, empty if the file is valid
+ */
+export const validateWorkbook = (data, totalRows, totalCols) => {
+  const errors = [];
+  if (!isPlainObject(data) || data.format !== WORKBOOK_FORMAT) {
+    return ['This is not a spreadsheet workbook file'];
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return [`Unknown workbook version "${data.version}"`];
+  }
+  if (data.version > WORKBOOK_VERSION) {
+    return [`This workbook was saved by a newer version of the app (format version ${data.version}); this version reads up to ${WORKBOOK_VERSION}`];
+  }
+
+  if (data.metadata !== undefined && !isPlainObject(data.metadata)) errors.push('metadata must be an object');
+
+  if (!Array.isArray(data.sheets) || data.sheets.length === 0) {
+    errors.push('sheets must be a non-empty list');
+  } else {
+    data.sheets.forEach((sheet, i) => validateSheet(sheet, `sheets[${i}]`, totalRows, totalCols, errors));
+    const names = data.sheets.map((sheet) => (sheet && typeof sheet.name === 'string' ? sheet.name.toLowerCase() : null));
+    names.forEach((name, i) => {
+      if (name !== null && names.indexOf(name) !== i) errors.push(`sheets[${i}].name "${data.sheets[i].name}" is used more than once`);
+    });
+    if (data.activeSheet !== undefined && !isIndex(data.activeSheet, data.sheets.length)) {
+      errors.push('activeSheet must be the index of one of the sheets');
+    }
+  }
+
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    return [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${errors.length - MAX_REPORTED_ERRORS} more problems`];
+  }
+  return errors;
+};
+
+/**
+ * Migrates, validates and converts a parsed file into the in-memory workbook
+ * @param {Object} data - Parsed JSON of any supported version
+ * @param {number} totalRows - Rows in the grid
+ * @param {number} totalCols - Columns in the grid
+ * @returns {Object} { workbook, errors } - workbook is null when errors is not empty
+ */
+export const loadWorkbook = (data, totalRows, totalCols) => {
+  const migrated = migrateWorkbook(data);
+  const errors = validateWorkbook(migrated, totalRows, totalCols);
+  if (errors.length > 0) return { workbook: null, errors };
+
+  const workbook = {
+    metadata: migrated.metadata || {},
+    activeSheet: migrated.activeSheet || 0,
+    sheets: migrated.sheets.map((sheet) => ({
+      name: sheet.name,
+      cellData: { ...sheet.cells },
+      cellStyles: { ...(sheet.styles || {}) },
+      colWidths: new Map(sheet.colWidths || []),
+      rowHeights: new Map(sheet.rowHeights || []),
+      hiddenCols: new Set(sheet.hiddenCols || []),
+      hiddenRows: new Set(sheet.hiddenRows || []),
+      frozen: sheet.frozen || { rows: 0, cols: 0 },
+      autoFilter: sheet.autoFilter || null,
+    })),
+  };
+  return { workbook, errors: [] };
+};
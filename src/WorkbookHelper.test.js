@@ -0,0 +1,51 @@
+import { serializeWorkbook, serializeSheet, joinWorkbookText, loadWorkbook, createSheet, WORKBOOK_VERSION } from './WorkbookHelper';
+
+test('round-trips cells, formulas and sizes through the native format', () => {
+  const sheet = {
+    ...createSheet('Budget'),
+    cellData: { '0,0': 'Total', '0,1': '=SUM(B2:B9)' },
+    colWidths: new Map([[1, 150]]),
+    rowHeights: new Map([[0, 32]]),
+  };
+  const text = serializeWorkbook({ sheets: [sheet], metadata: { title: 'Q3' } });
+  const { workbook, errors } = loadWorkbook(JSON.parse(text), 100, 26);
+
+  expect(errors).toEqual([]);
+  expect(workbook.sheets[0]).toEqual(sheet);
+  expect(workbook.metadata.title).toBe('Q3');
+  expect(JSON.parse(text).version).toBe(WORKBOOK_VERSION);
+});
+
+test('puts a workbook stored sheet by sheet back together', () => {
+  const first = { ...createSheet('One'), cellData: { '0,0': '=Two!A1' } };
+  const second = { ...createSheet('Two'), cellData: { '0,0': '5' }, hiddenRows: new Set([3]) };
+  const text = serializeWorkbook({ sheets: [], activeSheet: 1 });
+  const { workbook } = loadWorkbook(joinWorkbookText(text, [first, second].map(serializeSheet)), 100, 26);
+
+  expect(workbook.sheets).toEqual([first, second]);
+  expect(workbook.activeSheet).toBe(1);
+});
+
+test('migrates the bare cellData files written by the old Save button', () => {
+  const { workbook } = loadWorkbook({ '0,0': 'a', '2,3': '=A1' }, 100, 26);
+  expect(workbook.sheets[0].cellData).toEqual({ '0,0': 'a', '2,3': '=A1' });
+  expect(workbook.sheets[0].colWidths).toEqual(new Map());
+});
+
+test('explains why an invalid workbook cannot be loaded', () => {
+  const data = {
+    format: 'zeus-spreadsheet-workbook',
+    version: 1,
+    sheets: [{ name: '', cells: { A1: 'x', '0,0': 5 }, colWidths: [[0, -1]] }],
+  };
+  const { workbook, errors } = loadWorkbook(data, 100, 26);
+
+  expect(workbook).toBeNull();
+  expect(errors).toEqual([
+    'sheets[0].name must be a non-empty string',
+    'sheets[0].cells has an invalid cell key "A1" (expected "row,col")',
+    'sheets[0].cells["0,0"] must be a string',
+    'sheets[0].colWidths[0] must be [index, size] with an index below 26 and a positive size',
+  ]);
+  expect(loadWorkbook({ ...data, version: WORKBOOK_VERSION + 1 }, 100, 26).errors[0]).toMatch(/newer version/);
+});
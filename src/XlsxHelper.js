@@ -0,0 +1,773 @@
+// XlsxHelper.js - Reading and writing Office Open XML (.xlsx) workbooks
+
+import { readZip, writeZip } from './ZipHelper';
+import { getColLetter } from './Utils';
+import {
+  isFormula,
+  parseFormula,
+  parseCellReference,
+  parseRangeReference,
+  transformFormulaReferences,
+  getUnsupportedFunctions,
+  toCellValue,
+  isFormulaError,
+  FORMULA_ERRORS,
+} from './FormulaHelper';
+import { normalizeStyle, DEFAULT_TEXT_COLOR } from './StyleHelper';
+import { GENERAL_FORMAT } from './NumberFormatHelper';
+import { getFilterRange, getFilteredRows } from './FilterHelper';
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const CHAR_WIDTH_PX = 7; // Maximum digit width of the default Calibri 11 font
+const PX_PER_POINT = 96 / 72;
+const DEFAULT_FONT_POINTS = 11;
+
+// === Reading ===
+
+const parseXml = (bytes) => {
+  const text = new TextDecoder().decode(bytes);
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('The workbook contains invalid XML');
+  return doc;
+};
+
+// Namespace-agnostic lookups: some producers prefix the SpreadsheetML elements (x:c, x:row)
+const byTag = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+const childrenByTag = (node, name) => Array.from(node.childNodes).filter((child) => child.localName === name);
+const firstByTag = (node, name) => node.getElementsByTagNameNS('*', name)[0] || null;
+const getRelId = (node) => node.getAttributeNS(REL_NS, 'id') || node.getAttribute('r:id');
+
+// Resolves a relationship target against the folder of the part that owns it
+const resolvePartPath = (base, target) => {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = base.split('/').slice(0, -1);
+  target.split('/').forEach((segment) => {
+    if (segment === '..') parts.pop();
+    else if (segment !== '.') parts.push(segment);
+  });
+  return parts.join('/');
+};
+
+const readRelationships = (files, partPath) => {
+  const slash = partPath.lastIndexOf('/');
+  const relsPath = `${partPath.slice(0, slash + 1)}_rels/${partPath.slice(slash + 1)}.rels`;
+  const rels = new Map();
+  if (!files.has(relsPath)) return rels;
+  byTag(parseXml(files.get(relsPath)), 'Relationship').forEach((rel) => {
+    rels.set(rel.getAttribute('Id'), {
+      target: resolvePartPath(partPath, rel.getAttribute('Target')),
+      type: rel.getAttribute('Type') || '',
+    });
+  });
+  return rels;
+};
+
+// Text of a shared or inline string, ignoring phonetic (furigana) runs
+const readStringItem = (node) =>
+  byTag(node, 't')
+    .filter((t) => !t.parentNode || t.parentNode.localName !== 'rPh')
+    .map((t) => t.textContent)
+    .join('');
+
+// Moves the relative references of a shared formula from its anchor cell to another cell
+const offsetSharedFormula = (formula, dr, dc, totalRows, totalCols) =>
+  transformFormulaReferences(formula, (ref) => {
+    const r = ref.rowAbs ? ref.r : ref.r + dr;
+    const c = ref.colAbs ? ref.c : ref.c + dc;
+    if (r < 0 || c < 0 || r >= totalRows || c >= totalCols) return null;
+    return { ...ref, r, c };
+  });
+
+const isTrue = (value) => value === '1' || value === 'true';
+
+// <b/>, <i/> and <u/> are on unless val turns them off
+const isFlagSet = (node) => node !== null && !['0', 'false', 'none'].includes(node.getAttribute('val'));
+
+// '#rrggbb' for an ARGB colour; theme and indexed colours cannot be resolved without the theme part
+const readColor = (node) => {
+  const rgb = node && node.getAttribute('rgb');
+  return rgb && /^([0-9a-f]{2})?[0-9a-f]{6}$/i.test(rgb) ? `#${rgb.slice(-6).toLowerCase()}` : undefined;
+};
+
+const H_ALIGNMENTS = { left: 'left', center: 'center', centerContinuous: 'center', right: 'right' };
+const V_ALIGNMENTS = { top: 'top', center: 'middle', bottom: 'bottom' };
+
+// Excel's built-in number formats, which styles.xml refers to by id without spelling them out.
+// Fractions (ids 12 and 13) are missing because the grid cannot show them.
+const BUILTIN_NUMBER_FORMATS = {
+  0: GENERAL_FORMAT,
+  1: '0',
+  2: '0.00',
+  3: '#,##0',
+  4: '#,##0.00',
+  9: '0%',
+  10: '0.00%',
+  11: '0.00E+00',
+  14: 'm/d/yyyy',
+  15: 'd-mmm-yy',
+  16: 'd-mmm',
+  17: 'mmm-yy',
+  18: 'h:mm AM/PM',
+  19: 'h:mm:ss AM/PM',
+  20: 'h:mm',
+  21: 'h:mm:ss',
+  22: 'm/d/yyyy h:mm',
+  37: '#,##0 ;(#,##0)',
+  38: '#,##0 ;[Red](#,##0)',
+  39: '#,##0.00;(#,##0.00)',
+  40: '#,##0.00;[Red](#,##0.00)',
+  45: 'mm:ss',
+  46: '[h]:mm:ss',
+  47: 'mm:ss.0',
+  48: '##0.0E+0',
+  49: '@',
+};
+const FIRST_CUSTOM_NUMBER_FORMAT = 164;
+
+// Reads the cell formats of styles.xml, indexed like the s attribute of <c>. Each is
+// { style, lossy } where lossy marks a number format the grid cannot show.
+const readCellFormats = (files, workbookRels) => {
+  const rel = [...workbookRels.values()].find((r) => r.type.endsWith('/styles'));
+  const path = rel ? rel.target : 'xl/styles.xml';
+  if (!files.has(path)) return [];
+  const doc = parseXml(files.get(path));
+  const items = (listName, itemName) => {
+    const list = firstByTag(doc, listName);
+    return list ? childrenByTag(list, itemName) : [];
+  };
+
+  const numberFormats = new Map(Object.entries(BUILTIN_NUMBER_FORMATS).map(([id, code]) => [Number(id), code]));
+  items('numFmts', 'numFmt').forEach((numFmt) => {
+    numberFormats.set(parseInt(numFmt.getAttribute('numFmtId'), 10), numFmt.getAttribute('formatCode') || GENERAL_FORMAT);
+  });
+
+  const fonts = items('fonts', 'font').map((font) => {
+    const size = firstByTag(font, 'sz') ? parseFloat(firstByTag(font, 'sz').getAttribute('val')) : DEFAULT_FONT_POINTS;
+    const color = readColor(firstByTag(font, 'color'));
+    return {
+      bold: isFlagSet(firstByTag(font, 'b')),
+      italic: isFlagSet(firstByTag(font, 'i')),
+      underline: isFlagSet(firstByTag(font, 'u')),
+      fontSize: size && size !== DEFAULT_FONT_POINTS ? Math.round(size * PX_PER_POINT) : undefined,
+      color: color === DEFAULT_TEXT_COLOR ? undefined : color,
+    };
+  });
+
+  const fills = items('fills', 'fill').map((fill) => {
+    const pattern = firstByTag(fill, 'patternFill');
+    return pattern && pattern.getAttribute('patternType') === 'solid' ? readColor(firstByTag(pattern, 'fgColor')) : undefined;
+  });
+
+  const borders = items('borders', 'border').map((border) => {
+    const sides = {};
+    ['top', 'right', 'bottom', 'left'].forEach((side) => {
+      const node = childrenByTag(border, side)[0];
+      sides[side] = Boolean(node && node.getAttribute('style') && node.getAttribute('style') !== 'none');
+    });
+    return sides;
+  });
+
+  return items('cellXfs', 'xf').map((xf) => {
+    const attr = (name) => parseInt(xf.getAttribute(name), 10) || 0;
+    const alignment = childrenByTag(xf, 'alignment')[0];
+    const style = normalizeStyle({
+      ...fonts[attr('fontId')],
+      fill: fills[attr('fillId')],
+      borders: borders[attr('borderId')],
+      hAlign: alignment ? H_ALIGNMENTS[alignment.getAttribute('horizontal')] : undefined,
+      vAlign: alignment ? V_ALIGNMENTS[alignment.getAttribute('vertical')] : undefined,
+      wrap: alignment ? isTrue(alignment.getAttribute('wrapText')) : undefined,
+      numFmt: numberFormats.get(attr('numFmtId')),
+    });
+    return { style, lossy: !numberFormats.has(attr('numFmtId')) };
+  });
+};
+
+// Excel's wildcards: * and ? match any text, ~ makes the next character literal
+const WILDCARD_PATTERNS = [
+  [/^\*(.*)\*$/, 'contains', 'notContains'],
+  [/^(.*)\*$/, 'beginsWith', null],
+  [/^\*(.*)$/, 'endsWith', null],
+];
+const CUSTOM_OPERATORS = {
+  greaterThan: 'gt',
+  greaterThanOrEqual: 'gte',
+  lessThan: 'lt',
+  lessThanOrEqual: 'lte',
+};
+
+const escapeWildcards = (text) => String(text).replace(/[~*?]/g, '~$&');
+const hasWildcard = (text) => /(^|[^~])(~~)*[*?]/.test(text);
+const unescapeWildcards = (text) => text.replace(/~([~*?])/g, '$1');
+
+// One <customFilter> as a condition, or null when the grid has no equivalent
+const readCustomFilter = (node) => {
+  const operator = node.getAttribute('operator') || 'equal';
+  const val = node.getAttribute('val') || '';
+  if (CUSTOM_OPERATORS[operator]) return { op: CUSTOM_OPERATORS[operator], value: val };
+  if (operator !== 'equal' && operator !== 'notEqual') return null;
+
+  for (const [pattern, op, negated] of WILDCARD_PATTERNS) {
+    const match = pattern.exec(val);
+    const inner = match && match[1];
+    if (!match || hasWildcard(inner) || /(^|[^~])(~~)*~$/.test(inner)) continue;
+    const name = operator === 'equal' ? op : negated;
+    return name ? { op: name, value: unescapeWildcards(inner) } : null;
+  }
+  if (hasWildcard(val)) return null;
+  return { op: operator === 'equal' ? 'equals' : 'notEquals', value: unescapeWildcards(val) };
+};
+
+// One <filterColumn> as a { values, condition } criterion, or null when it cannot be read
+const readFilterColumn = (node) => {
+  const filters = childrenByTag(node, 'filters')[0];
+  if (filters) {
+    const values = childrenByTag(filters, 'filter').map((filter) => filter.getAttribute('val') || '');
+    if (isTrue(filters.getAttribute('blank'))) values.push('');
+    // Date groups pick whole years or months, which the value list cannot express
+    return childrenByTag(filters, 'dateGroupItem').length > 0 ? null : { values };
+  }
+
+  const top10 = childrenByTag(node, 'top10')[0];
+  if (top10) {
+    if (isTrue(top10.getAttribute('percent'))) return null;
+    const op = top10.getAttribute('top') === '0' || top10.getAttribute('top') === 'false' ? 'bottom' : 'top';
+    return { condition: { op, value: top10.getAttribute('val') || '10' } };
+  }
+
+  const custom = childrenByTag(node, 'customFilters')[0];
+  if (custom) {
+    const conditions = childrenByTag(custom, 'customFilter').map(readCustomFilter);
+    if (conditions.length === 1 && conditions[0]) return { condition: conditions[0] };
+    const [low, high] = conditions;
+    if (conditions.length === 2 && isTrue(custom.getAttribute('and')) && low && high && low.op === 'gte' && high.op === 'lte') {
+      return { condition: { op: 'between', value: low.value, value2: high.value } };
+    }
+  }
+  return null;
+};
+
+// The sheet's <autoFilter> as the grid's filter, or null. Unreadable column criteria are cleared.
+const readAutoFilter = (sheet, totalRows, totalCols, stats) => {
+  const node = childrenByTag(sheet.documentElement, 'autoFilter')[0];
+  const range = node && parseRangeReference(node.getAttribute('ref') || '');
+  if (!range || range.startRow >= totalRows || range.startCol >= totalCols) return null;
+
+  const autoFilter = { row: range.startRow, startCol: range.startCol, endCol: Math.min(range.endCol, totalCols - 1), criteria: {} };
+  childrenByTag(node, 'filterColumn').forEach((column) => {
+    const col = autoFilter.startCol + (parseInt(column.getAttribute('colId'), 10) || 0);
+    const criterion = col <= autoFilter.endCol ? readFilterColumn(column) : null;
+    if (criterion) autoFilter.criteria[col] = criterion;
+    else stats.droppedFilters++;
+  });
+  return autoFilter;
+};
+
+// Reads one worksheet's cells, styles and sizes, counting what had to be dropped into `stats`
+const readWorksheet = (sheet, sharedStrings, cellFormats, totalRows, totalCols, stats) => {
+  const cellData = {};
+  const cellStyles = {};
+  const colWidths = new Map();
+  const rowHeights = new Map();
+  const hiddenCols = new Set();
+  const hiddenRows = new Set();
+  const sharedFormulas = new Map(); // si -> { formula, r, c }
+  const autoFilter = readAutoFilter(sheet, totalRows, totalCols, stats);
+  // Rows the filter hides come back hidden once its criteria are applied again
+  const isFilteredRow = (r) => autoFilter !== null && Object.keys(autoFilter.criteria).length > 0 && r > autoFilter.row;
+
+  byTag(sheet, 'col').forEach((col) => {
+    const min = parseInt(col.getAttribute('min'), 10) - 1;
+    const max = Math.min(parseInt(col.getAttribute('max'), 10) - 1, totalCols - 1);
+    if (isTrue(col.getAttribute('hidden'))) {
+      for (let c = min; c <= max; c++) hiddenCols.add(c);
+    }
+    const width = parseFloat(col.getAttribute('width'));
+    if (!isTrue(col.getAttribute('customWidth')) || !width) return;
+    for (let c = min; c <= max; c++) colWidths.set(c, Math.max(1, Math.round(width * CHAR_WIDTH_PX)));
+  });
+
+  byTag(sheet, 'row').forEach((row, rowPosition) => {
+    const r = row.hasAttribute('r') ? parseInt(row.getAttribute('r'), 10) - 1 : rowPosition;
+    if (isTrue(row.getAttribute('hidden')) && !isFilteredRow(r) && r < totalRows) hiddenRows.add(r);
+    const height = parseFloat(row.getAttribute('ht'));
+    if (isTrue(row.getAttribute('customHeight')) && height && r < totalRows) {
+      rowHeights.set(r, Math.max(1, Math.round(height * PX_PER_POINT)));
+    }
+
+    childrenByTag(row, 'c').forEach((cell, cellPosition) => {
+      const ref = cell.hasAttribute('r') ? parseCellReference(cell.getAttribute('r')) : { r, c: cellPosition };
+      if (!ref) return;
+      if (ref.r >= totalRows || ref.c >= totalCols) {
+        stats.outsideGrid++;
+        return;
+      }
+      const key = `${ref.r},${ref.c}`;
+      const styleIndex = parseInt(cell.getAttribute('s'), 10) || 0;
+      if (styleIndex > 0) {
+        const format = cellFormats[styleIndex];
+        if (!format || format.lossy) stats.styledCells++;
+        if (format && format.style) cellStyles[key] = format.style;
+      }
+
+      const type = cell.getAttribute('t') || 'n';
+      const v = firstByTag(cell, 'v');
+      let value = v ? v.textContent : '';
+      if (type === 's') value = sharedStrings[parseInt(value, 10)] ?? '';
+      else if (type === 'inlineStr') value = firstByTag(cell, 'is') ? readStringItem(firstByTag(cell, 'is')) : '';
+      else if (type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+
+      const f = firstByTag(cell, 'f');
+      let formula = null;
+      if (f) {
+        const formulaType = f.getAttribute('t');
+        if (formulaType === 'shared') {
+          const si = f.getAttribute('si');
+          if (f.textContent) {
+            formula = `=${f.textContent}`;
+            sharedFormulas.set(si, { formula, r: ref.r, c: ref.c });
+          } else if (sharedFormulas.has(si)) {
+            const anchor = sharedFormulas.get(si);
+            formula = offsetSharedFormula(anchor.formula, ref.r - anchor.r, ref.c - anchor.c, totalRows, totalCols);
+          }
+        } else if (formulaType === 'array' || formulaType === 'dataTable') {
+          stats.arrayFormulas++;
+        } else if (f.textContent) {
+          formula = `=${f.textContent}`;
+        }
+      }
+
+      if (formula) {
+        const unsupported = getUnsupportedFunctions(formula);
+        const ast = parseFormula(formula);
+        if (unsupported.length > 0 || (ast.type === 'error' && ast.value === FORMULA_ERRORS.SYNTAX)) {
+          // Keep what Excel last calculated rather than a formula the engine cannot evaluate
+          unsupported.forEach((name) => stats.unsupportedFunctions.add(name));
+          stats.replacedFormulas++;
+        } else {
+          value = formula;
+        }
+      }
+
+      if (value !== '') cellData[key] = value;
+    });
+  });
+
+  // Frozen panes; split (unfrozen) panes have no counterpart in the grid
+  const pane = byTag(sheet, 'pane').find((p) => /^frozen/.test(p.getAttribute('state') || ''));
+  const frozen = pane
+    ? {
+      rows: Math.min(parseInt(pane.getAttribute('ySplit'), 10) || 0, totalRows - 1),
+      cols: Math.min(parseInt(pane.getAttribute('xSplit'), 10) || 0, totalCols - 1),
+    }
+    : { rows: 0, cols: 0 };
+
+  return { cellData, cellStyles, colWidths, rowHeights, hiddenCols, hiddenRows, frozen, autoFilter };
+};
+
+// Sheet-level features the grid cannot represent, as report lines mapped to the sheets that use them
+const SHEET_FEATURES = [
+  [(sheet) => byTag(sheet, 'mergeCell').length > 0, 'Merged cells were unmerged'],
+  [(sheet) => byTag(sheet, 'conditionalFormatting').length > 0, 'Conditional formatting was dropped'],
+  [(sheet) => byTag(sheet, 'dataValidation').length > 0, 'Data validation rules were dropped'],
+  [(sheet) => byTag(sheet, 'hyperlink').length > 0, 'Hyperlinks were dropped; the link text was kept'],
+  [(sheet) => byTag(sheet, 'pane').some((pane) => pane.getAttribute('state') === 'split'), 'Split panes were dropped'],
+  [(sheet) => byTag(sheet, 'drawing').length > 0, 'Charts, images and shapes were dropped'],
+  [(sheet, rels) => [...rels.values()].some((rel) => rel.type.endsWith('/comments')), 'Comments were dropped'],
+];
+
+/**
+ * Reads the worksheets of an .xlsx workbook into the grid's stores. Anything the grid
+ * cannot represent is dropped and described in the returned report.
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {number} totalRows - Rows in the grid
+ * @param {number} totalCols - Columns in the grid
+ * @returns {Promise<Object>} { sheets: [{ name, cellData, cellStyles, colWidths, rowHeights, hiddenCols, hiddenRows, frozen, autoFilter }], activeSheet, report }
+ */
+export const readXlsx = async (buffer, totalRows, totalCols) => {
+  const files = await readZip(buffer);
+  const report = [];
+
+  const workbookPath = 'xl/workbook.xml';
+  if (!files.has(workbookPath)) throw new Error('Not an Excel workbook');
+  const workbook = parseXml(files.get(workbookPath));
+  const workbookRels = readRelationships(files, workbookPath);
+  // Excel names every AutoFilter range _xlnm._FilterDatabase; the filter itself is read with its sheet
+  if (byTag(workbook, 'definedName').some((name) => name.getAttribute('name') !== '_xlnm._FilterDatabase')) {
+    report.push('Named ranges were dropped');
+  }
+
+  const sharedStrings = [];
+  const sharedStringsRel = [...workbookRels.values()].find((rel) => rel.type.endsWith('/sharedStrings'));
+  const sharedStringsPath = sharedStringsRel ? sharedStringsRel.target : 'xl/sharedStrings.xml';
+  let hasRichText = false;
+  if (files.has(sharedStringsPath)) {
+    childrenByTag(parseXml(files.get(sharedStringsPath)).documentElement, 'si').forEach((si) => {
+      if (childrenByTag(si, 'r').length > 0) hasRichText = true;
+      sharedStrings.push(readStringItem(si));
+    });
+  }
+  if (hasRichText) report.push('Rich text formatting inside cells was dropped; the plain text was kept');
+  const cellFormats = readCellFormats(files, workbookRels);
+
+  const stats = {
+    unsupportedFunctions: new Set(),
+    styledCells: 0,
+    replacedFormulas: 0,
+    arrayFormulas: 0,
+    outsideGrid: 0,
+    droppedFilters: 0,
+  };
+  const features = SHEET_FEATURES.map(() => []);
+  const skipped = [];
+  const hiddenSheets = [];
+  const sheets = [];
+
+  byTag(workbook, 'sheet').forEach((entry, i) => {
+    const name = entry.getAttribute('name') || `Sheet${i + 1}`;
+    const rel = workbookRels.get(getRelId(entry));
+    const path = rel ? rel.target : `xl/worksheets/sheet${i + 1}.xml`;
+    // Chart sheets and dialog sheets have no cells
+    if ((rel && !rel.type.endsWith('/worksheet')) || !files.has(path)) {
+      skipped.push(name);
+      return;
+    }
+    if (entry.getAttribute('state') && entry.getAttribute('state') !== 'visible') hiddenSheets.push(name);
+
+    const sheet = parseXml(files.get(path));
+    const rels = readRelationships(files, path);
+    sheets.push({ name, ...readWorksheet(sheet, sharedStrings, cellFormats, totalRows, totalCols, stats) });
+    SHEET_FEATURES.forEach(([test], j) => {
+      if (test(sheet, rels)) features[j].push(name);
+    });
+  });
+  if (sheets.length === 0) throw new Error('The workbook has no worksheets');
+
+  // The sheet Excel had selected when the file was saved
+  const view = firstByTag(workbook, 'workbookView');
+  const activeTab = view ? parseInt(view.getAttribute('activeTab'), 10) || 0 : 0;
+  const activeSheet = Math.min(activeTab, sheets.length - 1);
+
+  if (skipped.length > 0) report.push(`Chart sheets and other non-worksheets were skipped: ${skipped.join(', ')}`);
+  if (hiddenSheets.length > 0) report.push(`Hidden sheets are shown: ${hiddenSheets.join(', ')}`);
+  if (stats.replacedFormulas > 0) {
+    const names = stats.unsupportedFunctions.size ? ` (unsupported functions: ${[...stats.unsupportedFunctions].join(', ')})` : '';
+    report.push(`${stats.replacedFormulas} formula(s) could not be evaluated here and were replaced by their last calculated values${names}`);
+  }
+  if (stats.arrayFormulas > 0) report.push(`${stats.arrayFormulas} array formula cell(s) were replaced by their values`);
+  if (stats.styledCells > 0) {
+    report.push(`Formatting the grid cannot show (unknown number formats and fractions) was dropped from ${stats.styledCells} cell(s)`);
+  }
+  if (stats.droppedFilters > 0) {
+    report.push(`${stats.droppedFilters} AutoFilter column filter(s) (colors, icons, dates or wildcards) were cleared`);
+  }
+  if (stats.outsideGrid > 0) {
+    report.push(`${stats.outsideGrid} cell(s) beyond row ${totalRows} or column ${getColLetter(totalCols - 1)} were dropped`);
+  }
+  SHEET_FEATURES.forEach(([, message], j) => {
+    if (features[j].length > 0) report.push(`${message} (${features[j].join(', ')})`);
+  });
+
+  return { sheets, activeSheet, report };
+};
+
+// === Writing ===
+
+// Drops the control characters XML cannot hold; tab, line feed and carriage return stay
+const removeControlChars = (text) => {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d) result += text[i];
+  }
+  return result;
+};
+
+const escapeXml = (text) =>
+  removeControlChars(String(text))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const contentTypes = (sheetCount) => `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+${Array.from({ length: sheetCount }, (_, i) =>
+  `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+).join('\n')}
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+// Worksheets use rId1..rIdN; styles come after them
+const workbookXml = (names, activeSheet) => `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">
+<bookViews><workbookView activeTab="${activeSheet}"/></bookViews>
+<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`;
+
+const workbookRelsXml = (sheetCount) => `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">
+${Array.from({ length: sheetCount }, (_, i) =>
+  `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+).join('\n')}
+<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const toPoints = (px) => Math.round((px / PX_PER_POINT) * 100) / 100;
+const toChars = (px) => Math.round((px / CHAR_WIDTH_PX) * 100) / 100;
+const toArgb = (color) => `FF${color.slice(1).toUpperCase()}`;
+
+const DEFAULT_FONT = `<font><sz val="${DEFAULT_FONT_POINTS}"/><name val="Calibri"/></font>`;
+const DEFAULT_FILLS = ['<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>'];
+const EMPTY_BORDER = '<border><left/><right/><top/><bottom/><diagonal/></border>';
+const DEFAULT_XF = '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>';
+const H_ALIGNMENT_XML = { left: 'left', center: 'center', right: 'right' };
+const V_ALIGNMENT_XML = { top: 'top', middle: 'center', bottom: 'bottom' };
+
+const fontXml = (style) =>
+  `<font>${style.bold ? '<b/>' : ''}${style.italic ? '<i/>' : ''}${style.underline ? '<u/>' : ''}` +
+  `<sz val="${style.fontSize ? toPoints(style.fontSize) : DEFAULT_FONT_POINTS}"/>` +
+  `${style.color ? `<color rgb="${toArgb(style.color)}"/>` : ''}<name val="Calibri"/></font>`;
+
+const borderXml = (borders) => {
+  const side = (name) => (borders[name] ? `<${name} style="thin"><color rgb="FF000000"/></${name}>` : `<${name}/>`);
+  return `<border>${side('left')}${side('right')}${side('top')}${side('bottom')}<diagonal/></border>`;
+};
+
+// Collects the distinct number formats, fonts, fills, borders and cell formats used by the exported
+// cells. Index 0 of each list is Excel's default, so unformatted cells need no s attribute.
+const createStyleTable = () => {
+  const numberFormats = new Map(Object.entries(BUILTIN_NUMBER_FORMATS).map(([id, code]) => [code, Number(id)]));
+  const customFormats = [];
+  const getNumberFormatId = (code) => {
+    if (!code) return 0;
+    if (!numberFormats.has(code)) {
+      numberFormats.set(code, FIRST_CUSTOM_NUMBER_FORMAT + customFormats.length);
+      customFormats.push(code);
+    }
+    return numberFormats.get(code);
+  };
+  const fonts = new Map([[DEFAULT_FONT, 0]]);
+  const fills = new Map(DEFAULT_FILLS.map((xml, i) => [xml, i]));
+  const borders = new Map([[EMPTY_BORDER, 0]]);
+  const xfs = new Map([[DEFAULT_XF, 0]]);
+  const intern = (map, xml) => {
+    if (!map.has(xml)) map.set(xml, map.size);
+    return map.get(xml);
+  };
+
+  const getStyleIndex = (style) => {
+    if (!style) return 0;
+    const fontId = intern(fonts, fontXml(style));
+    const fillId = style.fill
+      ? intern(fills, `<fill><patternFill patternType="solid"><fgColor rgb="${toArgb(style.fill)}"/><bgColor indexed="64"/></patternFill></fill>`)
+      : 0;
+    const borderId = style.borders ? intern(borders, borderXml(style.borders)) : 0;
+    const horizontal = style.hAlign ? ` horizontal="${H_ALIGNMENT_XML[style.hAlign]}"` : '';
+    const vertical = style.vAlign ? ` vertical="${V_ALIGNMENT_XML[style.vAlign]}"` : '';
+    const wrap = style.wrap ? ' wrapText="1"' : '';
+    const numFmtId = getNumberFormatId(style.numFmt);
+    const applied = `${numFmtId ? ' applyNumberFormat="1"' : ''}${fontId ? ' applyFont="1"' : ''}${fillId ? ' applyFill="1"' : ''}${borderId ? ' applyBorder="1"' : ''}`;
+    const ids = `numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"${applied}`;
+    const xf = horizontal || vertical || wrap
+      ? `<xf ${ids} applyAlignment="1"><alignment${horizontal}${vertical}${wrap}/></xf>`
+      : `<xf ${ids}/>`;
+    return intern(xfs, xf);
+  };
+
+  const list = (name, map) => `<${name} count="${map.size}">${[...map.keys()].join('')}</${name}>`;
+  const numFmtsXml = () => {
+    if (customFormats.length === 0) return '';
+    const items = customFormats.map((code, i) => `<numFmt numFmtId="${FIRST_CUSTOM_NUMBER_FORMAT + i}" formatCode="${escapeXml(code)}"/>`);
+    return `<numFmts count="${items.length}">${items.join('')}</numFmts>\n`;
+  };
+  const toXml = () => `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">
+${numFmtsXml()}${list('fonts', fonts)}
+${list('fills', fills)}
+${list('borders', borders)}
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+${list('cellXfs', xfs)}
+</styleSheet>`;
+
+  return { getStyleIndex, toXml };
+};
+
+// Error codes of the engine's own that Excel does not have; they are cached as text instead
+const NON_EXCEL_ERRORS = new Set([FORMULA_ERRORS.CIRC, FORMULA_ERRORS.SYNTAX]);
+
+// <c> element for one cell; formulas carry their computed value so Excel shows it before recalculating
+const writeCell = (ref, raw, computed, styleIndex) => {
+  const open = `<c r="${ref}"${styleIndex ? ` s="${styleIndex}"` : ''}`;
+  if (raw === undefined || raw === null || raw === '') return `${open}/>`;
+
+  if (isFormula(raw)) {
+    const f = `<f>${escapeXml(raw.slice(1))}</f>`;
+    if (typeof computed === 'number') return `${open}>${f}<v>${computed}</v></c>`;
+    if (typeof computed === 'boolean') return `${open} t="b">${f}<v>${computed ? 1 : 0}</v></c>`;
+    if (isFormulaError(computed) && !NON_EXCEL_ERRORS.has(computed)) return `${open} t="e">${f}<v>${escapeXml(computed)}</v></c>`;
+    return `${open} t="str">${f}<v>${escapeXml(computed ?? '')}</v></c>`;
+  }
+
+  const value = toCellValue(raw);
+  if (typeof value === 'number') return `${open}><v>${value}</v></c>`;
+  if (/^(TRUE|FALSE)$/i.test(raw)) return `${open} t="b"><v>${/^TRUE$/i.test(raw) ? 1 : 0}</v></c>`;
+  return `${open} t="inlineStr"><is><t xml:space="preserve">${escapeXml(raw)}</t></is></c>`;
+};
+
+// <sheetViews> holding the frozen pane, or '' when nothing is frozen
+const writeSheetViews = ({ rows = 0, cols = 0 } = {}) => {
+  if (!rows && !cols) return '';
+  let activePane = 'bottomRight';
+  if (!cols) activePane = 'bottomLeft';
+  else if (!rows) activePane = 'topRight';
+  const split = `${cols ? ` xSplit="${cols}"` : ''}${rows ? ` ySplit="${rows}"` : ''}`;
+  return `<sheetViews><sheetView workbookViewId="0"><pane${split} topLeftCell="${getColLetter(cols)}${rows + 1}" activePane="${activePane}" state="frozen"/></sheetView></sheetViews>`;
+};
+
+const CUSTOM_OPERATOR_XML = {
+  gt: ['greaterThan'],
+  gte: ['greaterThanOrEqual'],
+  lt: ['lessThan'],
+  lte: ['lessThanOrEqual'],
+  equals: ['equal'],
+  notEquals: ['notEqual'],
+  contains: ['equal', '*', '*'],
+  notContains: ['notEqual', '*', '*'],
+  beginsWith: ['equal', '', '*'],
+  endsWith: ['equal', '*', ''],
+};
+// Text conditions are written with wildcards, so literal * ? ~ in their value are escaped
+const FILTER_WILDCARD_OPS = new Set(['equals', 'notEquals', 'contains', 'notContains', 'beginsWith', 'endsWith']);
+
+const customFilterXml = (op, value) => {
+  const [operator, before = '', after = ''] = CUSTOM_OPERATOR_XML[op];
+  const val = FILTER_WILDCARD_OPS.has(op) ? `${before}${escapeWildcards(value)}${after}` : value;
+  return `<customFilter${operator === 'equal' ? '' : ` operator="${operator}"`} val="${escapeXml(val)}"/>`;
+};
+
+// <filterColumn> for one column's criterion. Excel keeps one kind of filter per column, so a
+// value list wins over a condition.
+const writeFilterColumn = (colId, { values, condition }) => {
+  let filter;
+  if (values) {
+    const blank = values.includes('') ? ' blank="1"' : '';
+    filter = `<filters${blank}>${values.filter((v) => v !== '').map((v) => `<filter val="${escapeXml(v)}"/>`).join('')}</filters>`;
+  } else if (condition.op === 'top' || condition.op === 'bottom') {
+    const top = condition.op === 'bottom' ? ' top="0"' : '';
+    filter = `<top10${top} val="${Math.max(1, Math.floor(Number(condition.value) || 0))}"/>`;
+  } else if (condition.op === 'between') {
+    filter = `<customFilters and="1">${customFilterXml('gte', condition.value)}${customFilterXml('lte', condition.value2)}</customFilters>`;
+  } else {
+    filter = `<customFilters>${customFilterXml(condition.op, condition.value ?? '')}</customFilters>`;
+  }
+  return `<filterColumn colId="${colId}">${filter}</filterColumn>`;
+};
+
+// <autoFilter> covering the header row and the data under it, or '' without a filter
+const writeAutoFilter = (cellData, autoFilter) => {
+  if (!autoFilter) return '';
+  const { startRow, endRow, startCol, endCol } = getFilterRange(cellData, autoFilter);
+  const ref = `${getColLetter(startCol)}${startRow + 1}:${getColLetter(endCol)}${endRow + 1}`;
+  const columns = Object.keys(autoFilter.criteria || {})
+    .map(Number)
+    .filter((col) => col >= startCol && col <= endCol)
+    .sort((a, b) => a - b)
+    .map((col) => writeFilterColumn(col - startCol, autoFilter.criteria[col]))
+    .join('');
+  return columns ? `<autoFilter ref="${ref}">${columns}</autoFilter>` : `<autoFilter ref="${ref}"/>`;
+};
+
+// Worksheet XML for one sheet
+const writeWorksheet = (
+  { cellData, cellStyles = {}, computedData = {}, colWidths, rowHeights, hiddenCols = new Set(), hiddenRows = new Set(), frozen, autoFilter = null },
+  styleTable,
+  defaultColWidth,
+  defaultRowHeight
+) => {
+  const rows = new Map();
+  const addCell = (key) => {
+    const [r, c] = key.split(',').map(Number);
+    if (!rows.has(r)) rows.set(r, new Set());
+    rows.get(r).add(c);
+  };
+  Object.keys(cellData).forEach((key) => {
+    const raw = cellData[key];
+    if (raw !== undefined && raw !== null && raw !== '') addCell(key);
+  });
+  Object.keys(cellStyles).forEach(addCell);
+  // Excel does not re-run a saved filter on open, so the rows it hides are written hidden
+  const filteredRows = getFilteredRows(cellData, computedData, cellStyles, autoFilter);
+  [...rowHeights.keys(), ...hiddenRows, ...filteredRows].forEach((r) => {
+    if (!rows.has(r)) rows.set(r, new Set());
+  });
+
+  const cols = [...new Set([...colWidths.keys(), ...hiddenCols])]
+    .sort((a, b) => a - b)
+    .map((c) => {
+      const width = colWidths.has(c) ? `width="${toChars(colWidths.get(c))}" customWidth="1"` : `width="${toChars(defaultColWidth)}"`;
+      return `<col min="${c + 1}" max="${c + 1}" ${width}${hiddenCols.has(c) ? ' hidden="1"' : ''}/>`;
+    })
+    .join('');
+
+  const sheetRows = [...rows.keys()]
+    .sort((a, b) => a - b)
+    .map((r) => {
+      const height = rowHeights.get(r);
+      const heightAttrs = height !== undefined ? ` ht="${toPoints(height)}" customHeight="1"` : '';
+      const hidden = hiddenRows.has(r) || filteredRows.has(r) ? ' hidden="1"' : '';
+      const cells = [...rows.get(r)]
+        .sort((a, b) => a - b)
+        .map((c) => {
+          const key = `${r},${c}`;
+          return writeCell(`${getColLetter(c)}${r + 1}`, cellData[key], computedData[key], styleTable.getStyleIndex(cellStyles[key]));
+        })
+        .join('');
+      return `<row r="${r + 1}"${heightAttrs}${hidden}>${cells}</row>`;
+    })
+    .join('\n');
+
+  return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">
+${writeSheetViews(frozen)}
+<sheetFormatPr defaultColWidth="${toChars(defaultColWidth)}" defaultRowHeight="${toPoints(defaultRowHeight)}"/>
+${cols ? `<cols>${cols}</cols>` : ''}
+<sheetData>
+${sheetRows}
+</sheetData>
+${writeAutoFilter(cellData, autoFilter)}
+</worksheet>`;
+};
+
+/**
+ * Writes the sheets as an .xlsx workbook
+ * @param {Array<Object>} sheets - { name, cellData, cellStyles, computedData, colWidths, rowHeights, hiddenCols, hiddenRows, frozen, autoFilter } per sheet
+ * @param {number} activeSheet - Index of the sheet Excel should open on
+ * @param {number} defaultColWidth - Width in pixels of columns without a custom width
+ * @param {number} defaultRowHeight - Height in pixels of rows without a custom height
+ * @returns {Uint8Array} File contents
+ */
+export const writeXlsx = (sheets, activeSheet, defaultColWidth, defaultRowHeight) => {
+  // Worksheets are written first so the style table holds every format they use
+  const styleTable = createStyleTable();
+  const worksheets = sheets.map((sheet, i) => ({
+    name: `xl/worksheets/sheet${i + 1}.xml`,
+    data: writeWorksheet(sheet, styleTable, defaultColWidth, defaultRowHeight),
+  }));
+
+  return writeZip([
+    { name: '[Content_Types].xml', data: contentTypes(sheets.length) },
+    { name: '_rels/.rels', data: ROOT_RELS },
+    { name: 'xl/workbook.xml', data: workbookXml(sheets.map((sheet) => sheet.name), activeSheet) },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRelsXml(sheets.length) },
+    { name: 'xl/styles.xml', data: styleTable.toXml() },
+    ...worksheets,
+  ]);
+};
@@ -0,0 +1,144 @@
+import { readXlsx, writeXlsx } from './XlsxHelper';
+import { readZip, writeZip } from './ZipHelper';
+
+const toBuffer = (bytes) => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+test('round-trips values, formulas, sizes and sheets through an .xlsx file', async () => {
+  const doc = {
+    name: 'Data',
+    cellData: { '0,0': 'Name & <Co>', '0,1': '12.5', '1,1': '=SUM(B1:B1)*2', '3,2': 'TRUE' },
+    computedData: { '1,1': 25 },
+    colWidths: new Map([[1, 140]]),
+    rowHeights: new Map([[2, 40]]),
+    hiddenCols: new Set([4]),
+    hiddenRows: new Set([3]),
+    frozen: { rows: 1, cols: 0 },
+  };
+  const summary = {
+    name: 'Q1 Summary',
+    cellData: { '0,0': '=Data!B2+1' },
+    computedData: { '0,0': 26 },
+    colWidths: new Map(),
+    rowHeights: new Map(),
+  };
+
+  const result = await readXlsx(toBuffer(writeXlsx([doc, summary], 1, 80, 24)), 1000, 50);
+  const [data, second] = result.sheets;
+
+  expect(data.name).toBe('Data');
+  expect(data.cellData).toEqual(doc.cellData);
+  expect(data.colWidths.get(1)).toBe(140);
+  expect(data.rowHeights.get(2)).toBe(40);
+  expect(data.frozen).toEqual({ rows: 1, cols: 0 });
+  expect(data.hiddenCols).toEqual(new Set([4]));
+  expect(data.hiddenRows).toEqual(new Set([3]));
+  expect(second.frozen).toEqual({ rows: 0, cols: 0 });
+  expect(second).toMatchObject({ name: 'Q1 Summary', cellData: summary.cellData });
+  expect(result.activeSheet).toBe(1);
+  expect(result.report).toEqual([]);
+});
+
+test('expands shared formulas and reports what it drops', async () => {
+  const sheet = `<?xml version="1.0"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetData>
+<row r="1"><c r="A1"><v>1</v></c><c r="B1"><f t="shared" si="0" ref="B1:B2">A1*2</f><v>2</v></c></row>
+<row r="2"><c r="A2" s="3"><v>2</v></c><c r="B2"><f t="shared" si="0"/><v>4</v></c><c r="C2"><f>VLOOKUP(A1,A1:B2,2)</f><v>2</v></c></row>
+</sheetData>
+<mergeCells count="1"><mergeCell ref="A3:B3"/></mergeCells>
+</worksheet>`;
+  const workbook = `<?xml version="1.0"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="Data" sheetId="1" r:id="rId1"/><sheet name="Chart1" sheetId="2" r:id="rId2"/></sheets>
+</workbook>`;
+  const rels = `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/chartsheet" Target="chartsheets/sheet1.xml"/>
+</Relationships>`;
+  const file = writeZip([
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: rels },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet },
+  ]);
+
+  const { sheets, report } = await readXlsx(toBuffer(file), 1000, 50);
+  const { cellData } = sheets[0];
+
+  expect(cellData).toEqual({ '0,0': '1', '0,1': '=A1*2', '1,0': '2', '1,1': '=A2*2', '1,2': '2' });
+  expect(sheets).toHaveLength(1);
+  expect(report.some((line) => line.includes('Chart1'))).toBe(true);
+  expect(report.some((line) => line.includes('VLOOKUP'))).toBe(true);
+  expect(report).toContain('Merged cells were unmerged (Data)');
+  expect(report.some((line) => line.includes('Formatting'))).toBe(true);
+});
+
+test('round-trips cell styles, including styles on empty cells', async () => {
+  const cellStyles = {
+    '0,0': { bold: true, italic: true, fill: '#ffcc00', hAlign: 'center' },
+    '0,1': { underline: true, fontSize: 20, color: '#c00000', vAlign: 'top' },
+    '2,2': { borders: { top: true, bottom: true }, wrap: true },
+    '3,0': { numFmt: '0.00%' },
+    '3,1': { numFmt: '#,##0.00 "kg";[Red]-#,##0.00 "kg"', bold: true },
+  };
+  const sheet = {
+    name: 'Sheet1',
+    cellData: { '0,0': 'Title', '0,1': '42', '3,0': '0.125', '3,1': '-1500' },
+    cellStyles,
+    colWidths: new Map(),
+    rowHeights: new Map(),
+  };
+
+  const result = await readXlsx(toBuffer(writeXlsx([sheet], 0, 80, 24)), 1000, 50);
+
+  expect(result.sheets[0].cellStyles).toEqual(cellStyles);
+  expect(result.sheets[0].cellData).toEqual(sheet.cellData);
+  expect(result.report).toEqual([]);
+});
+
+test('round-trips an AutoFilter with value lists and conditions', async () => {
+  const autoFilter = {
+    row: 1,
+    startCol: 0,
+    endCol: 2,
+    criteria: {
+      0: { values: ['North', ''] },
+      1: { condition: { op: 'between', value: '10', value2: '20' } },
+      2: { condition: { op: 'contains', value: 'a*b' } },
+    },
+  };
+  const sheet = {
+    name: 'Sales',
+    cellData: { '1,0': 'Region', '1,1': 'Units', '1,2': 'Code', '2,0': 'North', '2,1': '15', '2,2': 'xa*by', '3,0': 'South', '3,1': '12' },
+    colWidths: new Map(),
+    rowHeights: new Map(),
+    autoFilter,
+  };
+
+  const result = await readXlsx(toBuffer(writeXlsx([sheet], 0, 80, 24)), 1000, 50);
+
+  expect(result.sheets[0].autoFilter).toEqual(autoFilter);
+  expect(result.report).toEqual([]);
+});
+
+test('writes only real error values as error cells', async () => {
+  const sheet = {
+    name: 'Sheet1',
+    cellData: { '0,0': '="#1 seed"', '0,1': '=1/0', '0,2': '=A1+C1' },
+    computedData: { '0,0': '#1 seed', '0,1': '#DIV/0!', '0,2': '#CIRC!' },
+    colWidths: new Map(),
+    rowHeights: new Map(),
+  };
+
+  const files = await readZip(toBuffer(writeXlsx([sheet], 0, 80, 24)));
+  const xml = new TextDecoder().decode(files.get('xl/worksheets/sheet1.xml'));
+  expect(xml).toContain('<c r="A1" t="str"><f>&quot;#1 seed&quot;</f><v>#1 seed</v></c>');
+  expect(xml).toContain('<c r="B1" t="e"><f>1/0</f><v>#DIV/0!</v></c>');
+  expect(xml).toContain('<c r="C1" t="str">');
+});
+
+test('leaves out control characters that XML cannot hold', async () => {
+  const sheet = { name: 'Sheet1', cellData: { '0,0': 'a\u0001b\tc' }, colWidths: new Map(), rowHeights: new Map() };
+  const result = await readXlsx(toBuffer(writeXlsx([sheet], 0, 80, 24)), 1000, 50);
+  expect(result.sheets[0].cellData).toEqual({ '0,0': 'ab\tc' });
+});
@@ -1,9 +1,18 @@
 
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import "./Grid.css"
-import StatsPanel from './ExcelFormulaBar';
+import StatsPanel from './StatsPanel';
+import ExcelFormulaBar from './ExcelFormulaBar';
+import ContextMenu from './ContextMenu';
+import SheetTabs from './SheetTabs';
+import SortDialog from './SortDialog';
+import FilterPanel from './FilterPanel';
+import FindPanel from './FindPanel';
+import GoToDialog from './GoToDialog';
+import PasteSpecialDialog from './PasteSpecialDialog';
 import Header from '../Navbar/Header';
-import { getColLetter, calculateStats } from '../../Utils'
+import RecoveryBanner from '../Navbar/RecoveryBanner';
+import { getColLetter, calculateStats, getUsedRange, getCurrentRegion, downloadFile } from '../../Utils'
 import { getVisibleRowRange , getVisibleColRange } from '../../Utils';
 import { 
   getColumnResizeHandle, 
@@ -13,8 +22,15 @@ import {
   getVisibleColRangeWithWidths,
   getVisibleRowRangeWithHeights,
   getCellFromPointerWithSizes,
+  getTotalWidthToColumn,
+  getTotalHeightToRow,
   getTotalScrollWidth,
   getTotalScrollHeight,
+  measureColumnFit,
+  measureRowContentFit,
+  hideTracks,
+  stepVisibleTrack,
+  getHiddenRunAt,
   RESIZE_HANDLE_WIDTH,
   MIN_COL_WIDTH,
   MIN_ROW_HEIGHT 
@@ -27,9 +43,105 @@ import {
   isColumnInSelection,
   isRowInSelection ,
   isEntireColumnSelected,
-  isEntireRowSelected  
+  isEntireRowSelected,
+  normalizeSelection,
+  getRangesBlock
 } from '../../SelectionHelper';
-import { insertRow , insertColumn } from '../../Utils';
+import { insertTracks, deleteTracks, createRemoveCommand, adjustSheetReferences } from '../../StructureHelper';
+import { sortRangeRows, guessHasHeader } from '../../SortHelper';
+import { getFilteredRows, getFilterRange, getFilterValues, setFilterCriterion } from '../../FilterHelper';
+import { createSearchPattern, findInCells, getFirstMatchIndex, replaceInCells } from '../../FindHelper';
+import {
+  getDataEdge,
+  getRowEnd,
+  getPageTarget,
+  getMovingCorner,
+  spanSelection,
+  getEntryTarget,
+  parseGoToReference
+} from '../../NavigationHelper';
+import { getFillTarget, fillRange, getAutoFillEnd } from '../../FillHelper';
+import {
+  getCellStyle,
+  getCanvasFont,
+  applyStylePatch,
+  applyBorderPreset,
+  updateRangeStyles,
+  BORDER_COLOR,
+  DEFAULT_FONT_SIZE
+} from '../../StyleHelper';
+import { parseDelimited, rowsToCellData, rangeToRows, serializeDelimited } from '../../CsvHelper';
+import { toClipboardPayload, getClipboardId, parseClipboardHtml, parseClipboardText } from '../../ClipboardHelper';
+import { DEFAULT_PASTE_OPTIONS, pasteClip, moveCells, moveCellsToSheet, moveSheetReferences } from '../../PasteHelper';
+import { readXlsx, writeXlsx } from '../../XlsxHelper';
+import {
+  createSheet,
+  serializeWorkbook,
+  serializeSheet,
+  joinWorkbookText,
+  loadWorkbook,
+  getSheetNameError,
+  getNextSheetName,
+  getCopySheetName,
+  rewriteSheetFormulas,
+  WORKBOOK_EXTENSION
+} from '../../WorkbookHelper';
+import {
+  createAutosaver,
+  saveSession,
+  loadLatestSession,
+  clearSessions,
+  createSessionId,
+  addRecentFile,
+  listRecentFiles,
+  getRecentFile
+} from '../../StorageHelper';
+import {
+  createHistory,
+  pushCommand,
+  undoHistory,
+  redoHistory,
+  applyCommand,
+  createCellCommand,
+  createResizeCommand,
+  createSizesCommand,
+  createHiddenCommand,
+  createTransaction,
+  getStructureSteps,
+  createSheetsCommand,
+  getSheetCommands,
+  rewriteHistoryText
+} from '../../HistoryHelper';
+import {
+  createFormulaGraph,
+  createSheetResolver,
+  recalculate,
+  diffCellKeys,
+  getCellDisplayValue,
+  getCellValue,
+  isFormula,
+  isSameSheetName,
+  renameSheetInFormula,
+  removeSheetFromFormula
+} from '../../FormulaHelper';
+import { parseTypedInput, getEditText, getFormattedCell, GENERAL_FORMAT } from '../../NumberFormatHelper';
+import {
+  NO_FREEZE,
+  getFrozenExtent,
+  getPaneScroll,
+  getTrackScroll,
+  getPanes,
+  getRevealScroll
+} from '../../FreezeHelper';
+import {
+  CELL_PADDING,
+  CELL_PADDING_Y,
+  getLineHeight,
+  truncateText,
+  wrapText,
+  getOverflowSpan,
+  measureWrappedHeight
+} from '../../TextLayoutHelper';
 
 const TOTAL_ROWS = 100000;
 const TOTAL_COLS = 500; // A-Z columns
@@ -37,9 +149,58 @@ const COL_WIDTH = 80;
 const ROW_HEIGHT = 24;
 const ROW_HEADER_WIDTH = 60;
 const COL_HEADER_HEIGHT = 24;
+const OVERFLOW_LOOKBACK = 10; // Columns left of the view searched for text that overflows into it
 let dpr = window.getdevicePixelRatio || 1;
 const CANVAS_WIDTH = 1880;
 const CANVAS_HEIGHT = 850;
+const LONG_PRESS_DELAY = 500; // ms a touch must be held to open the context menu
+const LONG_PRESS_TOLERANCE = 10; // px a touch may drift before the long-press is cancelled
+const MAX_GOTO_HISTORY = 10; // References the Go To dialog remembers
+// What a saved workbook keeps of each sheet; a change to any of them is unsaved work
+const SAVED_SHEET_FIELDS = ['name', 'cellData', 'cellStyles', 'colWidths', 'rowHeights', 'hiddenCols', 'hiddenRows', 'frozen', 'autoFilter'];
+
+// Enter moves down and Tab right; Shift reverses them
+const getEditMove = (e) => {
+  if (e.key === 'Tab') return e.shiftKey ? 'left' : 'right';
+  return e.shiftKey ? 'up' : 'down';
+};
+const FILTER_BUTTON_SIZE = 16; // AutoFilter dropdown button in a header cell
+const FILTERED_ROW_COLOR = '#1a56c4'; // Row numbers of a filtered range, as in Excel
+const HIDDEN_MARKER_COLOR = '#0F7937';
+const FILL_HANDLE_SIZE = 7; // Square at the bottom-right corner of the selection
+const FILL_HANDLE_HIT = 5; // Distance from the fill handle's centre that still grabs it
+const MARCHING_ANTS_DASH = [5, 3]; // Dash pattern of the border round copied cells
+const MARCHING_ANTS_STEP_MS = 60; // Time between one-pixel steps of that border
+
+// Draws an AutoFilter dropdown button at (x, y); a column with criteria gets a highlighted one
+const drawFilterButton = (ctx, x, y, active) => {
+  const size = FILTER_BUTTON_SIZE;
+  ctx.fillStyle = active ? '#caead8' : '#f8f9fa';
+  ctx.fillRect(x, y, size, size);
+  ctx.strokeStyle = active ? '#0F7937' : '#adb5bd';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+  ctx.fillStyle = active ? '#0F7937' : '#495057';
+  ctx.beginPath();
+  ctx.moveTo(x + 4, y + 6);
+  ctx.lineTo(x + size - 4, y + 6);
+  ctx.lineTo(x + size / 2, y + size - 5);
+  ctx.closePath();
+  ctx.fill();
+};
+
+// Draws the double line that marks hidden columns (axis 'col', at x = pos) or rows (at y = pos)
+// in the headers; clicking it shows them again
+const drawHiddenMarker = (ctx, axis, pos) => {
+  ctx.fillStyle = HIDDEN_MARKER_COLOR;
+  if (axis === 'col') {
+    ctx.fillRect(pos - 2.5, 3, 1.5, COL_HEADER_HEIGHT - 6);
+    ctx.fillRect(pos + 1, 3, 1.5, COL_HEADER_HEIGHT - 6);
+  } else {
+    ctx.fillRect(3, pos - 2.5, ROW_HEADER_WIDTH - 6, 1.5);
+    ctx.fillRect(3, pos + 1, ROW_HEADER_WIDTH - 6, 1.5);
+  }
+};
 
 export default function GridPage() {
   const canvasRef = useRef(null);
@@ -47,6 +208,7 @@ export default function GridPage() {
   const cellInputRef = useRef(null);
   const horizontalScrollRef = useRef(null);
   const [cellData, setCellData] = useState(new Map());
+  const [cellStyles, setCellStyles] = useState({});
   const [selected, setSelected] = useState({ r: 0, c: 0 });
   const [selection, setSelection] = useState({ 
     startRow: 0, 
@@ -55,12 +217,24 @@ export default function GridPage() {
     endCol: 0, 
     isRange: false 
   });
+  // Ctrl+click and Ctrl+drag add ranges: `ranges` are the earlier ones, and `selection` is the
+  // one being made. They stay selected while `active` is the selected cell, so anything that
+  // moves the active cell starts a single selection again.
+  const [multiSelection, setMultiSelection] = useState(null); // { ranges, active }
   const [scrollTop, setScrollTop] = useState(0);
   const [scrollLeft, setScrollLeft] = useState(0);
   const [fontFamily, setFontFamily] = useState('Arial');
   const [isSelecting, setIsSelecting] = useState(false);
-  const [history, setHistory] = useState([{}]);
-  const [historyIndex, setHistoryIndex] = useState(0);
+  const [fillDrag, setFillDrag] = useState(null); // { source, fill } while the fill handle is dragged; fill from getFillTarget
+  const [history, setHistory] = useState(createHistory);
+  const [workbookMetadata, setWorkbookMetadata] = useState({}); // kept so re-saving preserves createdAt
+  const [recovery, setRecovery] = useState(null); // autosaved session offered on startup: { id, savedAt, workbook }
+  const [recentFiles, setRecentFiles] = useState([]);
+  const autosaverRef = useRef(null);
+  const sessionIdRef = useRef(null); // this page's autosaved session, created on startup
+  const sessionSheetsRef = useRef(new Map()); // sheet id -> the sheet as last autosaved
+  const sessionSnapshotRef = useRef(null); // latest getSessionSnapshot, read when an autosave runs
+  const savedSheetsRef = useRef(null); // sheet list as last opened or saved, to tell whether there is work to lose
   const [clipboard, setClipboard] = useState(null);
   
   // New state for direct cell editing
@@ -85,17 +259,212 @@ export default function GridPage() {
   const [resizeIndex, setResizeIndex] = useState(null);
   const [resizeStartPos, setResizeStartPos] = useState(0);
   const [resizeStartSize, setResizeStartSize] = useState(0);
+
+  // Freeze panes: the leading rows and columns that do not scroll
+  const [frozen, setFrozen] = useState(NO_FREEZE);
+  const revealCellRef = useRef(() => {}); // (r, c) => scrolls the cell into view
   
   // Add state for header selection
   const [isSelectingHeader, setIsSelectingHeader] = useState(false);
   const [headerSelectionType, setHeaderSelectionType] = useState(null); // 'column' or 'row'
-  
+
+  // Context menu: { x, y, target: 'cell' | 'column' | 'row', index }
+  const [contextMenu, setContextMenu] = useState(null);
+  const longPressRef = useRef(null); // { timer, x, y } while a touch long-press is pending
+  const openContextMenuRef = useRef(null); // latest openContextMenu, read when the long-press timer fires
+  const setTracksHiddenRef = useRef(null); // latest setTracksHidden, read by the header marker click
+  const applyFillRef = useRef(null); // latest applyFill, read when a fill handle drag ends
+  const marchingAntsRef = useRef(0); // dash offset of the border round copied cells, advanced without re-rendering
+  const clipboardEventsRef = useRef(null); // latest { copy, paste } handlers, read by the document clipboard events
+
+  // Sort dialog: { range, titles, hasHeader, col } while it is open
+  const [sortDialog, setSortDialog] = useState(null);
+  const [findPanel, setFindPanel] = useState(null); // { mode: 'find' | 'replace' } while the Find panel is open
+  const [goToDialog, setGoToDialog] = useState(null); // { reference } while the Go To dialog is open
+  const [goToHistory, setGoToHistory] = useState([]); // references jumped to, most recent first
+  const [pasteSpecialOpen, setPasteSpecialOpen] = useState(false);
+
+  // Formula results live apart from cellData so the editor keeps the formula text
+  const [computedData, setComputedData] = useState({});
+  const formulaGraphRef = useRef(createFormulaGraph('Sheet1'));
+  const prevCellDataRef = useRef({});
+  const sheetCellsRef = useRef(null); // (name) => cellData of any sheet, read by cross-sheet references
+
+  // Recalculate only the formulas downstream of the cells that changed
+  useEffect(() => {
+    const changedKeys = diffCellKeys(prevCellDataRef.current, cellData);
+    prevCellDataRef.current = cellData;
+    if (changedKeys.length === 0) return;
+    const resolveSheet = createSheetResolver((name) => sheetCellsRef.current(name));
+    setComputedData(prev => recalculate(formulaGraphRef.current, cellData, prev, changedKeys, resolveSheet));
+  }, [cellData]);
+
+  // AutoFilter: { row, startCol, endCol, criteria } on the active sheet
+  const [autoFilter, setAutoFilter] = useState(null);
+  const [filterPanel, setFilterPanel] = useState(null); // { col, x, y } while a filter dropdown is open
+  const filteredRows = useMemo(
+    () => getFilteredRows(cellData, computedData, cellStyles, autoFilter),
+    [cellData, computedData, cellStyles, autoFilter]
+  );
+  const filterRange = useMemo(() => autoFilter && getFilterRange(cellData, autoFilter), [cellData, autoFilter]);
+
+  // Rows and columns hidden by hand. Hidden and filtered-out tracks are laid out with no size,
+  // so drawing, hit-testing and scrolling all pass over them; the layouts are what geometry reads.
+  const [hiddenRows, setHiddenRows] = useState(new Set());
+  const [hiddenCols, setHiddenCols] = useState(new Set());
+  const skippedRows = useMemo(
+    () => (filteredRows.size === 0 ? hiddenRows : new Set([...hiddenRows, ...filteredRows])),
+    [hiddenRows, filteredRows]
+  );
+  const rowLayout = useMemo(() => hideTracks(rowHeights, skippedRows), [rowHeights, skippedRows]);
+  const colLayout = useMemo(() => hideTracks(colWidths, hiddenCols), [colWidths, hiddenCols]);
+
+  const frozenWidth = useMemo(() => getFrozenExtent(colLayout, frozen.cols, COL_WIDTH), [colLayout, frozen.cols]);
+  const frozenHeight = useMemo(() => getFrozenExtent(rowLayout, frozen.rows, ROW_HEIGHT), [rowLayout, frozen.rows]);
+
+  // Workbook sheets. The active sheet's stores, history and view live in the state above;
+  // its entry here is only brought up to date when another sheet is shown or the workbook is saved.
+  const [sheets, setSheets] = useState(() => [{ ...createSheet('Sheet1'), id: 1 }]);
+  const [activeSheetId, setActiveSheetId] = useState(1);
+  const nextSheetIdRef = useRef(2);
+  const pendingScrollRef = useRef(null); // { scrollTop, scrollLeft } to restore once a sheet is shown
+  const activeSheet = sheets.find((sheet) => sheet.id === activeSheetId);
+
+  sheetCellsRef.current = (name) => {
+    if (isSameSheetName(name, activeSheet.name)) return cellData;
+    const sheet = sheets.find((s) => isSameSheetName(s.name, name));
+    return sheet ? sheet.cellData : null;
+  };
+
+  // Restores the scroll position a sheet had when it was last shown
+  useEffect(() => {
+    const view = pendingScrollRef.current;
+    if (!view) return;
+    pendingScrollRef.current = null;
+    if (scrollContainerRef.current) scrollContainerRef.current.scrollTop = view.scrollTop;
+    if (horizontalScrollRef.current) horizontalScrollRef.current.scrollLeft = view.scrollLeft;
+    setScrollTop(view.scrollTop);
+    setScrollLeft(view.scrollLeft);
+  }, [activeSheetId]);
+
+  const refreshRecentFiles = useCallback(() => {
+    listRecentFiles()
+      .then(setRecentFiles)
+      .catch((error) => console.error('Could not read recent files', error));
+  }, []);
+
+  // On startup, start a session of this page's own, offer the latest earlier one (if it has any
+  // content) and load the recent list. Sessions older than the one offered are dropped.
+  useEffect(() => {
+    const sessionId = createSessionId();
+    sessionIdRef.current = sessionId;
+    loadLatestSession(sessionId)
+      .then((session) => {
+        const { workbook } = session ? loadWorkbook(joinWorkbookText(session.text, session.sheets), TOTAL_ROWS, TOTAL_COLS) : {};
+        const hasContent = workbook && workbook.sheets.some((sheet) => Object.keys(sheet.cellData).length > 0);
+        if (hasContent) setRecovery({ id: session.id, savedAt: session.savedAt, workbook });
+        return clearSessions((id) => id !== sessionId && !(hasContent && id === session.id));
+      })
+      .catch((error) => console.error('Could not read the autosaved session', error));
+    refreshRecentFiles();
+  }, [refreshRecentFiles]);
+
+  // Autosave: a save is written in the background at most every AUTOSAVE_DELAY ms,
+  // and immediately when the page is hidden or closed. A failed save writes every sheet next time.
+  useEffect(() => {
+    const autosaver = createAutosaver((snapshot) => {
+      if (!snapshot) return null;
+      return saveSession(sessionIdRef.current, snapshot).catch((error) => {
+        sessionSheetsRef.current = new Map();
+        throw error;
+      });
+    });
+    autosaverRef.current = autosaver;
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') autosaver.flush();
+    };
+    window.addEventListener('beforeunload', autosaver.flush);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('beforeunload', autosaver.flush);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      autosaver.flush();
+    };
+  }, []);
+
+  // Ctrl+C, Ctrl+X and Ctrl+V reach the grid as clipboard events while it has focus, so a copy
+  // can write both formats and a paste can read what another app put there. Inputs, such as
+  // the cell editor, keep their own clipboard handling.
+  useEffect(() => {
+    const isGridFocused = () => document.activeElement === canvasRef.current;
+    const handleCopyEvent = (e) => {
+      if (!isGridFocused()) return;
+      e.preventDefault();
+      const payload = clipboardEventsRef.current.copy(e.type === 'cut');
+      if (!payload) return;
+      e.clipboardData.setData('text/plain', payload.text);
+      e.clipboardData.setData('text/html', payload.html);
+    };
+    const handlePasteEvent = (e) => {
+      if (!isGridFocused()) return;
+      e.preventDefault();
+      clipboardEventsRef.current.paste(e.clipboardData.getData('text/html'), e.clipboardData.getData('text/plain'));
+    };
+    document.addEventListener('copy', handleCopyEvent);
+    document.addEventListener('cut', handleCopyEvent);
+    document.addEventListener('paste', handlePasteEvent);
+    return () => {
+      document.removeEventListener('copy', handleCopyEvent);
+      document.removeEventListener('cut', handleCopyEvent);
+      document.removeEventListener('paste', handlePasteEvent);
+    };
+  }, []);
+
+  // Every history step (edit, undo, redo, load...), freeze and filter marks the session dirty
+  useEffect(() => {
+    autosaverRef.current.schedule(() => sessionSnapshotRef.current());
+  }, [history, sheets, frozen, autoFilter]);
+
+  // Copied or cut cells on this sheet, which get a moving dashed border until they are pasted
+  // (cut) or Escape is pressed
+  const copiedRanges = clipboard && clipboard.sheetId === activeSheetId ? clipboard.ranges : null;
+
+  // Every selected range, the one being made last
+  const otherRanges = useMemo(
+    () => (multiSelection && multiSelection.active === selected ? multiSelection.ranges : []),
+    [multiSelection, selected]
+  );
+  const selectedRanges = useMemo(() => [...otherRanges, normalizeSelection(selection)], [otherRanges, selection]);
+
   // Calculate statistics for current selection
-  const stats = calculateStats(cellData, selection);
+  const stats = calculateStats(cellData, otherRanges.length > 0 ? selectedRanges : selection, computedData, skippedRows);
 
   // Calculate which rows should be visible based on scroll position
   const visibleRange = getVisibleRowRange(scrollTop, ROW_HEIGHT, CANVAS_HEIGHT, COL_HEADER_HEIGHT, TOTAL_ROWS);
 
+  // Canvas rectangle of a range, for what is drawn over every pane
+  const getRangeRect = useCallback((range) => {
+    const x = ROW_HEADER_WIDTH + getTotalWidthToColumn(range.startCol, colLayout) - getTrackScroll(range.startCol, frozen.cols, scrollLeft);
+    const y = COL_HEADER_HEIGHT + getTotalHeightToRow(range.startRow, rowLayout) - getTrackScroll(range.startRow, frozen.rows, scrollTop);
+    const right = ROW_HEADER_WIDTH + getTotalWidthToColumn(range.endCol + 1, colLayout) - getTrackScroll(range.endCol, frozen.cols, scrollLeft);
+    const bottom = COL_HEADER_HEIGHT + getTotalHeightToRow(range.endRow + 1, rowLayout) - getTrackScroll(range.endRow, frozen.rows, scrollTop);
+    return { x, y, width: right - x, height: bottom - y };
+  }, [colLayout, rowLayout, frozen, scrollLeft, scrollTop]);
+
+  // Canvas point of the fill handle at the selection's bottom-right corner; null when it is out
+  // of sight, including under the frozen panes, and for whole rows or columns
+  const getFillHandlePoint = useCallback(() => {
+    if (otherRanges.length > 0) return null;
+    if (selection.endRow >= TOTAL_ROWS - 1 || selection.endCol >= TOTAL_COLS - 1) return null;
+    const rect = getRangeRect(selection);
+    const x = rect.x + rect.width;
+    const y = rect.y + rect.height;
+    if (x > CANVAS_WIDTH || y > CANVAS_HEIGHT) return null;
+    if (x <= ROW_HEADER_WIDTH + (selection.endCol >= frozen.cols ? frozenWidth : 0)) return null;
+    if (y <= COL_HEADER_HEIGHT + (selection.endRow >= frozen.rows ? frozenHeight : 0)) return null;
+    return { x, y };
+  }, [selection, otherRanges, getRangeRect, frozen, frozenWidth, frozenHeight]);
+
 const drawGrid = useCallback(() => {
   const canvas = canvasRef.current;
   if (!canvas) return;
@@ -121,288 +490,503 @@ const drawGrid = useCallback(() => {
   ctx.textBaseline = 'middle';
   ctx.lineWidth = 0.4 / dpr;
 
-  // Use the new helper functions for visible ranges
-  const { startRow, endRow } = getVisibleRowRangeWithHeights(scrollTop, CANVAS_HEIGHT, COL_HEADER_HEIGHT, rowHeights, TOTAL_ROWS);
-  const { startCol, endCol } = getVisibleColRangeWithWidths(scrollLeft, CANVAS_WIDTH, ROW_HEADER_WIDTH, colWidths, TOTAL_COLS);
-
-  // Draw top-left corner (select all)
-  ctx.fillStyle = '#f0f0f0';
-  ctx.fillRect(0, 0, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT);
-  ctx.strokeStyle = '#d8d9db';
-  ctx.strokeRect(0, 0, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT);
-
-  // === Column Headers ===
-  ctx.fillStyle = '#f0f0f0';
-  ctx.fillRect(ROW_HEADER_WIDTH, 0, CANVAS_WIDTH - ROW_HEADER_WIDTH, COL_HEADER_HEIGHT);
+  // Frozen rows and columns are drawn unscrolled; each pane is clipped to its own part of the canvas
+  const panes = getPanes(
+    frozen, frozenWidth, frozenHeight, scrollLeft, scrollTop,
+    { x: ROW_HEADER_WIDTH, y: COL_HEADER_HEIGHT, width: CANVAS_WIDTH - ROW_HEADER_WIDTH, height: CANVAS_HEIGHT - COL_HEADER_HEIGHT },
+    TOTAL_ROWS, TOTAL_COLS
+  );
+
+  const drawPane = (pane) => {
+    // Use the new helper functions for visible ranges
+    const visibleRows = getVisibleRowRangeWithHeights(pane.scrollTop, CANVAS_HEIGHT, COL_HEADER_HEIGHT, rowLayout, TOTAL_ROWS);
+    const visibleCols = getVisibleColRangeWithWidths(pane.scrollLeft, CANVAS_WIDTH, ROW_HEADER_WIDTH, colLayout, TOTAL_COLS);
+    const startRow = Math.max(visibleRows.startRow, pane.rows[0]);
+    const endRow = Math.min(visibleRows.endRow, pane.rows[1]);
+    const startCol = Math.max(visibleCols.startCol, pane.cols[0]);
+    const endCol = Math.min(visibleCols.endCol, pane.cols[1]);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(pane.x, pane.y, pane.width, pane.height);
+    if (pane.colHeaders) ctx.rect(pane.x, 0, pane.width, COL_HEADER_HEIGHT);
+    if (pane.rowHeaders) ctx.rect(0, pane.y, ROW_HEADER_WIDTH, pane.height);
+    ctx.clip();
+
+    // === Column Headers ===
+    ctx.fillStyle = '#f0f0f0';
+    ctx.fillRect(ROW_HEADER_WIDTH, 0, CANVAS_WIDTH - ROW_HEADER_WIDTH, COL_HEADER_HEIGHT);
+
+    let currentX = ROW_HEADER_WIDTH;
+    // Calculate starting X position based on ONLY horizontal scroll
+    let scrollOffsetX = 0;
+    for (let c = 0; c < startCol; c++) {
+      scrollOffsetX += colLayout.get(c) ?? COL_WIDTH;
+    }
+    currentX -= (pane.scrollLeft - scrollOffsetX);
 
-  let currentX = ROW_HEADER_WIDTH;
-  // Calculate starting X position based on ONLY horizontal scroll
-  let scrollOffsetX = 0;
-  for (let c = 0; c < startCol; c++) {
-    scrollOffsetX += colWidths.get(c) || COL_WIDTH;
-  }
-  currentX -= (scrollLeft - scrollOffsetX);
+    const hiddenMarkers = []; // drawn once every header is down, as they straddle header edges
+    for (let c = startCol; c < endCol; c++) {
+      const colWidth = colLayout.get(c) ?? COL_WIDTH;
+      if (currentX >= CANVAS_WIDTH) break;
+      if (colWidth === 0) {
+        if (!hiddenCols.has(c - 1)) hiddenMarkers.push({ axis: 'col', pos: currentX });
+        continue;
+      }
 
-  for (let c = startCol; c < endCol; c++) {
-    const colWidth = colWidths.get(c) || COL_WIDTH;
-    if (currentX >= CANVAS_WIDTH) break;
+      const shouldHighlight = isColumnInSelection(c, selected, selection, TOTAL_ROWS, TOTAL_COLS, otherRanges);
+      const isEntireColumn = isEntireColumnSelected(c, selected, selection, TOTAL_ROWS, TOTAL_COLS, otherRanges);
 
-    const shouldHighlight = isColumnInSelection(c, selected, selection, TOTAL_ROWS, TOTAL_COLS);
-    const isEntireColumn = isEntireColumnSelected(c, selected, selection, TOTAL_ROWS, TOTAL_COLS);
+      // Background color
+      ctx.fillStyle = shouldHighlight ? (isEntireColumn ? '#0F7937' : '#caead8') : '#f0f0f0';
+      ctx.fillRect(currentX, 0, colWidth, COL_HEADER_HEIGHT);
 
-    // Background color
-    ctx.fillStyle = shouldHighlight ? (isEntireColumn ? '#0F7937' : '#caead8') : '#f0f0f0';
-    ctx.fillRect(currentX, 0, colWidth, COL_HEADER_HEIGHT);
+      // Text color
+      ctx.fillStyle = shouldHighlight ? (isEntireColumn ? 'white' : '#0F7937') : 'black';
+      ctx.textAlign = 'center';
+      ctx.fillText(getColLetter(c), currentX + colWidth / 2, COL_HEADER_HEIGHT / 2);
 
-    // Text color
-    ctx.fillStyle = shouldHighlight ? (isEntireColumn ? 'white' : '#0F7937') : 'black';
-    ctx.textAlign = 'center';
-    ctx.fillText(getColLetter(c), currentX + colWidth / 2, COL_HEADER_HEIGHT / 2);
+      // Borders
+      ctx.strokeStyle = '#d8d9db';
+      ctx.strokeRect(currentX, 0, colWidth, COL_HEADER_HEIGHT);
 
-    // Borders
-    ctx.strokeStyle = '#d8d9db';
-    ctx.strokeRect(currentX, 0, colWidth, COL_HEADER_HEIGHT);
+      if (shouldHighlight) {
+        ctx.strokeStyle = '#0F7937';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(currentX, COL_HEADER_HEIGHT - 1);
+        ctx.lineTo(currentX + colWidth, COL_HEADER_HEIGHT - 1);
+        ctx.stroke();
+        ctx.lineWidth = 0.4 / dpr;
+      }
 
-    if (shouldHighlight) {
-      ctx.strokeStyle = '#0F7937';
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.moveTo(currentX, COL_HEADER_HEIGHT - 1);
-      ctx.lineTo(currentX + colWidth, COL_HEADER_HEIGHT - 1);
-      ctx.stroke();
-      ctx.lineWidth = 0.4 / dpr;
+      currentX += colWidth;
     }
 
-    currentX += colWidth;
-  }
+    // === Row Headers ===
+    ctx.fillStyle = '#f0f0f0';
+    ctx.fillRect(0, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, CANVAS_HEIGHT - COL_HEADER_HEIGHT);
 
-  // === Row Headers ===
-  ctx.fillStyle = '#f0f0f0';
-  ctx.fillRect(0, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, CANVAS_HEIGHT - COL_HEADER_HEIGHT);
+    let currentY = COL_HEADER_HEIGHT;
+    // Calculate starting Y position based on ONLY vertical scroll
+    let scrollOffsetY = 0;
+    for (let r = 0; r < startRow; r++) {
+      scrollOffsetY += rowLayout.get(r) ?? ROW_HEIGHT;
+    }
+    currentY -= (pane.scrollTop - scrollOffsetY);
+
+    for (let r = startRow; r < endRow; r++) {
+      const rowHeight = rowLayout.get(r) ?? ROW_HEIGHT;
+      if (currentY >= CANVAS_HEIGHT) break;
+      if (rowHeight === 0) {
+        // Filtered-out rows are shown by their blue row numbers instead
+        if (hiddenRows.has(r) && !hiddenRows.has(r - 1)) hiddenMarkers.push({ axis: 'row', pos: currentY });
+        continue;
+      }
 
-  let currentY = COL_HEADER_HEIGHT;
-  // Calculate starting Y position based on ONLY vertical scroll
-  let scrollOffsetY = 0;
-  for (let r = 0; r < startRow; r++) {
-    scrollOffsetY += rowHeights.get(r) || ROW_HEIGHT;
-  }
-  currentY -= (scrollTop - scrollOffsetY);
+      const shouldHighlight = isRowInSelection(r, selected, selection, TOTAL_ROWS, TOTAL_COLS, otherRanges);
+      const isEntireRow = isEntireRowSelected(r, selected, selection, TOTAL_ROWS, TOTAL_COLS, otherRanges);
 
-  for (let r = startRow; r < endRow; r++) {
-    const rowHeight = rowHeights.get(r) || ROW_HEIGHT;
-    if (currentY >= CANVAS_HEIGHT) break;
+      // Background
+      ctx.fillStyle = shouldHighlight ? (isEntireRow ? '#0F7937' : '#caead8') : '#f0f0f0';
+      ctx.fillRect(0, currentY, ROW_HEADER_WIDTH, rowHeight);
 
-    const shouldHighlight = isRowInSelection(r, selected, selection, TOTAL_ROWS, TOTAL_COLS);
-    const isEntireRow = isEntireRowSelected(r, selected, selection, TOTAL_ROWS, TOTAL_COLS);
+      // Text color; while a filter hides rows, the numbers of the rows it covers turn blue
+      const isFiltered = filteredRows.size > 0 && filterRange && r > filterRange.startRow && r <= filterRange.endRow;
+      ctx.fillStyle = shouldHighlight ? (isEntireRow ? 'white' : '#0F7937') : isFiltered ? FILTERED_ROW_COLOR : 'black';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(r + 1, ROW_HEADER_WIDTH - 5, currentY + rowHeight / 2);
 
-    // Background
-    ctx.fillStyle = shouldHighlight ? (isEntireRow ? '#0F7937' : '#caead8') : '#f0f0f0';
-    ctx.fillRect(0, currentY, ROW_HEADER_WIDTH, rowHeight);
+      // Border
+      ctx.strokeStyle = '#d8d9db';
+      ctx.strokeRect(0, currentY, ROW_HEADER_WIDTH, rowHeight);
 
-    // Text color
-    ctx.fillStyle = shouldHighlight ? (isEntireRow ? 'white' : '#0F7937') : 'black';
-    ctx.textAlign = 'right';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(r + 1, ROW_HEADER_WIDTH - 5, currentY + rowHeight / 2);
+      if (shouldHighlight) {
+        ctx.strokeStyle = '#0F7937';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(ROW_HEADER_WIDTH - 1, currentY);
+        ctx.lineTo(ROW_HEADER_WIDTH - 1, currentY + rowHeight);
+        ctx.stroke();
+        ctx.lineWidth = 0.4 / dpr;
+      }
 
-    // Border
-    ctx.strokeStyle = '#d8d9db';
-    ctx.strokeRect(0, currentY, ROW_HEADER_WIDTH, rowHeight);
+      currentY += rowHeight;
+    }
+    hiddenMarkers.forEach(({ axis, pos }) => drawHiddenMarker(ctx, axis, pos));
+
+    // === Cells ===
+    // IMPORTANT: Clip the cell drawing area to prevent overlap with headers
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, CANVAS_WIDTH - ROW_HEADER_WIDTH, CANVAS_HEIGHT - COL_HEADER_HEIGHT);
+    ctx.clip();
+
+    // Custom borders are drawn after every cell so a neighbour's background cannot cover them
+    const styledBorders = [];
+
+    // Text is drawn once every background is down, so it can overflow into blank neighbours
+    const cellTexts = [];
+    // AutoFilter buttons go on top of the header cells' text
+    const filterButtons = [];
+    const getBlankWidth = (r, c) =>
+      c >= 0 && c < TOTAL_COLS && (hiddenCols.has(c) || !getFormattedCell(cellData, computedData, cellStyles, `${r},${c}`).text)
+        ? colLayout.get(c) ?? COL_WIDTH
+        : null;
+    const queueText = (r, c, x, y, width, height) => {
+      if (isEditing && r === selected.r && c === selected.c) return;
+      const key = `${r},${c}`;
+      const formatted = getFormattedCell(cellData, computedData, cellStyles, key);
+      if (!formatted.text) return;
+
+      const style = getCellStyle(cellStyles, key);
+      // Numbers line up on the right unless the cell says otherwise
+      const hAlign = style.hAlign || (formatted.isNumber ? 'right' : 'left');
+      ctx.font = getCanvasFont(style, fontFamily);
+
+      let lines;
+      let span = { left: 0, right: 0 };
+      if (style.wrap && !formatted.isNumber) {
+        lines = wrapText(ctx, formatted.text, width - 2 * CELL_PADDING);
+      } else {
+        // Text spills into blank neighbours and is cut with an ellipsis where it meets content;
+        // numbers never spill and turn into ### when the column is too narrow, as in Excel
+        const textWidth = ctx.measureText(formatted.text).width;
+        if (!formatted.isNumber) span = getOverflowSpan(textWidth, width, hAlign, (offset) => getBlankWidth(r, c + offset));
+        const available = width + span.left + span.right - 2 * CELL_PADDING;
+        let text = formatted.text;
+        if (textWidth > available) {
+          text = formatted.isNumber
+            ? '#'.repeat(Math.max(1, Math.floor(available / ctx.measureText('#').width)))
+            : truncateText(ctx, text, available);
+        }
+        lines = [text];
+      }
+      cellTexts.push({ lines, style, color: formatted.color || style.color, hAlign, x: x - span.left, y, width: width + span.left + span.right, height });
+    };
 
-    if (shouldHighlight) {
-      ctx.strokeStyle = '#0F7937';
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.moveTo(ROW_HEADER_WIDTH - 1, currentY);
-      ctx.lineTo(ROW_HEADER_WIDTH - 1, currentY + rowHeight);
-      ctx.stroke();
-      ctx.lineWidth = 0.4 / dpr;
+    // Reset currentY for cells (same calculation as row headers)
+    currentY = COL_HEADER_HEIGHT;
+    scrollOffsetY = 0;
+    for (let r = 0; r < startRow; r++) {
+      scrollOffsetY += rowLayout.get(r) ?? ROW_HEIGHT;
     }
+    currentY -= (pane.scrollTop - scrollOffsetY);
 
-    currentY += rowHeight;
-  }
+    for (let r = startRow; r < endRow; r++) {
+      const rowHeight = rowLayout.get(r) ?? ROW_HEIGHT;
+      if (currentY >= CANVAS_HEIGHT) break;
+      if (rowHeight === 0) continue; // hidden or filtered out
 
-  // === Cells ===
-  // IMPORTANT: Clip the cell drawing area to prevent overlap with headers
-  ctx.save();
-  ctx.beginPath();
-  ctx.rect(ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, CANVAS_WIDTH - ROW_HEADER_WIDTH, CANVAS_HEIGHT - COL_HEADER_HEIGHT);
-  ctx.clip();
-
-  // Reset currentY for cells (same calculation as row headers)
-  currentY = COL_HEADER_HEIGHT;
-  scrollOffsetY = 0;
-  for (let r = 0; r < startRow; r++) {
-    scrollOffsetY += rowHeights.get(r) || ROW_HEIGHT;
-  }
-  currentY -= (scrollTop - scrollOffsetY);
+      // Reset currentX for each row (same calculation as column headers)
+      currentX = ROW_HEADER_WIDTH;
+      scrollOffsetX = 0;
+      for (let c = 0; c < startCol; c++) {
+        scrollOffsetX += colLayout.get(c) ?? COL_WIDTH;
+      }
+      currentX -= (pane.scrollLeft - scrollOffsetX);
+
+      // Text in a cell scrolled off to the left can still overflow into view
+      let hiddenX = currentX;
+      for (let c = startCol - 1; c >= Math.max(pane.cols[0], startCol - OVERFLOW_LOOKBACK); c--) {
+        const colWidth = colLayout.get(c) ?? COL_WIDTH;
+        hiddenX -= colWidth;
+        if (getBlankWidth(r, c) === null) {
+          queueText(r, c, hiddenX, currentY, colWidth, rowHeight);
+          break;
+        }
+      }
 
-  for (let r = startRow; r < endRow; r++) {
-    const rowHeight = rowHeights.get(r) || ROW_HEIGHT;
-    if (currentY >= CANVAS_HEIGHT) break;
+      for (let c = startCol; c < endCol; c++) {
+        const colWidth = colLayout.get(c) ?? COL_WIDTH;
+        if (currentX >= CANVAS_WIDTH) break;
+        if (colWidth === 0) continue; // hidden
 
-    // Reset currentX for each row (same calculation as column headers)
-    currentX = ROW_HEADER_WIDTH;
-    scrollOffsetX = 0;
-    for (let c = 0; c < startCol; c++) {
-      scrollOffsetX += colWidths.get(c) || COL_WIDTH;
-    }
-    currentX -= (scrollLeft - scrollOffsetX);
+        const key = `${r},${c}`;
+        const isCurrent = r === selected.r && c === selected.c;
+
+        // Define the selection bounds
+        const minRow = Math.min(selection.startRow, selection.endRow);
+        const maxRow = Math.max(selection.startRow, selection.endRow);
+        const minCol = Math.min(selection.startCol, selection.endCol);
+        const maxCol = Math.max(selection.startCol, selection.endCol);
+
+        // Is this cell part of the selection, or of an earlier range of a multiple selection?
+        const isInSelection = (selection.isRange &&
+          r >= minRow && r <= maxRow &&
+          c >= minCol && c <= maxCol) ||
+          otherRanges.some((range) => r >= range.startRow && r <= range.endRow && c >= range.startCol && c <= range.endCol);
+
+        // Is this the visual top-left cell of the selection?
+        const isFirstSelected = isInSelection &&
+          r === selection.startRow &&
+          c === selection.startCol;
+
+        // Set background
+        let bgColor = 'white';
+        if (isInSelection) {
+          bgColor = isFirstSelected ? 'white' : '#f1faf1';
+        } else if (isCurrent) {
+          bgColor = '#f1faf1';
+        }
 
-    for (let c = startCol; c < endCol; c++) {
-      const colWidth = colWidths.get(c) || COL_WIDTH;
-      if (currentX >= CANVAS_WIDTH) break;
+        const style = getCellStyle(cellStyles, key);
+        ctx.fillStyle = style.fill || bgColor;
+        ctx.fillRect(currentX, currentY, colWidth, rowHeight);
+        // Tint filled cells in the selection instead of hiding their fill
+        if (style.fill && bgColor !== 'white') {
+          ctx.fillStyle = 'rgba(15, 121, 55, 0.12)';
+          ctx.fillRect(currentX, currentY, colWidth, rowHeight);
+        }
 
-      const key = `${r},${c}`;
-      const isCurrent = r === selected.r && c === selected.c;
-
-      // Define the selection bounds
-      const minRow = Math.min(selection.startRow, selection.endRow);
-      const maxRow = Math.max(selection.startRow, selection.endRow);
-      const minCol = Math.min(selection.startCol, selection.endCol);
-      const maxCol = Math.max(selection.startCol, selection.endCol);
-
-      // Is this cell part of the selection?
-      const isInSelection = selection.isRange &&
-        r >= minRow && r <= maxRow &&
-        c >= minCol && c <= maxCol;
-
-      // Is this the visual top-left cell of the selection?
-      const isFirstSelected = isInSelection &&
-        r === selection.startRow &&
-        c === selection.startCol;
-
-      // Set background
-      let bgColor = 'white';
-      if (isInSelection) {
-        bgColor = isFirstSelected ? 'white' : '#f1faf1';
-      } else if (isCurrent) {
-        bgColor = '#f1faf1';
-      }
+        // Cell border
+        ctx.strokeStyle = '#d8d9db';
+        ctx.strokeRect(currentX + 0.5, currentY + 0.5, colWidth - 1, rowHeight - 1);
+        ctx.lineWidth = 0.4;
+        if (style.borders) styledBorders.push({ x: currentX, y: currentY, width: colWidth, height: rowHeight, borders: style.borders });
 
-      ctx.fillStyle = bgColor;
-      ctx.fillRect(currentX, currentY, colWidth, rowHeight);
+        queueText(r, c, currentX, currentY, colWidth, rowHeight);
+        if (autoFilter && r === autoFilter.row && c >= autoFilter.startCol && c <= autoFilter.endCol) {
+          filterButtons.push({ right: currentX + colWidth, y: currentY, height: rowHeight, active: Boolean(autoFilter.criteria[c]) });
+        }
 
-      // Cell border
-      ctx.strokeStyle = '#d8d9db';
-      ctx.strokeRect(currentX + 0.5, currentY + 0.5, colWidth - 1, rowHeight - 1);
-      ctx.lineWidth = 0.4;
-
-      // Cell content
-      const val = cellData[key];
-      if (val && !(isEditing && isCurrent)) {
-        ctx.fillStyle = 'black';
-        ctx.textAlign = 'left';
-        ctx.fillText(String(val).substring(0, 10), currentX + 4, currentY + rowHeight / 2);
+        currentX += colWidth;
       }
-
-      currentX += colWidth;
+      currentY += rowHeight;
     }
-    currentY += rowHeight;
-  }
-
-  // Restore the clipping context
-  ctx.restore();
 
-  // === Selection Border ===
-  if (selection.isRange) {
-    const selStartRow = Math.max(selection.startRow, startRow);
-    const selEndRow = Math.min(selection.endRow, endRow - 1);
-    const selStartCol = Math.max(selection.startCol, startCol);
-    const selEndCol = Math.min(selection.endCol, endCol - 1);
+    cellTexts.forEach(({ lines, style, color, hAlign, x, y, width, height }) => {
+      const fontSize = style.fontSize || DEFAULT_FONT_SIZE;
+      const lineHeight = getLineHeight(fontSize);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x, y, width, height);
+      ctx.clip();
+      ctx.font = getCanvasFont(style, fontFamily);
+      ctx.fillStyle = color || 'black';
+      ctx.textAlign = hAlign;
+      ctx.textBaseline = 'middle';
+
+      const textX = hAlign === 'center' ? x + width / 2 : hAlign === 'right' ? x + width - CELL_PADDING : x + CELL_PADDING;
+      const blockHeight = lines.length * lineHeight;
+      let top = y + (height - blockHeight) / 2;
+      if (style.vAlign === 'top') top = y + CELL_PADDING_Y;
+      else if (style.vAlign === 'bottom') top = y + height - CELL_PADDING_Y - blockHeight;
+
+      lines.forEach((line, i) => {
+        const lineY = top + i * lineHeight + lineHeight / 2;
+        ctx.fillText(line, textX, lineY);
+        if (style.underline && line) {
+          const lineWidth = ctx.measureText(line).width;
+          const startX = hAlign === 'center' ? textX - lineWidth / 2 : hAlign === 'right' ? textX - lineWidth : textX;
+          ctx.fillRect(startX, lineY + fontSize / 2, lineWidth, Math.max(1, fontSize / 14));
+        }
+      });
+      ctx.restore();
+    });
 
-    if (selStartRow <= selEndRow && selStartCol <= selEndCol) {
-      // Calculate Y positions (vertical scroll affects this)
-      let selStartY = COL_HEADER_HEIGHT;
-      let selEndY = COL_HEADER_HEIGHT;
+    ctx.strokeStyle = BORDER_COLOR;
+    ctx.lineWidth = 1;
+    styledBorders.forEach(({ x, y, width, height, borders }) => {
+      ctx.beginPath();
+      if (borders.top) { ctx.moveTo(x, y + 0.5); ctx.lineTo(x + width, y + 0.5); }
+      if (borders.bottom) { ctx.moveTo(x, y + height - 0.5); ctx.lineTo(x + width, y + height - 0.5); }
+      if (borders.left) { ctx.moveTo(x + 0.5, y); ctx.lineTo(x + 0.5, y + height); }
+      if (borders.right) { ctx.moveTo(x + width - 0.5, y); ctx.lineTo(x + width - 0.5, y + height); }
+      ctx.stroke();
+    });
+    filterButtons.forEach(({ right, y, height, active }) =>
+      drawFilterButton(ctx, right - FILTER_BUTTON_SIZE - 2, y + Math.max(0, (height - FILTER_BUTTON_SIZE) / 2), active));
+    ctx.lineWidth = 0.4 / dpr;
+
+    // Restore the clipping context
+    ctx.restore();
+
+    // === Selection Border ===
+    if (selection.isRange) {
+      const selStartRow = Math.max(selection.startRow, startRow);
+      const selEndRow = Math.min(selection.endRow, endRow - 1);
+      const selStartCol = Math.max(selection.startCol, startCol);
+      const selEndCol = Math.min(selection.endCol, endCol - 1);
+
+      if (selStartRow <= selEndRow && selStartCol <= selEndCol) {
+        // Calculate Y positions (vertical scroll affects this)
+        let selStartY = COL_HEADER_HEIGHT;
+        let selEndY = COL_HEADER_HEIGHT;
       
-      scrollOffsetY = 0;
-      for (let r = 0; r < startRow; r++) {
-        scrollOffsetY += rowHeights.get(r) || ROW_HEIGHT;
-      }
-      selStartY -= (scrollTop - scrollOffsetY);
+        scrollOffsetY = 0;
+        for (let r = 0; r < startRow; r++) {
+          scrollOffsetY += rowLayout.get(r) ?? ROW_HEIGHT;
+        }
+        selStartY -= (pane.scrollTop - scrollOffsetY);
 
-      for (let r = startRow; r <= selStartRow; r++) {
-        if (r === selStartRow) break;
-        selStartY += rowHeights.get(r) || ROW_HEIGHT;
-      }
+        for (let r = startRow; r <= selStartRow; r++) {
+          if (r === selStartRow) break;
+          selStartY += rowLayout.get(r) ?? ROW_HEIGHT;
+        }
 
-      selEndY = selStartY;
-      for (let r = selStartRow; r <= selEndRow; r++) {
-        selEndY += rowHeights.get(r) || ROW_HEIGHT;
-      }
+        selEndY = selStartY;
+        for (let r = selStartRow; r <= selEndRow; r++) {
+          selEndY += rowLayout.get(r) ?? ROW_HEIGHT;
+        }
 
-      // Calculate X positions (horizontal scroll affects this)
-      let selStartX = ROW_HEADER_WIDTH;
-      let selWidth = 0;
+        // Calculate X positions (horizontal scroll affects this)
+        let selStartX = ROW_HEADER_WIDTH;
+        let selWidth = 0;
 
-      scrollOffsetX = 0;
-      for (let c = 0; c < startCol; c++) {
-        scrollOffsetX += colWidths.get(c) || COL_WIDTH;
-      }
-      selStartX -= (scrollLeft - scrollOffsetX);
+        scrollOffsetX = 0;
+        for (let c = 0; c < startCol; c++) {
+          scrollOffsetX += colLayout.get(c) ?? COL_WIDTH;
+        }
+        selStartX -= (pane.scrollLeft - scrollOffsetX);
 
-      for (let c = startCol; c <= selStartCol; c++) {
-        if (c === selStartCol) break;
-        selStartX += colWidths.get(c) || COL_WIDTH;
-      }
+        for (let c = startCol; c <= selStartCol; c++) {
+          if (c === selStartCol) break;
+          selStartX += colLayout.get(c) ?? COL_WIDTH;
+        }
 
-      for (let c = selStartCol; c <= selEndCol; c++) {
-        selWidth += colWidths.get(c) || COL_WIDTH;
-      }
+        for (let c = selStartCol; c <= selEndCol; c++) {
+          selWidth += colLayout.get(c) ?? COL_WIDTH;
+        }
 
-      // Only draw selection border if it's within the cell area
-      if (selStartY >= COL_HEADER_HEIGHT && selStartX >= ROW_HEADER_WIDTH) {
-        ctx.strokeStyle = '#0F7937';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(selStartX, selStartY, selWidth, selEndY - selStartY);
-        ctx.lineWidth = 1.5;
+        // Only draw selection border if it's within the cell area
+        if (selStartY >= COL_HEADER_HEIGHT && selStartX >= ROW_HEADER_WIDTH) {
+          ctx.strokeStyle = '#0F7937';
+          ctx.lineWidth = 2;
+          ctx.strokeRect(selStartX, selStartY, selWidth, selEndY - selStartY);
+          ctx.lineWidth = 1.5;
+        }
       }
-    }
-  } else {
-    // Single cell border with custom size
-    if (selected.r >= startRow && selected.r < endRow && selected.c >= startCol && selected.c < endCol) {
-      // Calculate Y position (vertical scroll affects this)
-      let selY = COL_HEADER_HEIGHT;
+    } else {
+      // Single cell border with custom size
+      if (selected.r >= startRow && selected.r < endRow && selected.c >= startCol && selected.c < endCol) {
+        // Calculate Y position (vertical scroll affects this)
+        let selY = COL_HEADER_HEIGHT;
       
-      scrollOffsetY = 0;
-      for (let r = 0; r < startRow; r++) {
-        scrollOffsetY += rowHeights.get(r) || ROW_HEIGHT;
-      }
-      selY -= (scrollTop - scrollOffsetY);
+        scrollOffsetY = 0;
+        for (let r = 0; r < startRow; r++) {
+          scrollOffsetY += rowLayout.get(r) ?? ROW_HEIGHT;
+        }
+        selY -= (pane.scrollTop - scrollOffsetY);
 
-      for (let r = startRow; r <= selected.r; r++) {
-        if (r === selected.r) break;
-        selY += rowHeights.get(r) || ROW_HEIGHT;
-      }
+        for (let r = startRow; r <= selected.r; r++) {
+          if (r === selected.r) break;
+          selY += rowLayout.get(r) ?? ROW_HEIGHT;
+        }
 
-      // Calculate X position (horizontal scroll affects this)
-      let selX = ROW_HEADER_WIDTH;
+        // Calculate X position (horizontal scroll affects this)
+        let selX = ROW_HEADER_WIDTH;
       
-      scrollOffsetX = 0;
-      for (let c = 0; c < startCol; c++) {
-        scrollOffsetX += colWidths.get(c) || COL_WIDTH;
-      }
-      selX -= (scrollLeft - scrollOffsetX);
+        scrollOffsetX = 0;
+        for (let c = 0; c < startCol; c++) {
+          scrollOffsetX += colLayout.get(c) ?? COL_WIDTH;
+        }
+        selX -= (pane.scrollLeft - scrollOffsetX);
 
-      for (let c = startCol; c <= selected.c; c++) {
-        if (c === selected.c) break;
-        selX += colWidths.get(c) || COL_WIDTH;
-      }
+        for (let c = startCol; c <= selected.c; c++) {
+          if (c === selected.c) break;
+          selX += colLayout.get(c) ?? COL_WIDTH;
+        }
 
-      const cellWidth = colWidths.get(selected.c) || COL_WIDTH;
-      const cellHeight = rowHeights.get(selected.r) || ROW_HEIGHT;
+        const cellWidth = colLayout.get(selected.c) ?? COL_WIDTH;
+        const cellHeight = rowLayout.get(selected.r) ?? ROW_HEIGHT;
 
-      // Only draw selection border if it's within the cell area
-      if (selY >= COL_HEADER_HEIGHT && selX >= ROW_HEADER_WIDTH) {
-        ctx.strokeStyle = '#0F7937';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(selX, selY, cellWidth, cellHeight);
-        ctx.lineWidth = 1.5;
+        // Only draw selection border if it's within the cell area
+        if (selY >= COL_HEADER_HEIGHT && selX >= ROW_HEADER_WIDTH) {
+          ctx.strokeStyle = '#0F7937';
+          ctx.lineWidth = 2;
+          ctx.strokeRect(selX, selY, cellWidth, cellHeight);
+          ctx.lineWidth = 1.5;
+        }
       }
     }
+
+    ctx.restore();
+  };
+
+  panes.forEach(drawPane);
+
+  // Earlier ranges of a multiple selection get a thinner outline than the one being made
+  if (otherRanges.length > 0) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, CANVAS_WIDTH - ROW_HEADER_WIDTH, CANVAS_HEIGHT - COL_HEADER_HEIGHT);
+    ctx.clip();
+    ctx.strokeStyle = '#0F7937';
+    ctx.lineWidth = 1;
+    otherRanges.forEach((range) => {
+      const rect = getRangeRect(range);
+      ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+    });
+    ctx.restore();
+  }
+
+  // Marching ants: a dashed border over a white one, so it shows on any fill
+  if (copiedRanges) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, CANVAS_WIDTH - ROW_HEADER_WIDTH, CANVAS_HEIGHT - COL_HEADER_HEIGHT);
+    ctx.clip();
+    ctx.lineWidth = 2;
+    ctx.lineDashOffset = -marchingAntsRef.current;
+    copiedRanges.forEach((range) => {
+      const rect = getRangeRect(range);
+      ctx.setLineDash([]);
+      ctx.strokeStyle = 'white';
+      ctx.strokeRect(rect.x + 1, rect.y + 1, rect.width - 2, rect.height - 2);
+      ctx.setLineDash(MARCHING_ANTS_DASH);
+      ctx.strokeStyle = '#0F7937';
+      ctx.strokeRect(rect.x + 1, rect.y + 1, rect.width - 2, rect.height - 2);
+    });
+    ctx.restore();
   }
-}, [cellData, selected, selection, scrollTop, scrollLeft, fontFamily, colWidths, rowHeights, isEditing]);
+
+  // Outline of the range a fill handle drag covers, then the handle itself
+  if (fillDrag && fillDrag.fill) {
+    const rect = getRangeRect(fillDrag.fill.range);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, CANVAS_WIDTH - ROW_HEADER_WIDTH, CANVAS_HEIGHT - COL_HEADER_HEIGHT);
+    ctx.clip();
+    ctx.strokeStyle = '#5f6368';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+    ctx.restore();
+  }
+  const fillHandle = !isEditing && getFillHandlePoint();
+  if (fillHandle) {
+    const half = FILL_HANDLE_SIZE / 2;
+    ctx.fillStyle = '#0F7937';
+    ctx.fillRect(fillHandle.x - half, fillHandle.y - half, FILL_HANDLE_SIZE, FILL_HANDLE_SIZE);
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(fillHandle.x - half - 0.5, fillHandle.y - half - 0.5, FILL_HANDLE_SIZE + 1, FILL_HANDLE_SIZE + 1);
+  }
+
+  // Draw top-left corner (select all)
+  ctx.fillStyle = '#f0f0f0';
+  ctx.fillRect(0, 0, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT);
+  ctx.strokeStyle = '#d8d9db';
+  ctx.strokeRect(0, 0, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT);
+
+  // Lines along the edges of the frozen area
+  ctx.strokeStyle = '#a0a4a8';
+  ctx.lineWidth = 2;
+  if (frozen.cols > 0) {
+    ctx.beginPath();
+    ctx.moveTo(ROW_HEADER_WIDTH + frozenWidth, 0);
+    ctx.lineTo(ROW_HEADER_WIDTH + frozenWidth, CANVAS_HEIGHT);
+    ctx.stroke();
+  }
+  if (frozen.rows > 0) {
+    ctx.beginPath();
+    ctx.moveTo(0, COL_HEADER_HEIGHT + frozenHeight);
+    ctx.lineTo(CANVAS_WIDTH, COL_HEADER_HEIGHT + frozenHeight);
+    ctx.stroke();
+  }
+}, [cellData, cellStyles, computedData, selected, selection, scrollTop, scrollLeft, fontFamily, colLayout, rowLayout, isEditing, frozen, frozenWidth, frozenHeight, autoFilter, filteredRows, hiddenRows, hiddenCols, filterRange, fillDrag, copiedRanges, otherRanges, getRangeRect, getFillHandlePoint]);
 
   // ... keep existing code (useEffect, addToHistory, startEditing, finishEditing functions)
 
@@ -417,52 +1001,45 @@ const drawGrid = useCallback(() => {
     };
   }, [drawGrid]);
 
-  const addToHistory = useCallback((newData) => {
-    const newHistory = history.slice(0, historyIndex + 1);
-    newHistory.push({ ...newData });
-    setHistory(newHistory);
-    setHistoryIndex(newHistory.length - 1);
-  }, [history, historyIndex]);
+  // Animates the marching ants by redrawing the canvas straight from the frame loop; the
+  // offset is a ref, so the component does not re-render on every step
+  useEffect(() => {
+    if (!copiedRanges) return;
+    const period = MARCHING_ANTS_DASH[0] + MARCHING_ANTS_DASH[1];
+    let frame;
+    let lastStep = 0;
+    const step = (time) => {
+      if (time - lastStep >= MARCHING_ANTS_STEP_MS) {
+        lastStep = time;
+        marchingAntsRef.current = (marchingAntsRef.current + 1) % period;
+        drawGrid();
+      }
+      frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [copiedRanges, drawGrid]);
+
+  // Records a command from HistoryHelper (a diff of what changed, not a snapshot)
+  const addToHistory = useCallback((command) => {
+    setHistory(prev => pushCommand(prev, command));
+  }, []);
 
-  // startEditing cells
-  const startEditing = useCallback((row, col) => {
+  // startEditing cells; the formula bar opens the editor without moving focus into the cell
+  const startEditing = useCallback((row, col, focusCellInput = true) => {
   const canvasRect = canvasRef.current?.getBoundingClientRect();
   if (!canvasRect) return;
 
-  // Use the helper functions to get visible ranges with custom sizes
-  const { startRow } = getVisibleRowRangeWithHeights(scrollTop, CANVAS_HEIGHT, COL_HEADER_HEIGHT, rowHeights, TOTAL_ROWS);
-  const { startCol } = getVisibleColRangeWithWidths(scrollLeft, CANVAS_WIDTH, ROW_HEADER_WIDTH, colWidths, TOTAL_COLS);
-
-  // Calculate X position accounting for custom column widths
-  let x = canvasRect.left + ROW_HEADER_WIDTH;
-  let scrollOffsetX = 0;
-  for (let c = 0; c < startCol; c++) {
-    scrollOffsetX += colWidths.get(c) || COL_WIDTH;
-  }
-  x -= (scrollLeft - scrollOffsetX);
-
-  for (let c = startCol; c < col; c++) {
-    x += colWidths.get(c) || COL_WIDTH;
-  }
-
-  // Calculate Y position accounting for custom row heights
-  let y = canvasRect.top + COL_HEADER_HEIGHT;
-  let scrollOffsetY = 0;
-  for (let r = 0; r < startRow; r++) {
-    scrollOffsetY += rowHeights.get(r) || ROW_HEIGHT;
-  }
-  y -= (scrollTop - scrollOffsetY);
-
-  for (let r = startRow; r < row; r++) {
-    y += rowHeights.get(r) || ROW_HEIGHT;
-  }
+  // Frozen rows and columns sit where they would be without scrolling
+  const x = canvasRect.left + ROW_HEADER_WIDTH + getTotalWidthToColumn(col, colLayout) - getTrackScroll(col, frozen.cols, scrollLeft);
+  const y = canvasRect.top + COL_HEADER_HEIGHT + getTotalHeightToRow(row, rowLayout) - getTrackScroll(row, frozen.rows, scrollTop);
 
   const key = `${row},${col}`;
-  const currentValue = cellData[key] || '';
+  const currentValue = getEditText(cellData[key], getCellStyle(cellStyles, key).numFmt);
 
   // Get the actual cell dimensions
-  const cellWidth = colWidths.get(col) || COL_WIDTH;
-  const cellHeight = rowHeights.get(row) || ROW_HEIGHT;
+  const cellWidth = colLayout.get(col) ?? COL_WIDTH;
+  const cellHeight = rowLayout.get(row) ?? ROW_HEIGHT;
 
   setEditValue(currentValue);
   setEditPosition({ x, y, width: cellWidth, height: cellHeight });
@@ -470,79 +1047,104 @@ const drawGrid = useCallback(() => {
   
   // Focus the input after state update
   setTimeout(() => {
-    if (cellInputRef.current) {
+    if (focusCellInput && cellInputRef.current) {
       cellInputRef.current.focus();
     }
   }, 0);
-}, [cellData, scrollTop, scrollLeft, colWidths, rowHeights]);
+}, [cellData, cellStyles, scrollTop, scrollLeft, colLayout, rowLayout, frozen]);
+
+  // Rows with wrapped text grow to show all of it (they never shrink, so a height the user set
+  // by hand survives shorter text). Returns the resize commands for the caller's undo step.
+  const growWrappedRows = useCallback((keys, data, styles) => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (!ctx) return [];
+    const needed = new Map();
+    keys.forEach((key) => {
+      const style = getCellStyle(styles, key);
+      if (!style.wrap) return;
+      const { text, isNumber } = getFormattedCell(data, computedData, styles, key);
+      if (!text || isNumber) return;
+      const [r, c] = key.split(',').map(Number);
+      const height = measureWrappedHeight(ctx, text, style, fontFamily, colWidths.get(c) || COL_WIDTH);
+      needed.set(r, Math.max(needed.get(r) || 0, height));
+    });
+
+    const commands = [];
+    const newRowHeights = new Map(rowHeights);
+    needed.forEach((height, r) => {
+      if (height <= (rowHeights.get(r) || ROW_HEIGHT)) return;
+      commands.push(createResizeCommand('row', r, rowHeights.get(r), height));
+      newRowHeights.set(r, height);
+    });
+    if (commands.length) setRowHeights(newRowHeights);
+    return commands;
+  }, [computedData, fontFamily, colWidths, rowHeights]);
 
+  // moveToNext: true or 'down' for Enter, 'up' for Shift+Enter, 'right' / 'left' for Tab / Shift+Tab.
+  // Returns the stores as saved ({ cellData, cellStyles, rowHeights }), for callers that change
+  // them further before this render's state catches up.
   const finishEditing = useCallback((save = true, moveToNext = false) => {
     if (!isEditing) return;
+    let committed = null;
 
     if (save) {
       const key = `${selected.r},${selected.c}`;
       const newData = { ...cellData };
+      let newStyles = cellStyles;
       
       if (editValue.trim() === '') {
         delete newData[key];
       } else {
-        newData[key] = editValue;
+        // "12%", "$1,200" or "2026-10-19" are stored as numbers; a cell without a number
+        // format picks up the one that shows the value the way it was typed
+        const typed = isFormula(editValue) ? null : parseTypedInput(editValue);
+        newData[key] = typed ? typed.raw : editValue;
+        const { numFmt } = getCellStyle(cellStyles, key);
+        if (typed && (!numFmt || numFmt === GENERAL_FORMAT)) {
+          newStyles = { ...cellStyles, [key]: { ...cellStyles[key], numFmt: typed.numFmt } };
+          setCellStyles(newStyles);
+        }
       }
       
       setCellData(newData);
-      addToHistory(newData);
+      const resizes = growWrappedRows([key], newData, newStyles);
+      addToHistory(createTransaction('Edit', [
+        createCellCommand('edit', cellData, newData, [key]),
+        newStyles !== cellStyles && createCellCommand('format', cellStyles, newStyles, [key]),
+        ...resizes
+      ]));
+
+      let newRowHeights = rowHeights;
+      if (resizes.length) {
+        newRowHeights = new Map(rowHeights);
+        resizes.forEach(({ changes }) => changes.forEach(({ index, after }) => newRowHeights.set(index, after)));
+      }
+      committed = { cellData: newData, cellStyles: newStyles, rowHeights: newRowHeights };
     }
 
     setIsEditing(false);
     setEditValue('');
     
-    // Move to next row if requested and not at the bottom
-    if (moveToNext && selected.r < TOTAL_ROWS - 1) {
-      const newRow = selected.r + 1;
-      const newCol = selected.c;
+    // Move on if requested; inside a selected range the active cell cycles through it
+    if (moveToNext) {
+      const direction = moveToNext === true ? 'down' : moveToNext;
+      const { r: newRow, c: newCol } = getEntryTarget(selection, selected, direction, skippedRows, hiddenCols, TOTAL_ROWS, TOTAL_COLS);
       
       // Update selection immediately
       setSelected({ r: newRow, c: newCol });
-      setSelection({
-        startRow: newRow,
-        startCol: newCol,
-        endRow: newRow,
-        endCol: newCol,
-        isRange: false
-      });
+      if (!selection.isRange) {
+        setSelection({
+          startRow: newRow,
+          startCol: newCol,
+          endRow: newRow,
+          endCol: newCol,
+          isRange: false
+        });
+      }
       
       // Handle scrolling
       requestAnimationFrame(() => {
-        if (scrollContainerRef.current) {
-          const rowPosition = newRow * ROW_HEIGHT;
-          const containerHeight = CANVAS_HEIGHT - COL_HEADER_HEIGHT;
-          const currentScrollTop = scrollContainerRef.current.scrollTop;
-          const visibleEnd = currentScrollTop + containerHeight;
-          
-          // Check if we need to scroll down
-          if (rowPosition + ROW_HEIGHT > visibleEnd) {
-            const newScrollTop = rowPosition - containerHeight + ROW_HEIGHT;
-            scrollContainerRef.current.scrollTop = newScrollTop;
-          }
-          // Check if we need to scroll up (shouldn't happen with Enter, but just in case)
-          else if (rowPosition < currentScrollTop) {
-            scrollContainerRef.current.scrollTop = rowPosition;
-          }
-        }
-        
-        // Handle horizontal scrolling if needed
-        if (horizontalScrollRef.current) {
-          const colPosition = newCol * COL_WIDTH;
-          const containerWidth = CANVAS_WIDTH - ROW_HEADER_WIDTH;
-          const currentScrollLeft = horizontalScrollRef.current.scrollLeft;
-          const visibleRightEnd = currentScrollLeft + containerWidth;
-          
-          if (colPosition + COL_WIDTH > visibleRightEnd) {
-            horizontalScrollRef.current.scrollLeft = colPosition - containerWidth + COL_WIDTH;
-          } else if (colPosition < currentScrollLeft) {
-            horizontalScrollRef.current.scrollLeft = colPosition;
-          }
-        }
+        revealCellRef.current(newRow, newCol);
         
         // Return focus to canvas
         if (canvasRef.current) {
@@ -557,7 +1159,8 @@ const drawGrid = useCallback(() => {
         }
       });
     }
-  }, [isEditing, editValue, selected, cellData, addToHistory, TOTAL_ROWS, ROW_HEIGHT, CANVAS_HEIGHT, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, CANVAS_WIDTH, COL_WIDTH]);
+    return committed;
+  }, [isEditing, editValue, selected, selection, cellData, cellStyles, rowHeights, addToHistory, growWrappedRows, skippedRows, hiddenCols, TOTAL_ROWS, ROW_HEIGHT, CANVAS_HEIGHT, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, CANVAS_WIDTH, COL_WIDTH]);
 
   // Helper function to get cell coordinates from pointer event
 const getCellFromPointer = useCallback((e) => {
@@ -567,60 +1170,47 @@ const getCellFromPointer = useCallback((e) => {
   const x = e.clientX - rect.left;
   const y = e.clientY - rect.top;
 
-  if (x < ROW_HEADER_WIDTH || y < COL_HEADER_HEIGHT) return null;
-
-  // Calculate column using custom widths
-  const { startCol } = getVisibleColRangeWithWidths(scrollLeft, CANVAS_WIDTH, ROW_HEADER_WIDTH, colWidths, TOTAL_COLS);
-  
-  let currentX = ROW_HEADER_WIDTH;
-  let scrollOffsetX = 0;
-  for (let c = 0; c < startCol; c++) {
-    scrollOffsetX += colWidths.get(c) || COL_WIDTH;
-  }
-  currentX -= (scrollLeft - scrollOffsetX);
-
-  let c = -1;
-  for (let col = startCol; col < TOTAL_COLS; col++) {
-    const colWidth = colWidths.get(col) || COL_WIDTH;
-    if (x >= currentX && x < currentX + colWidth) {
-      c = col;
-      break;
-    }
-    currentX += colWidth;
-    if (currentX > CANVAS_WIDTH) break;
-  }
-
-  // Calculate row using custom heights
-  const { startRow } = getVisibleRowRangeWithHeights(scrollTop, CANVAS_HEIGHT, COL_HEADER_HEIGHT, rowHeights, TOTAL_ROWS);
-  
-  let currentY = COL_HEADER_HEIGHT;
-  let scrollOffsetY = 0;
-  for (let r = 0; r < startRow; r++) {
-    scrollOffsetY += rowHeights.get(r) || ROW_HEIGHT;
-  }
-  currentY -= (scrollTop - scrollOffsetY);
-
-  let r = -1;
-  for (let row = startRow; row < TOTAL_ROWS; row++) {
-    const rowHeight = rowHeights.get(row) || ROW_HEIGHT;
-    if (y >= currentY && y < currentY + rowHeight) {
-      r = row;
-      break;
-    }
-    currentY += rowHeight;
-    if (currentY > CANVAS_HEIGHT) break;
-  }
-
-  if (c >= 0 && c < TOTAL_COLS && r >= 0 && r < TOTAL_ROWS) {
-    return { r, c };
-  }
-  return null;
-}, [scrollLeft, scrollTop, colWidths, rowHeights]);
+  return getCellFromPointerWithSizes(
+    x, y, scrollLeft, scrollTop, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH,
+    colLayout, rowLayout, TOTAL_COLS, TOTAL_ROWS, frozenWidth, frozenHeight
+  );
+}, [scrollLeft, scrollTop, colLayout, rowLayout, frozenWidth, frozenHeight]);
+
+  // The hidden rows or columns whose header marker is at a canvas point: { axis, start, end } or null
+  const getHiddenMarkerAt = useCallback((x, y) => {
+    const run = y <= COL_HEADER_HEIGHT && x > ROW_HEADER_WIDTH
+      ? getHiddenRunAt(x - ROW_HEADER_WIDTH + getPaneScroll(x, ROW_HEADER_WIDTH, frozenWidth, scrollLeft), colLayout, hiddenCols, COL_WIDTH)
+      : null;
+    if (run) return { axis: 'col', ...run };
+    const rowRun = x <= ROW_HEADER_WIDTH && y > COL_HEADER_HEIGHT
+      ? getHiddenRunAt(y - COL_HEADER_HEIGHT + getPaneScroll(y, COL_HEADER_HEIGHT, frozenHeight, scrollTop), rowLayout, hiddenRows, ROW_HEIGHT)
+      : null;
+    return rowRun ? { axis: 'row', ...rowRun } : null;
+  }, [scrollLeft, scrollTop, colLayout, rowLayout, hiddenCols, hiddenRows, frozenWidth, frozenHeight]);
 
   const handlePointerDown = useCallback((e) => {
   console.log("pointer down", e.pointerId);
   
   e.preventDefault();
+
+  // Secondary button is handled by the contextmenu event so the selection survives
+  if (e.button === 2) return;
+
+  // Touch has no right button: holding a finger still opens the context menu instead
+  if (e.pointerType === 'touch') {
+    const { clientX, clientY } = e;
+    clearTimeout(longPressRef.current?.timer);
+    longPressRef.current = {
+      x: clientX,
+      y: clientY,
+      timer: setTimeout(() => {
+        longPressRef.current = null;
+        setIsSelecting(false);
+        setIsSelectingHeader(false);
+        openContextMenuRef.current(clientX, clientY);
+      }, LONG_PRESS_DELAY)
+    };
+  }
   
   const rect = canvasRef.current?.getBoundingClientRect();
   if (!rect) return;
@@ -628,9 +1218,17 @@ const getCellFromPointer = useCallback((e) => {
   const x = e.clientX - rect.left;
   const y = e.clientY - rect.top;
 
+  // A hidden-track marker shows its rows or columns again; it wins over the resize handle it overlaps
+  const marker = getHiddenMarkerAt(x, y);
+  if (marker) {
+    if (isEditing) finishEditing(true);
+    setTracksHiddenRef.current(marker.axis, marker.start, marker.end, false);
+    return;
+  }
+
   // Check for resize handles first
-  const colResizeHandle = getColumnResizeHandle(x, y, scrollLeft, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, colWidths, TOTAL_COLS);
-  const rowResizeHandle = getRowResizeHandle(x, y, scrollTop, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, rowHeights, TOTAL_ROWS);
+  const colResizeHandle = getColumnResizeHandle(x, y, getPaneScroll(x, ROW_HEADER_WIDTH, frozenWidth, scrollLeft), COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, colLayout, TOTAL_COLS);
+  const rowResizeHandle = getRowResizeHandle(x, y, getPaneScroll(y, COL_HEADER_HEIGHT, frozenHeight, scrollTop), COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, rowLayout, TOTAL_ROWS);
 
   if (colResizeHandle !== null) {
     // If we're currently editing, finish editing first
@@ -668,6 +1266,18 @@ const getCellFromPointer = useCallback((e) => {
     return;
   }
 
+  // The fill handle starts a fill drag from the selection
+  const fillHandle = !isEditing && getFillHandlePoint();
+  if (fillHandle && Math.abs(x - fillHandle.x) <= FILL_HANDLE_HIT && Math.abs(y - fillHandle.y) <= FILL_HANDLE_HIT) {
+    const { startRow, startCol, endRow, endCol } = selection;
+    setFillDrag({ source: { startRow, startCol, endRow, endCol }, fill: null });
+    if (canvasRef.current) {
+      canvasRef.current.setPointerCapture(e.pointerId);
+    }
+    setPointerDownId(e.pointerId);
+    return;
+  }
+
   // Store shift key state
   setShiftKey(e.shiftKey);
 
@@ -676,10 +1286,15 @@ const getCellFromPointer = useCallback((e) => {
     finishEditing(true);
   }
 
+  // Ctrl+click (Cmd+click on macOS) adds a range to the ranges already selected
+  const keepRanges = (event, active) => {
+    setMultiSelection(event.ctrlKey || event.metaKey ? { ranges: selectedRanges, active } : null);
+  };
+
   // Check for column header click
-  const colIndex = getColumnFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, scrollLeft, colWidths, TOTAL_COLS, CANVAS_WIDTH);
+  const colIndex = getColumnFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, getPaneScroll(x, ROW_HEADER_WIDTH, frozenWidth, scrollLeft), colLayout, TOTAL_COLS, CANVAS_WIDTH);
   if (colIndex !== null) {
-    handleColumnSelection(colIndex, selection, setSelection, setSelected, TOTAL_ROWS);
+    keepRanges(e, handleColumnSelection(colIndex, selection, setSelection, setSelected, TOTAL_ROWS));
     setIsSelectingHeader(true);
     setHeaderSelectionType('column');
     if (canvasRef.current) {
@@ -690,9 +1305,9 @@ const getCellFromPointer = useCallback((e) => {
   }
 
   // Check for row header click
-  const rowIndex = getRowFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, scrollTop, rowHeights, TOTAL_ROWS, CANVAS_HEIGHT);
+  const rowIndex = getRowFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, getPaneScroll(y, COL_HEADER_HEIGHT, frozenHeight, scrollTop), rowLayout, TOTAL_ROWS, CANVAS_HEIGHT);
   if (rowIndex !== null) {
-    handleRowSelection(rowIndex, selection, setSelection, setSelected, TOTAL_COLS);
+    keepRanges(e, handleRowSelection(rowIndex, selection, setSelection, setSelected, TOTAL_COLS));
     setIsSelectingHeader(true);
     setHeaderSelectionType('row');
     if (canvasRef.current) {
@@ -708,6 +1323,16 @@ const getCellFromPointer = useCallback((e) => {
 
   const { r, c } = cell;
 
+  // A filter button opens the column's dropdown below it
+  if (autoFilter && r === autoFilter.row && c >= autoFilter.startCol && c <= autoFilter.endCol) {
+    const cellRight = ROW_HEADER_WIDTH + getTotalWidthToColumn(c + 1, colLayout) - getTrackScroll(c, frozen.cols, scrollLeft);
+    if (x >= cellRight - FILTER_BUTTON_SIZE - 4) {
+      const cellBottom = COL_HEADER_HEIGHT + getTotalHeightToRow(r + 1, rowLayout) - getTrackScroll(r, frozen.rows, scrollTop);
+      setFilterPanel({ col: c, x: rect.left + cellRight, y: rect.top + cellBottom });
+      return;
+    }
+  }
+
   // Capture the pointer
   if (canvasRef.current) {
     canvasRef.current.setPointerCapture(e.pointerId);
@@ -715,7 +1340,9 @@ const getCellFromPointer = useCallback((e) => {
 
   setPointerDownId(e.pointerId);
   setStartSelection({ r, c });
-  setSelected({ r, c });
+  const active = { r, c };
+  keepRanges(e, active);
+  setSelected(active);
   setSelection({ 
     startRow: r, 
     startCol: c, 
@@ -724,7 +1351,7 @@ const getCellFromPointer = useCallback((e) => {
     isRange: false 
   });
   setIsSelecting(true);
-}, [getCellFromPointer, isEditing, finishEditing, selection, scrollLeft, scrollTop, colWidths, rowHeights]);
+}, [getCellFromPointer, getHiddenMarkerAt, getFillHandlePoint, isEditing, finishEditing, selection, selectedRanges, scrollLeft, scrollTop, colWidths, colLayout, rowHeights, rowLayout, frozen, frozenWidth, frozenHeight, autoFilter]);
 
   // Add this new function for checking resize cursors
 const updateCursor = useCallback((e) => {
@@ -736,21 +1363,34 @@ const updateCursor = useCallback((e) => {
   const x = e.clientX - rect.left;
   const y = e.clientY - rect.top;
 
-  const colResizeHandle = getColumnResizeHandle(x, y, scrollLeft, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, colWidths, TOTAL_COLS);
-  const rowResizeHandle = getRowResizeHandle(x, y, scrollTop, COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, rowHeights, TOTAL_ROWS);
+  const colResizeHandle = getColumnResizeHandle(x, y, getPaneScroll(x, ROW_HEADER_WIDTH, frozenWidth, scrollLeft), COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, colLayout, TOTAL_COLS);
+  const rowResizeHandle = getRowResizeHandle(x, y, getPaneScroll(y, COL_HEADER_HEIGHT, frozenHeight, scrollTop), COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, rowLayout, TOTAL_ROWS);
 
-  if (colResizeHandle !== null) {
+  const fillHandle = !isEditing && getFillHandlePoint();
+
+  if (getHiddenMarkerAt(x, y)) {
+    canvasRef.current.style.cursor = 'pointer';
+  } else if (fillHandle && Math.abs(x - fillHandle.x) <= FILL_HANDLE_HIT && Math.abs(y - fillHandle.y) <= FILL_HANDLE_HIT) {
+    canvasRef.current.style.cursor = 'crosshair';
+  } else if (colResizeHandle !== null) {
     canvasRef.current.style.cursor = 'col-resize';
   } else if (rowResizeHandle !== null) {
     canvasRef.current.style.cursor = 'row-resize';
   } else {
     canvasRef.current.style.cursor = 'default';
   }
-}, [scrollLeft, scrollTop, colWidths, rowHeights, isResizing]);
+}, [getHiddenMarkerAt, getFillHandlePoint, isEditing, scrollLeft, scrollTop, colLayout, rowLayout, isResizing, frozenWidth, frozenHeight]);
 
  const handlePointerMove = useCallback((e) => {
+  // A touch that drifts is a drag, not a long-press
+  if (longPressRef.current &&
+      Math.hypot(e.clientX - longPressRef.current.x, e.clientY - longPressRef.current.y) > LONG_PRESS_TOLERANCE) {
+    clearTimeout(longPressRef.current.timer);
+    longPressRef.current = null;
+  }
+
   // Handle cursor updates when not selecting
-  if (!isSelecting && !isResizing && !isSelectingHeader) {
+  if (!isSelecting && !isResizing && !isSelectingHeader && !fillDrag) {
     updateCursor(e);
   }
 
@@ -765,11 +1405,11 @@ const updateCursor = useCallback((e) => {
     if (resizeType === 'column') {
       const delta = x - resizeStartPos;
       const newWidth = resizeStartSize + delta;
-      handleColumnResize(resizeIndex, newWidth, colWidths, setColWidths, addToHistory);
+      handleColumnResize(resizeIndex, newWidth, colWidths, setColWidths, null); // recorded once on pointer up
     } else if (resizeType === 'row') {
       const delta = y - resizeStartPos;
       const newHeight = resizeStartSize + delta;
-      handleRowResize(resizeIndex, newHeight, rowHeights, setRowHeights, addToHistory);
+      handleRowResize(resizeIndex, newHeight, rowHeights, setRowHeights, null); // recorded once on pointer up
     }
     return;
   }
@@ -783,7 +1423,7 @@ const updateCursor = useCallback((e) => {
     const y = e.clientY - rect.top;
 
     if (headerSelectionType === 'column') {
-      const colIndex = getColumnFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, scrollLeft, colWidths, TOTAL_COLS, CANVAS_WIDTH);
+      const colIndex = getColumnFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, getPaneScroll(x, ROW_HEADER_WIDTH, frozenWidth, scrollLeft), colLayout, TOTAL_COLS, CANVAS_WIDTH);
       if (colIndex !== null) {
         const currentStartCol = selection.startCol;
         const minCol = Math.min(currentStartCol, colIndex);
@@ -798,7 +1438,7 @@ const updateCursor = useCallback((e) => {
         });
       }
     } else if (headerSelectionType === 'row') {
-      const rowIndex = getRowFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, scrollTop, rowHeights, TOTAL_ROWS, CANVAS_HEIGHT);
+      const rowIndex = getRowFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, getPaneScroll(y, COL_HEADER_HEIGHT, frozenHeight, scrollTop), rowLayout, TOTAL_ROWS, CANVAS_HEIGHT);
       if (rowIndex !== null) {
         const currentStartRow = selection.startRow;
         const minRow = Math.min(currentStartRow, rowIndex);
@@ -816,8 +1456,23 @@ const updateCursor = useCallback((e) => {
     return;
   }
 
-  // Rest of existing cell selection logic
-  if (!isSelecting || e.pointerId !== pointerDownId || !startSelection) return;
+  // Rest of existing cell selection logic; a fill handle drag scrolls the same way
+  if (e.pointerId !== pointerDownId || !(fillDrag || (isSelecting && startSelection))) return;
+
+  // Dragging the fill handle outlines the fill; otherwise the selection follows the pointer
+  const extendTo = (r, c) => {
+    if (fillDrag) {
+      setFillDrag({ ...fillDrag, fill: getFillTarget(fillDrag.source, { r, c }) });
+      return;
+    }
+    setSelection({
+      startRow: Math.min(startSelection.r, r),
+      endRow: Math.max(startSelection.r, r),
+      startCol: Math.min(startSelection.c, c),
+      endCol: Math.max(startSelection.c, c),
+      isRange: startSelection.r !== r || startSelection.c !== c
+    });
+  };
   
   const rect = canvasRef.current?.getBoundingClientRect();
   if (!rect) return;
@@ -826,8 +1481,8 @@ const updateCursor = useCallback((e) => {
   const y = e.clientY - rect.top;
 
   // Calculate scroll values using custom sizes
-  const totalScrollHeight = getTotalScrollHeight(rowHeights, TOTAL_ROWS);
-  const totalScrollWidth = getTotalScrollWidth(colWidths, TOTAL_COLS);
+  const totalScrollHeight = getTotalScrollHeight(rowLayout, TOTAL_ROWS);
+  const totalScrollWidth = getTotalScrollWidth(colLayout, TOTAL_COLS);
 
   // Auto-scroll logic (same as before)
   const scrollSpeed = 20;
@@ -889,8 +1544,8 @@ const updateCursor = useCallback((e) => {
   const cell = getCellFromPointer(e);
   if (!cell) {
     if (shouldScrollLeft || shouldScrollRight || shouldScrollUp || shouldScrollDown) {
-      const { startCol } = getVisibleColRangeWithWidths(scrollLeft, CANVAS_WIDTH, ROW_HEADER_WIDTH, colWidths, TOTAL_COLS);
-      const { startRow } = getVisibleRowRangeWithHeights(scrollTop, CANVAS_HEIGHT, COL_HEADER_HEIGHT, rowHeights, TOTAL_ROWS);
+      const { startCol } = getVisibleColRangeWithWidths(scrollLeft, CANVAS_WIDTH, ROW_HEADER_WIDTH, colLayout, TOTAL_COLS);
+      const { startRow } = getVisibleRowRangeWithHeights(scrollTop, CANVAS_HEIGHT, COL_HEADER_HEIGHT, rowLayout, TOTAL_ROWS);
       
       let targetCol = startCol;
       let targetRow = startRow;
@@ -903,7 +1558,7 @@ const updateCursor = useCallback((e) => {
         let currentWidth = 0;
         const maxWidth = CANVAS_WIDTH - ROW_HEADER_WIDTH;
         for (let c = startCol; c < TOTAL_COLS && currentWidth < maxWidth; c++) {
-          currentWidth += colWidths.get(c) || COL_WIDTH;
+          currentWidth += colLayout.get(c) ?? COL_WIDTH;
           visibleCols++;
         }
         targetCol = Math.min(TOTAL_COLS - 1, startCol + visibleCols);
@@ -917,48 +1572,52 @@ const updateCursor = useCallback((e) => {
         let currentHeight = 0;
         const maxHeight = CANVAS_HEIGHT - COL_HEADER_HEIGHT;
         for (let r = startRow; r < TOTAL_ROWS && currentHeight < maxHeight; r++) {
-          currentHeight += rowHeights.get(r) || ROW_HEIGHT;
+          currentHeight += rowLayout.get(r) ?? ROW_HEIGHT;
           visibleRows++;
         }
         targetRow = Math.min(TOTAL_ROWS - 1, startRow + visibleRows);
       }
       
-      const newSelection = {
-        startRow: Math.min(startSelection.r, targetRow),
-        endRow: Math.max(startSelection.r, targetRow),
-        startCol: Math.min(startSelection.c, targetCol),
-        endCol: Math.max(startSelection.c, targetCol),
-        isRange: startSelection.r !== targetRow || startSelection.c !== targetCol
-      };
-      setSelection(newSelection);
+      extendTo(targetRow, targetCol);
     }
     return;
   }
 
-  const { r, c } = cell;
-
-  // Update selection
-  const newSelection = {
-    startRow: Math.min(startSelection.r, r),
-    endRow: Math.max(startSelection.r, r),
-    startCol: Math.min(startSelection.c, c),
-    endCol: Math.max(startSelection.c, c),
-    isRange: startSelection.r !== r || startSelection.c !== c
-  };
-  setSelection(newSelection);
-}, [isSelecting, isResizing, isSelectingHeader, pointerDownId, startSelection, getCellFromPointer, autoScrollInterval, scrollLeft, scrollTop, colWidths, rowHeights, updateCursor, resizeType, resizeIndex, resizeStartPos, resizeStartSize, addToHistory, selection, headerSelectionType]);
+  extendTo(cell.r, cell.c);
+}, [isSelecting, isResizing, isSelectingHeader, fillDrag, pointerDownId, startSelection, getCellFromPointer, autoScrollInterval, scrollLeft, scrollTop, colWidths, colLayout, rowHeights, updateCursor, resizeType, resizeIndex, resizeStartPos, resizeStartSize, selection, headerSelectionType, rowLayout, frozenWidth, frozenHeight]);
 
 const handlePointerUp = useCallback((e) => {
+  if (longPressRef.current) {
+    clearTimeout(longPressRef.current.timer);
+    longPressRef.current = null;
+  }
+
   if (e.pointerId === pointerDownId) {
     console.log("pointer up", e.pointerId);
     
     if (isResizing) {
+      // The whole drag becomes a single undo step
+      if (resizeType === 'column') {
+        // Narrowing a column can push wrapped text onto more lines
+        const wrappedKeys = Object.keys(cellStyles).filter((key) => Number(key.split(',')[1]) === resizeIndex);
+        addToHistory(createTransaction('Resize', [
+          createResizeCommand('col', resizeIndex, resizeStartSize, colWidths.get(resizeIndex) || COL_WIDTH),
+          ...growWrappedRows(wrappedKeys, cellData, cellStyles)
+        ]));
+      } else if (resizeType === 'row') {
+        addToHistory(createResizeCommand('row', resizeIndex, resizeStartSize, rowHeights.get(resizeIndex) || ROW_HEIGHT));
+      }
       setIsResizing(false);
       setResizeType(null);
       setResizeIndex(null);
       setResizeStartPos(0);
       setResizeStartSize(0);
     }
+
+    if (fillDrag) {
+      if (fillDrag.fill) applyFillRef.current(fillDrag.source, fillDrag.fill);
+      setFillDrag(null);
+    }
     
     setIsSelecting(false);
     setIsSelectingHeader(false);
@@ -978,9 +1637,14 @@ const handlePointerUp = useCallback((e) => {
       canvasRef.current.releasePointerCapture(e.pointerId);
     }
   }
-}, [pointerDownId, autoScrollInterval, isResizing, isSelectingHeader]);
+}, [pointerDownId, autoScrollInterval, isResizing, isSelectingHeader, fillDrag, resizeType, resizeIndex, resizeStartSize, colWidths, rowHeights, cellData, cellStyles, growWrappedRows, addToHistory]);
 
 const handlePointerCancel = useCallback((e) => {
+  if (longPressRef.current) {
+    clearTimeout(longPressRef.current.timer);
+    longPressRef.current = null;
+  }
+
   if (e.pointerId === pointerDownId) {
     console.log("pointer cancel", e.pointerId);
     
@@ -992,6 +1656,7 @@ const handlePointerCancel = useCallback((e) => {
       setResizeStartSize(0);
     }
     
+    setFillDrag(null);
     setIsSelecting(false);
     setIsSelectingHeader(false);
     setHeaderSelectionType(null);
@@ -1009,51 +1674,127 @@ const handlePointerCancel = useCallback((e) => {
 
   // ... keep existing code (handleDoubleClick, useEffect for auto-scroll cleanup, etc.)
 
-  // Double click/tap handler
-  const handleDoubleClick = useCallback((e) => {
-    const cell = getCellFromPointer(e);
-    if (!cell) return;
-
-    const { r, c } = cell;
-    startEditing(r, c);
-  }, [getCellFromPointer, startEditing]);
-
-  // Add cleanup effect for auto-scroll interval
-  useEffect(() => {
-    return () => {
-      if (autoScrollInterval) {
-        clearInterval(autoScrollInterval);
+  // Sizes columns and rows to their content. tracks is a list of { axis, index, count };
+  // every track changes in a single undo step.
+  const fitTracksToContent = useCallback((tracks) => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (!ctx) return;
+    const getText = (key) => getFormattedCell(cellData, computedData, cellStyles, key).text;
+    const commands = [];
+
+    // Columns go first so wrapped text in the rows is measured against the new widths
+    let newColWidths = colWidths;
+    tracks.filter(({ axis }) => axis === 'col').forEach(({ index, count }) => {
+      newColWidths = new Map(newColWidths);
+      for (let c = index; c < index + count; c++) {
+        const width = measureColumnFit(ctx, cellData, c, getText, (key) => getCanvasFont(getCellStyle(cellStyles, key), fontFamily));
+        if (width === null) newColWidths.delete(c);
+        else newColWidths.set(c, width);
       }
-    };
-  }, [autoScrollInterval]);
+    });
+    if (newColWidths !== colWidths) {
+      setColWidths(newColWidths);
+      commands.push(createSizesCommand('col', colWidths, newColWidths));
+    }
 
-  // Auto-scroll effect for selection changes
-  useEffect(() => {
-    if (!isEditing && scrollContainerRef.current && horizontalScrollRef.current) {
-      const rowPosition = selected.r * ROW_HEIGHT;
-      const containerHeight = CANVAS_HEIGHT - COL_HEADER_HEIGHT;
-      const currentScrollTop = scrollContainerRef.current.scrollTop;
-      const visibleEnd = currentScrollTop + containerHeight;
-      
-      // Auto-scroll vertically if needed
-      if (rowPosition + ROW_HEIGHT > visibleEnd) {
-        scrollContainerRef.current.scrollTop = rowPosition - containerHeight + ROW_HEIGHT;
-      } else if (rowPosition < currentScrollTop) {
-        scrollContainerRef.current.scrollTop = rowPosition;
+    let newRowHeights = rowHeights;
+    tracks.filter(({ axis }) => axis === 'row').forEach(({ index, count }) => {
+      const rowCells = new Map();
+      Object.keys(cellData).forEach((key) => {
+        const [r, c] = key.split(',').map(Number);
+        if (r < index || r >= index + count) return;
+        const { text, isNumber } = getFormattedCell(cellData, computedData, cellStyles, key);
+        if (!text) return;
+        const style = getCellStyle(cellStyles, key);
+        if (!rowCells.has(r)) rowCells.set(r, []);
+        rowCells.get(r).push({ text, style, width: newColWidths.get(c) || COL_WIDTH, wrap: style.wrap && !isNumber });
+      });
+      newRowHeights = new Map(newRowHeights);
+      for (let r = index; r < index + count; r++) {
+        const height = measureRowContentFit(ctx, rowCells.get(r) || [], fontFamily);
+        if (height === null) newRowHeights.delete(r);
+        else newRowHeights.set(r, height);
       }
-      
-      // Auto-scroll horizontally if needed
-      const colPosition = selected.c * COL_WIDTH;
-      const containerWidth = CANVAS_WIDTH - ROW_HEADER_WIDTH;
-      const currentScrollLeft = horizontalScrollRef.current.scrollLeft;
-      const visibleRightEnd = currentScrollLeft + containerWidth;
-      
-      if (colPosition + COL_WIDTH > visibleRightEnd) {
-        horizontalScrollRef.current.scrollLeft = colPosition - containerWidth + COL_WIDTH;
-      } else if (colPosition < currentScrollLeft) {
-        horizontalScrollRef.current.scrollLeft = colPosition;
+    });
+    if (newRowHeights !== rowHeights) {
+      setRowHeights(newRowHeights);
+      commands.push(createSizesCommand('row', rowHeights, newRowHeights));
+    }
+
+    addToHistory(createTransaction('Fit to content', commands));
+  }, [cellData, computedData, cellStyles, colWidths, rowHeights, fontFamily, addToHistory]);
+
+  // Double click/tap handler. On a column or row resize handle it fits that track to its
+  // content, or every selected track when the handle belongs to a header selection.
+  const handleDoubleClick = useCallback((e) => {
+    const rect = canvasRef.current?.getBoundingClientRect();
+    if (rect) {
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const colHandle = getColumnResizeHandle(x, y, getPaneScroll(x, ROW_HEADER_WIDTH, frozenWidth, scrollLeft), COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, colLayout, TOTAL_COLS);
+      const rowHandle = getRowResizeHandle(x, y, getPaneScroll(y, COL_HEADER_HEIGHT, frozenHeight, scrollTop), COL_HEADER_HEIGHT, ROW_HEADER_WIDTH, rowLayout, TOTAL_ROWS);
+      const columnsSelected = selection.isRange && selection.startRow === 0 && selection.endRow === TOTAL_ROWS - 1;
+      const rowsSelected = selection.isRange && selection.startCol === 0 && selection.endCol === TOTAL_COLS - 1;
+
+      if (colHandle !== null) {
+        const inSelection = columnsSelected && colHandle >= selection.startCol && colHandle <= selection.endCol;
+        fitTracksToContent([inSelection
+          ? { axis: 'col', index: selection.startCol, count: selection.endCol - selection.startCol + 1 }
+          : { axis: 'col', index: colHandle, count: 1 }]);
+        return;
+      }
+      if (rowHandle !== null) {
+        const inSelection = rowsSelected && rowHandle >= selection.startRow && rowHandle <= selection.endRow;
+        fitTracksToContent([inSelection
+          ? { axis: 'row', index: selection.startRow, count: selection.endRow - selection.startRow + 1 }
+          : { axis: 'row', index: rowHandle, count: 1 }]);
+        return;
+      }
+
+      // The fill handle fills down as far as the data beside the selection goes
+      const fillHandle = getFillHandlePoint();
+      if (fillHandle && Math.abs(x - fillHandle.x) <= FILL_HANDLE_HIT && Math.abs(y - fillHandle.y) <= FILL_HANDLE_HIT) {
+        const end = getAutoFillEnd(cellData, selection, TOTAL_ROWS);
+        if (end !== null) applyFillRef.current(selection, { range: { ...selection, endRow: end }, direction: 'down' });
+        return;
       }
     }
+
+    const cell = getCellFromPointer(e);
+    if (!cell) return;
+
+    const { r, c } = cell;
+    startEditing(r, c);
+  }, [getCellFromPointer, getFillHandlePoint, startEditing, fitTracksToContent, cellData, selection, scrollLeft, scrollTop, colLayout, rowLayout, frozenWidth, frozenHeight]);
+
+  // Add cleanup effect for auto-scroll interval
+  useEffect(() => {
+    return () => {
+      if (autoScrollInterval) {
+        clearInterval(autoScrollInterval);
+      }
+    };
+  }, [autoScrollInterval]);
+
+  // Scrolls a cell into view, clear of the frozen panes
+  const revealCell = (r, c) => {
+    if (!scrollContainerRef.current || !horizontalScrollRef.current) return;
+    const top = getRevealScroll(
+      r, frozen.rows, getTotalHeightToRow(r, rowLayout), rowLayout.get(r) ?? ROW_HEIGHT,
+      scrollContainerRef.current.scrollTop, CANVAS_HEIGHT - COL_HEADER_HEIGHT, frozenHeight
+    );
+    if (top !== null) scrollContainerRef.current.scrollTop = top;
+    const left = getRevealScroll(
+      c, frozen.cols, getTotalWidthToColumn(c, colLayout), colLayout.get(c) ?? COL_WIDTH,
+      horizontalScrollRef.current.scrollLeft, CANVAS_WIDTH - ROW_HEADER_WIDTH, frozenWidth
+    );
+    if (left !== null) horizontalScrollRef.current.scrollLeft = left;
+  };
+  revealCellRef.current = revealCell;
+
+  // Auto-scroll effect for selection changes
+  useEffect(() => {
+    if (!isEditing) revealCellRef.current(selected.r, selected.c);
   }, [selected.r, selected.c, isEditing]);
 
   // ... keep existing code (handleKeyDown, handleVerticalScroll, handleHorizontalScroll, and all other functions)
@@ -1061,9 +1802,9 @@ const handlePointerCancel = useCallback((e) => {
   const handleKeyDown = (e) => {
     // If we're editing, handle edit-specific keys
     if (isEditing) {
-      if (e.key === 'Enter') {
+      if (e.key === 'Enter' || e.key === 'Tab') {
         e.preventDefault();
-        finishEditing(true, true); // Save and move to next row
+        finishEditing(true, getEditMove(e)); // Save and move on
       } else if (e.key === 'Escape') {
         e.preventDefault();
         finishEditing(false); // Cancel without saving
@@ -1071,6 +1812,13 @@ const handlePointerCancel = useCallback((e) => {
       return;
     }
 
+    // Escape drops the copied cells, which cancels a cut
+    if (e.key === 'Escape' && clipboard) {
+      e.preventDefault();
+      setClipboard(null);
+      return;
+    }
+
     // Handle Ctrl combinations
     if (e.ctrlKey) {
       switch (e.key.toLowerCase()) {
@@ -1082,64 +1830,154 @@ const handlePointerCancel = useCallback((e) => {
           e.preventDefault();
           handleRedo();
           return;
-        case 'c':
+        case 'a':
+          e.preventDefault();
+          handleSelectAll();
+          return;
+        case 'f':
           e.preventDefault();
-          handleCopy();
+          setFindPanel({ mode: 'find' });
           return;
-        case 'x':
+        case 'h':
           e.preventDefault();
-          handleCut();
+          setFindPanel({ mode: 'replace' });
+          return;
+        case 'g':
+          e.preventDefault();
+          openGoTo();
           return;
         case 'v':
+          // Plain Ctrl+V is left to the paste event
+          if (!e.altKey) break;
           e.preventDefault();
-          handlePaste();
+          openPasteSpecial();
           return;
-        case 'a':
+        case '+':
+        case '=':
           e.preventDefault();
-          handleSelectAll();
+          handleInsertTracks(getShortcutAxis());
+          return;
+        case '-':
+          e.preventDefault();
+          handleDeleteTracks(getShortcutAxis());
+          return;
+        case 'b':
+          e.preventDefault();
+          toggleStyleFlag('bold');
+          return;
+        case 'i':
+          e.preventDefault();
+          toggleStyleFlag('italic');
+          return;
+        case 'u':
+          e.preventDefault();
+          toggleStyleFlag('underline');
+          return;
+        case 'pageup':
+          e.preventDefault();
+          selectSheetByOffset(-1);
+          return;
+        case 'pagedown':
+          e.preventDefault();
+          selectSheetByOffset(1);
           return;
       }
     }
 
-    let newSelected = { ...selected };
-    
+    // Tab and Enter step through a selected range without losing it; Shift goes backwards
+    if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      // Enter on the last row starts editing instead (Excel-like behavior)
+      if (e.key === 'Enter' && !e.shiftKey && !selection.isRange && selected.r >= TOTAL_ROWS - 1) {
+        startEditing(selected.r, selected.c);
+        return;
+      }
+      const target = getEntryTarget(selection, selected, getEditMove(e), skippedRows, hiddenCols, TOTAL_ROWS, TOTAL_COLS);
+      setSelected(target);
+      if (!selection.isRange) selectCell(target);
+      return;
+    }
+
+    // Movement keys move the active cell; with Shift they drag the far corner of the selection
+    const extend = e.shiftKey;
+    const from = extend ? getMovingCorner(selection, selected) : selected;
+    let target;
+
     switch (e.key) {
       case 'ArrowUp':
+      case 'ArrowDown': {
         e.preventDefault();
-        newSelected.r = Math.max(0, selected.r - 1);
+        const step = e.key === 'ArrowUp' ? -1 : 1;
+        target = {
+          ...from,
+          r: e.ctrlKey
+            ? getDataEdge(cellData, from, 'row', step, skippedRows, TOTAL_ROWS)
+            : stepVisibleTrack(from.r, step, skippedRows, TOTAL_ROWS)
+        };
         break;
-      case 'ArrowDown':
+      }
+      case 'ArrowLeft':
+      case 'ArrowRight': {
         e.preventDefault();
-        newSelected.r = Math.min(TOTAL_ROWS - 1, selected.r + 1);
+        const step = e.key === 'ArrowLeft' ? -1 : 1;
+        target = {
+          ...from,
+          c: e.ctrlKey
+            ? getDataEdge(cellData, from, 'col', step, hiddenCols, TOTAL_COLS)
+            : stepVisibleTrack(from.c, step, hiddenCols, TOTAL_COLS)
+        };
         break;
-      case 'ArrowLeft':
+      }
+      case 'Home': {
         e.preventDefault();
-        newSelected.c = Math.max(0, selected.c - 1);
+        const firstCol = stepVisibleTrack(-1, 1, hiddenCols, TOTAL_COLS);
+        target = e.ctrlKey ? { r: stepVisibleTrack(-1, 1, skippedRows, TOTAL_ROWS), c: firstCol } : { ...from, c: firstCol };
         break;
-      case 'ArrowRight':
+      }
+      case 'End': {
         e.preventDefault();
-        newSelected.c = Math.min(TOTAL_COLS - 1, selected.c + 1);
+        // Ctrl+End: the last used row and column; End: the last cell with data in the row
+        if (e.ctrlKey) {
+          const used = getUsedRange(cellData);
+          target = used ? { r: used.endRow, c: used.endCol } : { r: 0, c: 0 };
+        } else {
+          target = { ...from, c: Math.max(getRowEnd(cellData, from.r), 0) };
+        }
         break;
+      }
+      case 'PageUp':
+      case 'PageDown': {
+        e.preventDefault();
+        const step = e.key === 'PageUp' ? -1 : 1;
+        // Alt pages sideways. The view scrolls as far as the active cell moves, keeping it in place.
+        if (e.altKey) {
+          const c = getPageTarget(from.c, step, colLayout, hiddenCols, TOTAL_COLS, CANVAS_WIDTH - ROW_HEADER_WIDTH - frozenWidth, COL_WIDTH);
+          if (horizontalScrollRef.current) {
+            horizontalScrollRef.current.scrollLeft += getTotalWidthToColumn(c, colLayout) - getTotalWidthToColumn(from.c, colLayout);
+          }
+          target = { ...from, c };
+        } else {
+          const r = getPageTarget(from.r, step, rowLayout, skippedRows, TOTAL_ROWS, CANVAS_HEIGHT - COL_HEADER_HEIGHT - frozenHeight, ROW_HEIGHT);
+          if (scrollContainerRef.current) {
+            scrollContainerRef.current.scrollTop += getTotalHeightToRow(r, rowLayout) - getTotalHeightToRow(from.r, rowLayout);
+          }
+          target = { ...from, r };
+        }
+        break;
+      }
       case 'Delete':
       case 'Backspace':
         e.preventDefault();
         handleDelete();
         return;
-      case 'Enter':
-        e.preventDefault();
-        // Move down one row when Enter is pressed (Excel-like behavior)
-        if (selected.r < TOTAL_ROWS - 1) {
-          newSelected.r = selected.r + 1;
-        } else {
-          // If at bottom, just start editing current cell
-          startEditing(selected.r, selected.c);
-          return;
-        }
-        break;
       case 'F2':
         e.preventDefault();
         startEditing(selected.r, selected.c);
         return;
+      case 'F5':
+        e.preventDefault();
+        openGoTo();
+        return;
       default:
       // If it's a printable character, start editing
       if (e.key.length === 1 && !e.ctrlKey && !e.altKey) {
@@ -1150,45 +1988,24 @@ const handlePointerCancel = useCallback((e) => {
       return;
   }
   
-  setSelected(newSelected);
-  setSelection({
-    startRow: newSelected.r,
-    startCol: newSelected.c,
-    endRow: newSelected.r,
-    endCol: newSelected.c,
-    isRange: false
-  });
+  if (extend) {
+    setSelection(spanSelection(selected, target));
+  } else {
+    setSelected(target);
+    selectCell(target);
+  }
   
-  // Auto-scroll logic for arrow keys and Enter
+  // Auto-scroll logic for movement keys; a dragged corner is revealed instead of the active cell
   setTimeout(() => {
-    if (scrollContainerRef.current && horizontalScrollRef.current) {
-      // Vertical scrolling
-      const rowPosition = newSelected.r * ROW_HEIGHT;
-      const containerHeight = CANVAS_HEIGHT - COL_HEADER_HEIGHT;
-      const visibleStart = scrollTop;
-      const visibleEnd = scrollTop + containerHeight;
-      
-      if (rowPosition < visibleStart) {
-        scrollContainerRef.current.scrollTop = rowPosition;
-      } else if (rowPosition + ROW_HEIGHT > visibleEnd) {
-        scrollContainerRef.current.scrollTop = rowPosition - containerHeight + ROW_HEIGHT;
-      }
-      
-      // Horizontal scrolling
-      const colPosition = newSelected.c * COL_WIDTH;
-      const containerWidth = CANVAS_WIDTH - ROW_HEADER_WIDTH;
-      const visibleLeftStart = scrollLeft;
-      const visibleLeftEnd = scrollLeft + containerWidth;
-      
-      if (colPosition < visibleLeftStart) {
-        horizontalScrollRef.current.scrollLeft = colPosition;
-      } else if (colPosition + COL_WIDTH > visibleLeftEnd) {
-        horizontalScrollRef.current.scrollLeft = colPosition - containerWidth + COL_WIDTH;
-      }
-    }
+    revealCellRef.current(target.r, target.c);
   }, 0);
 };
 
+// Collapses the selection onto one cell
+const selectCell = ({ r, c }) => {
+  setSelection({ startRow: r, startCol: c, endRow: r, endCol: c, isRange: false });
+};
+
 // Replace your handleScroll function with this:
 const handleVerticalScroll = (e) => {
   setScrollTop(e.target.scrollTop);
@@ -1208,73 +2025,550 @@ const handleHorizontalScroll = (e) => {
   }
 };
 
-  const handleUndo = () => {
-    if (historyIndex > 0) {
-      setHistoryIndex(historyIndex - 1);
-      setCellData(history[historyIndex - 1]);
+  // Jumps to / selects a reference typed into the name box or the Go To dialog (e.g. "C42",
+  // "A1:D20", "C:E" or "Sheet2!B5"), showing its sheet first
+  const handleNameBoxNavigate = (text) => {
+    const parsed = parseGoToReference(text, TOTAL_ROWS, TOTAL_COLS);
+    if (!parsed) return false;
+    const target = parsed.sheetName && sheets.find((sheet) => isSameSheetName(sheet.name, parsed.sheetName));
+    if (parsed.sheetName && !target) return false;
+
+    const { startRow, startCol, endRow, endCol } = parsed.range;
+    const newSelected = { r: startRow, c: startCol };
+    const newSelection = { ...parsed.range, isRange: startRow !== endRow || startCol !== endCol };
+
+    if (isEditing) {
+      finishEditing(true);
     }
+
+    if (target && target.id !== activeSheetId) {
+      const list = captureActiveSheet();
+      setSheets(list);
+      showSheet({
+        ...target,
+        view: { scrollTop: 0, scrollLeft: 0, ...target.view, selected: newSelected, selection: newSelection },
+      }, list);
+    } else {
+      setSelected(newSelected);
+      setSelection(newSelection);
+    }
+
+    requestAnimationFrame(() => {
+      if (canvasRef.current) {
+        canvasRef.current.focus();
+      }
+    });
+    return true;
   };
 
-  const handleRedo = () => {
-    if (historyIndex < history.length - 1) {
-      setHistoryIndex(historyIndex + 1);
-      setCellData(history[historyIndex + 1]);
+  // Opens Go To on the last reference jumped to, like Excel
+  const openGoTo = () => {
+    setGoToDialog({ reference: goToHistory[0] || '' });
+  };
+
+  const handleGoTo = (text) => {
+    if (!handleNameBoxNavigate(text)) return false;
+    setGoToHistory((prev) => [text, ...prev.filter((entry) => entry.toLowerCase() !== text.toLowerCase())].slice(0, MAX_GOTO_HISTORY));
+    return true;
+  };
+
+  // Pushes a changed doc ({ cellData, cellStyles, colWidths, rowHeights, hiddenCols, hiddenRows, autoFilter })
+  // back into state, store by store
+  const updateDocState = (doc, next) => {
+    if (next.cellData !== doc.cellData) setCellData(next.cellData);
+    if (next.cellStyles !== doc.cellStyles) setCellStyles(next.cellStyles);
+    if (next.colWidths !== doc.colWidths) setColWidths(next.colWidths);
+    if (next.rowHeights !== doc.rowHeights) setRowHeights(next.rowHeights);
+    if (next.hiddenCols !== doc.hiddenCols) setHiddenCols(next.hiddenCols);
+    if (next.hiddenRows !== doc.hiddenRows) setHiddenRows(next.hiddenRows);
+    if (next.autoFilter !== doc.autoFilter) setAutoFilter(next.autoFilter);
+  };
+
+  // Applies a history command to whichever stores it touches
+  const applyHistoryCommand = (command, direction) => {
+    const doc = { cellData, cellStyles, colWidths, rowHeights, hiddenCols, hiddenRows, autoFilter, sheetName: activeSheet.name };
+    const next = applyCommand(doc, command, direction);
+    updateDocState(doc, next);
+    applyToOtherSheets(getSheetCommands(command, direction), direction, next.cellData);
+    adjustOtherSheets(getStructureSteps(command, direction));
+  };
+
+  // Undoes or redoes what a workbook-wide step changed on other sheets, then recalculates this
+  // sheet, whose formulas may read them
+  const applyToOtherSheets = (steps, direction, activeCellData) => {
+    if (steps.length === 0) return;
+    const list = sheets.map((sheet) => {
+      if (sheet.id === activeSheetId) return { ...sheet, cellData: activeCellData };
+      return steps.reduce(
+        (acc, { sheetId, command }) => (sheetId === acc.id ? applyCommand(acc, command, direction) : acc),
+        sheet
+      );
+    });
+    setSheets(list);
+    recalculateShownSheet(list.find((sheet) => sheet.id === activeSheetId), list);
+  };
+
+  // Rows/columns inserted or deleted here move the references other sheets make into this one.
+  // References that became #REF! stay broken when the delete is undone.
+  const adjustOtherSheets = (steps) => {
+    if (steps.length === 0 || sheets.length === 1) return;
+    setSheets(prev => prev.map((sheet) => {
+      if (sheet.id === activeSheetId) return sheet;
+      const adjusted = steps.reduce(
+        (cells, { axis, index, delta }) => adjustSheetReferences(cells, sheet.name, activeSheet.name, axis, index, delta),
+        sheet.cellData
+      );
+      return adjusted === sheet.cellData ? sheet : { ...sheet, cellData: adjusted };
+    }));
+  };
+
+  // Rows or columns covered by the selection. A whole-column selection counts as one row
+  // (and vice versa), so "insert row" on a selected column does not insert 100,000 rows.
+  const getSelectedTracks = (axis) => {
+    const spansAllRows = selection.isRange && selection.startRow === 0 && selection.endRow === TOTAL_ROWS - 1;
+    const spansAllCols = selection.isRange && selection.startCol === 0 && selection.endCol === TOTAL_COLS - 1;
+
+    if (axis === 'row') {
+      if (!selection.isRange || spansAllRows) return { index: selected.r, count: 1 };
+      return { index: selection.startRow, count: selection.endRow - selection.startRow + 1 };
     }
+    if (!selection.isRange || spansAllCols) return { index: selected.c, count: 1 };
+    return { index: selection.startCol, count: selection.endCol - selection.startCol + 1 };
   };
 
-  const handleCopy = () => {
+  // Inserts as many rows/columns as are selected, before the selection
+  const handleInsertTracks = (axis) => {
+    // The edit is saved first, so the tracks move with the value just typed
+    const edited = isEditing ? finishEditing(true) : null;
+    const { index, count } = getSelectedTracks(axis);
+    const doc = { cellData, cellStyles, colWidths, rowHeights, hiddenCols, hiddenRows, autoFilter, sheetName: activeSheet.name, ...edited };
+    updateDocState(doc, insertTracks(doc, axis, index, count));
+    adjustOtherSheets([{ axis, index, delta: count }]);
+    addToHistory({ type: 'insert', axis, index, count });
+  };
+
+  // Deletes the selected rows/columns, shifting everything after them back
+  const handleDeleteTracks = (axis) => {
+    // The edit is saved first, so the tracks move with the value just typed
+    const edited = isEditing ? finishEditing(true) : null;
+    const { index, count } = getSelectedTracks(axis);
+    const doc = { cellData, cellStyles, colWidths, rowHeights, hiddenCols, hiddenRows, autoFilter, sheetName: activeSheet.name, ...edited };
+    const result = deleteTracks(doc, axis, index, count);
+    updateDocState(doc, result.doc);
+    adjustOtherSheets([{ axis, index, delta: -count }]);
+    addToHistory(createRemoveCommand(axis, index, count, result));
+  };
+
+  // Hides the tracks from start to end, or shows every hidden one among them, as one undoable step
+  const setTracksHidden = (axis, start, end, hide) => {
+    const before = axis === 'row' ? hiddenRows : hiddenCols;
+    let after;
+    if (hide) {
+      after = new Set(before);
+      for (let i = start; i <= end; i++) after.add(i);
+      if (after.size >= (axis === 'row' ? TOTAL_ROWS : TOTAL_COLS)) {
+        alert(`At least one ${axis === 'row' ? 'row' : 'column'} has to stay visible`);
+        return;
+      }
+    } else {
+      after = new Set([...before].filter((i) => i < start || i > end));
+    }
+
+    const command = createHiddenCommand(axis, before, after);
+    if (!command) return;
+    if (axis === 'row') setHiddenRows(after);
+    else setHiddenCols(after);
+    addToHistory(command);
+  };
+
+  setTracksHiddenRef.current = setTracksHidden;
+
+  // Fills a range from the source at one of its ends (see FillHelper) as a single undo step,
+  // then selects what was filled
+  const applyFill = (source, { range, direction }) => {
+    const result = fillRange({ cellData, cellStyles }, source, range, direction);
+    setCellData(result.cellData);
+    setCellStyles(result.cellStyles);
+    addToHistory(createTransaction('Fill', [
+      createCellCommand('fill', cellData, result.cellData, result.dataKeys),
+      createCellCommand('format', cellStyles, result.cellStyles, result.styleKeys),
+      ...growWrappedRows(result.dataKeys, result.cellData, result.cellStyles)
+    ]));
+    setSelection({ startRow: range.startRow, startCol: range.startCol, endRow: range.endRow, endCol: range.endCol, isRange: true });
+  };
+
+  applyFillRef.current = applyFill;
+
+  // The rows or columns the selection spans, end to end; unlike getSelectedTracks a whole-sheet
+  // selection counts in full, so Select All then Unhide shows everything
+  const getSelectedSpan = (axis) => {
+    if (!selection.isRange) return axis === 'row' ? [selected.r, selected.r] : [selected.c, selected.c];
+    return axis === 'row' ? [selection.startRow, selection.endRow] : [selection.startCol, selection.endCol];
+  };
+
+  const handleHideTracks = (axis) => {
+    if (isEditing) finishEditing(true);
+    const { index, count } = getSelectedTracks(axis);
+    setTracksHidden(axis, index, index + count - 1, true);
+  };
+
+  // Shows the hidden rows or columns inside the selection, e.g. C after selecting B:D
+  const handleUnhideTracks = (axis) => {
+    const [start, end] = getSelectedSpan(axis);
+    setTracksHidden(axis, start, end, false);
+  };
+
+  const hasHiddenInSelection = (axis) => {
+    const [start, end] = getSelectedSpan(axis);
+    return [...(axis === 'row' ? hiddenRows : hiddenCols)].some((i) => i >= start && i <= end);
+  };
+
+  // Ctrl+Plus / Ctrl+Minus act on columns when whole columns are selected, rows otherwise
+  const getShortcutAxis = () =>
+    selection.isRange && selection.startRow === 0 && selection.endRow === TOTAL_ROWS - 1 ? 'col' : 'row';
+
+  const handleUndo = () => {
+    const result = undoHistory(history);
+    if (!result) return;
+    applyHistoryCommand(result.command, 'undo');
+    setHistory(result.history);
+  };
+
+  const handleRedo = () => {
+    const result = redoHistory(history);
+    if (!result) return;
+    applyHistoryCommand(result.command, 'redo');
+    setHistory(result.history);
+  };
+
+  // === Clipboard ===
+  // A copy goes to the system clipboard as TSV and an HTML table (see ClipboardHelper) and to
+  // `clipboard`, which keeps the formulas, values and styles for pasting back into the grid
+  // (see PasteHelper). Cut cells stay where they are until they are pasted somewhere else.
+
+  // Reads the selection into the internal clipboard and returns what goes on the system one,
+  // or null when a multiple selection cannot be copied as one block
+  const copySelection = (cut) => {
+    const ranges = getFormatRanges();
+    const block = getRangesBlock(ranges);
+    if (cut && ranges.length > 1) {
+      alert('Cut does not work on a multiple selection. Copy the ranges instead.');
+      return null;
+    }
+    if (!block) {
+      alert('These ranges cannot be copied together. Select ranges that share the same rows or the same columns.');
+      return null;
+    }
     const data = [];
-    for (let r = selection.startRow; r <= selection.endRow; r++) {
+    const values = [];
+    const styles = [];
+    const texts = [];
+    for (const r of block.rows) {
       const row = [];
-      for (let c = selection.startCol; c <= selection.endCol; c++) {
+      const valueRow = [];
+      const styleRow = [];
+      const textRow = [];
+      for (const c of block.cols) {
         const key = `${r},${c}`;
         row.push(cellData[key] || '');
+        valueRow.push(getCellValue(cellData, computedData, key));
+        styleRow.push(cellStyles[key]);
+        textRow.push(getFormattedCell(cellData, computedData, cellStyles, key).text);
       }
       data.push(row);
+      values.push(valueRow);
+      styles.push(styleRow);
+      texts.push(textRow);
     }
-    setClipboard({ data, cut: false });
+    const id = String(Date.now());
+    const payload = toClipboardPayload(texts, styles, id);
+    setClipboard({
+      data,
+      values,
+      styles,
+      sourceRows: block.rows,
+      sourceCols: block.cols,
+      ranges,
+      sheetId: activeSheetId,
+      cut,
+      id,
+      text: payload.text
+    });
+    return payload;
+  };
+
+  // Without clipboard permission only the internal clipboard is filled
+  const writeSystemClipboard = ({ text, html }) => {
+    if (!navigator.clipboard) return;
+    const write = window.ClipboardItem
+      ? navigator.clipboard.write([new window.ClipboardItem({
+          'text/plain': new Blob([text], { type: 'text/plain' }),
+          'text/html': new Blob([html], { type: 'text/html' })
+        })])
+      : navigator.clipboard.writeText(text);
+    write.catch((error) => console.warn('Could not write to the clipboard', error));
+  };
+
+  const handleCopy = () => {
+    const payload = copySelection(false);
+    if (payload) writeSystemClipboard(payload);
   };
 
   const handleCut = () => {
-    handleCopy();
-    setClipboard(prev => ({ ...prev, cut: true }));
-    handleDelete();
+    const payload = copySelection(true);
+    if (payload) writeSystemClipboard(payload);
   };
 
-  const handlePaste = () => {
-    if (!clipboard) return;
-    
+  // Records a paste as one undo step and selects what was pasted
+  const commitPaste = (result, label = 'Paste', otherSheets = null) => {
+    if (result.dataKeys.length === 0 && result.styleKeys.length === 0) return;
+    setCellData(result.cellData);
+    setCellStyles(result.cellStyles);
+    addToHistory(createTransaction(label, [
+      createCellCommand('paste', cellData, result.cellData, result.dataKeys),
+      createCellCommand('format', cellStyles, result.cellStyles, result.styleKeys),
+      ...growWrappedRows(result.dataKeys, result.cellData, result.cellStyles),
+      otherSheets
+    ]));
+    const { range } = result;
+    setMultiSelection(null);
+    setSelection({ ...range, isRange: range.endRow > range.startRow || range.endCol > range.startCol });
+    if (result.truncated) {
+      alert(`The pasted data does not fit on the sheet; what fell past row ${TOTAL_ROWS} or column ${getColLetter(TOTAL_COLS - 1)} was left out.`);
+    }
+  };
+
+  // Pastes text from another app at the active cell, growing past the selection as far as the
+  // sheet goes. Each cell is read the way typing it would be.
+  const pasteText = (rows) => {
     const newData = { ...cellData };
-    const { data } = clipboard;
-    
-    for (let r = 0; r < data.length; r++) {
-      for (let c = 0; c < data[r].length; c++) {
-        const targetRow = selected.r + r;
-        const targetCol = selected.c + c;
-        if (targetRow < TOTAL_ROWS && targetCol < TOTAL_COLS) {
-          const key = `${targetRow},${targetCol}`;
-          newData[key] = data[r][c];
+    const newStyles = { ...cellStyles };
+    const changedKeys = [];
+    const lastRow = Math.min(selected.r + rows.length, TOTAL_ROWS) - 1;
+    let lastCol = selected.c;
+    let truncated = selected.r + rows.length > TOTAL_ROWS;
+
+    for (let r = selected.r; r <= lastRow; r++) {
+      const row = rows[r - selected.r];
+      if (selected.c + row.length > TOTAL_COLS) truncated = true;
+      const rowEnd = Math.min(selected.c + row.length, TOTAL_COLS) - 1;
+      lastCol = Math.max(lastCol, rowEnd);
+      for (let c = selected.c; c <= rowEnd; c++) {
+        const key = `${r},${c}`;
+        const value = row[c - selected.c];
+        const typed = value === '' || isFormula(value) ? null : parseTypedInput(value);
+        if (value === '') delete newData[key];
+        else newData[key] = typed ? typed.raw : value;
+        const { numFmt } = getCellStyle(cellStyles, key);
+        if (typed && (!numFmt || numFmt === GENERAL_FORMAT)) newStyles[key] = { ...cellStyles[key], numFmt: typed.numFmt };
+        changedKeys.push(key);
+      }
+    }
+
+    commitPaste({
+      cellData: newData,
+      cellStyles: newStyles,
+      dataKeys: changedKeys,
+      styleKeys: changedKeys,
+      range: { startRow: selected.r, startCol: selected.c, endRow: lastRow, endCol: lastCol },
+      truncated
+    });
+  };
+
+  // Moves cut cells to the active cell, from this sheet or another one. References to them
+  // follow them on every sheet, and what changes on other sheets is undone with the move.
+  const moveClipboardCells = () => {
+    const [range] = clipboard.ranges;
+    const height = range.endRow - range.startRow + 1;
+    const width = range.endCol - range.startCol + 1;
+    if (selected.r + height > TOTAL_ROWS || selected.c + width > TOTAL_COLS) {
+      alert('The cut cells do not fit on the sheet there. Pick a cell further up or to the left.');
+      return;
+    }
+    setClipboard(null);
+
+    const source = sheets.find((sheet) => sheet.id === clipboard.sheetId);
+    if (!source) return;
+    let moved;
+    if (source.id === activeSheetId) {
+      moved = { to: moveCells({ cellData, cellStyles, sheetName: activeSheet.name }, range, selected) };
+    } else {
+      moved = moveCellsToSheet(
+        { cellData: source.cellData, cellStyles: source.cellStyles || {}, sheetName: source.name },
+        { cellData, cellStyles, sheetName: activeSheet.name },
+        range,
+        selected
+      );
+    }
+
+    const otherCommands = [];
+    const list = sheets.map((sheet) => {
+      if (sheet.id === activeSheetId) return sheet;
+      if (sheet.id === source.id) {
+        otherCommands.push({
+          sheetId: sheet.id,
+          command: createTransaction('Move', [
+            createCellCommand('delete', sheet.cellData, moved.from.cellData, moved.from.dataKeys),
+            createCellCommand('format', sheet.cellStyles || {}, moved.from.cellStyles, moved.from.styleKeys)
+          ]),
+        });
+        return { ...sheet, cellData: moved.from.cellData, cellStyles: moved.from.cellStyles };
+      }
+      const rewritten = moveSheetReferences(sheet.cellData, sheet.name, source.name, range, selected, activeSheet.name);
+      if (rewritten === sheet.cellData) return sheet;
+      otherCommands.push({ sheetId: sheet.id, command: createCellCommand('paste', sheet.cellData, rewritten) });
+      return { ...sheet, cellData: rewritten };
+    });
+    if (otherCommands.length > 0) setSheets(list);
+    commitPaste(moved.to, 'Move', createSheetsCommand(otherCommands));
+  };
+
+  // Pastes the grid's own copy, or moves its cut cells
+  const pasteInternal = (options = DEFAULT_PASTE_OPTIONS) => {
+    if (clipboard.cut) {
+      moveClipboardCells();
+      return;
+    }
+    commitPaste(pasteClip({ cellData, cellStyles }, clipboard, selected, options, TOTAL_ROWS, TOTAL_COLS));
+  };
+
+  // Pastes what the system clipboard holds. The grid's own copy is pasted from the internal
+  // clipboard, which still has the formulas and styles the system one lost.
+  const pasteClipboardData = (html, text) => {
+    const id = getClipboardId(html);
+    if (clipboard && (id ? id === clipboard.id : text === clipboard.text)) {
+      pasteInternal();
+      return;
+    }
+    const rows = parseClipboardHtml(html) || parseClipboardText(text);
+    if (rows.length > 0) pasteText(rows);
+  };
+
+  // Paste from the toolbar or the context menu, which have no paste event to read. When the
+  // browser will not let the page read the clipboard, the grid's own copy is pasted.
+  const handlePaste = async () => {
+    let html = '';
+    let text = '';
+    try {
+      if (navigator.clipboard.read) {
+        for (const item of await navigator.clipboard.read()) {
+          if (item.types.includes('text/html')) html = await (await item.getType('text/html')).text();
+          if (item.types.includes('text/plain')) text = await (await item.getType('text/plain')).text();
         }
+      } else {
+        text = await navigator.clipboard.readText();
       }
+    } catch (error) {
+      if (clipboard) pasteInternal();
+      else alert('The browser did not allow reading the clipboard. Use Ctrl+V to paste instead.');
+      return;
     }
-    
-    setCellData(newData);
-    addToHistory(newData);
+    pasteClipboardData(html, text);
+  };
+
+  // Paste Special works on the grid's own copies, which know their formulas and formats.
+  // Cut cells can only be moved, as in Excel.
+  const openPasteSpecial = () => {
+    if (!clipboard) {
+      alert('Copy some cells in the grid first.');
+    } else if (clipboard.cut) {
+      alert('Paste Special is not available for cut cells. Copy them instead.');
+    } else {
+      setPasteSpecialOpen(true);
+    }
+  };
+
+  clipboardEventsRef.current = {
+    copy: copySelection,
+    paste: pasteClipboardData
   };
 
   const handleDelete = () => {
     const newData = { ...cellData };
-    for (let r = selection.startRow; r <= selection.endRow; r++) {
-      for (let c = selection.startCol; c <= selection.endCol; c++) {
-        const key = `${r},${c}`;
-        delete newData[key];
+    const changedKeys = [];
+    getFormatRanges().forEach((range) => {
+      for (let r = range.startRow; r <= range.endRow; r++) {
+        for (let c = range.startCol; c <= range.endCol; c++) {
+          const key = `${r},${c}`;
+          if (key in newData) {
+            delete newData[key];
+            changedKeys.push(key);
+          }
+        }
       }
-    }
+    });
     setCellData(newData);
-    addToHistory(newData);
+    addToHistory(createCellCommand('delete', cellData, newData, changedKeys));
+  };
+
+  // Cells the formatting toolbar acts on. Whole rows and columns stop at the last used
+  // row / column, so formatting a column does not write 100,000 styles.
+  const getFormatRange = (selectionRange = selection) => {
+    if (!selectionRange.isRange) {
+      return { startRow: selected.r, startCol: selected.c, endRow: selected.r, endCol: selected.c };
+    }
+    const range = {
+      startRow: Math.min(selectionRange.startRow, selectionRange.endRow),
+      startCol: Math.min(selectionRange.startCol, selectionRange.endCol),
+      endRow: Math.max(selectionRange.startRow, selectionRange.endRow),
+      endCol: Math.max(selectionRange.startCol, selectionRange.endCol)
+    };
+    const used = getUsedRange(cellData);
+    const styled = getUsedRange(cellStyles);
+    const lastRow = Math.max(used ? used.endRow : 0, styled ? styled.endRow : 0, range.startRow);
+    const lastCol = Math.max(used ? used.endCol : 0, styled ? styled.endCol : 0, range.startCol);
+    if (range.startRow === 0 && range.endRow === TOTAL_ROWS - 1) range.endRow = lastRow;
+    if (range.startCol === 0 && range.endCol === TOTAL_COLS - 1) range.endCol = lastCol;
+    return range;
+  };
+
+  // getFormatRange for every range of a multiple selection
+  const getFormatRanges = () => (otherRanges.length > 0 ? selectedRanges.map((range) => getFormatRange(range)) : [getFormatRange()]);
+
+  // Runs a StyleHelper edit ((styles, range) => { newStyles, changedKeys }) over every selected range
+  const updateSelectedStyles = (update) => {
+    let newStyles = cellStyles;
+    const changedKeys = new Set();
+    getFormatRanges().forEach((range) => {
+      const result = update(newStyles, range);
+      newStyles = result.newStyles;
+      result.changedKeys.forEach((key) => changedKeys.add(key));
+    });
+    return { newStyles, changedKeys: [...changedKeys] };
+  };
+
+  // Records a change to the style store as one undo step
+  const commitStyles = ({ newStyles, changedKeys }) => {
+    if (changedKeys.length === 0) return;
+    setCellStyles(newStyles);
+    addToHistory(createTransaction('Format', [
+      createCellCommand('format', cellStyles, newStyles, changedKeys),
+      ...growWrappedRows(changedKeys, cellData, newStyles)
+    ]));
+  };
+
+  const handleFormat = (patch) => {
+    if (isEditing) finishEditing(true);
+    commitStyles(updateSelectedStyles((styles, range) => applyStylePatch(styles, range, patch)));
+  };
+
+  const handleBorders = (preset) => {
+    if (isEditing) finishEditing(true);
+    commitStyles(updateSelectedStyles((styles, range) => applyBorderPreset(styles, range, preset)));
+  };
+
+  const handleClearFormat = () => {
+    if (isEditing) finishEditing(true);
+    commitStyles(updateSelectedStyles((styles, range) => updateRangeStyles(styles, range, () => ({}))));
+  };
+
+  // Ctrl+B / Ctrl+I / Ctrl+U toggle the active cell's state across the selection
+  const toggleStyleFlag = (prop) => {
+    handleFormat({ [prop]: !getCellStyle(cellStyles, `${selected.r},${selected.c}`)[prop] });
   };
 
   const handleSelectAll = () => {
+    setMultiSelection(null);
     setSelection({
       startRow: 0,
       startCol: 0,
@@ -1284,19 +2578,318 @@ const handleHorizontalScroll = (e) => {
     });
   };
 
+  // Freeze panes: 'selection' pins the rows above and the columns left of the active cell
+  const handleFreeze = (mode) => {
+    const next = {
+      selection: { rows: selected.r, cols: selected.c },
+      row: { rows: 1, cols: 0 },
+      col: { rows: 0, cols: 1 },
+      none: NO_FREEZE,
+    }[mode];
+    if (!next) return;
+    // Half the window has to stay free to scroll through the rest of the sheet
+    if (getFrozenExtent(rowLayout, next.rows, ROW_HEIGHT) > (CANVAS_HEIGHT - COL_HEADER_HEIGHT) / 2 ||
+        getFrozenExtent(colLayout, next.cols, COL_WIDTH) > (CANVAS_WIDTH - ROW_HEADER_WIDTH) / 2) {
+      alert('Too many rows or columns to freeze; select a cell nearer the top-left corner');
+      return;
+    }
+    setFrozen(next);
+  };
+
+  // === Sheets ===
+
+  // Sheet list with the active entry brought up to date with the live state
+  const captureActiveSheet = () =>
+    sheets.map((sheet) => sheet.id !== activeSheetId ? sheet : {
+      ...sheet,
+      cellData,
+      cellStyles,
+      colWidths,
+      rowHeights,
+      hiddenCols,
+      hiddenRows,
+      frozen,
+      autoFilter,
+      history,
+      view: { selected, selection, scrollTop, scrollLeft },
+    });
+
+  // Rebuilds the formula results of the sheet in the grid from scratch; list is the workbook its
+  // cross-sheet references read. The recalc effect only follows the sheet's own cellData.
+  const recalculateShownSheet = (sheet, list) => {
+    const resolveSheet = createSheetResolver((name) => {
+      const other = list.find((s) => isSameSheetName(s.name, name));
+      return other ? other.cellData : null;
+    });
+    formulaGraphRef.current = createFormulaGraph(sheet.name);
+    prevCellDataRef.current = sheet.cellData;
+    setComputedData(recalculate(formulaGraphRef.current, sheet.cellData, {}, Object.keys(sheet.cellData), resolveSheet));
+  };
+
+  // Shows a sheet's stores, history, selection and scroll position in the grid; list is the
+  // workbook it is shown in, which its cross-sheet references read
+  const showSheet = (sheet, list) => {
+    const view = sheet.view || {
+      selected: { r: 0, c: 0 },
+      selection: { startRow: 0, startCol: 0, endRow: 0, endCol: 0, isRange: false },
+      scrollTop: 0,
+      scrollLeft: 0,
+    };
+    setActiveSheetId(sheet.id);
+    setCellData(sheet.cellData);
+    setCellStyles(sheet.cellStyles || {});
+    setColWidths(sheet.colWidths);
+    setRowHeights(sheet.rowHeights);
+    setHiddenCols(sheet.hiddenCols || new Set());
+    setHiddenRows(sheet.hiddenRows || new Set());
+    setFrozen(sheet.frozen || NO_FREEZE);
+    setAutoFilter(sheet.autoFilter || null);
+    setFilterPanel(null);
+    setHistory(sheet.history || createHistory());
+    setSelected(view.selected);
+    setSelection(view.selection);
+    pendingScrollRef.current = view;
+
+    // Formula results belong to one sheet, so they are rebuilt here: the recalc effect does not
+    // run when the sheet's cellData is the object already shown
+    recalculateShownSheet(sheet, list);
+  };
+
+  const handleSelectSheet = (id) => {
+    if (id === activeSheetId || isEditing) return;
+    const target = sheets.find((sheet) => sheet.id === id);
+    if (!target) return;
+    const list = captureActiveSheet();
+    setSheets(list);
+    showSheet(target, list);
+  };
+
+  // Ctrl+PageUp / Ctrl+PageDown step through the tabs
+  const selectSheetByOffset = (offset) => {
+    const target = sheets[sheets.findIndex((sheet) => sheet.id === activeSheetId) + offset];
+    if (target) handleSelectSheet(target.id);
+  };
+
+  // Inserts a sheet after the active one and shows it
+  const insertSheet = (sheet) => {
+    const list = captureActiveSheet();
+    const index = list.findIndex((s) => s.id === activeSheetId);
+    const next = [...list.slice(0, index + 1), sheet, ...list.slice(index + 1)];
+    setSheets(next);
+    showSheet(sheet, next);
+  };
+
+  const handleAddSheet = () => {
+    insertSheet({ ...createSheet(getNextSheetName(sheets)), id: nextSheetIdRef.current++ });
+  };
+
+  // Copies a sheet's contents, sizes and view into stores of its own; the copy starts with an
+  // empty history
+  const handleDuplicateSheet = (id) => {
+    const source = captureActiveSheet().find((sheet) => sheet.id === id);
+    insertSheet({
+      ...source,
+      id: nextSheetIdRef.current++,
+      name: getCopySheetName(source.name, sheets),
+      cellData: { ...source.cellData },
+      cellStyles: { ...source.cellStyles },
+      colWidths: new Map(source.colWidths),
+      rowHeights: new Map(source.rowHeights),
+      hiddenCols: new Set(source.hiddenCols),
+      hiddenRows: new Set(source.hiddenRows),
+      history: null,
+    });
+  };
+
+  // Renames a sheet and every formula reference to it, including those undo and redo would
+  // bring back. Returns the reason a name is refused.
+  const handleRenameSheet = (id, name) => {
+    const error = getSheetNameError(name, sheets, id);
+    if (error) return error;
+
+    const oldName = sheets.find((sheet) => sheet.id === id).name;
+    const newName = name.trim();
+    if (newName === oldName) return null;
+
+    const rewrite = (formula) => renameSheetInFormula(formula, oldName, newName);
+    const rewriteText = (raw) => (isFormula(raw) ? rewrite(raw) : raw);
+    setSheets(sheets.map((sheet) => {
+      const name = sheet.id === id ? newName : sheet.name;
+      if (sheet.id === activeSheetId) return { ...sheet, name };
+      return {
+        ...sheet,
+        name,
+        cellData: rewriteSheetFormulas(sheet.cellData, rewrite),
+        history: sheet.history && rewriteHistoryText(sheet.history, rewriteText),
+      };
+    }));
+    if (id === activeSheetId) formulaGraphRef.current.sheetName = newName;
+    const renamed = rewriteSheetFormulas(cellData, rewrite);
+    if (renamed !== cellData) setCellData(renamed);
+    setHistory(prev => rewriteHistoryText(prev, rewriteText));
+    return null;
+  };
+
+  // Deletes a sheet; references to it from the remaining sheets become #REF!
+  const handleDeleteSheet = (id) => {
+    if (sheets.length === 1) {
+      alert('A workbook must contain at least one sheet');
+      return;
+    }
+    const index = sheets.findIndex((sheet) => sheet.id === id);
+    const { name } = sheets[index];
+    if (!window.confirm(`Delete the sheet "${name}"? This cannot be undone.`)) return;
+
+    const rewrite = (formula) => removeSheetFromFormula(formula, name);
+    const remaining = captureActiveSheet()
+      .filter((sheet) => sheet.id !== id)
+      .map((sheet) => ({ ...sheet, cellData: rewriteSheetFormulas(sheet.cellData, rewrite) }));
+    setSheets(remaining);
+
+    if (id === activeSheetId) {
+      showSheet(remaining[Math.min(index, remaining.length - 1)], remaining);
+    } else {
+      const active = remaining.find((sheet) => sheet.id === activeSheetId);
+      if (active.cellData !== cellData) setCellData(active.cellData);
+    }
+  };
+
+  const handleMoveSheet = (id, toIndex) => {
+    const from = sheets.findIndex((sheet) => sheet.id === id);
+    if (from < 0 || toIndex < 0 || toIndex >= sheets.length || toIndex === from) return;
+    const list = [...sheets];
+    const [moved] = list.splice(from, 1);
+    list.splice(toIndex, 0, moved);
+    setSheets(list);
+  };
+
+  // Whether the workbook has changed since it was last opened or saved. A workbook that was
+  // never either has work to lose once any sheet holds something.
+  const hasUnsavedChanges = () => {
+    const list = captureActiveSheet();
+    const saved = savedSheetsRef.current;
+    if (!saved) return list.some((sheet) => Object.keys(sheet.cellData).length > 0);
+    return list.length !== saved.length || list.some((sheet, i) =>
+      SAVED_SHEET_FIELDS.some((field) => sheet[field] !== saved[i][field])
+    );
+  };
+
+  // Replaces every sheet and the metadata with those of an opened workbook, each sheet with a
+  // fresh history. Nothing about the current workbook can be undone afterwards, so unsaved
+  // changes are confirmed first. Returns false when the user keeps the current workbook.
+  const replaceWorkbook = (loadedSheets, activeIndex, metadata = {}) => {
+    if (hasUnsavedChanges() &&
+        !window.confirm('Replace the current workbook? Changes that have not been saved will be lost. This cannot be undone.')) {
+      return false;
+    }
+
+    const list = loadedSheets.map((sheet) => ({
+      ...createSheet(sheet.name),
+      ...sheet,
+      id: nextSheetIdRef.current++,
+      history: null,
+      view: null,
+    }));
+    setSheets(list);
+    showSheet(list[activeIndex] || list[0], list);
+    setWorkbookMetadata(metadata);
+    savedSheetsRef.current = list;
+    return true;
+  };
+
+  // Serialises the workbook in the native format; activeStores replace the active sheet's stores
+  const getWorkbookText = (activeStores = {}) => {
+    const list = captureActiveSheet().map((sheet) => (sheet.id === activeSheetId ? { ...sheet, ...activeStores } : sheet));
+    return serializeWorkbook({
+      sheets: list,
+      activeSheet: list.findIndex((sheet) => sheet.id === activeSheetId),
+      metadata: workbookMetadata,
+    });
+  };
+
+  // What an autosave writes: the workbook without its sheets and the sheets that changed since
+  // the last autosave. Returns null while a page that was never autosaved holds nothing.
+  const getSessionSnapshot = () => {
+    const list = captureActiveSheet();
+    const written = sessionSheetsRef.current;
+    if (written.size === 0 && list.every((sheet) => Object.keys(sheet.cellData).length === 0)) return null;
+
+    const sheets = new Map();
+    list.forEach((sheet) => {
+      const last = written.get(sheet.id);
+      if (!last || SAVED_SHEET_FIELDS.some((field) => sheet[field] !== last[field])) {
+        sheets.set(sheet.id, serializeSheet(sheet));
+      }
+    });
+    sessionSheetsRef.current = new Map(list.map((sheet) => [sheet.id, sheet]));
+    return {
+      text: serializeWorkbook({
+        sheets: [],
+        activeSheet: list.findIndex((sheet) => sheet.id === activeSheetId),
+        metadata: workbookMetadata,
+      }),
+      sheetKeys: list.map((sheet) => sheet.id),
+      sheets,
+    };
+  };
+  sessionSnapshotRef.current = getSessionSnapshot;
+
+  // Adds an opened or saved file to the Header's recent list
+  const rememberRecentFile = (name, text) => {
+    addRecentFile(name, text)
+      .then(refreshRecentFiles)
+      .catch((error) => console.error('Could not update recent files', error));
+  };
+
+  // Downloads the workbook in the native format
   const handleSave = () => {
-    // const dataBlob = new Blob([JSON.stringify(cellData, null, 2)], {
-    //   type: 'application/json'
-    // });
-    // const url = URL.createObjectURL(dataBlob);
-    // const a = document.createElement('a');
-    // a.href = url;
-    // a.download = 'spreadsheet_data.json';
-    // a.click();
-    // URL.revokeObjectURL(url);
-  };
-
-  const handleLoadData = (data) => {
+    const name = `spreadsheet${WORKBOOK_EXTENSION}`;
+    const text = getWorkbookText();
+    downloadFile(new Blob([text], { type: 'application/json' }), name);
+    rememberRecentFile(name, text);
+    savedSheetsRef.current = captureActiveSheet();
+  };
+
+  // Opens a native workbook file (any supported version), reporting why it cannot be read
+  const handleLoadWorkbook = (data, fileName) => {
+    const { workbook, errors } = loadWorkbook(data, TOTAL_ROWS, TOTAL_COLS);
+    if (!workbook) {
+      alert(`This file could not be opened:\n\n• ${errors.join('\n• ')}`);
+      return;
+    }
+
+    if (!replaceWorkbook(workbook.sheets, workbook.activeSheet, workbook.metadata)) return;
+    if (fileName) rememberRecentFile(fileName, serializeWorkbook(workbook));
+  };
+
+  const handleOpenRecent = (id) => {
+    getRecentFile(id)
+      .then((file) => {
+        if (!file) {
+          alert('That file is no longer in the recent list');
+          refreshRecentFiles();
+          return;
+        }
+        handleLoadWorkbook(JSON.parse(file.text), file.name);
+      })
+      .catch((error) => alert(`Could not open the recent file: ${error.message}`));
+  };
+
+  const handleRestoreSession = () => {
+    // This page's session takes over the restored work; the old one is dropped on the next startup
+    const { sheets: restored, activeSheet, metadata } = recovery.workbook;
+    if (!replaceWorkbook(restored, activeSheet, metadata)) return;
+    savedSheetsRef.current = null; // the restored work was never saved to a file
+    setRecovery(null);
+  };
+
+  const handleDiscardSession = () => {
+    clearSessions((id) => id === recovery.id)
+      .catch((error) => console.error('Could not clear the autosaved session', error));
+    setRecovery(null);
+  };
+
+  const handleLoadData = (data, fileName) => {
     if (!Array.isArray(data) || data.length === 0) return;
     
     const headers = Object.keys(data[0]);
@@ -1319,7 +2912,426 @@ const handleHorizontalScroll = (e) => {
     });
     
     setCellData(newData);
-    addToHistory(newData);
+    addToHistory(createCellCommand('load', cellData, newData));
+    if (fileName) rememberRecentFile(fileName, getWorkbookText({ cellData: newData }));
+  };
+
+  // Replaces the values on the sheet with the contents of a CSV / TSV file, starting at A1.
+  // The file holds values only, so formats, hidden rows and the filter stay as they were.
+  const handleLoadDelimited = (text, delimiter, fileName) => {
+    const rows = parseDelimited(text, delimiter);
+    if (rows.length === 0) {
+      alert('The file is empty');
+      return;
+    }
+
+    const { cellData: newData, truncated } = rowsToCellData(rows, TOTAL_ROWS, TOTAL_COLS);
+    if (truncated) {
+      alert(`The file is larger than the sheet; only the first ${TOTAL_ROWS} rows and ${TOTAL_COLS} columns were loaded`);
+    }
+
+    setCellData(newData);
+    addToHistory(createCellCommand('load', cellData, newData));
+    if (fileName) rememberRecentFile(fileName, getWorkbookText({ cellData: newData }));
+  };
+
+  // Replaces the workbook with the worksheets of an Excel workbook and reports what was dropped
+  const handleLoadXlsx = async (buffer, fileName) => {
+    let result;
+    try {
+      result = await readXlsx(buffer, TOTAL_ROWS, TOTAL_COLS);
+    } catch (error) {
+      alert(`Could not open the workbook: ${error.message}`);
+      return;
+    }
+
+    if (!replaceWorkbook(result.sheets, result.activeSheet)) return;
+    if (fileName) rememberRecentFile(fileName, serializeWorkbook({ sheets: result.sheets, activeSheet: result.activeSheet }));
+
+    if (result.report.length > 0) {
+      alert(`The workbook was opened with these changes:\n\n• ${result.report.join('\n• ')}`);
+    }
+  };
+
+  // Downloads every sheet as an Excel workbook. Only the active sheet has computed values at
+  // hand, so the others are calculated for the export.
+  const handleExportXlsx = () => {
+    const list = captureActiveSheet();
+    const resolveSheet = createSheetResolver((name) => {
+      const sheet = list.find((s) => isSameSheetName(s.name, name));
+      return sheet ? sheet.cellData : null;
+    });
+    const exported = list.map((sheet) => ({
+      ...sheet,
+      computedData: sheet.id === activeSheetId
+        ? computedData
+        : recalculate(createFormulaGraph(sheet.name), sheet.cellData, {}, Object.keys(sheet.cellData), resolveSheet),
+    }));
+    const activeIndex = list.findIndex((sheet) => sheet.id === activeSheetId);
+    const bytes = writeXlsx(exported, activeIndex, COL_WIDTH, ROW_HEIGHT);
+    downloadFile(
+      new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+      'spreadsheet.xlsx'
+    );
+  };
+
+  // Downloads the used part of the sheet, or of the selection, as displayed values
+  const handleExportDelimited = ({ scope, delimiter, lineEnding, bom }) => {
+    const used = getUsedRange(cellData);
+    if (!used) {
+      alert('There is nothing to export');
+      return;
+    }
+
+    let range = used;
+    if (scope === 'selection') {
+      const bounds = selection.isRange
+        ? selection
+        : { startRow: selected.r, endRow: selected.r, startCol: selected.c, endCol: selected.c };
+      // Whole-row / whole-column selections only need to go as far as the data does
+      range = {
+        startRow: Math.min(bounds.startRow, bounds.endRow),
+        startCol: Math.min(bounds.startCol, bounds.endCol),
+        endRow: Math.min(Math.max(bounds.startRow, bounds.endRow), used.endRow),
+        endCol: Math.min(Math.max(bounds.startCol, bounds.endCol), used.endCol),
+      };
+    }
+
+    const rows = rangeToRows(range, (key) => getCellDisplayValue(cellData, computedData, key));
+    if (rows.length === 0) {
+      alert('The selection is empty');
+      return;
+    }
+    const text = serializeDelimited(rows, { delimiter, lineEnding, bom });
+    const isTsv = delimiter === '\t';
+    downloadFile(
+      new Blob([text], { type: isTsv ? 'text/tab-separated-values;charset=utf-8' : 'text/csv;charset=utf-8' }),
+      isTsv ? 'spreadsheet.tsv' : 'spreadsheet.csv'
+    );
+  };
+
+  // Opens the context menu for whatever is under the given viewport point. Right-clicking
+  // outside the current selection first moves the selection there, as in Excel.
+  const openContextMenu = (clientX, clientY) => {
+    const rect = canvasRef.current?.getBoundingClientRect();
+    if (!rect) return;
+
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    if (isEditing) finishEditing(true);
+
+    const colIndex = getColumnFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, getPaneScroll(x, ROW_HEADER_WIDTH, frozenWidth, scrollLeft), colLayout, TOTAL_COLS, CANVAS_WIDTH);
+    if (colIndex !== null) {
+      if (!isEntireColumnSelected(colIndex, selected, selection, TOTAL_ROWS, TOTAL_COLS)) {
+        handleColumnSelection(colIndex, selection, setSelection, setSelected, TOTAL_ROWS);
+      }
+      setContextMenu({ x: clientX, y: clientY, target: 'column', index: colIndex });
+      return;
+    }
+
+    const rowIndex = getRowFromHeaderClick(x, y, ROW_HEADER_WIDTH, COL_HEADER_HEIGHT, getPaneScroll(y, COL_HEADER_HEIGHT, frozenHeight, scrollTop), rowLayout, TOTAL_ROWS, CANVAS_HEIGHT);
+    if (rowIndex !== null) {
+      if (!isEntireRowSelected(rowIndex, selected, selection, TOTAL_ROWS, TOTAL_COLS)) {
+        handleRowSelection(rowIndex, selection, setSelection, setSelected, TOTAL_COLS);
+      }
+      setContextMenu({ x: clientX, y: clientY, target: 'row', index: rowIndex });
+      return;
+    }
+
+    const cell = getCellFromPointer({ clientX, clientY });
+    if (!cell) return;
+
+    const inSelection = (selection.isRange
+      ? cell.r >= selection.startRow && cell.r <= selection.endRow && cell.c >= selection.startCol && cell.c <= selection.endCol
+      : cell.r === selected.r && cell.c === selected.c) ||
+      otherRanges.some((range) => cell.r >= range.startRow && cell.r <= range.endRow && cell.c >= range.startCol && cell.c <= range.endCol);
+    if (!inSelection) {
+      setSelected(cell);
+      setSelection({ startRow: cell.r, startCol: cell.c, endRow: cell.r, endCol: cell.c, isRange: false });
+    }
+    setContextMenu({ x: clientX, y: clientY, target: 'cell', index: null });
+  };
+
+  openContextMenuRef.current = openContextMenu;
+
+  const handleContextMenu = useCallback((e) => {
+    e.preventDefault();
+    openContextMenuRef.current(e.clientX, e.clientY);
+  }, []);
+
+  const closeContextMenu = useCallback(() => setContextMenu(null), []);
+  const closeFilterPanel = useCallback(() => setFilterPanel(null), []);
+
+  // Turns the AutoFilter on for the top row of the selection, or of the data around the active
+  // cell, or off again, showing every row
+  const handleToggleFilter = () => {
+    if (isEditing) finishEditing(true);
+    if (autoFilter) {
+      setAutoFilter(null);
+      setFilterPanel(null);
+      return;
+    }
+
+    let range = getFormatRange();
+    if (range.startRow === range.endRow && range.startCol === range.endCol) {
+      range = getCurrentRegion(cellData, selected.r, selected.c, TOTAL_ROWS, TOTAL_COLS);
+    }
+    if (range.startRow === range.endRow && range.startCol === range.endCol && !cellData[`${range.startRow},${range.startCol}`]) {
+      alert('Select a cell inside the data to filter, or the header row to put the filter buttons on');
+      return;
+    }
+    setAutoFilter({ row: range.startRow, startCol: range.startCol, endCol: range.endCol, criteria: {} });
+  };
+
+  // The open dropdown lists the values the other columns' filters let through
+  const filterValues = useMemo(
+    () => (filterPanel && autoFilter ? getFilterValues(cellData, computedData, cellStyles, autoFilter, filterPanel.col) : null),
+    [filterPanel, autoFilter, cellData, computedData, cellStyles]
+  );
+
+  // Sets the selected columns (or rows) to fit their content, as one undo step
+  // "Resize to fit" on a header fits the selected columns or rows
+  const handleFitToContent = (axis) => {
+    fitTracksToContent([{ axis, ...getSelectedTracks(axis) }]);
+  };
+
+  // "Fit to content" fits every column and row of the selection in one step. Whole-row or
+  // whole-column selections only go as far as the data does.
+  const handleFitSelection = () => {
+    if (isEditing) finishEditing(true);
+    const used = getUsedRange(cellData);
+    const tracks = ['col', 'row'].map((axis) => {
+      const spansAll = axis === 'col'
+        ? selection.isRange && selection.startCol === 0 && selection.endCol === TOTAL_COLS - 1
+        : selection.isRange && selection.startRow === 0 && selection.endRow === TOTAL_ROWS - 1;
+      if (!spansAll) return { axis, ...getSelectedTracks(axis) };
+      if (!used) return null;
+      return { axis, index: 0, count: (axis === 'col' ? used.endCol : used.endRow) + 1 };
+    });
+    fitTracksToContent(tracks.filter(Boolean));
+  };
+
+  // Sorts the rows of a range as one undoable step; formats and row heights move with their rows
+  const applySort = (range, keys, options) => {
+    let result;
+    try {
+      result = sortRangeRows({ cellData, computedData, cellStyles, rowHeights }, range, keys, options);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      alert(`"${options.locale}" is not a language the browser knows. Use a tag such as en-US, de or sv.`);
+      return;
+    }
+
+    setCellData(result.cellData);
+    setCellStyles(result.cellStyles);
+    setRowHeights(result.rowHeights);
+    addToHistory(createTransaction('Sort', [
+      createCellCommand('sort', cellData, result.cellData, result.dataKeys),
+      createCellCommand('format', cellStyles, result.cellStyles, result.styleKeys),
+      createSizesCommand('row', rowHeights, result.rowHeights)
+    ]));
+  };
+
+  // Sorts the data rows by one column. From a column header the whole used range is
+  // sorted by that column, keeping a title row in place; from a row header only the
+  // selected rows are, by the active column.
+  const handleSortByColumn = (col, ascending, rowsOnly) => {
+    const used = getUsedRange(cellData);
+    if (!used) return;
+
+    const range = {
+      startRow: rowsOnly ? selection.startRow : 0,
+      endRow: rowsOnly ? Math.min(selection.endRow, used.endRow) : used.endRow,
+      startCol: 0,
+      endCol: used.endCol
+    };
+    if (range.startRow > range.endRow) return;
+
+    const hasHeader = !rowsOnly && guessHasHeader(cellData, computedData, range);
+    applySort(range, [{ col, ascending }], { hasHeader });
+  };
+
+  // Opens the Sort dialog on the selection, or on the block of data around the active
+  // cell when only one cell is selected
+  const handleOpenSort = () => {
+    if (isEditing) finishEditing(true);
+    let range = getFormatRange();
+    if (range.startRow === range.endRow && range.startCol === range.endCol) {
+      range = getCurrentRegion(cellData, selected.r, selected.c, TOTAL_ROWS, TOTAL_COLS);
+    }
+    if (range.startRow === range.endRow) {
+      alert('Select the rows to sort, or a cell inside a block of data');
+      return;
+    }
+
+    const titles = [];
+    for (let c = range.startCol; c <= range.endCol; c++) {
+      titles.push(getCellDisplayValue(cellData, computedData, `${range.startRow},${c}`));
+    }
+    setSortDialog({
+      range,
+      titles,
+      hasHeader: guessHasHeader(cellData, computedData, range),
+      col: Math.min(Math.max(selected.c, range.startCol), range.endCol)
+    });
+  };
+
+  // === Find and replace ===
+
+  // Sheets a search looks through, from a captured sheet list. Only the active sheet has
+  // computed values at hand, so searching the values of the others calculates them first.
+  const getSearchSheets = (options, list = captureActiveSheet()) => {
+    const searched = options.scope === 'workbook' ? list : list.filter((sheet) => sheet.id === activeSheetId);
+    const resolveSheet = createSheetResolver((name) => {
+      const sheet = list.find((s) => isSameSheetName(s.name, name));
+      return sheet ? sheet.cellData : null;
+    });
+    return searched.map((sheet) => {
+      if (sheet.id === activeSheetId) return { ...sheet, computedData };
+      if (options.lookIn === 'formulas') return { ...sheet, computedData: {} };
+      return {
+        ...sheet,
+        computedData: recalculate(createFormulaGraph(sheet.name), sheet.cellData, {}, Object.keys(sheet.cellData), resolveSheet),
+      };
+    });
+  };
+
+  // Searches sheets in tab order; `from` is the { r, c, sheetId } the search starts after
+  const searchSheets = (searched, query, options, from) => {
+    let pattern;
+    try {
+      pattern = createSearchPattern(query, options);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      alert(`"${query}" is not a valid regular expression`);
+      return null;
+    }
+    const range = options.scope === 'selection' && selection.isRange ? selection : null;
+    const matches = searched.flatMap((sheet) =>
+      findInCells(sheet.cellData, sheet.computedData, sheet.cellStyles || {}, pattern, { lookIn: options.lookIn, range })
+        .map((match) => ({ ...match, sheetId: sheet.id, sheetName: sheet.name }))
+    );
+    return { matches, start: getFirstMatchIndex(matches, from, from.sheetId) };
+  };
+
+  const handleFind = (query, options) =>
+    searchSheets(getSearchSheets(options), query, options, { ...selected, sheetId: activeSheetId });
+
+  // Selects a match, showing its sheet first. Within a selection the range stays selected.
+  const handleFindGoTo = (match, options) => {
+    const cell = { startRow: match.r, startCol: match.c, endRow: match.r, endCol: match.c, isRange: false };
+    if (match.sheetId !== activeSheetId) {
+      const target = sheets.find((sheet) => sheet.id === match.sheetId);
+      if (!target) return;
+      const list = captureActiveSheet();
+      setSheets(list);
+      showSheet({
+        ...target,
+        view: { scrollTop: 0, scrollLeft: 0, ...target.view, selected: { r: match.r, c: match.c }, selection: cell },
+      }, list);
+      return;
+    }
+    setSelected({ r: match.r, c: match.c });
+    if (options.scope !== 'selection' || !selection.isRange) setSelection(cell);
+  };
+
+  // Rewrites the matching cells as one undoable step on the active sheet's history, which also
+  // reverts the replacements made on other sheets. Returns the captured sheet list with the new
+  // contents and the number of cells changed.
+  const replaceMatches = (matches, query, replacement, options) => {
+    const pattern = createSearchPattern(query, options);
+    const keysBySheet = new Map();
+    matches.forEach(({ key, sheetId }) => {
+      if (!keysBySheet.has(sheetId)) keysBySheet.set(sheetId, []);
+      keysBySheet.get(sheetId).push(key);
+    });
+
+    let count = 0;
+    let activeCommand = null;
+    const otherCommands = [];
+    const list = captureActiveSheet().map((sheet) => {
+      const keys = keysBySheet.get(sheet.id);
+      if (!keys) return sheet;
+      const result = replaceInCells(sheet.cellData, keys, pattern, replacement, options.regex);
+      if (result.changedKeys.length === 0) return sheet;
+      count += result.changedKeys.length;
+      const command = createCellCommand('replace', sheet.cellData, result.cellData, result.changedKeys);
+      if (sheet.id === activeSheetId) {
+        setCellData(result.cellData);
+        activeCommand = command;
+      } else {
+        otherCommands.push({ sheetId: sheet.id, command });
+      }
+      return { ...sheet, cellData: result.cellData };
+    });
+    setSheets(list);
+    addToHistory(createTransaction('Replace', [activeCommand, createSheetsCommand(otherCommands)]));
+
+    // Formulas here may read the other sheets, which the recalc effect does not watch
+    if (otherCommands.length > 0) {
+      recalculateShownSheet(list.find((sheet) => sheet.id === activeSheetId), list);
+    }
+    return { list, count };
+  };
+
+  // Replaces one match, then searches again from it so the panel moves on to the next
+  const handleReplaceMatch = (match, query, replacement, options) => {
+    const { list } = replaceMatches([match], query, replacement, options);
+    return searchSheets(getSearchSheets(options, list), query, options, match);
+  };
+
+  const handleReplaceAll = (matches, query, replacement, options) => {
+    return replaceMatches(matches, query, replacement, options).count;
+  };
+
+  const getContextMenuItems = (menu) => {
+    const plural = (axis) => {
+      const { count } = getSelectedTracks(axis);
+      const noun = axis === 'row' ? 'row' : 'column';
+      return count > 1 ? `${count} ${noun}s` : noun;
+    };
+
+    if (menu.target === 'column') {
+      return [
+        { label: `Insert ${plural('col')} left`, onClick: () => handleInsertTracks('col') },
+        { label: `Delete ${plural('col')}`, onClick: () => handleDeleteTracks('col') },
+        { separator: true },
+        { label: `Hide ${plural('col')}`, onClick: () => handleHideTracks('col') },
+        { label: 'Unhide columns', onClick: () => handleUnhideTracks('col'), disabled: !hasHiddenInSelection('col') },
+        { label: 'Resize to fit', onClick: () => handleFitToContent('col') },
+        { separator: true },
+        { label: 'Sort A → Z', onClick: () => handleSortByColumn(menu.index, true, false) },
+        { label: 'Sort Z → A', onClick: () => handleSortByColumn(menu.index, false, false) }
+      ];
+    }
+
+    if (menu.target === 'row') {
+      const keyName = getColLetter(selected.c);
+      return [
+        { label: `Insert ${plural('row')} above`, onClick: () => handleInsertTracks('row') },
+        { label: `Delete ${plural('row')}`, onClick: () => handleDeleteTracks('row') },
+        { separator: true },
+        { label: `Hide ${plural('row')}`, onClick: () => handleHideTracks('row') },
+        { label: 'Unhide rows', onClick: () => handleUnhideTracks('row'), disabled: !hasHiddenInSelection('row') },
+        { label: 'Resize to fit', onClick: () => handleFitToContent('row') },
+        { separator: true },
+        { label: `Sort rows A → Z by column ${keyName}`, onClick: () => handleSortByColumn(selected.c, true, true) },
+        { label: `Sort rows Z → A by column ${keyName}`, onClick: () => handleSortByColumn(selected.c, false, true) }
+      ];
+    }
+
+    return [
+      { label: 'Cut', shortcut: 'Ctrl+X', onClick: handleCut },
+      { label: 'Copy', shortcut: 'Ctrl+C', onClick: handleCopy },
+      { label: 'Paste', shortcut: 'Ctrl+V', onClick: handlePaste },
+      { label: 'Paste Special…', shortcut: 'Ctrl+Alt+V', onClick: openPasteSpecial, disabled: !clipboard || clipboard.cut },
+      { label: 'Clear contents', shortcut: 'Del', onClick: handleDelete },
+      { separator: true },
+      { label: `Insert ${plural('row')} above`, shortcut: 'Ctrl++', onClick: () => handleInsertTracks('row') },
+      { label: `Insert ${plural('col')} left`, onClick: () => handleInsertTracks('col') },
+      { label: `Delete ${plural('row')}`, shortcut: 'Ctrl+-', onClick: () => handleDeleteTracks('row') },
+      { label: `Delete ${plural('col')}`, onClick: () => handleDeleteTracks('col') }
+    ];
   };
 
   // Updated useEffect for event listeners
@@ -1335,8 +3347,8 @@ const handleHorizontalScroll = (e) => {
       canvas.addEventListener('pointercancel', handlePointerCancel);
       canvas.addEventListener('dblclick', handleDoubleClick);
 
-      // Prevent context menu on right click
-      canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+      // Replace the browser menu with the grid's own
+      canvas.addEventListener('contextmenu', handleContextMenu);
       
       return () => {
         console.log("remove pointer listeners");
@@ -1345,44 +3357,81 @@ const handleHorizontalScroll = (e) => {
         canvas.removeEventListener('pointerup', handlePointerUp);
         canvas.removeEventListener('pointercancel', handlePointerCancel);
         canvas.removeEventListener('dblclick', handleDoubleClick);
-        canvas.removeEventListener('contextmenu', (e) => e.preventDefault());
+        canvas.removeEventListener('contextmenu', handleContextMenu);
       };
     }
-  }, [handlePointerDown, handlePointerMove, handlePointerUp, handlePointerCancel, handleDoubleClick]);
+  }, [handlePointerDown, handlePointerMove, handlePointerUp, handlePointerCancel, handleDoubleClick, handleContextMenu]);
 
-const totalScrollHeight = getTotalScrollHeight(rowHeights, TOTAL_ROWS);
-const totalScrollWidth = getTotalScrollWidth(colWidths, TOTAL_COLS);
+const totalScrollHeight = getTotalScrollHeight(rowLayout, TOTAL_ROWS);
+const totalScrollWidth = getTotalScrollWidth(colLayout, TOTAL_COLS);
 
 return (
   <div className="spreadsheet-container">
     <Header 
       onLoadData={handleLoadData} 
+      onLoadWorkbook={handleLoadWorkbook}
       onFontChange={setFontFamily}
       onUndo={handleUndo}
       onRedo={handleRedo}
-      canUndo={historyIndex > 0}
-      canRedo={historyIndex < history.length - 1}
+      canUndo={history.undoStack.length > 0}
+      canRedo={history.redoStack.length > 0}
       onSave={handleSave}
       onCopy={handleCopy}
       onPaste={handlePaste}
       onCut={handleCut}
-      cellData={cellData}
-      selected={selected}
-      setCellData={setCellData}
-      addToHistory={addToHistory}
-      setSelected={setSelected}
+      onInsertRows={() => handleInsertTracks('row')}
+      onInsertColumns={() => handleInsertTracks('col')}
+      onDeleteRows={() => handleDeleteTracks('row')}
+      onDeleteColumns={() => handleDeleteTracks('col')}
+      onFitToContent={handleFitSelection}
+      onSort={handleOpenSort}
+      filterActive={Boolean(autoFilter)}
+      onToggleFilter={handleToggleFilter}
+      onFind={() => setFindPanel({ mode: 'find' })}
+      onGoTo={openGoTo}
+      frozen={frozen}
+      onFreeze={handleFreeze}
+      onLoadDelimited={handleLoadDelimited}
+      onExportDelimited={handleExportDelimited}
+      onLoadXlsx={handleLoadXlsx}
+      onExportXlsx={handleExportXlsx}
+      hasSelection={selection.isRange}
+      recentFiles={recentFiles}
+      onOpenRecent={handleOpenRecent}
+      activeStyle={getCellStyle(cellStyles, `${selected.r},${selected.c}`)}
+      onFormat={handleFormat}
+      onBorders={handleBorders}
+      onClearFormat={handleClearFormat}
     />
 
-    <div className="toolbar">
-      <div className="cell-indicator">
-        {getColLetter(selected.c)}{selected.r + 1}
-      </div>
-      <div className="cell-preview">
-        {isEditing ? 'Editing...' : `${cellData[`${selected.r},${selected.c}`] || ''}`}
-      </div>
-    </div>
+    {recovery && (
+      <RecoveryBanner
+        savedAt={recovery.savedAt}
+        onRestore={handleRestoreSession}
+        onDiscard={handleDiscardSession}
+      />
+    )}
+
+    <ExcelFormulaBar
+      selected={selected}
+      selection={selection}
+      cellValue={getEditText(cellData[`${selected.r},${selected.c}`], getCellStyle(cellStyles, `${selected.r},${selected.c}`).numFmt)}
+      isEditing={isEditing}
+      editValue={editValue}
+      onEditValueChange={setEditValue}
+      onStartEdit={() => startEditing(selected.r, selected.c, false)}
+      onCommit={(moveToNext) => finishEditing(true, moveToNext)}
+      onCancel={() => finishEditing(false)}
+      onNavigate={handleNameBoxNavigate}
+    />
 
-    {stats && <StatsPanel stats={stats} selection={selection} />}
+    {stats && (
+      <StatsPanel
+        stats={stats}
+        selection={selection}
+        numFmt={getCellStyle(cellStyles, `${selected.r},${selected.c}`).numFmt}
+      />
+    )}
 
     <div className="canvas-wrapper">
       <div className="canvas-inner">
@@ -1418,17 +3467,21 @@ return (
     value={editValue}
     onChange={(e) => setEditValue(e.target.value)}
     onKeyDown={(e) => {
-      if (e.key === 'Enter') {
+      if (e.key === 'Enter' || e.key === 'Tab') {
         e.preventDefault();
         e.stopPropagation();
-        finishEditing(true, true);
+        finishEditing(true, getEditMove(e));
       } else if (e.key === 'Escape') {
         e.preventDefault();
         e.stopPropagation();
         finishEditing(false);
       }
     }}
-    onBlur={() => finishEditing(true)}
+    onBlur={(e) => {
+      // Switching to the formula bar keeps the same edit session open
+      if (e.relatedTarget && e.relatedTarget.closest('.formula-bar-editor')) return;
+      finishEditing(true);
+    }}
     className="cell-input"
     style={{
       left: editPosition.x,
@@ -1441,6 +3494,83 @@ return (
 )}
       </div>
     </div>
+
+    <SheetTabs
+      sheets={sheets}
+      activeId={activeSheetId}
+      onSelect={handleSelectSheet}
+      onAdd={handleAddSheet}
+      onRename={handleRenameSheet}
+      onDuplicate={handleDuplicateSheet}
+      onDelete={handleDeleteSheet}
+      onMove={handleMoveSheet}
+    />
+
+    {sortDialog && (
+      <SortDialog
+        range={sortDialog.range}
+        titles={sortDialog.titles}
+        initialHasHeader={sortDialog.hasHeader}
+        initialCol={sortDialog.col}
+        onSort={({ keys, ...options }) => applySort(sortDialog.range, keys, options)}
+        onClose={() => setSortDialog(null)}
+      />
+    )}
+
+    {goToDialog && (
+      <GoToDialog
+        recent={goToHistory}
+        initialReference={goToDialog.reference}
+        onGo={handleGoTo}
+        onClose={() => setGoToDialog(null)}
+      />
+    )}
+
+    {pasteSpecialOpen && (
+      <PasteSpecialDialog
+        onPaste={(options) => pasteInternal(options)}
+        onClose={() => {
+          setPasteSpecialOpen(false);
+          canvasRef.current.focus();
+        }}
+      />
+    )}
+
+    {findPanel && (
+      <FindPanel
+        mode={findPanel.mode}
+        onModeChange={(mode) => setFindPanel({ mode })}
+        hasSelection={selection.isRange}
+        onSearch={handleFind}
+        onGoTo={handleFindGoTo}
+        onReplace={handleReplaceMatch}
+        onReplaceAll={handleReplaceAll}
+        onClose={() => setFindPanel(null)}
+      />
+    )}
+
+    {filterPanel && filterValues && (
+      <FilterPanel
+        key={filterPanel.col}
+        x={filterPanel.x}
+        y={filterPanel.y}
+        title={getCellDisplayValue(cellData, computedData, `${autoFilter.row},${filterPanel.col}`) || `Column ${getColLetter(filterPanel.col)}`}
+        values={filterValues}
+        criterion={autoFilter.criteria[filterPanel.col]}
+        onApply={(criterion) => setAutoFilter(setFilterCriterion(autoFilter, filterPanel.col, criterion))}
+        onSort={(ascending) => applySort(filterRange, [{ col: filterPanel.col, ascending }], { hasHeader: true })}
+        onClose={closeFilterPanel}
+      />
+    )}
+
+    {contextMenu && (
+      <ContextMenu
+        x={contextMenu.x}
+        y={contextMenu.y}
+        items={getContextMenuItems(contextMenu)}
+        onClose={closeContextMenu}
+      />
+    )}
   </div>
 );
 }
@@ -0,0 +1,74 @@
+import React, { useEffect, useRef } from 'react';
+import './ContextMenu.css';
+
+/**
+ * Floating menu opened by right-click or touch long-press on the grid
+ * @param {number} x - Viewport X position of the menu
+ * @param {number} y - Viewport Y position of the menu
+ * @param {Array<Object>} items - { label, onClick, shortcut, disabled } entries, or { separator: true }
+ * @param {Function} onClose - Called when the menu should disappear
+ */
+function ContextMenu({ x, y, items, onClose }) {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    // Capture phase so the grid's own pointer handlers cannot swallow the event first
+    document.addEventListener('pointerdown', handlePointerDown, true);
+    document.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('resize', onClose);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown, true);
+      document.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('resize', onClose);
+    };
+  }, [onClose]);
+
+  // Keep the menu inside the viewport when opened near the right or bottom edge
+  useEffect(() => {
+    const menu = menuRef.current;
+    if (!menu) return;
+    const rect = menu.getBoundingClientRect();
+    if (rect.right > window.innerWidth) menu.style.left = `${Math.max(0, x - rect.width)}px`;
+    if (rect.bottom > window.innerHeight) menu.style.top = `${Math.max(0, y - rect.height)}px`;
+  }, [x, y]);
+
+  return (
+    <ul
+      ref={menuRef}
+      className="context-menu"
+      style={{ left: x, top: y }}
+      role="menu"
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {items.map((item, i) =>
+        item.separator ? (
+          <li key={`separator-${i}`} className="context-menu-separator" role="separator" />
+        ) : (
+          <li
+            key={item.label}
+            role="menuitem"
+            className={`context-menu-item${item.disabled ? ' disabled' : ''}`}
+            aria-disabled={item.disabled || false}
+            onClick={() => {
+              if (item.disabled) return;
+              onClose();
+              item.onClick();
+            }}
+          >
+            <span>{item.label}</span>
+            {item.shortcut && <span className="context-menu-shortcut">{item.shortcut}</span>}
+          </li>
+        )
+      )}
+    </ul>
+  );
+}
+
+export default ContextMenu;
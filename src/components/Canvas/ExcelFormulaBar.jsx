@@ -1,31 +1,107 @@
-
-import React from 'react';
-import './StatsPanel.css';
+import React, { useEffect, useState } from 'react';
+import './FormulaBar.css';
 import { getColLetter } from '../../Utils';
 
-function StatsPanel({ stats, selection }) {
-  const emptyStats = {
-    count: 0,
-    sum: 0,
-    avg: 0,
-    min: 0,
-    max: 0,
+/**
+ * Formats the active cell or range as A1 text for the name box
+ */
+const formatSelectionName = (selected, selection) => {
+  if (!selection.isRange) return `${getColLetter(selected.c)}${selected.r + 1}`;
+  return `${getColLetter(selection.startCol)}${selection.startRow + 1}:${getColLetter(selection.endCol)}${selection.endRow + 1}`;
+};
+
+function ExcelFormulaBar({
+  selected,
+  selection,
+  cellValue,
+  isEditing,
+  editValue,
+  onEditValueChange,
+  onStartEdit,
+  onCommit,
+  onCancel,
+  onNavigate
+}) {
+  const [nameValue, setNameValue] = useState(formatSelectionName(selected, selection));
+  const [isNameFocused, setIsNameFocused] = useState(false);
+
+  // Keep the name box in sync with the grid unless the user is typing in it
+  useEffect(() => {
+    if (!isNameFocused) {
+      setNameValue(formatSelectionName(selected, selection));
+    }
+  }, [selected, selection, isNameFocused]);
+
+  const handleNameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (!onNavigate(nameValue)) {
+        alert(`"${nameValue}" is not a valid cell or range reference`);
+      }
+      e.target.blur();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setNameValue(formatSelectionName(selected, selection));
+      e.target.blur();
+    }
+  };
+
+  const handleInputFocus = () => {
+    if (!isEditing) onStartEdit();
   };
 
-  const safeStats = stats || emptyStats;
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onCommit(true);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    }
+  };
+
+  const handleInputBlur = (e) => {
+    // Moving focus into the in-cell editor or the bar's own buttons keeps the edit open
+    const next = e.relatedTarget;
+    if (next && (next.classList.contains('cell-input') || next.closest('.formula-bar-editor'))) return;
+    if (isEditing) onCommit(false);
+  };
+
+  // Buttons must not steal focus, otherwise the input blurs and commits first
+  const keepFocus = (e) => e.preventDefault();
 
   return (
-    <div className="formula-bar">
-      {/* <span><strong>Count:</strong> {safeStats.count}</span> */}
-      <span><strong>Sum:</strong> {safeStats.sum.toFixed(2)}</span>
-      <span><strong>Avg:</strong> {safeStats.avg.toFixed(2)}</span>
-      <span><strong>Min:</strong> {safeStats.min}</span>
-      <span><strong>Max:</strong> {safeStats.max}</span>
-      <span className="range-display">
-        Range: {getColLetter(selection.startCol)}{selection.startRow + 1}:{getColLetter(selection.endCol)}{selection.endRow + 1}
-      </span>
+    <div className="toolbar formula-bar-editor">
+      <input
+        className="name-box"
+        value={nameValue}
+        onChange={(e) => setNameValue(e.target.value)}
+        onFocus={(e) => {
+          setIsNameFocused(true);
+          e.target.select();
+        }}
+        onBlur={() => setIsNameFocused(false)}
+        onKeyDown={handleNameKeyDown}
+        aria-label="Name box"
+      />
+
+      <div className="formula-bar-buttons">
+        <button onMouseDown={keepFocus} onClick={onCancel} disabled={!isEditing} title="Cancel (Esc)">✕</button>
+        <button onMouseDown={keepFocus} onClick={() => onCommit(false)} disabled={!isEditing} title="Enter">✓</button>
+        <span className="formula-bar-fx">fx</span>
+      </div>
+
+      <input
+        className="formula-input"
+        value={isEditing ? editValue : cellValue}
+        onChange={(e) => onEditValueChange(e.target.value)}
+        onFocus={handleInputFocus}
+        onBlur={handleInputBlur}
+        onKeyDown={handleInputKeyDown}
+        aria-label="Formula bar"
+      />
     </div>
   );
 }
 
-export default StatsPanel;
\ No newline at end of file
+export default ExcelFormulaBar;
@@ -0,0 +1,172 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FILTER_CONDITIONS } from '../../FilterHelper';
+import './FilterPanel.css';
+
+const PANEL_WIDTH = 280;
+const MAX_LISTED = 500; // Checklist entries rendered at once; the search box narrows longer lists
+
+const CONDITION_LABELS = {
+  contains: 'Contains',
+  notContains: 'Does not contain',
+  equals: 'Equals',
+  notEquals: 'Does not equal',
+  beginsWith: 'Begins with',
+  endsWith: 'Ends with',
+  gt: 'Greater than',
+  gte: 'Greater than or equal to',
+  lt: 'Less than',
+  lte: 'Less than or equal to',
+  between: 'Between',
+  top: 'Top N',
+  bottom: 'Bottom N',
+};
+
+/**
+ * AutoFilter dropdown for one column: sorting, a condition and a checklist of its values
+ * @param {number} x - Viewport X of the header cell's right edge; the panel lines up with it
+ * @param {number} y - Viewport Y of the header cell's bottom edge
+ * @param {string} title - Column title, shown at the top
+ * @param {Array<Object>} values - { text, count } distinct values ('' for blank cells)
+ * @param {Object} [criterion] - The column's current { values, condition }
+ * @param {Function} onApply - (criterion or null) => void; null shows every row again
+ * @param {Function} onSort - (ascending) => void
+ * @param {Function} onClose - Called when the panel should disappear
+ */
+function FilterPanel({ x, y, title, values, criterion, onApply, onSort, onClose }) {
+  const panelRef = useRef(null);
+  const [checked, setChecked] = useState(() => new Set(criterion?.values || values.map((v) => v.text)));
+  const [search, setSearch] = useState('');
+  const [op, setOp] = useState(criterion?.condition?.op || '');
+  const [value, setValue] = useState(criterion?.condition?.value ?? '');
+  const [value2, setValue2] = useState(criterion?.condition?.value2 ?? '');
+
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) onClose();
+    };
+    // Capture phase so the grid's own pointer handlers cannot swallow the event first
+    document.addEventListener('pointerdown', handlePointerDown, true);
+    window.addEventListener('resize', onClose);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown, true);
+      window.removeEventListener('resize', onClose);
+    };
+  }, [onClose]);
+
+  const query = search.trim().toLowerCase();
+  const matching = query ? values.filter((v) => v.text.toLowerCase().includes(query)) : values;
+  const listed = matching.slice(0, MAX_LISTED);
+  const allChecked = matching.every((v) => checked.has(v.text));
+
+  const toggle = (text) => {
+    const next = new Set(checked);
+    if (next.has(text)) next.delete(text);
+    else next.add(text);
+    setChecked(next);
+  };
+
+  // "Select all" acts on the values the search shows
+  const toggleAll = () => {
+    const next = new Set(checked);
+    matching.forEach((v) => (allChecked ? next.delete(v.text) : next.add(v.text)));
+    setChecked(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const isNumeric = FILTER_CONDITIONS.number.includes(op);
+    if (isNumeric && (Number.isNaN(parseFloat(value)) || (op === 'between' && Number.isNaN(parseFloat(value2))))) {
+      alert('Enter a number for this condition');
+      return;
+    }
+
+    const keptValues = values.every((v) => checked.has(v.text)) ? undefined : values.filter((v) => checked.has(v.text)).map((v) => v.text);
+    const condition = op ? { op, value, ...(op === 'between' ? { value2 } : {}) } : undefined;
+    onApply(keptValues || condition ? { values: keptValues, condition } : null);
+    onClose();
+  };
+
+  const handleOpChange = (next) => {
+    setOp(next);
+    if ((next === 'top' || next === 'bottom') && value === '') setValue('10');
+  };
+
+  return (
+    <form
+      ref={panelRef}
+      className="filter-panel"
+      style={{ left: Math.max(0, x - PANEL_WIDTH), top: y, width: PANEL_WIDTH }}
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => e.key === 'Escape' && onClose()}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      <div className="filter-panel-title">{title}</div>
+
+      <div className="filter-panel-sort">
+        <button type="button" onClick={() => { onSort(true); onClose(); }}>Sort A → Z</button>
+        <button type="button" onClick={() => { onSort(false); onClose(); }}>Sort Z → A</button>
+      </div>
+
+      <label>
+        Condition
+        <select value={op} onChange={(e) => handleOpChange(e.target.value)}>
+          <option value="">None</option>
+          <optgroup label="Text">
+            {FILTER_CONDITIONS.text.map((name) => <option key={name} value={name}>{CONDITION_LABELS[name]}</option>)}
+          </optgroup>
+          <optgroup label="Number">
+            {FILTER_CONDITIONS.number.map((name) => <option key={name} value={name}>{CONDITION_LABELS[name]}</option>)}
+          </optgroup>
+        </select>
+      </label>
+      {op && (
+        <div className="filter-panel-condition">
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={op === 'top' || op === 'bottom' ? 'How many' : 'Value'}
+          />
+          {op === 'between' && (
+            <>
+              <span>and</span>
+              <input type="text" value={value2} onChange={(e) => setValue2(e.target.value)} placeholder="Value" />
+            </>
+          )}
+        </div>
+      )}
+
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search values"
+        autoFocus
+      />
+      <div className="filter-panel-values">
+        <label className="filter-panel-value">
+          <input type="checkbox" checked={matching.length > 0 && allChecked} onChange={toggleAll} />
+          {query ? '(Select all search results)' : '(Select all)'}
+        </label>
+        {listed.map(({ text, count }) => (
+          <label key={text} className="filter-panel-value">
+            <input type="checkbox" checked={checked.has(text)} onChange={() => toggle(text)} />
+            <span>{text === '' ? '(Blanks)' : text}</span>
+            <span className="filter-panel-count">{count}</span>
+          </label>
+        ))}
+        {matching.length > listed.length && (
+          <div className="filter-panel-more">{matching.length - listed.length} more; search to narrow the list</div>
+        )}
+      </div>
+
+      <div className="filter-panel-actions">
+        <button type="button" onClick={() => { onApply(null); onClose(); }} disabled={!criterion}>Clear filter</button>
+        <button type="button" onClick={onClose}>Cancel</button>
+        <button type="submit">OK</button>
+      </div>
+    </form>
+  );
+}
+
+export default FilterPanel;
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { FIND_SCOPES } from '../../FindHelper';
+import { getColLetter } from '../../Utils';
+import './FindPanel.css';
+
+const MAX_LISTED = 200; // Results listed at once; Next / Previous still visit every match
+
+const SCOPE_LABELS = { selection: 'Selection', sheet: 'Sheet', workbook: 'Workbook' };
+
+/**
+ * Floating Find / Replace panel. Searches run through the grid, which knows the sheets and
+ * the selection; the panel keeps the results and steps through them.
+ * @param {string} mode - 'find' or 'replace'
+ * @param {Function} onModeChange - (mode) => void
+ * @param {boolean} hasSelection - Whether a range is selected, for the Selection scope
+ * @param {Function} onSearch - (query, options) => { matches, start } or null when the search is invalid;
+ *   options are { matchCase, wholeCell, regex, lookIn, scope }
+ * @param {Function} onGoTo - (match, options) => void; selects the match and scrolls to it
+ * @param {Function} onReplace - (match, query, replacement, options) => { matches, start } searched again after the change
+ * @param {Function} onReplaceAll - (matches, query, replacement, options) => number of cells changed
+ * @param {Function} onClose - Called when the panel should disappear
+ */
+function FindPanel({ mode, onModeChange, hasSelection, onSearch, onGoTo, onReplace, onReplaceAll, onClose }) {
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [matchCase, setMatchCase] = useState(false);
+  const [wholeCell, setWholeCell] = useState(false);
+  const [regex, setRegex] = useState(false);
+  const [lookIn, setLookIn] = useState('values');
+  const [scope, setScope] = useState(hasSelection ? 'selection' : 'sheet');
+  const [results, setResults] = useState(null); // matches of the last search, until its terms change
+  const [current, setCurrent] = useState(-1);
+  const [message, setMessage] = useState('');
+
+  // Replacing rewrites what was typed, so it always looks at formulas
+  const options = { matchCase, wholeCell, regex, lookIn: mode === 'replace' ? 'formulas' : lookIn, scope };
+
+  // Any change to the search terms makes the old results stale
+  const update = (setter) => (value) => {
+    setter(value);
+    setResults(null);
+    setCurrent(-1);
+    setMessage('');
+  };
+
+  const showResults = (found) => {
+    setResults(found.matches);
+    setMessage(found.matches.length === 0 ? 'No matches' : '');
+  };
+
+  const search = () => {
+    if (query === '') return null;
+    const found = onSearch(query, options);
+    if (found) showResults(found);
+    return found;
+  };
+
+  const goTo = (matches, index) => {
+    setCurrent(index);
+    if (index >= 0) onGoTo(matches[index], options);
+  };
+
+  const handleStep = (step) => {
+    if (results) {
+      if (results.length > 0) goTo(results, (current + step + results.length) % results.length);
+      return;
+    }
+    const found = search();
+    if (!found || found.matches.length === 0) return;
+    goTo(found.matches, step > 0 ? found.start : (found.start - 1 + found.matches.length) % found.matches.length);
+  };
+
+  // The first click finds a match; later clicks replace it and move on to the next one
+  const handleReplace = () => {
+    if (!results || current < 0) {
+      handleStep(1);
+      return;
+    }
+    const found = onReplace(results[current], query, replacement, options);
+    if (!found) return;
+    showResults(found);
+    goTo(found.matches, found.start);
+  };
+
+  const handleReplaceAll = () => {
+    const found = search();
+    if (!found || found.matches.length === 0) return;
+    const count = onReplaceAll(found.matches, query, replacement, options);
+    setResults(null);
+    setCurrent(-1);
+    setMessage(`Replaced ${count} cell${count === 1 ? '' : 's'}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type === 'text') {
+      e.preventDefault();
+      handleStep(e.shiftKey ? -1 : 1);
+    }
+  };
+
+  const label = (match) =>
+    `${options.scope === 'workbook' ? `${match.sheetName}!` : ''}${getColLetter(match.c)}${match.r + 1}`;
+
+  return (
+    <div className="find-panel" role="dialog" aria-label="Find and replace" onKeyDown={handleKeyDown}>
+      <div className="find-panel-tabs">
+        <button type="button" className={mode === 'find' ? 'active' : ''} onClick={() => onModeChange('find')}>Find</button>
+        <button type="button" className={mode === 'replace' ? 'active' : ''} onClick={() => onModeChange('replace')}>Replace</button>
+        <button type="button" className="find-panel-close" onClick={onClose} title="Close (Esc)">✕</button>
+      </div>
+
+      <label>
+        Find what
+        <input type="text" value={query} onChange={(e) => update(setQuery)(e.target.value)} autoFocus />
+      </label>
+      {mode === 'replace' && (
+        <label>
+          Replace with
+          <input type="text" value={replacement} onChange={(e) => setReplacement(e.target.value)} />
+        </label>
+      )}
+
+      <div className="find-panel-options">
+        <label className="find-panel-inline">
+          <input type="checkbox" checked={matchCase} onChange={(e) => update(setMatchCase)(e.target.checked)} />
+          Match case
+        </label>
+        <label className="find-panel-inline">
+          <input type="checkbox" checked={wholeCell} onChange={(e) => update(setWholeCell)(e.target.checked)} />
+          Entire cell
+        </label>
+        <label className="find-panel-inline">
+          <input type="checkbox" checked={regex} onChange={(e) => update(setRegex)(e.target.checked)} />
+          Regular expression
+        </label>
+      </div>
+
+      <div className="find-panel-options">
+        <label className="find-panel-inline">
+          Within
+          <select value={scope} onChange={(e) => update(setScope)(e.target.value)}>
+            {FIND_SCOPES.map((name) => (
+              <option key={name} value={name} disabled={name === 'selection' && !hasSelection}>{SCOPE_LABELS[name]}</option>
+            ))}
+          </select>
+        </label>
+        <label className="find-panel-inline">
+          Look in
+          <select value={options.lookIn} onChange={(e) => update(setLookIn)(e.target.value)} disabled={mode === 'replace'}>
+            <option value="values">Values</option>
+            <option value="formulas">Formulas</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="find-panel-actions">
+        {mode === 'replace' && (
+          <>
+            <button type="button" onClick={handleReplaceAll} disabled={query === ''}>Replace all</button>
+            <button type="button" onClick={handleReplace} disabled={query === ''}>Replace</button>
+          </>
+        )}
+        <button type="button" onClick={() => handleStep(-1)} disabled={query === ''} title="Shift+Enter">Previous</button>
+        <button type="button" onClick={() => handleStep(1)} disabled={query === ''} title="Enter">Next</button>
+      </div>
+
+      {(message || (results && results.length > 0)) && (
+        <div className="find-panel-status">
+          {message || `${current + 1 > 0 ? `${current + 1} of ` : ''}${results.length} match${results.length === 1 ? '' : 'es'}`}
+        </div>
+      )}
+      {results && results.length > 0 && (
+        <ul className="find-panel-results">
+          {results.slice(0, MAX_LISTED).map((match, i) => (
+            <li
+              key={`${match.sheetId ?? ''}:${match.key}`}
+              className={i === current ? 'current' : ''}
+              onClick={() => goTo(results, i)}
+            >
+              <span className="find-panel-ref">{label(match)}</span>
+              <span className="find-panel-text">{match.text}</span>
+            </li>
+          ))}
+          {results.length > MAX_LISTED && (
+            <li className="find-panel-more">{results.length - MAX_LISTED} more; use Next to reach them</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default FindPanel;
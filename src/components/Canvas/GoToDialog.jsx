@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import './GoToDialog.css';
+
+/**
+ * Modal for jumping to a reference (Ctrl+G / F5), listing the places jumped to before
+ * @param {Array<string>} recent - Earlier references, most recent first
+ * @param {string} initialReference - Text the reference box starts with
+ * @param {Function} onGo - (text) => boolean; false when the reference is not valid
+ * @param {Function} onClose - Called when the dialog is dismissed
+ */
+function GoToDialog({ recent, initialReference, onGo, onClose }) {
+  const [reference, setReference] = useState(initialReference);
+
+  const go = (text) => {
+    if (!onGo(text)) {
+      alert(`"${text}" is not a reference to a cell, range or sheet in this workbook`);
+      return;
+    }
+    onClose();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (reference.trim()) go(reference.trim());
+  };
+
+  return (
+    <div className="goto-dialog-backdrop" onPointerDown={(e) => e.target === e.currentTarget && onClose()}>
+      <form
+        className="goto-dialog"
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => e.key === 'Escape' && onClose()}
+      >
+        <h3>Go To</h3>
+
+        {recent.length > 0 && (
+          <ul className="goto-dialog-recent">
+            {recent.map((text) => (
+              <li
+                key={text}
+                className={text === reference ? 'selected' : ''}
+                onClick={() => setReference(text)}
+                onDoubleClick={() => go(text)}
+              >
+                {text}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <label>
+          Reference
+          <input
+            type="text"
+            value={reference}
+            onChange={(e) => setReference(e.target.value)}
+            placeholder="B5, A1:D20, C:E, 3:7 or Sheet2!A1"
+            autoFocus
+            onFocus={(e) => e.target.select()}
+          />
+        </label>
+
+        <div className="goto-dialog-actions">
+          <button type="button" onClick={onClose}>Cancel</button>
+          <button type="submit" disabled={!reference.trim()}>OK</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default GoToDialog;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { PASTE_TYPES, PASTE_OPERATIONS, DEFAULT_PASTE_OPTIONS } from '../../PasteHelper';
+import './PasteSpecialDialog.css';
+
+const TYPE_LABELS = {
+  all: 'All',
+  values: 'Values',
+  formulas: 'Formulas',
+  formats: 'Formats',
+};
+
+const OPERATION_LABELS = {
+  none: 'None',
+  add: 'Add',
+  subtract: 'Subtract',
+  multiply: 'Multiply',
+  divide: 'Divide',
+};
+
+/**
+ * Modal choosing what part of the copied cells to paste and how (Ctrl+Alt+V)
+ * @param {Function} onPaste - ({ paste, operation, skipBlanks, transpose }) => void
+ * @param {Function} onClose - Called when the dialog is dismissed
+ */
+function PasteSpecialDialog({ onPaste, onClose }) {
+  const [options, setOptions] = useState(DEFAULT_PASTE_OPTIONS);
+
+  const update = (patch) => setOptions({ ...options, ...patch });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onPaste(options);
+    onClose();
+  };
+
+  return (
+    <div className="paste-dialog-backdrop" onPointerDown={(e) => e.target === e.currentTarget && onClose()}>
+      <form
+        className="paste-dialog"
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => e.key === 'Escape' && onClose()}
+      >
+        <h3>Paste Special</h3>
+
+        <div className="paste-dialog-groups">
+          <fieldset>
+            <legend>Paste</legend>
+            {PASTE_TYPES.map((type, i) => (
+              <label key={type}>
+                <input
+                  type="radio"
+                  name="paste-type"
+                  checked={options.paste === type}
+                  onChange={() => update({ paste: type })}
+                  autoFocus={i === 0}
+                />
+                {TYPE_LABELS[type]}
+              </label>
+            ))}
+          </fieldset>
+
+          {/* Formats have nothing to add up */}
+          <fieldset disabled={options.paste === 'formats'}>
+            <legend>Operation</legend>
+            {PASTE_OPERATIONS.map((operation) => (
+              <label key={operation}>
+                <input
+                  type="radio"
+                  name="paste-operation"
+                  checked={options.operation === operation}
+                  onChange={() => update({ operation })}
+                />
+                {OPERATION_LABELS[operation]}
+              </label>
+            ))}
+          </fieldset>
+        </div>
+
+        <div className="paste-dialog-flags">
+          <label>
+            <input type="checkbox" checked={options.skipBlanks} onChange={(e) => update({ skipBlanks: e.target.checked })} />
+            Skip blanks
+          </label>
+          <label>
+            <input type="checkbox" checked={options.transpose} onChange={(e) => update({ transpose: e.target.checked })} />
+            Transpose
+          </label>
+        </div>
+
+        <div className="paste-dialog-actions">
+          <button type="button" onClick={onClose}>Cancel</button>
+          <button type="submit">OK</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default PasteSpecialDialog;
@@ -0,0 +1,150 @@
+import React, { useRef, useState } from 'react';
+import ContextMenu from './ContextMenu';
+import './SheetTabs.css';
+
+/**
+ * Tab strip under the grid listing the workbook's sheets. Double-click a tab to rename it,
+ * drag it to reorder, or right-click it for the other sheet actions.
+ * @param {Array<Object>} sheets - { id, name } in display order
+ * @param {number} activeId - Id of the sheet shown in the grid
+ * @param {Function} onSelect - (id) => shows that sheet
+ * @param {Function} onAdd - Adds a new empty sheet
+ * @param {Function} onRename - (id, name) => error message, or null once renamed
+ * @param {Function} onDuplicate - (id) => copies the sheet
+ * @param {Function} onDelete - (id) => deletes the sheet
+ * @param {Function} onMove - (id, toIndex) => moves the sheet to a new position
+ */
+function SheetTabs({ sheets, activeId, onSelect, onAdd, onRename, onDuplicate, onDelete, onMove }) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [menu, setMenu] = useState(null); // { x, y, id }
+  const [dragId, setDragId] = useState(null);
+  const [dropSlot, setDropSlot] = useState(null); // gap the dragged tab would land in, 0..sheets.length
+  const cancelRenameRef = useRef(false);
+
+  const startRename = (sheet) => {
+    cancelRenameRef.current = false;
+    setRenamingId(sheet.id);
+    setRenameValue(sheet.name);
+  };
+
+  // Enter and Escape both end the edit by blurring, so the rename is only ever committed once
+  const finishRename = () => {
+    const id = renamingId;
+    setRenamingId(null);
+    if (cancelRenameRef.current || id === null) return;
+    const error = onRename(id, renameValue);
+    if (error) alert(error);
+  };
+
+  const moveBy = (id, offset) => {
+    const index = sheets.findIndex((sheet) => sheet.id === id);
+    onMove(id, index + offset);
+  };
+
+  const getMenuItems = (id) => {
+    const index = sheets.findIndex((sheet) => sheet.id === id);
+    return [
+      { label: 'Rename', onClick: () => startRename(sheets[index]) },
+      { label: 'Duplicate', onClick: () => onDuplicate(id) },
+      { label: 'Delete', onClick: () => onDelete(id), disabled: sheets.length === 1 },
+      { separator: true },
+      { label: 'Move left', onClick: () => moveBy(id, -1), disabled: index === 0 },
+      { label: 'Move right', onClick: () => moveBy(id, 1), disabled: index === sheets.length - 1 },
+    ];
+  };
+
+  const handleDragOver = (e, index) => {
+    if (dragId === null) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropSlot(e.clientX < rect.left + rect.width / 2 ? index : index + 1);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const from = sheets.findIndex((sheet) => sheet.id === dragId);
+    if (from >= 0 && dropSlot !== null) {
+      // Removing the tab first shifts every later gap one place left
+      const to = dropSlot > from ? dropSlot - 1 : dropSlot;
+      if (to !== from) onMove(dragId, to);
+    }
+    setDragId(null);
+    setDropSlot(null);
+  };
+
+  const handleDragEnd = () => {
+    setDragId(null);
+    setDropSlot(null);
+  };
+
+  return (
+    <div className="sheet-tabs" role="tablist" onDragOver={(e) => dragId !== null && e.preventDefault()} onDrop={handleDrop}>
+      {sheets.map((sheet, index) => {
+        const classes = ['sheet-tab'];
+        if (sheet.id === activeId) classes.push('active');
+        if (sheet.id === dragId) classes.push('dragging');
+        if (dropSlot === index) classes.push('drop-before');
+        if (dropSlot === index + 1 && index === sheets.length - 1) classes.push('drop-after');
+
+        return (
+          <div
+            key={sheet.id}
+            className={classes.join(' ')}
+            role="tab"
+            aria-selected={sheet.id === activeId}
+            title={sheet.name}
+            draggable={renamingId !== sheet.id}
+            onClick={() => onSelect(sheet.id)}
+            onDoubleClick={() => startRename(sheet)}
+            onContextMenu={(e) => {
+              e.preventDefault();
+              onSelect(sheet.id);
+              setMenu({ x: e.clientX, y: e.clientY, id: sheet.id });
+            }}
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              e.dataTransfer.setData('text/plain', sheet.name);
+              setDragId(sheet.id);
+            }}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDragEnd={handleDragEnd}
+          >
+            {renamingId === sheet.id ? (
+              <input
+                className="sheet-tab-input"
+                value={renameValue}
+                autoFocus
+                onFocus={(e) => e.target.select()}
+                onChange={(e) => setRenameValue(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.target.blur();
+                  } else if (e.key === 'Escape') {
+                    cancelRenameRef.current = true;
+                    e.target.blur();
+                  }
+                }}
+                onBlur={finishRename}
+                onClick={(e) => e.stopPropagation()}
+                onDoubleClick={(e) => e.stopPropagation()}
+              />
+            ) : (
+              sheet.name
+            )}
+          </div>
+        );
+      })}
+
+      <button className="sheet-tab-add" title="Add sheet" onClick={onAdd}>
+        +
+      </button>
+
+      {menu && (
+        <ContextMenu x={menu.x} y={menu.y} items={getMenuItems(menu.id)} onClose={() => setMenu(null)} />
+      )}
+    </div>
+  );
+}
+
+export default SheetTabs;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { SORT_TYPES } from '../../SortHelper';
+import { getColLetter } from '../../Utils';
+import './SortDialog.css';
+
+const TYPE_LABELS = {
+  auto: 'Values',
+  number: 'Numbers',
+  text: 'Text',
+  date: 'Dates',
+};
+
+// Order names read the way the values do
+const ORDER_LABELS = {
+  auto: ['A → Z', 'Z → A'],
+  number: ['Smallest → largest', 'Largest → smallest'],
+  text: ['A → Z', 'Z → A'],
+  date: ['Oldest → newest', 'Newest → oldest'],
+};
+
+/**
+ * Modal with the keys and options for sorting a range
+ * @param {Object} range - { startRow, endRow, startCol, endCol } being sorted
+ * @param {Array<string>} titles - Text of the range's first row, one entry per column
+ * @param {boolean} initialHasHeader - Whether the first row starts out treated as a header
+ * @param {number} initialCol - Column of the first sort key
+ * @param {Function} onSort - ({ keys, hasHeader, locale, caseSensitive }) => void
+ * @param {Function} onClose - Called when the dialog is dismissed
+ */
+function SortDialog({ range, titles, initialHasHeader, initialCol, onSort, onClose }) {
+  const [keys, setKeys] = useState([{ col: initialCol, ascending: true, type: 'auto' }]);
+  const [hasHeader, setHasHeader] = useState(initialHasHeader);
+  const [locale, setLocale] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+
+  const columns = [];
+  for (let c = range.startCol; c <= range.endCol; c++) {
+    const title = titles[c - range.startCol];
+    columns.push({ col: c, label: hasHeader && title ? title : `Column ${getColLetter(c)}` });
+  }
+  const rangeLabel = `${getColLetter(range.startCol)}${range.startRow + 1}:${getColLetter(range.endCol)}${range.endRow + 1}`;
+
+  const updateKey = (index, patch) => setKeys(keys.map((key, i) => (i === index ? { ...key, ...patch } : key)));
+
+  // A new level starts on the first column no other level uses
+  const addKey = () => {
+    const unused = columns.find(({ col }) => !keys.some((key) => key.col === col));
+    if (unused) setKeys([...keys, { col: unused.col, ascending: true, type: 'auto' }]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSort({ keys, hasHeader, locale: locale.trim(), caseSensitive });
+    onClose();
+  };
+
+  return (
+    <div className="sort-dialog-backdrop" onPointerDown={(e) => e.target === e.currentTarget && onClose()}>
+      <form
+        className="sort-dialog"
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => e.key === 'Escape' && onClose()}
+      >
+        <h3>Sort {rangeLabel}</h3>
+
+        <label className="sort-dialog-inline">
+          <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+          My data has a header row
+        </label>
+
+        <div className="sort-dialog-keys">
+          {keys.map((key, i) => (
+            <div className="sort-dialog-key" key={i}>
+              <span>{i === 0 ? 'Sort by' : 'Then by'}</span>
+              <select value={key.col} onChange={(e) => updateKey(i, { col: Number(e.target.value) })} autoFocus={i === 0}>
+                {columns.map(({ col, label }) => (
+                  <option key={col} value={col}>{label}</option>
+                ))}
+              </select>
+              <select value={key.type} onChange={(e) => updateKey(i, { type: e.target.value })} title="Compare as">
+                {SORT_TYPES.map((type) => (
+                  <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+              <select value={key.ascending ? 'asc' : 'desc'} onChange={(e) => updateKey(i, { ascending: e.target.value === 'asc' })}>
+                <option value="asc">{ORDER_LABELS[key.type][0]}</option>
+                <option value="desc">{ORDER_LABELS[key.type][1]}</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => setKeys(keys.filter((_, j) => j !== i))}
+                disabled={keys.length === 1}
+                title="Remove this level"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button type="button" onClick={addKey} disabled={keys.length >= columns.length}>+ Add level</button>
+        </div>
+
+        <label>
+          Text order (language)
+          <input
+            type="text"
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            placeholder={`Browser default (${navigator.language})`}
+            title="A language tag such as en-US, de or sv: each language orders accented letters its own way"
+          />
+        </label>
+        <label className="sort-dialog-inline">
+          <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} />
+          Case sensitive
+        </label>
+
+        <div className="sort-dialog-actions">
+          <button type="button" onClick={onClose}>Cancel</button>
+          <button type="submit">Sort</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default SortDialog;
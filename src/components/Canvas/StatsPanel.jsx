@@ -0,0 +1,35 @@
+
+import React from 'react';
+import './StatsPanel.css';
+import { getColLetter } from '../../Utils';
+import { formatValue, GENERAL_FORMAT } from '../../NumberFormatHelper';
+
+// Shows the figures in the active cell's number format, if it has one
+function StatsPanel({ stats, selection, numFmt }) {
+  const emptyStats = {
+    count: 0,
+    sum: 0,
+    avg: 0,
+    min: 0,
+    max: 0,
+  };
+
+  const safeStats = stats || emptyStats;
+  const hasFormat = numFmt && numFmt !== GENERAL_FORMAT;
+  const show = (value, fallback) => (hasFormat ? formatValue(value, numFmt).text : fallback);
+
+  return (
+    <div className="stats-panel">
+      {/* <span><strong>Count:</strong> {safeStats.count}</span> */}
+      <span><strong>Sum:</strong> {show(safeStats.sum, safeStats.sum.toFixed(2))}</span>
+      <span><strong>Avg:</strong> {show(safeStats.avg, safeStats.avg.toFixed(2))}</span>
+      <span><strong>Min:</strong> {show(safeStats.min, safeStats.min)}</span>
+      <span><strong>Max:</strong> {show(safeStats.max, safeStats.max)}</span>
+      <span className="range-display">
+        Range: {getColLetter(selection.startCol)}{selection.startRow + 1}:{getColLetter(selection.endCol)}{selection.endRow + 1}
+      </span>
+    </div>
+  );
+}
+
+export default StatsPanel;
\ No newline at end of file
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { CSV_DELIMITERS, LINE_ENDINGS } from '../../CsvHelper';
+import './CsvDialog.css';
+
+const ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1252', label: 'Windows-1252 (Western)' },
+  { value: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+];
+
+const DELIMITER_LABELS = {
+  comma: 'Comma (,)',
+  semicolon: 'Semicolon (;)',
+  tab: 'Tab',
+  pipe: 'Pipe (|)',
+};
+
+/**
+ * Modal with the options for importing or exporting CSV / TSV files
+ * @param {string} mode - 'import' or 'export'
+ * @param {boolean} hasSelection - Whether a multi-cell selection exists to export
+ * @param {Function} onImport - (file, { encoding, delimiter }) => void; delimiter is '' to auto-detect
+ * @param {Function} onExport - ({ scope, delimiter, lineEnding, bom }) => void
+ * @param {Function} onClose - Called when the dialog is dismissed
+ */
+function CsvDialog({ mode, hasSelection, onImport, onExport, onClose }) {
+  const [file, setFile] = useState(null);
+  const [encoding, setEncoding] = useState('utf-8');
+  const [delimiter, setDelimiter] = useState(mode === 'import' ? 'auto' : 'comma');
+  const [scope, setScope] = useState('sheet');
+  const [lineEnding, setLineEnding] = useState('crlf');
+  const [bom, setBom] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mode === 'import') {
+      if (!file) return;
+      onImport(file, { encoding, delimiter: delimiter === 'auto' ? '' : CSV_DELIMITERS[delimiter] });
+    } else {
+      onExport({
+        scope,
+        delimiter: CSV_DELIMITERS[delimiter],
+        lineEnding: LINE_ENDINGS[lineEnding],
+        bom,
+      });
+    }
+    onClose();
+  };
+
+  return (
+    <div className="csv-dialog-backdrop" onPointerDown={(e) => e.target === e.currentTarget && onClose()}>
+      <form
+        className="csv-dialog"
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => e.key === 'Escape' && onClose()}
+      >
+        <h3>{mode === 'import' ? 'Import CSV / TSV' : 'Export CSV / TSV'}</h3>
+
+        {mode === 'import' ? (
+          <>
+            <label>
+              File
+              <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" onChange={(e) => setFile(e.target.files[0] || null)} autoFocus />
+            </label>
+            <label>
+              Encoding
+              <select value={encoding} onChange={(e) => setEncoding(e.target.value)}>
+                {ENCODINGS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </>
+        ) : (
+          <fieldset>
+            <legend>Export</legend>
+            <label className="csv-dialog-inline">
+              <input type="radio" checked={scope === 'sheet'} onChange={() => setScope('sheet')} />
+              Whole sheet
+            </label>
+            <label className="csv-dialog-inline">
+              <input
+                type="radio"
+                checked={scope === 'selection'}
+                disabled={!hasSelection}
+                onChange={() => setScope('selection')}
+              />
+              Selection
+            </label>
+          </fieldset>
+        )}
+
+        <label>
+          Delimiter
+          <select value={delimiter} onChange={(e) => setDelimiter(e.target.value)}>
+            {mode === 'import' && <option value="auto">Detect automatically</option>}
+            {Object.keys(CSV_DELIMITERS).map((name) => (
+              <option key={name} value={name}>{DELIMITER_LABELS[name]}</option>
+            ))}
+          </select>
+        </label>
+
+        {mode === 'export' && (
+          <>
+            <label>
+              Line ending
+              <select value={lineEnding} onChange={(e) => setLineEnding(e.target.value)}>
+                <option value="crlf">Windows (CRLF)</option>
+                <option value="lf">Unix (LF)</option>
+              </select>
+            </label>
+            <label className="csv-dialog-inline">
+              <input type="checkbox" checked={bom} onChange={(e) => setBom(e.target.checked)} />
+              Include UTF-8 byte order mark (for Excel)
+            </label>
+          </>
+        )}
+
+        <div className="csv-dialog-actions">
+          <button type="button" onClick={onClose}>Cancel</button>
+          <button type="submit" disabled={mode === 'import' && !file}>
+            {mode === 'import' ? 'Import' : 'Export'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default CsvDialog;
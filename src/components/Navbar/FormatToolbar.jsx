@@ -0,0 +1,124 @@
+import React from 'react';
+import { FONT_SIZES, DEFAULT_FONT_SIZE, DEFAULT_TEXT_COLOR, BORDER_PRESETS } from '../../StyleHelper';
+import { NUMBER_FORMATS, GENERAL_FORMAT, changeDecimals } from '../../NumberFormatHelper';
+import './FormatToolbar.css';
+
+const CUSTOM_FORMAT = 'custom';
+
+const ALIGNMENTS = [
+  { prop: 'hAlign', value: 'left', label: '⇤', title: 'Align left' },
+  { prop: 'hAlign', value: 'center', label: '↔', title: 'Align centre' },
+  { prop: 'hAlign', value: 'right', label: '⇥', title: 'Align right' },
+  { prop: 'vAlign', value: 'top', label: '⤒', title: 'Align top' },
+  { prop: 'vAlign', value: 'middle', label: '↕', title: 'Align middle' },
+  { prop: 'vAlign', value: 'bottom', label: '⤓', title: 'Align bottom' },
+];
+
+/**
+ * Formatting controls for the selected cells. Buttons show the state of the active cell
+ * and toggle it for the whole selection.
+ * @param {Object} activeStyle - Style of the active cell
+ * @param {Function} onFormat - (patch) => applies style properties to the selection
+ * @param {Function} onBorders - (presetId) => applies a border preset to the selection
+ * @param {Function} onClear - Removes all formatting from the selection
+ */
+function FormatToolbar({ activeStyle, onFormat, onBorders, onClear }) {
+  const toggle = (prop) => onFormat({ [prop]: !activeStyle[prop] });
+
+  // Clicking the active alignment again goes back to the default
+  const align = (prop, value) => onFormat({ [prop]: activeStyle[prop] === value ? undefined : value });
+
+  const numFmt = activeStyle.numFmt || GENERAL_FORMAT;
+  const isPreset = NUMBER_FORMATS.some(({ format }) => format === numFmt);
+
+  const chooseNumberFormat = (value) => {
+    if (value !== CUSTOM_FORMAT) {
+      onFormat({ numFmt: value });
+      return;
+    }
+    const format = window.prompt('Number format code, e.g. #,##0.00;[Red](#,##0.00)', numFmt);
+    if (format && format.trim()) onFormat({ numFmt: format.trim() });
+  };
+
+  return (
+    <div className="format-toolbar" role="toolbar" aria-label="Cell formatting">
+      <button className={activeStyle.bold ? 'active' : ''} onClick={() => toggle('bold')} title="Bold (Ctrl+B)">
+        <b>B</b>
+      </button>
+      <button className={activeStyle.italic ? 'active' : ''} onClick={() => toggle('italic')} title="Italic (Ctrl+I)">
+        <i>I</i>
+      </button>
+      <button className={activeStyle.underline ? 'active' : ''} onClick={() => toggle('underline')} title="Underline (Ctrl+U)">
+        <u>U</u>
+      </button>
+
+      <select
+        value={activeStyle.fontSize || DEFAULT_FONT_SIZE}
+        onChange={(e) => onFormat({ fontSize: Number(e.target.value) })}
+        title="Font size (px)"
+      >
+        {FONT_SIZES.map((size) => (
+          <option key={size} value={size}>{size}</option>
+        ))}
+      </select>
+
+      <select value={numFmt} onChange={(e) => chooseNumberFormat(e.target.value)} title="Number format">
+        {NUMBER_FORMATS.map(({ format, label }) => (
+          <option key={format} value={format}>{label}</option>
+        ))}
+        {!isPreset && <option value={numFmt}>{numFmt}</option>}
+        <option value={CUSTOM_FORMAT}>Custom…</option>
+      </select>
+      <button onClick={() => onFormat({ numFmt: changeDecimals(activeStyle.numFmt, 1) })} title="Increase decimal places">
+        .0+
+      </button>
+      <button onClick={() => onFormat({ numFmt: changeDecimals(activeStyle.numFmt, -1) })} title="Decrease decimal places">
+        .0−
+      </button>
+
+      <label className="format-color" title="Text colour">
+        A
+        <input
+          type="color"
+          value={activeStyle.color || DEFAULT_TEXT_COLOR}
+          onChange={(e) => onFormat({ color: e.target.value === DEFAULT_TEXT_COLOR ? undefined : e.target.value })}
+        />
+      </label>
+      <label className="format-color" title="Fill colour">
+        ▧
+        <input
+          type="color"
+          value={activeStyle.fill || '#ffffff'}
+          onChange={(e) => onFormat({ fill: e.target.value })}
+        />
+      </label>
+      <button onClick={() => onFormat({ fill: undefined })} title="No fill">∅</button>
+
+      {ALIGNMENTS.map(({ prop, value, label, title }) => (
+        <button
+          key={value}
+          className={activeStyle[prop] === value ? 'active' : ''}
+          onClick={() => align(prop, value)}
+          title={title}
+        >
+          {label}
+        </button>
+      ))}
+
+      <button className={activeStyle.wrap ? 'active' : ''} onClick={() => toggle('wrap')} title="Wrap text">
+        ↵
+      </button>
+
+      <select value="" onChange={(e) => onBorders(e.target.value)} title="Borders">
+        <option value="" disabled>▦ Borders</option>
+        {BORDER_PRESETS.map((preset) => (
+          <option key={preset.id} value={preset.id}>{preset.label}</option>
+        ))}
+      </select>
+
+      <button onClick={onClear} title="Clear formatting">⌫ Clear format</button>
+    </div>
+  );
+}
+
+export default FormatToolbar;
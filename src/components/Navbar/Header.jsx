@@ -1,9 +1,11 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState } from 'react';
+import CsvDialog from './CsvDialog';
+import FormatToolbar from './FormatToolbar';
 import './Header.css';
-import { insertRow , insertColumn } from '../../Utils';
 
 function Header({
   onLoadData,
+  onLoadWorkbook,
   onFontChange,
   onUndo,
   onRedo,
@@ -13,68 +15,115 @@ function Header({
   onCopy,
   onPaste,
   onCut,
-   cellData,
-  selected,
-  setCellData,
-  addToHistory,
-  setSelected
+  onInsertRows,
+  onInsertColumns,
+  onDeleteRows,
+  onDeleteColumns,
+  onFitToContent,
+  frozen,
+  onFreeze,
+  onSort,
+  filterActive,
+  onToggleFilter,
+  onFind,
+  onGoTo,
+  onLoadDelimited,
+  onExportDelimited,
+  onLoadXlsx,
+  onExportXlsx,
+  hasSelection,
+  recentFiles = [],
+  onOpenRecent,
+  activeStyle,
+  onFormat,
+  onBorders,
+  onClearFormat
 }) {
   const fileInputRef = useRef(null);
+  const [csvDialogMode, setCsvDialogMode] = useState(null);
+
+  // Reads a CSV / TSV file in the chosen encoding; an empty delimiter means auto-detect
+  const readDelimitedFile = (file, { encoding = 'utf-8', delimiter = '' } = {}) => {
+    const reader = new FileReader();
+    reader.onload = (event) => onLoadDelimited(event.target.result, delimiter, file.name);
+    reader.onerror = () => alert('Error reading file');
+    reader.readAsText(file, encoding);
+  };
 
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
-    if (file && file.type === 'application/json') {
+    e.target.value = ''; // allow loading the same file again
+    if (file && /\.(csv|tsv|txt)$/i.test(file.name)) {
+      readDelimitedFile(file);
+    } else if (file && /\.xlsx$/i.test(file.name)) {
+      const reader = new FileReader();
+      reader.onload = (event) => onLoadXlsx(event.target.result, file.name);
+      reader.onerror = () => alert('Error reading file');
+      reader.readAsArrayBuffer(file);
+    } else if (file && (file.type === 'application/json' || /\.json$/i.test(file.name))) {
       const reader = new FileReader();
       reader.onload = (event) => {
+        let data;
         try {
-          const data = JSON.parse(event.target.result);
-          onLoadData(data);
+          data = JSON.parse(event.target.result);
         } catch (error) {
-          alert('Error parsing JSON file');
+          alert(`Error parsing JSON file: ${error.message}`);
+          return;
+        }
+        // An array of row objects is the original import format; anything else is a workbook
+        if (Array.isArray(data)) {
+          onLoadData(data, file.name);
+        } else {
+          onLoadWorkbook(data, file.name);
         }
       };
       reader.readAsText(file);
     }
   };
 
-  const handleInsertRow = () => {
-    const insertAt = selected.r;
-    const newData = insertRow(cellData, selected.r);
-    setCellData(newData);
-    addToHistory(newData);
-    setSelected(prev => ({ 
-      ...prev, 
-      r: insertAt // Select the newly inserted row
-    }));
-  };
-  
-const handleInsertColumn = () => {
-  const insertAt = selected.c;
-  const newData = insertColumn(cellData, selected.c);
-  setCellData(newData);
-  addToHistory(newData);
-
-  setSelected(prev => ({
-      ...prev,
-      c: insertAt // Select the newly inserted (empty) column
-    }));
-};
-
-
   return (
     <div className="header-component">
       <h2 className="header-title">Advanced Spreadsheet</h2>
 
       <div className="button-group">
-        <button onClick={() => fileInputRef.current?.click()}>📁 Load JSON</button>
-        {/* <button onClick={onSave}>💾 Save</button> */}
+        <button onClick={() => fileInputRef.current?.click()} title="Load a JSON, CSV, TSV or Excel (.xlsx) file">📁 Load File</button>
+        <button onClick={() => setCsvDialogMode('import')} title="Import CSV / TSV with encoding and delimiter options">📥 Import CSV</button>
+        <button onClick={() => setCsvDialogMode('export')} title="Export the sheet or selection as CSV / TSV">📤 Export CSV</button>
+        <button onClick={onExportXlsx} title="Download the sheet as an Excel workbook">📊 Export XLSX</button>
+        <button onClick={onSave} title="Save the workbook as a file that can be loaded again">💾 Save</button>
+        <select
+          className="recent-files"
+          value=""
+          onChange={(e) => onOpenRecent(Number(e.target.value))}
+          disabled={recentFiles.length === 0}
+          title="Reopen a recently opened workbook"
+        >
+          <option value="" disabled>🕘 Recent</option>
+          {recentFiles.map((file) => (
+            <option key={file.id} value={file.id}>
+              {file.name} — {new Date(file.openedAt).toLocaleString()}
+            </option>
+          ))}
+        </select>
       </div>
 
       <div className="button-group">
         <button onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">↶ Undo</button>
         <button onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Y)">↷ Redo</button>
-        <button onClick={handleInsertRow}>Insert Row</button>
-        <button onClick={handleInsertColumn}>Insert Column</button>
+        <button onClick={onInsertRows} title="Insert rows above the selection (Ctrl++)">Insert Row</button>
+        <button onClick={onInsertColumns} title="Insert columns left of the selection">Insert Column</button>
+        <button onClick={onDeleteRows} title="Delete the selected rows (Ctrl+-)">Delete Row</button>
+        <button onClick={onDeleteColumns} title="Delete the selected columns">Delete Column</button>
+        <button onClick={onFitToContent} title="Fit the selected columns and rows to their content">Fit to content</button>
+        <select value="" onChange={(e) => onFreeze(e.target.value)} title="Keep rows and columns in view while scrolling">
+          <option value="" disabled>
+            {frozen.rows || frozen.cols ? `❄ Frozen (${frozen.rows} rows, ${frozen.cols} columns)` : '❄ Freeze'}
+          </option>
+          <option value="selection">Freeze above and left of the selected cell</option>
+          <option value="row">Freeze top row</option>
+          <option value="col">Freeze first column</option>
+          <option value="none" disabled={!frozen.rows && !frozen.cols}>Unfreeze</option>
+        </select>
       </div>
 
       <div className="button-group">
@@ -83,20 +132,48 @@ const handleInsertColumn = () => {
         {/* <button onClick={onCut} title="Cut (Ctrl+X)">✂️ Cut</button> */}
       </div>
 
+      <div className="button-group">
+        <button onClick={onSort} title="Sort the selection, or the data around the active cell, by one or more columns">⇅ Sort…</button>
+        <button
+          onClick={onToggleFilter}
+          className={filterActive ? 'active' : ''}
+          title={filterActive ? 'Remove the filter buttons and show every row' : 'Put filter buttons on the header row of the data'}
+        >
+          ⏷ Filter
+        </button>
+      </div>
+
+      <div className="button-group">
+        <button onClick={onFind} title="Find and replace (Ctrl+F, Ctrl+H)">🔍 Find…</button>
+        <button onClick={onGoTo} title="Go to a cell, range or sheet (Ctrl+G, F5)">↪ Go To…</button>
+      </div>
+
       <input
         ref={fileInputRef}
         type="file"
-        accept=".json"
+        accept=".json,.csv,.tsv,.txt,.xlsx"
         onChange={handleFileUpload}
         style={{ display: 'none' }}
       />
 
+      {csvDialogMode && (
+        <CsvDialog
+          mode={csvDialogMode}
+          hasSelection={hasSelection}
+          onImport={readDelimitedFile}
+          onExport={onExportDelimited}
+          onClose={() => setCsvDialogMode(null)}
+        />
+      )}
+
       <select onChange={(e) => onFontChange(e.target.value)} defaultValue="Arial">
         <option value="Arial">Arial</option>
         <option value="Times New Roman">Times New Roman</option>
         <option value="Courier New">Courier New</option>
         <option value="Helvetica">Helvetica</option>
       </select>
+
+      <FormatToolbar activeStyle={activeStyle} onFormat={onFormat} onBorders={onBorders} onClear={onClearFormat} />
     </div>
   );
 }
@@ -0,0 +1,22 @@
+import React from 'react';
+import './RecoveryBanner.css';
+
+/**
+ * Offers to restore the session autosaved before the last reload or crash
+ * @param {number} savedAt - Timestamp of the autosave
+ * @param {Function} onRestore - Loads the autosaved session
+ * @param {Function} onDiscard - Forgets it and starts fresh
+ */
+function RecoveryBanner({ savedAt, onRestore, onDiscard }) {
+  return (
+    <div className="recovery-banner" role="alert">
+      <span>
+        Unsaved work from {new Date(savedAt).toLocaleString()} was recovered. What you do meanwhile is autosaved separately.
+      </span>
+      <button onClick={onRestore}>Restore</button>
+      <button onClick={onDiscard}>Discard</button>
+    </div>
+  );
+}
+
+export default RecoveryBanner;